@@ -10,21 +10,61 @@ INSERT INTO mdm_db_BusinessChannels (ID, channelCode, channelName, description,
 
 -- System Configuration
 INSERT INTO mdm_db_SystemConfiguration (ID, configKey, configValue, description, isActive) VALUES
-('sc1', 'DUPLICATE_THRESHOLD', '0.95', 'Threshold for duplicate detection (0-1)', 1),
+('sc1', 'DUPLICATE_THRESHOLD', '0.95', 'Fuzzy name similarity counted as a name match in duplicate detection (0-1)', 1),
 ('sc2', 'AUTO_APPROVAL_LIMIT', '10000', 'Auto approval limit for low-risk requests', 1),
 ('sc3', 'VIES_API_ENDPOINT', 'http://ec.europa.eu/taxation_customs/vies/checkVatService.wsdl', 'VIES API endpoint', 1),
 ('sc4', 'AEB_API_ENDPOINT', 'https://api.aeb.com/compliance/check', 'AEB compliance API endpoint', 1),
 ('sc5', 'KYC_REVIEW_PERIOD', '6', 'KYC review period in months', 1),
-('sc6', 'NOTIFICATION_EMAIL_TEMPLATE', 'default', 'Email template for notifications', 1);
+('sc6', 'NOTIFICATION_EMAIL_TEMPLATE', 'default', 'Email template for notifications', 1),
+('sc7', 'SLA_WORKING_DAYS', '1,2,3,4,5', 'Business days for SLA calculation (ISO weekdays, 1=Monday)', 1),
+('sc8', 'SLA_HOLIDAYS', '2026-01-01,2026-05-01,2026-12-25,2026-12-26', 'Public holidays excluded from SLA calculation (YYYY-MM-DD)', 1),
+('sc9', 'SLA_DEFAULT_TIMEOUT_DAYS', '5', 'Approval SLA in business days for requests without a workflow', 1),
+('sc10', 'SLA_REMINDER_HOURS', '24', 'Hours before the SLA due date a reminder is sent', 1),
+('sc11', 'SLA_BACKUP_APPROVER_ROLE', 'MDMBackupApprover', 'Default escalation role for overdue approvals', 1),
+('sc12', 'SLA_CHECK_INTERVAL_MINUTES', '15', 'Interval of the SLA escalation scheduler in minutes', 1),
+('sc13', 'SOD_BLOCK_SELF_APPROVAL', 'true', 'Block requesters from approving their own requests', 1),
+('sc14', 'SOD_DUAL_APPROVAL_ENTITIES', 'PartnerBanks,PartnerVatIds', 'Request data that requires approval by distinct approvers', 1),
+('sc15', 'SOD_MIN_DISTINCT_APPROVERS', '2', 'Distinct approvers required for changes to dual-approval data', 1),
+('sc16', 'BP_DEFAULT_GROUPING', 'BP01', 'Business partner grouping used when a request specifies none', 1),
+('sc17', 'BP_CONTACT_GROUPING', 'BP01', 'Business partner grouping of contact persons created from requests', 1),
+('sc18', 'SCHEDULED_CHANGE_INTERVAL_MINUTES', '60', 'Interval of the scheduler applying future-dated changes in minutes', 1),
+('sc19', 'MASS_CHANGE_CHUNK_SIZE', '50', 'Partners a mass change request applies per scheduler run', 1),
+('sc20', 'MASS_CHANGE_INTERVAL_MINUTES', '1', 'Interval of the scheduler applying approved mass changes in minutes', 1),
+('sc21', 'MASS_CHANGE_MAX_PARTNERS', '1000', 'Largest number of partners a mass change request may select', 1),
+('sc22', 'DUPLICATE_WEIGHTS', 'name:1,phonetic:0.9,vat:1,address:0.9,bank:1,emailDomain:0.6', 'Weight of each duplicate signal in the match score (signal:weight, 0-1)', 1),
+('sc23', 'DUPLICATE_MIN_NAME_LENGTH', '3', 'Shortest partner name matched by name in duplicate detection', 1),
+('sc24', 'DUPLICATE_REVIEW_THRESHOLD', '0.9', 'Match score from which a duplicate requires review (0-1)', 1),
+('sc25', 'DUPLICATE_COUNTRY_THRESHOLDS', 'US:0.85', 'Review thresholds by country of the main address (country:threshold)', 1),
+('sc26', 'DUPLICATE_AUTO_BLOCK_THRESHOLD', '0.99', 'Match score from which a duplicate blocks approval until merged, rejected or clarified (0-1)', 1),
+('sc27', 'DUPLICATE_MERGE_COMPATIBILITY_THRESHOLD', '80', 'Compatibility points of an excellent merge candidate', 1);
+
+-- Number Ranges (business partner groupings; request number intervals are created per day)
+INSERT INTO mdm_db_NumberRanges (ID, rangeObject, intervalKey, description, prefix, fromNumber, toNumber, currentNumber, isExternal, isActive) VALUES
+('nr1', 'BU_PARTNER', 'BP01', 'Business partners - internal numbering', 'BP', 100000, 899999, 100005, 0, 1),
+('nr2', 'BU_PARTNER', 'BP02', 'Business partners - external numbering', 'BP', 900000, 999999, NULL, 1, 1);
+
+-- Survivorship rules for merging requests into existing partners
+INSERT INTO mdm_db_SurvivorshipRules (ID, fieldGroup, ruleType, sourcePriority, description, isActive) VALUES
+('sr1', 'Header', 'MostRecent', NULL, 'Names and general data - most recent wins', 1),
+('sr2', 'Address', 'NeverOverwrite', NULL, 'Never overwrite the established address', 1),
+('sr3', 'Bank', 'SourcePriority', 'PI,Coupa,Salesforce', 'Bank details - source system priority', 1),
+('sr4', 'TaxNumber', 'SourcePriority', 'PI,Coupa,Salesforce', 'Tax numbers - source system priority', 1),
+('sr5', 'Email', 'MostRecent', NULL, 'Email addresses - most recent wins', 1);
 
 -- Workflow Steps
-INSERT INTO mdm_db_WorkflowSteps (ID, workflowName, stepNumber, stepName, approverRole, isParallel, isMandatory, timeoutDays) VALUES
-('ws1', 'SUPPLIER_APPROVAL', 1, 'Initial Review', 'MDMApprover', 0, 1, 3),
-('ws2', 'SUPPLIER_APPROVAL', 2, 'Compliance Check', 'MDMApprover', 0, 1, 2),
-('ws3', 'SUPPLIER_APPROVAL', 3, 'Final Approval', 'MDMApprover', 0, 1, 5),
-('ws4', 'CUSTOMER_APPROVAL', 1, 'Initial Review', 'MDMApprover', 0, 1, 3),
-('ws5', 'CUSTOMER_APPROVAL', 2, 'Credit Check', 'MDMApprover', 0, 1, 2),
-('ws6', 'CUSTOMER_APPROVAL', 3, 'Final Approval', 'MDMApprover', 0, 1, 5);
+INSERT INTO mdm_db_WorkflowSteps (ID, workflowName, stepNumber, stepName, approverRole, isParallel, isMandatory, timeoutDays, backupApproverRole) VALUES
+('ws1', 'SUPPLIER_APPROVAL', 1, 'Initial Review', 'MDMApprover', 0, 1, 3, 'MDMBackupApprover'),
+('ws2', 'SUPPLIER_APPROVAL', 2, 'Compliance Check', 'MDMApprover', 0, 1, 2, 'MDMBackupApprover'),
+('ws3', 'SUPPLIER_APPROVAL', 3, 'Final Approval', 'MDMApprover', 0, 1, 5, 'MDMBackupApprover'),
+('ws4', 'CUSTOMER_APPROVAL', 1, 'Initial Review', 'MDMApprover', 0, 1, 3, 'MDMBackupApprover'),
+('ws5', 'CUSTOMER_APPROVAL', 2, 'Credit Check', 'MDMApprover', 0, 1, 2, 'MDMBackupApprover'),
+('ws6', 'CUSTOMER_APPROVAL', 3, 'Final Approval', 'MDMApprover', 0, 1, 5, 'MDMBackupApprover');
+
+-- Workflow Assignments
+INSERT INTO mdm_db_WorkflowAssignments (ID, workflowName, entityType, sourceSystem, companyCode, priority, isActive) VALUES
+('wa1', 'SUPPLIER_APPROVAL', 'Supplier', NULL, NULL, 0, 1),
+('wa2', 'CUSTOMER_APPROVAL', 'Customer', NULL, NULL, 0, 1),
+('wa3', 'SUPPLIER_APPROVAL', 'Both', NULL, NULL, 0, 1);
 
 -- User Roles
 INSERT INTO mdm_db_UserRoles (ID, userId, userName, userEmail, role, systemAccess, isActive) VALUES
@@ -32,7 +72,8 @@ INSERT INTO mdm_db_UserRoles (ID, userId, userName, userEmail, role, systemAcces
 ('ur2', 'bob', 'Bob Smith', 'bob@company.com', 'SystemOwner', 'Coupa', 1),
 ('ur3', 'carol', 'Carol Williams', 'carol@company.com', 'BusinessUser', 'Salesforce', 1),
 ('ur4', 'david', 'David Brown', 'david@company.com', 'SystemOwner', 'PI', 1),
-('ur5', 'emma', 'Emma Davis', 'emma@company.com', 'Admin', 'SAP,Coupa,Salesforce,PI', 1);
+('ur5', 'emma', 'Emma Davis', 'emma@company.com', 'Admin', 'SAP,Coupa,Salesforce,PI', 1),
+('ur6', 'frank', 'Frank Miller', 'frank@company.com', 'MDMBackupApprover', 'SAP', 1);
 
 -- Sample Business Partner Request (for testing)
 INSERT INTO mdm_db_BusinessPartnerRequests (
@@ -85,6 +126,35 @@ INSERT INTO mdm_db_PartnerVatIds (
 ) VALUES (
     'vat1', 'req1', 'US', '123456789', 'Standard', 'NotChecked', 1);
 
+-- Sample company code segments for the test request
+INSERT INTO mdm_db_PartnerCompanyCodes (
+    ID, request_ID, segmentType, companyCode, reconAccount, paymentTerms,
+    paymentMethods, withholdingTaxType, withholdingTaxCode, dunningProcedure
+) VALUES
+('pcc1', 'req1', 'Supplier', '1000', '2000000', 'NET30', 'T', NULL, NULL, NULL),
+('pcc2', 'req1', 'Supplier', '2000', '2000000', 'NET45', 'TU', '42', '01', NULL),
+('pcc3', 'req1', 'Supplier', '3000', '2100000', 'NET30', 'T', NULL, NULL, '0001');
+
+INSERT INTO mdm_db_PartnerPurchasingOrgs (
+    ID, request_ID, purchasingOrg, orderCurrency_code, incoterms, incotermsLocation,
+    purchasingGroup, paymentTerms, grBasedInvoiceVerification
+) VALUES
+('ppo1', 'req1', '1000', 'USD', 'FCA', 'New York', '001', 'NET30', 1),
+('ppo2', 'req1', '2000', 'EUR', 'DAP', 'Hamburg', '002', 'NET45', 0);
+
+INSERT INTO mdm_db_PartnerContacts (
+    ID, request_ID, firstName, lastName, jobFunction, department, phone, email, isPrimary
+) VALUES
+('pct1', 'req1', 'Jane', 'Miller', 'Purchasing Manager', 'Procurement', '+12125550100', 'jane.miller@acme.com', 1),
+('pct2', 'req1', 'Tom', 'Baker', 'Accounts Payable Clerk', 'Finance', '+12125550101', 'ap@acme.com', 0);
+
+INSERT INTO mdm_db_PartnerCommunications (
+    ID, request_ID, address_ID, commType, value, extension, notes, isDefault
+) VALUES
+('pcm1', 'req1', 'addr1', 'Phone', '(212) 555-0100', '200', 'Switchboard', 1),
+('pcm2', 'req1', 'addr1', 'Fax', '+1 212 555 0199', NULL, NULL, 1),
+('pcm3', 'req1', 'addr1', 'Website', 'www.acme.com', NULL, NULL, 1);
+
 -- Sample approval history
 INSERT INTO mdm_db_ApprovalHistory (
     ID, request_ID, approverUserId, approverName, action,
@@ -99,6 +169,7 @@ INSERT INTO mdm_db_ExistingPartners (
     ID, sapBpNumber, partnerName, partnerType, status,
     establishedAddress, establishedVatId, establishedCountry,
     createdAt, lastUpdated, sourceSystem, searchTerms,
+    metaphoneKey, metaphoneAltKey, colognePhoneticKey,
     allVatIds, allAddresses, businessChannels
 ) VALUES
 (
@@ -107,6 +178,7 @@ INSERT INTO mdm_db_ExistingPartners (
     'US987654321', 'US',
     '2023-01-15T10:00:00.000Z', '2024-09-15T14:30:00.000Z', 'Coupa',
     'Global Tech Solutions GTS Technology',
+    'KLPL TK SLXN', 'KLPL TK SLXN', '4515 24 85268',
     '["US987654321","CA123456789"]',
     '[{"type":"Main","street":"Technology Blvd 456","city":"San Francisco","country":"US"},{"type":"Billing","street":"Finance Ave 789","city":"San Francisco","country":"US"}]',
     'NONMERCH,ADBUSINESS'
@@ -117,6 +189,7 @@ INSERT INTO mdm_db_ExistingPartners (
     'DE123456789', 'DE',
     '2023-03-20T09:15:00.000Z', '2024-08-10T11:45:00.000Z', 'PI',
     'European Supplies GmbH Supplies Europe',
+    'ARPN SPLS', 'ARPN SPLS', '0716 8158',
     '["DE123456789","AT987654321"]',
     '[{"type":"Main","street":"Hauptstraße 123","city":"Berlin","country":"DE"}]',
     'MERCHOWN'
@@ -127,6 +200,7 @@ INSERT INTO mdm_db_ExistingPartners (
     'GB999888777', 'GB',
     '2023-06-10T14:20:00.000Z', '2024-10-01T16:00:00.000Z', 'Salesforce',
     'ACME Industries Manufacturing Industrial',
+    'AKM ANTS', 'AKM ANTS', '086 0628278',
     '["GB999888777","IE9876543210"]',
     '[{"type":"Main","street":"Industrial Park 999","city":"Manchester","country":"GB"},{"type":"Shipping","street":"Warehouse District 555","city":"Liverpool","country":"GB"}]',
     'MERCHOWN,MARKETPLACE'
@@ -137,6 +211,7 @@ INSERT INTO mdm_db_ExistingPartners (
     'FR12345678901', 'FR',
     '2023-08-05T12:30:00.000Z', '2024-09-25T09:15:00.000Z', 'Salesforce',
     'French Distribution France Commerce',
+    'FRNX TSTR', 'FRNK TSTR', '3764 2827126',
     '["FR12345678901"]',
     '[{"type":"Main","street":"Rue de Commerce 25","city":"Paris","country":"FR"}]',
     'MARKETPLACE'
@@ -147,6 +222,7 @@ INSERT INTO mdm_db_ExistingPartners (
     'SE556677889901', 'SE',
     '2022-12-01T08:45:00.000Z', '2024-07-15T13:20:00.000Z', 'Coupa',
     'Nordic Services Sweden Scandinavia',
+    'NRTK SRFS AP', 'NRTK SRFS AP', '6728 87388 01',
     '["SE556677889901","NO123456789MVA"]',
     '[{"type":"Main","street":"Storgatan 88","city":"Stockholm","country":"SE"}]',
     'NONMERCH'
@@ -183,4 +259,134 @@ INSERT INTO mdm_db_PartnerVatIds (
     ID, request_ID, country_code, vatNumber, vatType, validationStatus, isDefault
 ) VALUES (
     'vat2', 'req2', 'US', '987654321', 'Standard', 'NotChecked', 1
-);
\ No newline at end of file
+);
+-- Golden records of the existing partners (targets of Update requests)
+INSERT INTO mdm_db_A_BusinessPartner (
+    ID, BusinessPartner, Supplier, Customer, BusinessPartnerCategory,
+    BusinessPartnerFullName, BusinessPartnerName, BusinessPartnerGrouping,
+    OrganizationBPName1, SearchTerm1, BusinessPartnerIsBlocked, CreationDate
+) VALUES
+('gbp1', 'BP100001', 'BP100001', NULL, '2', 'Global Tech Solutions Inc', 'Global Tech Solutions Inc', 'BP01', 'Global Tech Solutions Inc', 'GLOBAL TECH', 0, '2023-01-15'),
+('gbp2', 'BP100002', 'BP100002', NULL, '2', 'European Supplies GmbH', 'European Supplies GmbH', 'BP01', 'European Supplies GmbH', 'EUROPEAN SUPPLIES', 0, '2023-03-20'),
+('gbp3', 'BP100003', 'BP100003', 'BP100003', '2', 'ACME Industries Ltd', 'ACME Industries Ltd', 'BP01', 'ACME Industries Ltd', 'ACME', 0, '2023-06-10'),
+('gbp4', 'BP100004', NULL, 'BP100004', '2', 'French Distribution SA', 'French Distribution SA', 'BP01', 'French Distribution SA', 'FRENCH DISTRIBUTION', 0, '2023-08-05'),
+('gbp5', 'BP100005', 'BP100005', NULL, '2', 'Nordic Services AB', 'Nordic Services AB', 'BP01', 'Nordic Services AB', 'NORDIC SERVICES', 1, '2022-12-01');
+
+INSERT INTO mdm_db_A_BusinessPartnerAddress (
+    ID, BusinessPartner, AddressID, FullName, StreetName, HouseNumber, PostalCode, CityName, Country
+) VALUES
+('gad1', 'BP100001', '1', 'Global Tech Solutions Inc', 'Technology Blvd', '456', '94105', 'San Francisco', 'US'),
+('gad2', 'BP100002', '1', 'European Supplies GmbH', 'Hauptstraße', '123', '10115', 'Berlin', 'DE'),
+('gad3', 'BP100003', '1', 'ACME Industries Ltd', 'Industrial Park', '999', 'M1 1AA', 'Manchester', 'GB'),
+('gad4', 'BP100004', '1', 'French Distribution SA', 'Rue de Commerce', '25', '75001', 'Paris', 'FR'),
+('gad5', 'BP100005', '1', 'Nordic Services AB', 'Storgatan', '88', '11122', 'Stockholm', 'SE');
+
+INSERT INTO mdm_db_A_AddressEmailAddress (
+    ID, BusinessPartner, AddressID, OrdinalNumber, IsDefaultEmailAddress, EmailAddress, AddressCommunicationRemarkText
+) VALUES
+('gem1', 'BP100001', '1', '001', 1, 'info@globaltech.com', 'Primary'),
+('gem2', 'BP100002', '1', '001', 1, 'info@european-supplies.de', 'Primary'),
+('gem3', 'BP100003', '1', '001', 1, 'contact@acme.co.uk', 'Primary'),
+('gem4', 'BP100003', '1', '002', 0, 'ap@acme.co.uk', 'AP'),
+('gem5', 'BP100004', '1', '001', 1, 'contact@french-distribution.fr', 'Primary'),
+('gem6', 'BP100005', '1', '001', 1, 'info@nordicservices.se', 'Primary');
+
+INSERT INTO mdm_db_A_AddressPhoneNumber (
+    ID, BusinessPartner, AddressID, OrdinalNumber, DestinationLocationCountry, IsDefaultPhoneNumber,
+    PhoneNumber, InternationalPhoneNumber, PhoneNumberType
+) VALUES
+('gph1', 'BP100001', '1', '001', 'US', 1, '4155550123', '+14155550123', '1'),
+('gph2', 'BP100002', '1', '001', 'DE', 1, '030123456', '+4930123456', '1'),
+('gph3', 'BP100003', '1', '001', 'GB', 1, '01611234567', '+441611234567', '1');
+
+INSERT INTO mdm_db_A_AddressHomePageURL (
+    ID, BusinessPartner, AddressID, OrdinalNumber, IsDefaultURLAddress, WebsiteURL, SearchURLAddress
+) VALUES
+('gurl1', 'BP100001', '1', '001', 1, 'https://www.globaltech.com', 'WWW.GLOBALTECH.COM'),
+('gurl2', 'BP100002', '1', '001', 1, 'https://www.european-supplies.de', 'WWW.EUROPEAN-SUPPLIES.DE');
+
+INSERT INTO mdm_db_A_BusinessPartnerTaxNumber (ID, BusinessPartner, BPTaxType, BPTaxNumber) VALUES
+('gtx1', 'BP100001', 'US0', 'US987654321'),
+('gtx2', 'BP100002', 'DE0', 'DE123456789'),
+('gtx3', 'BP100003', 'GB0', 'GB999888777'),
+('gtx4', 'BP100004', 'FR0', 'FR12345678901'),
+('gtx5', 'BP100005', 'SE0', 'SE556677889901');
+
+INSERT INTO mdm_db_A_BusinessPartnerRole (ID, BusinessPartner, BusinessPartnerRole, ValidFrom, ValidTo) VALUES
+('grl1', 'BP100001', 'FLVN01', '2023-01-15', '9999-12-31'),
+('grl2', 'BP100002', 'FLVN01', '2023-03-20', '9999-12-31'),
+('grl3', 'BP100003', 'FLVN01', '2023-06-10', '9999-12-31'),
+('grl4', 'BP100003', 'FLCU01', '2023-06-10', '9999-12-31'),
+('grl5', 'BP100004', 'FLCU01', '2023-08-05', '9999-12-31'),
+('grl6', 'BP100005', 'FLVN01', '2022-12-01', '9999-12-31');
+
+INSERT INTO mdm_db_A_Supplier (
+    ID, Supplier, BusinessPartner, SupplierName, SupplierFullName, SupplierCorporateGroup,
+    PostingIsBlocked, PurchasingIsBlocked, PaymentIsBlockedForSupplier, DeletionIndicator, CreationDate
+) VALUES
+('gsu1', 'BP100001', 'BP100001', 'Global Tech Solutions Inc', 'Global Tech Solutions Inc', 'GLOBALTECH', 0, 0, 0, 0, '2023-01-15'),
+('gsu2', 'BP100002', 'BP100002', 'European Supplies GmbH', 'European Supplies GmbH', 'ACME', 0, 0, 0, 0, '2023-03-20'),
+('gsu3', 'BP100003', 'BP100003', 'ACME Industries Ltd', 'ACME Industries Ltd', 'ACME', 0, 0, 0, 0, '2023-06-10'),
+('gsu5', 'BP100005', 'BP100005', 'Nordic Services AB', 'Nordic Services AB', NULL, 0, 1, 0, 0, '2022-12-01');
+
+INSERT INTO mdm_db_A_Customer (
+    ID, Customer, CustomerName, CustomerFullName, CustomerCorporateGroup, PostingIsBlocked, DeletionIndicator, CreationDate
+) VALUES
+('gcu3', 'BP100003', 'ACME Industries Ltd', 'ACME Industries Ltd', 'ACME', 0, 0, '2023-06-10'),
+('gcu4', 'BP100004', 'French Distribution SA', 'French Distribution SA', 'ACME', 0, 0, '2023-08-05');
+
+INSERT INTO mdm_db_A_SupplierCompany (
+    ID, Supplier, CompanyCode, BusinessPartner, ReconciliationAccount, PaymentTerms, PaymentMethodsList, DeletionIndicator, CreationDate
+) VALUES
+('gsc1', 'BP100001', '1000', 'BP100001', '2000000', 'NET30', 'T', 0, '2023-01-15'),
+('gsc2', 'BP100002', '1000', 'BP100002', '2000000', 'NET30', 'T', 0, '2023-03-20'),
+('gsc3', 'BP100002', '2000', 'BP100002', '2000000', 'NET45', 'TU', 0, '2023-03-20'),
+('gsc4', 'BP100003', '1000', 'BP100003', '2000000', 'NET30', 'T', 0, '2023-06-10');
+
+INSERT INTO mdm_db_A_CustomerCompany (
+    ID, Customer, CompanyCode, BusinessPartner, ReconciliationAccount, PaymentTerms, DunningProcedure, DeletionIndicator, CreationDate
+) VALUES
+('gcc1', 'BP100003', '1000', 'BP100003', '1400000', 'NET14', '0001', 0, '2023-06-10'),
+('gcc2', 'BP100004', '1000', 'BP100004', '1400000', 'NET30', '0001', 0, '2023-08-05');
+
+INSERT INTO mdm_db_A_SupplierPurchasingOrg (
+    ID, Supplier, PurchasingOrganization, BusinessPartner, PurchaseOrderCurrency, IncotermsClassification,
+    IncotermsLocation1, PurchasingGroup, PaymentTerms, InvoiceIsGoodsReceiptBased, PurchasingIsBlockedForSupplier, DeletionIndicator, CreationDate
+) VALUES
+('gpo1', 'BP100001', '1000', 'BP100001', 'USD', 'FCA', 'Chicago', '001', 'NET30', 1, 0, 0, '2023-01-15'),
+('gpo2', 'BP100002', '1000', 'BP100002', 'EUR', 'DAP', 'Munich', '002', 'NET30', 0, 0, 0, '2023-03-20'),
+('gpo3', 'BP100003', '1000', 'BP100003', 'GBP', 'FCA', 'London', '001', 'NET30', 1, 0, 0, '2023-06-10');
+
+INSERT INTO mdm_db_A_CustomerSalesArea (
+    ID, Customer, SalesArea, SalesOrganization, DistributionChannel, Division, BusinessPartner, Currency,
+    CustomerPricingProcedure, ShippingCondition, IncotermsClassification, IncotermsLocation1, CustomerPaymentTerms, DeletionIndicator, CreationDate
+) VALUES
+('gsa1', 'BP100003', '1000/10/00', '1000', '10', '00', 'BP100003', 'GBP', '1', '01', 'DAP', 'London', 'NET14', 0, '2023-06-10'),
+('gsa2', 'BP100004', '1000/10/00', '1000', '10', '00', 'BP100004', 'EUR', '1', '01', 'DAP', 'Paris', 'NET30', 0, '2023-08-05');
+
+-- Corporate groups and parent-account hierarchy of the golden records
+INSERT INTO mdm_db_CorporateGroups (ID, groupId, groupName, headBpNumber, description, isActive) VALUES
+('cg1', 'ACME', 'ACME Group', 'BP100003', 'ACME Industries and its European subsidiaries', 1),
+('cg2', 'GLOBALTECH', 'Global Tech Group', 'BP100001', 'Global Tech Solutions worldwide', 1);
+
+INSERT INTO mdm_db_PartnerHierarchy (ID, parentBpNumber, childBpNumber, validFrom) VALUES
+('phy1', 'BP100003', 'BP100002', '2023-06-10'),
+('phy2', 'BP100003', 'BP100004', '2023-08-05');
+
+-- Sample mass change request: new payment terms for the suppliers of the ACME group in company code 1000
+INSERT INTO mdm_db_BusinessPartnerRequests (
+    ID, requestNumber, entityType, requestType, sourceSystem, status,
+    requesterId, requesterName, requesterEmail,
+    partnerName, changeDescription, massChangeFilter,
+    aebComplianceStatus, viesValidationStatus, kycCompleted
+) VALUES (
+    'req3', 'MDM-20241012-0003', 'Supplier', 'MassChange', 'Manual', 'Draft',
+    'carol', 'Carol Williams', 'carol@company.com',
+    'ACME Group payment terms NET45', 'Group-wide payment terms agreed with ACME for company code 1000',
+    '{"SupplierCorporateGroup":"ACME"}',
+    'NotChecked', 'NotChecked', 0
+);
+
+INSERT INTO mdm_db_MassChangeFields (ID, request_ID, section, recordKey, fieldName, currentValue, newValue) VALUES
+('mcf1', 'req3', 'SupplierCompany', '1000', 'PaymentTerms', 'NET30', 'NET45'),
+('mcf2', 'req3', 'PurchasingOrg', '1000', 'PaymentTerms', 'NET30', 'NET45');
@@ -0,0 +1,241 @@
+/**
+ * Duplicate check benchmark
+ *
+ * Loads synthetic existing partners with their blocking keys into a SQLite file and
+ * times the candidate lookup, the full duplicate check and searchDuplicates for
+ * requests copied from random partners (half of them with a typo in the name,
+ * a third with the partner's VAT ID).
+ *
+ * Usage: node scripts/benchmark-duplicate-check.js [--partners=500000] [--requests=20] [--db=/tmp/mdm-benchmark.db]
+ *
+ * The database is loaded on the first run and reused by later runs with the same file.
+ */
+
+const cds = require('@sap/cds');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const args = Object.fromEntries(process.argv.slice(2)
+  .map(arg => arg.replace(/^--/, '').split('='))
+  .map(([key, value]) => [key, value]));
+const PARTNERS = parseInt(args.partners || '500000', 10);
+const REQUESTS = parseInt(args.requests || '20', 10);
+const DB_FILE = args.db || path.join(os.tmpdir(), 'mdm-benchmark.db');
+
+/**
+ * Deterministic pseudo-random numbers, so runs are comparable
+ */
+class Random {
+  constructor(seed) {
+    this.seed = seed;
+  }
+
+  next(n) {
+    this.seed = (this.seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(this.seed ^ (this.seed >>> 15), 1 | this.seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return Math.floor((((t ^ (t >>> 14)) >>> 0) / 4294967296) * n);
+  }
+}
+
+const SYLLABLES = ['ka', 'lo', 'mi', 'ber', 'tan', 'sch', 'el', 'dor', 'fin', 'ga', 'ru', 'vel', 'tor', 'ne', 'sa', 'pi', 'quo', 'zen', 'ha', 'lux', 'mar', 'ost', 'wil', 'den'];
+const LEGAL_FORMS = ['GmbH', 'AG', 'Inc', 'Ltd', 'SA', ''];
+const COUNTRIES = ['DE', 'US', 'FR', 'GB'];
+
+const WORDS = Array.from({ length: 8000 }, (_, i) => {
+  let word = '';
+  for (let k = 0, x = i * 7 + 3; k < 3; k++, x = Math.floor(x / SYLLABLES.length)) {
+    word += SYLLABLES[x % SYLLABLES.length];
+  }
+  return word;
+});
+
+const bpNumber = (i) => `BX${String(i).padStart(8, '0')}`;
+
+/**
+ * Synthetic ExistingPartners row
+ *
+ * @param {number} i - Partner index
+ * @param {Random} random - Random numbers
+ * @returns {Object} ExistingPartners row
+ */
+function syntheticPartner(i, random) {
+  const word = () => WORDS[random.next(WORDS.length)];
+  const country = COUNTRIES[random.next(COUNTRIES.length)];
+  const name = `${word()} ${word()} ${random.next(3) ? word() : ''} ${LEGAL_FORMS[random.next(LEGAL_FORMS.length)]}`
+    .replace(/\s+/g, ' ')
+    .trim();
+  const vatId = `${country}${100000000 + i}`;
+
+  return {
+    ID: `bench-${i}`,
+    sapBpNumber: bpNumber(i),
+    partnerName: name[0].toUpperCase() + name.slice(1),
+    partnerType: 'Supplier',
+    status: 'Active',
+    establishedAddress: JSON.stringify({
+      street: `${word()}str.`,
+      streetNumber: String(1 + random.next(200)),
+      city: `City${random.next(3000)}`,
+      postalCode: String(10000 + random.next(80000)),
+      country
+    }),
+    establishedVatId: vatId,
+    establishedCountry: country,
+    sourceSystem: 'PI',
+    allVatIds: JSON.stringify([vatId])
+  };
+}
+
+/**
+ * Load the synthetic partners and their blocking keys with prepared statements
+ *
+ * @param {EnhancedDuplicateService} duplicateService - Phonetic keys and blocking index
+ */
+async function loadPartners(duplicateService) {
+  const started = Date.now();
+  const random = new Random(42);
+
+  await cds.db.tx(async (tx) => {
+    await tx.begin?.();
+    const insertPartner = tx.dbc.prepare(
+      'INSERT INTO mdm_db_ExistingPartners (ID, sapBpNumber, partnerName, partnerType, status, establishedAddress, ' +
+      'establishedVatId, establishedCountry, sourceSystem, allVatIds, metaphoneKey, metaphoneAltKey, colognePhoneticKey) ' +
+      'VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)');
+    const insertKey = tx.dbc.prepare('INSERT INTO mdm_db_DuplicateBlockingKeys (ID, sapBpNumber, keyType, blockingKey) VALUES (?,?,?,?)');
+
+    let keys = 0;
+    for (let i = 0; i < PARTNERS; i++) {
+      const partner = syntheticPartner(i, random);
+      const phonetic = duplicateService.phoneticKeys(partner.partnerName);
+      insertPartner.run(partner.ID, partner.sapBpNumber, partner.partnerName, partner.partnerType, partner.status,
+        partner.establishedAddress, partner.establishedVatId, partner.establishedCountry, partner.sourceSystem,
+        partner.allVatIds, phonetic.metaphoneKey, phonetic.metaphoneAltKey, phonetic.colognePhoneticKey);
+
+      for (const entry of duplicateService.blockingIndex.keyEntries(partner)) {
+        insertKey.run(`bench-key-${keys++}`, entry.sapBpNumber, entry.keyType, entry.blockingKey);
+      }
+      if (i > 0 && i % 100000 === 0) {
+        console.log(`📥 ${i} partners loaded (${Date.now() - started} ms)`);
+      }
+    }
+    tx.dbc.exec('ANALYZE');
+    console.log(`📥 ${PARTNERS} partners with ${keys} blocking keys loaded in ${Date.now() - started} ms`);
+  });
+}
+
+/**
+ * Create requests copied from random partners
+ *
+ * @returns {Promise<Array>} { ID, target } with the BP number each request was copied from
+ */
+async function createRequests() {
+  const random = new Random(7);
+  await DELETE.from('mdm.db.DuplicateChecks');
+  await DELETE.from('mdm.db.PartnerVatIds');
+  await DELETE.from('mdm.db.PartnerAddresses');
+  await DELETE.from('mdm.db.BusinessPartnerRequests');
+
+  const requests = [];
+  for (let r = 0; r < REQUESTS; r++) {
+    const partner = await SELECT.one.from('mdm.db.ExistingPartners').where({ sapBpNumber: bpNumber(random.next(PARTNERS)) });
+    const address = JSON.parse(partner.establishedAddress);
+    const ID = cds.utils.uuid();
+
+    await INSERT.into('mdm.db.BusinessPartnerRequests').entries({
+      ID,
+      requestNumber: `BENCH-${r}`,
+      requestType: 'Create',
+      partnerName: r % 2 ? partner.partnerName.replace(/a/, 'e') : partner.partnerName,
+      partnerRole: 'Supplier',
+      sourceSystem: 'PI',
+      status: 'ComplianceCheck',
+      addresses: [{
+        addressType: 'Main', street: address.street, streetNumber: address.streetNumber,
+        city: address.city, postalCode: address.postalCode, country_code: address.country
+      }],
+      vatIds: r % 3 === 0 ? [{ country_code: address.country, vatNumber: partner.establishedVatId }] : []
+    });
+    requests.push({ ID, target: partner.sapBpNumber });
+  }
+  return requests;
+}
+
+/**
+ * Run a function and return its duration
+ *
+ * @param {Function} fn - Async function
+ * @returns {Promise<Object>} { result, ms }
+ */
+async function timed(fn) {
+  const started = process.hrtime.bigint();
+  const result = await fn();
+  return { result, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+}
+
+const summary = (times) => {
+  const sorted = [...times].sort((a, b) => a - b);
+  const at = (share) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * share))].toFixed(1);
+  return `median ${at(0.5)} ms, p95 ${at(0.95)} ms, max ${sorted[sorted.length - 1].toFixed(1)} ms`;
+};
+
+async function main() {
+  const fresh = !fs.existsSync(DB_FILE);
+  cds.env.requires.db = { kind: 'sqlite', impl: '@cap-js/sqlite', credentials: { url: DB_FILE } };
+  await cds.connect.to('db');
+  if (fresh) {
+    await cds.deploy(path.join(ROOT, 'db', 'data-model.cds')).to('db');
+  }
+  cds.model = cds.db.model;
+
+  const EnhancedDuplicateService = require('../srv/lib/enhanced-duplicate-service');
+  const duplicateService = new EnhancedDuplicateService();
+
+  if (fresh) {
+    await loadPartners(duplicateService);
+  }
+  const { partners } = await SELECT.one.from('mdm.db.ExistingPartners').columns('count(*) as partners');
+  const requests = await createRequests();
+
+  const log = console.log;
+  console.log = () => {};
+  const lookups = [];
+  const checks = [];
+  const searches = [];
+  let candidatesFound = 0;
+  let duplicatesFound = 0;
+
+  try {
+    for (const { ID, target } of requests) {
+      const request = await SELECT.one.from('mdm.db.BusinessPartnerRequests').where({ ID });
+
+      const lookup = await timed(() => duplicateService.blockingIndex.findCandidates(request));
+      lookups.push(lookup.ms);
+      if (lookup.result.some(c => c.sapBpNumber === target)) candidatesFound++;
+
+      const check = await timed(() => duplicateService.performComprehensiveDuplicateCheck(ID));
+      checks.push(check.ms);
+      if (check.result.some(d => d.existingBpNumber === target)) duplicatesFound++;
+
+      const search = await timed(() => duplicateService.searchDuplicates({ partnerName: request.partnerName, vatIds: [] }));
+      searches.push(search.ms);
+    }
+  } finally {
+    console.log = log;
+  }
+
+  console.log(`📊 ${requests.length} requests against ${partners} partners`);
+  console.log(`   Candidate lookup:     ${summary(lookups)} - source partner among the candidates for ${candidatesFound}/${requests.length}`);
+  console.log(`   Full duplicate check: ${summary(checks)} - source partner found for ${duplicatesFound}/${requests.length}`);
+  console.log(`   searchDuplicates:     ${summary(searches)}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Benchmark failed:', error);
+    process.exit(1);
+  });
@@ -1,5 +1,11 @@
 const cds = require('@sap/cds');
 const express = require('express');
+const NumberRangeService = require('./srv/lib/number-range-service');
+const BusinessPartnerMaterializer = require('./srv/lib/business-partner-materializer');
+const PartnerChangeService = require('./srv/lib/partner-change-service');
+
+const numberRangeService = new NumberRangeService();
+const partnerChangeService = new PartnerChangeService(new BusinessPartnerMaterializer());
 
 /**
  * CAP Server Bootstrap Configuration
@@ -27,6 +33,7 @@ cds.on('bootstrap', (app) => {
   // Partner request endpoints
   integrationRouter.post('/partners/create', createPartnerRequest);
   integrationRouter.post('/partners/update', updatePartnerRequest);
+  integrationRouter.post('/partners/:bpNumber/change-request', startChangeRequest);
   integrationRouter.get('/partners/:requestNumber/status', getRequestStatus);
   integrationRouter.get('/partners/requests', getPartnerRequests);
 
@@ -139,9 +146,7 @@ async function createPartnerRequest(req, res) {
     const { BusinessPartnerRequests } = db.entities('mdm.db');
 
     // Generate request number
-    const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-    const counter = await getNextCounter(db);
-    requestData.requestNumber = `MDM-${timestamp}-${counter.toString().padStart(4, '0')}`;
+    requestData.requestNumber = await numberRangeService.nextRequestNumber();
 
     // Set initial status
     requestData.status = 'Draft';
@@ -194,9 +199,7 @@ async function updatePartnerRequest(req, res) {
     const { BusinessPartnerRequests } = db.entities('mdm.db');
 
     // Generate request number
-    const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-    const counter = await getNextCounter(db);
-    requestData.requestNumber = `MDM-${timestamp}-${counter.toString().padStart(4, '0')}`;
+    requestData.requestNumber = await numberRangeService.nextRequestNumber();
 
     // Set initial status
     requestData.status = 'Draft';
@@ -224,6 +227,51 @@ async function updatePartnerRequest(req, res) {
   }
 }
 
+/**
+ * Start an update request pre-filled with the current data of a partner
+ */
+async function startChangeRequest(req, res) {
+  try {
+    const { bpNumber } = req.params;
+    console.log(`✏️ Starting change request for partner ${bpNumber} from ${req.sourceSystem}`);
+
+    const requestData = await partnerChangeService.buildChangeRequest(bpNumber, {
+      changeDescription: req.body?.changeDescription
+    });
+
+    requestData.sourceSystem = req.sourceSystem;
+    requestData.requestNumber = await numberRangeService.nextRequestNumber();
+    requestData.status = 'Draft';
+    requestData.statusCriticality = 0;
+
+    const db = await cds.connect.to('db');
+    const { BusinessPartnerRequests } = db.entities('mdm.db');
+    const result = await db.create(BusinessPartnerRequests).entries(requestData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Change request created from the current partner data',
+      data: {
+        requestId: result.ID,
+        requestNumber: requestData.requestNumber,
+        status: requestData.status,
+        existingBpNumber: bpNumber,
+        addresses: requestData.addresses.length,
+        vatIds: requestData.vatIds.length,
+        banks: requestData.banks.length,
+        emails: requestData.emails.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error starting change request:', error);
+    res.status(error.status || 500).json({
+      error: 'Change request creation failed',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Get request status by request number
  */
@@ -352,9 +400,7 @@ async function bulkCreatePartnerRequests(req, res) {
         }
 
         // Generate request number
-        const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-        const counter = await getNextCounter(db);
-        requestData.requestNumber = `MDM-${timestamp}-${(counter + i).toString().padStart(4, '0')}`;
+        requestData.requestNumber = await numberRangeService.nextRequestNumber();
 
         // Set initial status
         requestData.status = 'Draft';
@@ -498,6 +544,12 @@ async function listEndpoints(req, res) {
       description: 'Create an update request for existing partner',
       authentication: 'API Key + Source System header required'
     },
+    {
+      method: 'POST',
+      path: '/integration/partners/:bpNumber/change-request',
+      description: 'Create an update request pre-filled with the current partner data',
+      authentication: 'API Key + Source System header required'
+    },
     {
       method: 'GET',
       path: '/integration/partners/:requestNumber/status',
@@ -543,14 +595,5 @@ async function listEndpoints(req, res) {
   });
 }
 
-/**
- * Helper function to get next counter for request number generation
- */
-async function getNextCounter(db) {
-  const { BusinessPartnerRequests } = db.entities('mdm.db');
-  const count = await db.read(BusinessPartnerRequests).columns('count(*) as count');
-  return (count[0]?.count || 0) + 1;
-}
-
 // Export the CDS server module
 module.exports = cds.server;
\ No newline at end of file
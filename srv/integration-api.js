@@ -1,4 +1,7 @@
 const cds = require('@sap/cds');
+const NumberRangeService = require('./lib/number-range-service');
+const BusinessPartnerMaterializer = require('./lib/business-partner-materializer');
+const PartnerChangeService = require('./lib/partner-change-service');
 
 /**
  * Integration API for External Systems
@@ -7,6 +10,9 @@ const cds = require('@sap/cds');
 module.exports = class IntegrationAPI extends cds.ApplicationService {
 
   async init() {
+    this.numberRangeService = new NumberRangeService();
+    this.partnerChangeService = new PartnerChangeService(new BusinessPartnerMaterializer());
+
     // Register HTTP endpoints for external system integration
     const express = require('express');
     const router = express.Router();
@@ -20,6 +26,7 @@ module.exports = class IntegrationAPI extends cds.ApplicationService {
     // Partner request endpoints
     router.post('/partners/create', this.createPartnerRequest.bind(this));
     router.post('/partners/update', this.updatePartnerRequest.bind(this));
+    router.post('/partners/:bpNumber/change-request', this.startChangeRequest.bind(this));
     router.get('/partners/:requestNumber/status', this.getRequestStatus.bind(this));
     router.get('/partners/requests', this.getPartnerRequests.bind(this));
 
@@ -93,9 +100,7 @@ module.exports = class IntegrationAPI extends cds.ApplicationService {
       }
 
       // Generate request number
-      const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-      const counter = await this.getNextCounter();
-      const requestNumber = `MDM-${timestamp}-${counter.toString().padStart(4, '0')}`;
+      const requestNumber = await this.numberRangeService.nextRequestNumber();
 
       // Create the business partner request
       const requestData = {
@@ -216,9 +221,7 @@ module.exports = class IntegrationAPI extends cds.ApplicationService {
       }
 
       // Generate request number
-      const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-      const counter = await this.getNextCounter();
-      const requestNumber = `MDM-${timestamp}-${counter.toString().padStart(4, '0')}`;
+      const requestNumber = await this.numberRangeService.nextRequestNumber();
 
       // Create the update request
       const requestData = {
@@ -271,6 +274,51 @@ module.exports = class IntegrationAPI extends cds.ApplicationService {
     }
   }
 
+  // Start Change Request from an existing partner - External System Endpoint
+  async startChangeRequest(req, res) {
+    try {
+      const { sourceSystem } = req;
+      const { bpNumber } = req.params;
+      const partnerData = req.body || {};
+
+      const prefilled = await this.partnerChangeService.buildChangeRequest(bpNumber, {
+        changeDescription: partnerData.changeDescription
+      });
+
+      const requestNumber = await this.numberRangeService.nextRequestNumber();
+
+      const requestData = {
+        ...prefilled,
+        requestNumber,
+        sourceSystem,
+        status: 'Draft',
+        requesterId: partnerData.requesterId || 'external-system',
+        requesterName: partnerData.requesterName || `${sourceSystem} System`,
+        requesterEmail: partnerData.requesterEmail || `${sourceSystem.toLowerCase()}@company.com`
+      };
+
+      const result = await INSERT.into('mdm.db.BusinessPartnerRequests').entries(requestData);
+      const requestId = result.req ? result.req.data.ID : result.ID;
+
+      res.status(201).json({
+        success: true,
+        requestNumber,
+        requestId,
+        status: 'Draft',
+        message: 'Change request created from the current partner data',
+        existingBpNumber: bpNumber,
+        statusCheckUrl: `/integration/partners/${requestNumber}/status`
+      });
+
+    } catch (error) {
+      console.error('Error starting change request:', error);
+      res.status(error.status || 500).json({
+        error: 'Failed to start change request',
+        details: error.message
+      });
+    }
+  }
+
   // Get Request Status - External System Endpoint
   async getRequestStatus(req, res) {
     try {
@@ -536,6 +584,14 @@ module.exports = class IntegrationAPI extends cds.ApplicationService {
           paymentTerms: "NET15"
         }, null, 2)
       },
+      {
+        endpoint: '/integration/partners/{bpNumber}/change-request',
+        method: 'POST',
+        description: 'Create partner update request pre-filled with the current partner data',
+        samplePayload: JSON.stringify({
+          changeDescription: "Update bank account"
+        }, null, 2)
+      },
       {
         endpoint: '/integration/partners/{requestNumber}/status',
         method: 'GET',
@@ -597,9 +653,7 @@ module.exports = class IntegrationAPI extends cds.ApplicationService {
     // Implementation similar to createPartnerRequest but returns result object
     // ... (simplified for brevity)
 
-    const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-    const counter = await this.getNextCounter();
-    const requestNumber = `MDM-${timestamp}-${counter.toString().padStart(4, '0')}`;
+    const requestNumber = await this.numberRangeService.nextRequestNumber();
 
     // Create request and return result
     return {
@@ -609,12 +663,6 @@ module.exports = class IntegrationAPI extends cds.ApplicationService {
     };
   }
 
-  // Helper method to get next counter
-  async getNextCounter() {
-    const count = await SELECT.from('mdm.db.BusinessPartnerRequests').columns('count(*) as count');
-    return (count[0]?.count || 0) + 1;
-  }
-
   // Webhook handlers (for external systems to implement)
   async handlePartnerApproved(req, res) {
     // External systems can register webhooks to be notified when partners are approved/rejected
@@ -0,0 +1,255 @@
+/**
+ * Address Matcher
+ * Compares postal addresses for the duplicate check, so partners without a VAT ID
+ * (US suppliers, natural persons) are still found:
+ * - Street abbreviations are written out by country (Str. → Strasse, St. → Street)
+ * - House numbers are taken from the street line where they are not maintained apart
+ * - Postal codes are normalized by country (ZIP+4 → ZIP, blanks and dashes dropped)
+ *
+ * Street, city and postal code are scored separately and weighted; a different
+ * country or house number rules a match out or weakens it.
+ *
+ * @class AddressMatcher
+ */
+class AddressMatcher {
+
+  /**
+   * Weight of each address part in the match score
+   */
+  static WEIGHTS = {
+    street: 0.5,
+    city: 0.2,
+    postalCode: 0.3
+  };
+
+  /**
+   * Street abbreviations by language, applied to whole words
+   */
+  static STREET_ABBREVIATIONS = {
+    de: { str: 'strasse', pl: 'platz', g: 'gasse' },
+    en: {
+      st: 'street', rd: 'road', ave: 'avenue', av: 'avenue', blvd: 'boulevard', dr: 'drive',
+      ln: 'lane', ct: 'court', pl: 'place', sq: 'square', hwy: 'highway', pkwy: 'parkway'
+    },
+    fr: { r: 'rue', av: 'avenue', bd: 'boulevard', bld: 'boulevard', pl: 'place', ch: 'chemin', imp: 'impasse' }
+  };
+
+  /**
+   * Street abbreviation language by country - other countries use English and German
+   */
+  static STREET_LANGUAGES = {
+    DE: ['de'], AT: ['de'], CH: ['de', 'fr'], LI: ['de'],
+    FR: ['fr'], BE: ['fr'], LU: ['fr', 'de'], MC: ['fr'],
+    US: ['en'], GB: ['en'], IE: ['en'], CA: ['en', 'fr'], AU: ['en'], NZ: ['en']
+  };
+
+  /**
+   * Countries whose postal codes are digits only - letters are country prefixes (D-10115)
+   */
+  static NUMERIC_POSTAL_CODES = new Set([
+    'DE', 'AT', 'CH', 'LI', 'FR', 'BE', 'LU', 'MC', 'IT', 'ES', 'PT', 'DK', 'SE', 'NO',
+    'FI', 'PL', 'CZ', 'SK', 'HU', 'GR', 'RO', 'BG', 'HR', 'SI', 'EE', 'LT', 'LV', 'AU'
+  ]);
+
+  /**
+   * @param {Function} similarity - String similarity (0.0 to 1.0) of the duplicate check
+   */
+  constructor(similarity) {
+    this.similarity = similarity;
+  }
+
+  /**
+   * Match score of two addresses
+   *
+   * @param {Object} a - Normalized address (see normalize)
+   * @param {Object} b - Normalized address
+   * @returns {Object|null} { score, street, city, postalCode } or null if they cannot be compared
+   */
+  compare(a, b) {
+    if (!a.street || !b.street) return null;
+    if (a.country && b.country && a.country !== b.country) return null;
+
+    const parts = {
+      street: this.similarity(a.street, b.street),
+      city: a.city && b.city ? this.similarity(a.city, b.city) : null,
+      postalCode: a.postalCode && b.postalCode ? this.comparePostalCodes(a.postalCode, b.postalCode) : null
+    };
+
+    // A street alone does not locate an address
+    if (parts.city === null && parts.postalCode === null) return null;
+
+    // Same street, other building
+    if (a.houseNumber && b.houseNumber && a.houseNumber !== b.houseNumber) {
+      parts.street *= 0.5;
+    }
+
+    let weight = 0;
+    let score = 0;
+    for (const [part, value] of Object.entries(parts)) {
+      if (value === null) continue;
+      weight += AddressMatcher.WEIGHTS[part];
+      score += AddressMatcher.WEIGHTS[part] * value;
+    }
+
+    return { score: score / weight, ...parts };
+  }
+
+  /**
+   * Postal codes agree fully, or in the leading digits of their delivery area
+   *
+   * @param {string} a - Normalized postal code
+   * @param {string} b - Normalized postal code
+   * @returns {number} 1, 0.5 or 0
+   */
+  comparePostalCodes(a, b) {
+    if (a === b) return 1;
+    return a.slice(0, 3) === b.slice(0, 3) ? 0.5 : 0;
+  }
+
+  /**
+   * Normalize an address for comparison
+   *
+   * @param {Object} address - Address with street, streetNumber, postalCode, city and country (or country_code)
+   * @returns {Object} { country, street, houseNumber, postalCode, city, label }
+   */
+  normalize(address) {
+    const country = (address.country_code || address.country || '').trim().toUpperCase() || null;
+    const { name, number } = this.splitStreet(address.street, address.streetNumber);
+
+    return {
+      country,
+      street: this.normalizeStreet(name, country),
+      houseNumber: this.normalizeHouseNumber(number),
+      postalCode: this.normalizePostalCode(address.postalCode, country),
+      city: this.fold(address.city).replace(/\s+/g, ''),
+      label: [[address.street, address.streetNumber].filter(Boolean).join(' '), address.postalCode, address.city]
+        .filter(Boolean).join(', ')
+    };
+  }
+
+  /**
+   * Separate street name and house number
+   * The number is taken from the street line ("Hauptstraße 123", "123 Main St")
+   * if it is not maintained on its own.
+   *
+   * @param {string} street - Street line
+   * @param {string} streetNumber - House number
+   * @returns {Object} { name, number }
+   */
+  splitStreet(street, streetNumber) {
+    const line = (street || '').trim();
+    if (streetNumber) return { name: line, number: streetNumber };
+
+    const trailing = line.match(/^(.*\D)\s+(\d+\s?[a-zA-Z]?(?:\s?[-/]\s?\d+\s?[a-zA-Z]?)?)$/);
+    if (trailing) return { name: trailing[1], number: trailing[2] };
+
+    const leading = line.match(/^(\d+\s?[a-zA-Z]?(?:\s?[-/]\s?\d+)?)\s+(\D.*)$/);
+    if (leading) return { name: leading[2], number: leading[1] };
+
+    return { name: line, number: null };
+  }
+
+  /**
+   * Street name with abbreviations written out, without blanks
+   * "Haupt Str." and "Hauptstraße" both become "hauptstrasse".
+   *
+   * @param {string} name - Street name
+   * @param {string} country - ISO country code
+   * @returns {string} Normalized street name
+   */
+  normalizeStreet(name, country) {
+    const languages = AddressMatcher.STREET_LANGUAGES[country] || ['en', 'de'];
+    const abbreviations = Object.assign({}, ...languages.slice().reverse().map(l => AddressMatcher.STREET_ABBREVIATIONS[l]));
+
+    let street = this.fold(name);
+    if (languages.includes('de')) {
+      // Compound street names: Hauptstr., Bahnhofstrasse
+      street = street.replace(/(\w)str\b/g, '$1strasse');
+    }
+
+    return street.split(' ')
+      .map(word => abbreviations[word] || word)
+      .join('');
+  }
+
+  /**
+   * House number without blanks; of a range (12-14) the first number
+   *
+   * @param {string} number - House number
+   * @returns {string|null} Normalized house number
+   */
+  normalizeHouseNumber(number) {
+    if (!number) return null;
+    const normalized = String(number).toLowerCase().replace(/\s+/g, '').split(/[-/]/)[0];
+    return normalized || null;
+  }
+
+  /**
+   * Postal code in the form of its country
+   *
+   * @param {string} postalCode - Postal code
+   * @param {string} country - ISO country code
+   * @returns {string|null} Normalized postal code
+   */
+  normalizePostalCode(postalCode, country) {
+    if (!postalCode) return null;
+    const code = String(postalCode).toUpperCase();
+
+    if (country === 'US') {
+      // ZIP+4 → ZIP
+      return code.replace(/\D/g, '').slice(0, 5) || null;
+    }
+    if (AddressMatcher.NUMERIC_POSTAL_CODES.has(country)) {
+      return code.replace(/\D/g, '') || null;
+    }
+    return code.replace(/[^A-Z0-9]/g, '') || null;
+  }
+
+  /**
+   * Lower-case text without diacritics and punctuation; ß becomes ss
+   *
+   * @param {string} text - Text
+   * @returns {string} Folded text, words separated by single blanks
+   */
+  fold(text) {
+    return (text || '')
+      .replace(/ß/g, 'ss')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Addresses known for an existing partner
+   * The established address first, then the other addresses of `allAddresses`.
+   *
+   * @param {Object} existingPartner - ExistingPartners row
+   * @returns {Array<Object>} Addresses with addressType
+   */
+  partnerAddresses(existingPartner) {
+    const addresses = [];
+    const parse = (json) => {
+      try {
+        return json ? JSON.parse(json) : null;
+      } catch (error) {
+        console.warn(`⚠️ Unreadable address data of partner ${existingPartner.sapBpNumber}: ${error.message}`);
+        return null;
+      }
+    };
+
+    const established = parse(existingPartner.establishedAddress);
+    if (established) {
+      addresses.push({ ...established, addressType: 'Established', country: established.country || existingPartner.establishedCountry });
+    }
+
+    for (const address of parse(existingPartner.allAddresses) || []) {
+      addresses.push({ ...address, addressType: address.type || address.addressType });
+    }
+
+    return addresses;
+  }
+}
+
+module.exports = AddressMatcher;
@@ -0,0 +1,453 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const ErrorHandler = require('./error-handler');
+const BusinessCalendar = require('./business-calendar');
+
+/**
+ * Multi-Step Approval Workflow Service
+ *
+ * Drives configurable approval chains from the WorkflowSteps entity:
+ * - Selects the chain per entityType, sourceSystem and companyCode via WorkflowAssignments
+ * - Instantiates per-request steps in RequestApprovalSteps
+ * - Runs steps sequentially by stepNumber; a step flagged isParallel joins the
+ *   stage of the step before it and is worked on at the same time
+ * - Reports the chain complete only when every mandatory step is approved
+ * - Starts the SLA clock of each stage from WorkflowSteps.timeoutDays in business days
+ *
+ * @class ApprovalWorkflowService
+ */
+class ApprovalWorkflowService {
+
+  constructor() {
+    this.DEFAULT_WORKFLOW = 'DEFAULT_APPROVAL';
+    this.OPEN_STEP_STATUSES = ['Pending', 'Active'];
+    this.DEFAULT_TIMEOUT_DAYS = 5;
+  }
+
+  /**
+   * Select the workflow chain for a request
+   * The assignment matching the most criteria wins; empty criteria match any value.
+   * A company code criterion matches any company code segment of the request.
+   *
+   * @param {Object} request - Business partner request
+   * @returns {Promise<string|null>} Workflow name or null if none is configured
+   */
+  async resolveWorkflowName(request) {
+    const segments = request.ID
+      ? await SELECT.from('mdm.db.PartnerCompanyCodes').columns('companyCode').where({ request_ID: request.ID })
+      : [];
+    const companyCodes = [request.companyCode, request.customerCompanyCode, ...segments.map(s => s.companyCode)]
+      .filter(Boolean);
+    const assignments = await SELECT.from('mdm.db.WorkflowAssignments').where({ isActive: true });
+
+    const candidates = assignments
+      .filter(a => (!a.entityType || a.entityType === request.entityType) &&
+                   (!a.sourceSystem || a.sourceSystem === request.sourceSystem) &&
+                   (!a.companyCode || companyCodes.includes(a.companyCode)))
+      .map(a => ({
+        ...a,
+        specificity: [a.entityType, a.sourceSystem, a.companyCode].filter(Boolean).length
+      }))
+      .sort((a, b) => (b.specificity - a.specificity) || ((b.priority || 0) - (a.priority || 0)));
+
+    if (candidates.length > 0) {
+      return candidates[0].workflowName;
+    }
+
+    const defaultSteps = await SELECT.from('mdm.db.WorkflowSteps')
+      .columns('ID')
+      .where({ workflowName: this.DEFAULT_WORKFLOW })
+      .limit(1);
+
+    return defaultSteps.length > 0 ? this.DEFAULT_WORKFLOW : null;
+  }
+
+  /**
+   * Instantiate the approval chain for a request and activate the first stage
+   * Any steps left from an earlier submission are replaced. When fewer mandatory
+   * steps exist than distinct approvers are required, four-eyes steps are appended.
+   *
+   * @param {Object} request - Business partner request
+   * @param {Object} options - Options
+   * @param {number} options.minimumApprovers - Distinct approvers the request needs
+   * @returns {Promise<Array>} Created request approval steps
+   */
+  async initializeWorkflow(request, options = {}) {
+    const { minimumApprovers = 1 } = options;
+    const workflowName = await this.resolveWorkflowName(request);
+
+    await DELETE.from('mdm.db.RequestApprovalSteps').where({ request_ID: request.ID });
+    await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({ workflowName })
+      .where({ ID: request.ID });
+
+    const workflowSteps = workflowName
+      ? await SELECT.from('mdm.db.WorkflowSteps').where({ workflowName }).orderBy('stepNumber')
+      : [];
+
+    let stageNumber = 0;
+    const steps = workflowSteps.map((step, index) => {
+      if (index === 0 || !step.isParallel) {
+        stageNumber++;
+      }
+
+      return {
+        ID: uuidv4(),
+        request_ID: request.ID,
+        workflowName,
+        workflowStep_ID: step.ID,
+        stepNumber: step.stepNumber,
+        stageNumber,
+        stepName: step.stepName,
+        approverRole: step.approverRole,
+        isMandatory: step.isMandatory !== false,
+        timeoutDays: step.timeoutDays ?? this.DEFAULT_TIMEOUT_DAYS,
+        status: 'Pending'
+      };
+    });
+
+    // Sequential four-eyes steps so enough distinct approvers can act
+    const mandatoryCount = steps.filter(s => s.isMandatory).length;
+    if (minimumApprovers > 1 && mandatoryCount < minimumApprovers) {
+      const timeoutDays = await this.getDefaultTimeoutDays();
+      let stepNumber = Math.max(0, ...steps.map(s => s.stepNumber));
+
+      for (let i = mandatoryCount; i < minimumApprovers; i++) {
+        steps.push({
+          ID: uuidv4(),
+          request_ID: request.ID,
+          workflowName,
+          stepNumber: ++stepNumber,
+          stageNumber: ++stageNumber,
+          stepName: 'Four-Eyes Approval',
+          approverRole: 'MDMApprover',
+          isMandatory: true,
+          timeoutDays,
+          status: 'Pending'
+        });
+      }
+    }
+
+    if (steps.length === 0) {
+      const calendar = await BusinessCalendar.load();
+      const timeoutDays = await this.getDefaultTimeoutDays();
+      await this.updateRequestDueDate(request.ID, BusinessCalendar.addBusinessDays(new Date(), timeoutDays, calendar));
+
+      console.log(`📋 No approval workflow configured for request ${request.requestNumber} - single-step approval`);
+      return [];
+    }
+
+    await INSERT.into('mdm.db.RequestApprovalSteps').entries(steps);
+    await this.activateNextStage(request.ID);
+
+    console.log(`📋 Workflow ${workflowName || 'FOUR_EYES'} started for request ${request.requestNumber} with ${steps.length} step(s)`);
+    return steps;
+  }
+
+  /**
+   * Get all approval steps of a request ordered by stage and step number
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @returns {Promise<Array>} Request approval steps
+   */
+  async getSteps(requestId) {
+    return await SELECT.from('mdm.db.RequestApprovalSteps')
+      .where({ request_ID: requestId })
+      .orderBy('stageNumber', 'stepNumber');
+  }
+
+  /**
+   * Activate the lowest stage that still has open steps
+   * Stages without open mandatory steps are closed and their optional steps skipped.
+   * Newly activated steps get their due date and the request SLA moves to the stage.
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @returns {Promise<Array>} Steps that are active after the call
+   */
+  async activateNextStage(requestId) {
+    const steps = await this.getSteps(requestId);
+    const stages = [...new Set(steps.map(s => s.stageNumber))].sort((a, b) => a - b);
+
+    for (const stage of stages) {
+      const stageSteps = steps.filter(s => s.stageNumber === stage);
+      const openMandatory = stageSteps.filter(s => s.isMandatory && this.OPEN_STEP_STATUSES.includes(s.status));
+
+      if (openMandatory.length === 0) {
+        const openOptional = stageSteps.filter(s => this.OPEN_STEP_STATUSES.includes(s.status));
+        for (const step of openOptional) {
+          await UPDATE('mdm.db.RequestApprovalSteps')
+            .set({ status: 'Skipped', completedAt: new Date().toISOString() })
+            .where({ ID: step.ID });
+        }
+        continue;
+      }
+
+      const pending = stageSteps.filter(s => s.status === 'Pending');
+      const now = new Date();
+      const calendar = pending.length > 0 ? await BusinessCalendar.load() : null;
+
+      for (const step of pending) {
+        step.activatedAt = now.toISOString();
+        step.dueDate = BusinessCalendar.addBusinessDays(now, step.timeoutDays ?? this.DEFAULT_TIMEOUT_DAYS, calendar).toISOString();
+        step.status = 'Active';
+
+        await UPDATE('mdm.db.RequestApprovalSteps')
+          .set({ status: 'Active', activatedAt: step.activatedAt, dueDate: step.dueDate })
+          .where({ ID: step.ID });
+      }
+
+      const activeSteps = stageSteps.filter(s => this.OPEN_STEP_STATUSES.includes(s.status));
+
+      if (pending.length > 0) {
+        const stageDueDate = activeSteps
+          .filter(s => s.isMandatory && s.dueDate)
+          .map(s => s.dueDate)
+          .sort()[0];
+        await this.updateRequestDueDate(requestId, stageDueDate);
+      }
+
+      return activeSteps;
+    }
+
+    return [];
+  }
+
+  /**
+   * Restart the request SLA clock with a new due date
+   * Reminder and escalation markers belong to the previous stage and are cleared.
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @param {Date|string} dueDate - Due date of the current stage
+   * @returns {Promise<void>}
+   */
+  async updateRequestDueDate(requestId, dueDate) {
+    await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({
+        slaDueDate: dueDate ? new Date(dueDate).toISOString() : null,
+        slaReminderSentAt: null,
+        slaEscalatedAt: null,
+        escalatedToRole: null
+      })
+      .where({ ID: requestId });
+  }
+
+  /**
+   * Reopen the step whose approval completed the chain, e.g. after the decision was reverted
+   * Without a chain the request only gets a new due date.
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @returns {Promise<Array>} Steps that are active after the call
+   */
+  async reopenDecisionStep(requestId) {
+    const steps = await this.getSteps(requestId);
+    const [decisionStep] = steps
+      .filter(s => s.status === 'Approved' && s.completedAt)
+      .sort((a, b) => String(b.completedAt).localeCompare(String(a.completedAt)));
+
+    if (!decisionStep) {
+      const calendar = await BusinessCalendar.load();
+      const timeoutDays = await this.getDefaultTimeoutDays();
+      await this.updateRequestDueDate(requestId, BusinessCalendar.addBusinessDays(new Date(), timeoutDays, calendar));
+      return [];
+    }
+
+    await UPDATE('mdm.db.RequestApprovalSteps')
+      .set({
+        status: 'Pending',
+        activatedAt: null,
+        dueDate: null,
+        escalatedAt: null,
+        escalatedToRole: null,
+        completedAt: null,
+        completedBy: null,
+        onBehalfOf: null,
+        comments: null
+      })
+      .where({ ID: decisionStep.ID });
+
+    return await this.activateNextStage(requestId);
+  }
+
+  /**
+   * Restart the SLA clock of the active stage, e.g. after the request was
+   * waiting on the requester. Active steps get a fresh due date from now.
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @returns {Promise<void>}
+   */
+  async restartSLA(requestId) {
+    const calendar = await BusinessCalendar.load();
+    const now = new Date();
+    const activeSteps = await SELECT.from('mdm.db.RequestApprovalSteps')
+      .where({ request_ID: requestId, status: 'Active' });
+
+    if (activeSteps.length === 0) {
+      const timeoutDays = await this.getDefaultTimeoutDays();
+      await this.updateRequestDueDate(requestId, BusinessCalendar.addBusinessDays(now, timeoutDays, calendar));
+      return;
+    }
+
+    let stageDueDate = null;
+    for (const step of activeSteps) {
+      const dueDate = BusinessCalendar.addBusinessDays(now, step.timeoutDays ?? this.DEFAULT_TIMEOUT_DAYS, calendar);
+      await UPDATE('mdm.db.RequestApprovalSteps')
+        .set({ dueDate: dueDate.toISOString() })
+        .where({ ID: step.ID });
+
+      if (step.isMandatory && (!stageDueDate || dueDate < stageDueDate)) {
+        stageDueDate = dueDate;
+      }
+    }
+
+    await this.updateRequestDueDate(requestId, stageDueDate);
+  }
+
+  /**
+   * Get the SLA for requests without an approval chain
+   *
+   * @returns {Promise<number>} Timeout in business days
+   */
+  async getDefaultTimeoutDays() {
+    const config = await SELECT.one.from('mdm.db.SystemConfiguration')
+      .columns('configValue')
+      .where({ configKey: 'SLA_DEFAULT_TIMEOUT_DAYS', isActive: true });
+
+    const days = parseInt(config?.configValue, 10);
+    return Number.isNaN(days) ? this.DEFAULT_TIMEOUT_DAYS : days;
+  }
+
+  /**
+   * Get the active steps the user may decide on
+   * Escalated steps may also be decided by the backup approver role.
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @param {Object} user - CAP user
+   * @returns {Promise<Array>} Active steps matching the user's roles
+   */
+  async getActiveStepsForUser(requestId, user) {
+    const activeSteps = await SELECT.from('mdm.db.RequestApprovalSteps')
+      .where({ request_ID: requestId, status: 'Active' })
+      .orderBy('stepNumber');
+
+    return activeSteps.filter(step =>
+      this.userHasRole(user, step.approverRole) ||
+      (step.escalatedToRole && this.userHasRole(user, step.escalatedToRole)));
+  }
+
+  /**
+   * Check whether a user holds an approver role
+   *
+   * @param {Object} user - CAP user
+   * @param {string} role - Approver role (empty means any MDMApprover)
+   * @returns {boolean} True if the user holds the role
+   */
+  userHasRole(user, role) {
+    if (!user || typeof user.is !== 'function') return false;
+    return user.is(role || 'MDMApprover');
+  }
+
+  /**
+   * Get open mandatory steps of a request
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @returns {Promise<Array>} Outstanding mandatory steps
+   */
+  async getOutstandingSteps(requestId) {
+    const steps = await this.getSteps(requestId);
+    return steps.filter(s => s.isMandatory && this.OPEN_STEP_STATUSES.includes(s.status));
+  }
+
+  /**
+   * Approve the user's active step and advance the chain
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @param {Object} user - CAP user approving the step
+   * @param {string} comments - Approval comments
+   * @param {Object} options - Options
+   * @param {boolean} options.requireFinal - Fail unless this approval completes the chain
+   * @param {string} options.onBehalfOf - Delegator when a delegate approves
+   * @returns {Promise<Object>} Result with approved step, completion flag and next steps
+   */
+  async approveStep(requestId, user, comments, options = {}) {
+    const steps = await this.getSteps(requestId);
+
+    // No chain configured - the single approval completes the request
+    if (steps.length === 0) {
+      return { step: null, workflowComplete: true, nextSteps: [] };
+    }
+
+    const [step] = await this.getActiveStepsForUser(requestId, user);
+    if (!step) {
+      const activeRoles = steps
+        .filter(s => s.status === 'Active')
+        .map(s => s.approverRole || 'MDMApprover');
+      throw ErrorHandler.authorizationError('approve the current step of', 'BusinessPartnerRequest', [...new Set(activeRoles)]);
+    }
+
+    if (options.requireFinal) {
+      const remaining = steps.filter(s =>
+        s.ID !== step.ID && s.isMandatory && this.OPEN_STEP_STATUSES.includes(s.status));
+
+      ErrorHandler.assertBusinessRule(
+        remaining.length === 0,
+        'APPROVAL_STEPS_PENDING',
+        `Approval steps still pending: ${remaining.map(s => s.stepName).join(', ')}`,
+        { pendingSteps: remaining.map(s => ({ stepNumber: s.stepNumber, stepName: s.stepName, approverRole: s.approverRole })) }
+      );
+    }
+
+    await UPDATE('mdm.db.RequestApprovalSteps')
+      .set({
+        status: 'Approved',
+        completedAt: new Date().toISOString(),
+        completedBy: user?.id || 'system',
+        onBehalfOf: options.onBehalfOf || null,
+        comments: comments || null
+      })
+      .where({ ID: step.ID, status: 'Active' });
+
+    const nextSteps = await this.activateNextStage(requestId);
+    const outstanding = await this.getOutstandingSteps(requestId);
+
+    return {
+      step: { ...step, status: 'Approved' },
+      workflowComplete: outstanding.length === 0,
+      nextSteps
+    };
+  }
+
+  /**
+   * Record a rejection on the user's active step and cancel the rest of the chain
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @param {Object} user - CAP user rejecting the request
+   * @param {string} reason - Rejection reason
+   * @param {Object} options - Options
+   * @param {string} options.onBehalfOf - Delegator when a delegate rejects
+   * @returns {Promise<Object|null>} The rejected step or null if no chain is running
+   */
+  async rejectStep(requestId, user, reason, options = {}) {
+    const [step] = await this.getActiveStepsForUser(requestId, user);
+    const now = new Date().toISOString();
+
+    if (step) {
+      await UPDATE('mdm.db.RequestApprovalSteps')
+        .set({
+          status: 'Rejected',
+          completedAt: now,
+          completedBy: user?.id || 'system',
+          onBehalfOf: options.onBehalfOf || null,
+          comments: reason || null
+        })
+        .where({ ID: step.ID });
+    }
+
+    await UPDATE('mdm.db.RequestApprovalSteps')
+      .set({ status: 'Cancelled', completedAt: now })
+      .where({ request_ID: requestId, status: { in: this.OPEN_STEP_STATUSES } });
+
+    return step || null;
+  }
+}
+
+module.exports = ApprovalWorkflowService;
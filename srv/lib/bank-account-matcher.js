@@ -0,0 +1,253 @@
+/**
+ * Bank Account Matcher
+ * Finds other partners using the bank accounts of a request - a classic vendor
+ * fraud pattern is to route payments to an account that belongs to someone else:
+ * - Golden records (A_BusinessPartnerBank) of every other business partner
+ * - Bank accounts of other requests still in the approval process
+ * - Owners that are employee-like natural persons (employee role BUP003,
+ *   contact person of an organization, or with an employer) are named as such
+ *
+ * Accounts match on the IBAN, or on bank key and account number where an IBAN
+ * is not maintained on both sides.
+ *
+ * @class BankAccountMatcher
+ */
+class BankAccountMatcher {
+
+  constructor() {
+    this.OPEN_STATUSES = ['Submitted', 'ComplianceCheck', 'DuplicateReview', 'ClarificationRequested'];
+    this.EMPLOYEE_ROLE = 'BUP003';
+    this.PERSON_CATEGORY = '1';
+  }
+
+  /**
+   * Find the other users of the bank accounts of a request
+   * Update requests are only checked for accounts the partner does not have yet.
+   *
+   * @param {Object} request - Business partner request
+   * @returns {Promise<Array>} Matches { bank, account, owner } - owner is
+   *   { type: 'Partner'|'Request', bpNumber, name, requestNumber, status, employee }
+   */
+  async findAccountUsers(request) {
+    let banks = (await SELECT.from('mdm.db.PartnerBanks').where({ request_ID: request.ID }))
+      .map(bank => ({ bank, account: this.normalize(bank) }))
+      .filter(({ account }) => account.iban || account.accountNumber);
+
+    if (request.existingBpNumber && banks.length > 0) {
+      const own = (await SELECT.from('mdm.db.A_BusinessPartnerBank').where({ BusinessPartner: request.existingBpNumber }))
+        .map(bank => this.normalize(bank));
+      banks = banks.filter(({ account }) => !own.some(current => this.sameAccount(account, current)));
+    }
+
+    if (banks.length === 0) return [];
+
+    const accounts = banks.map(({ account }) => account);
+    const owners = [
+      ...await this.findPartnerAccounts(accounts, request.existingBpNumber),
+      ...await this.findRequestAccounts(accounts, request)
+    ];
+
+    const employees = await this.findEmployeeLikePersons(
+      [...new Set(owners.filter(owner => owner.type === 'Partner').map(owner => owner.bpNumber))]);
+
+    const matches = [];
+    for (const { bank, account } of banks) {
+      for (const owner of owners) {
+        if (!this.sameAccount(account, owner.account)) continue;
+        matches.push({ bank, account, owner: { ...owner, employee: employees.get(owner.bpNumber) || null } });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Golden record bank accounts of other partners
+   *
+   * @param {Array<Object>} accounts - Normalized accounts of the request
+   * @param {string} ownBpNumber - Partner the request changes, if any
+   * @returns {Promise<Array>} Owners of type Partner
+   */
+  async findPartnerAccounts(accounts, ownBpNumber) {
+    const { ibans, accountNumbers } = this.searchValues(accounts);
+    const rows = [
+      ...(ibans.length ? await SELECT.from('mdm.db.A_BusinessPartnerBank').where({ IBAN: { in: ibans } }) : []),
+      ...(accountNumbers.length ? await SELECT.from('mdm.db.A_BusinessPartnerBank').where({ BankAccount: { in: accountNumbers } }) : [])
+    ].filter(row => row.BusinessPartner !== ownBpNumber);
+
+    const unique = [...new Map(rows.map(row => [row.ID, row])).values()];
+    if (unique.length === 0) return [];
+
+    const partners = await SELECT.from('mdm.db.A_BusinessPartner')
+      .columns('BusinessPartner', 'BusinessPartnerFullName', 'BusinessPartnerName', 'BusinessPartnerIsBlocked')
+      .where({ BusinessPartner: { in: [...new Set(unique.map(row => row.BusinessPartner))] } });
+    const byNumber = new Map(partners.map(p => [p.BusinessPartner, p]));
+
+    return unique.map(row => {
+      const partner = byNumber.get(row.BusinessPartner);
+      return {
+        type: 'Partner',
+        bpNumber: row.BusinessPartner,
+        name: partner?.BusinessPartnerFullName || partner?.BusinessPartnerName || row.BankAccountHolderName,
+        status: partner?.BusinessPartnerIsBlocked ? 'Blocked' : 'Active',
+        account: this.normalize(row)
+      };
+    });
+  }
+
+  /**
+   * Bank accounts of other requests in the approval process
+   * Requests for the same partner are not counted against each other.
+   *
+   * @param {Array<Object>} accounts - Normalized accounts of the request
+   * @param {Object} request - Business partner request
+   * @returns {Promise<Array>} Owners of type Request
+   */
+  async findRequestAccounts(accounts, request) {
+    const { ibans, accountNumbers } = this.searchValues(accounts);
+    const rows = [
+      ...(ibans.length ? await SELECT.from('mdm.db.PartnerBanks').where({ iban: { in: ibans } }) : []),
+      ...(accountNumbers.length ? await SELECT.from('mdm.db.PartnerBanks').where({ accountNumber: { in: accountNumbers } }) : [])
+    ].filter(row => row.request_ID !== request.ID);
+
+    const unique = [...new Map(rows.map(row => [row.ID, row])).values()];
+    if (unique.length === 0) return [];
+
+    const requests = await SELECT.from('mdm.db.BusinessPartnerRequests')
+      .columns('ID', 'requestNumber', 'partnerName', 'status', 'existingBpNumber')
+      .where({ ID: { in: [...new Set(unique.map(row => row.request_ID))] }, status: { in: this.OPEN_STATUSES } });
+    const byId = new Map(requests
+      .filter(other => !(request.existingBpNumber && other.existingBpNumber === request.existingBpNumber))
+      .map(other => [other.ID, other]));
+
+    return unique
+      .filter(row => byId.has(row.request_ID))
+      .map(row => {
+        const other = byId.get(row.request_ID);
+        return {
+          type: 'Request',
+          bpNumber: other.existingBpNumber || null,
+          name: other.partnerName,
+          requestNumber: other.requestNumber,
+          status: other.status,
+          account: this.normalize(row)
+        };
+      });
+  }
+
+  /**
+   * Which of the given partners are employee-like natural persons
+   *
+   * @param {Array<string>} bpNumbers - Business partner numbers
+   * @returns {Promise<Map>} BP number → why the person is employee-like
+   */
+  async findEmployeeLikePersons(bpNumbers) {
+    const employees = new Map();
+    if (bpNumbers.length === 0) return employees;
+
+    const persons = (await SELECT.from('mdm.db.A_BusinessPartner')
+      .columns('BusinessPartner', 'BusinessPartnerCategory', 'IsNaturalPerson', 'NaturalPersonEmployerName')
+      .where({ BusinessPartner: { in: bpNumbers } }))
+      .filter(p => p.BusinessPartnerCategory === this.PERSON_CATEGORY || p.IsNaturalPerson === 'X');
+    if (persons.length === 0) return employees;
+
+    const personNumbers = persons.map(p => p.BusinessPartner);
+    const employeeRoles = await SELECT.from('mdm.db.A_BusinessPartnerRole')
+      .columns('BusinessPartner')
+      .where({ BusinessPartner: { in: personNumbers }, BusinessPartnerRole: this.EMPLOYEE_ROLE });
+    const contacts = await SELECT.from('mdm.db.A_BusinessPartnerContact')
+      .columns('BusinessPartnerPerson', 'BusinessPartnerCompany')
+      .where({ BusinessPartnerPerson: { in: personNumbers } });
+
+    for (const person of persons) {
+      const reasons = [];
+      if (employeeRoles.some(r => r.BusinessPartner === person.BusinessPartner)) {
+        reasons.push(`employee role ${this.EMPLOYEE_ROLE}`);
+      }
+      const companies = contacts.filter(c => c.BusinessPartnerPerson === person.BusinessPartner).map(c => c.BusinessPartnerCompany);
+      if (companies.length > 0) {
+        reasons.push(`contact person of BP ${companies.join(', ')}`);
+      }
+      if (person.NaturalPersonEmployerName) {
+        reasons.push(`employed by ${person.NaturalPersonEmployerName}`);
+      }
+      if (reasons.length > 0) {
+        employees.set(person.BusinessPartner, reasons.join(', '));
+      }
+    }
+
+    return employees;
+  }
+
+  /**
+   * Normalize a bank account of a request (PartnerBanks) or a golden record (A_BusinessPartnerBank)
+   *
+   * @param {Object} bank - Bank account
+   * @returns {Object} { iban, country, bankKey, accountNumber, label }
+   */
+  normalize(bank) {
+    const iban = (bank.iban ?? bank.IBAN ?? '').replace(/\s/g, '').toUpperCase() || null;
+    const accountNumber = (bank.accountNumber ?? bank.BankAccount ?? '').replace(/[\s-]/g, '').replace(/^0+(?=.)/, '') || null;
+    const bankKey = (bank.bankKey ?? bank.BankNumber ?? '').replace(/[\s-]/g, '').toUpperCase() || null;
+
+    return {
+      iban,
+      country: (bank.bankCountry_code ?? bank.BankCountryKey ?? '').toUpperCase() || null,
+      bankKey,
+      accountNumber,
+      label: iban ? `IBAN ${iban}` : `${accountNumber}${bankKey ? ` at bank ${bankKey}` : ''}`
+    };
+  }
+
+  /**
+   * Store the bank accounts of a request in the form they are searched by
+   * Requests keep IBANs and account numbers as entered ("DE89 3704 0044 ...") until
+   * they are submitted - from then on other requests are checked against them, and
+   * the golden record is materialized from them.
+   *
+   * @param {Array<Object>} banks - Bank accounts of the request (PartnerBanks)
+   * @returns {Promise<void>}
+   */
+  async storeNormalized(banks) {
+    for (const bank of banks) {
+      const iban = bank.iban?.replace(/\s/g, '').toUpperCase() || bank.iban;
+      const accountNumber = bank.accountNumber?.replace(/[\s-]/g, '') || bank.accountNumber;
+      if (iban === bank.iban && accountNumber === bank.accountNumber) continue;
+
+      await UPDATE('mdm.db.PartnerBanks').set({ iban, accountNumber }).where({ ID: bank.ID });
+    }
+  }
+
+  /**
+   * Whether two normalized accounts are the same
+   *
+   * @param {Object} a - Normalized account
+   * @param {Object} b - Normalized account
+   * @returns {boolean} True for the same IBAN, or the same bank key and account number
+   */
+  sameAccount(a, b) {
+    if (a.iban && b.iban) return a.iban === b.iban;
+    if (!a.accountNumber || !a.bankKey) return false;
+    if (a.country && b.country && a.country !== b.country) return false;
+    return a.accountNumber === b.accountNumber && a.bankKey === b.bankKey;
+  }
+
+  /**
+   * Values to search the stored accounts by
+   * Account numbers are stored without separators, but with or without the leading
+   * zeros of the 10-digit domestic format, so both forms are searched.
+   *
+   * @param {Array<Object>} accounts - Normalized accounts
+   * @returns {Object} { ibans, accountNumbers }
+   */
+  searchValues(accounts) {
+    const ibans = accounts.map(a => a.iban).filter(Boolean);
+    const accountNumbers = accounts
+      .filter(a => a.accountNumber && a.bankKey)
+      .flatMap(a => [a.accountNumber, a.accountNumber.padStart(10, '0')]);
+
+    return { ibans: [...new Set(ibans)], accountNumbers: [...new Set(accountNumbers)] };
+  }
+}
+
+module.exports = BankAccountMatcher;
@@ -0,0 +1,96 @@
+const cds = require('@sap/cds');
+
+/**
+ * Business Day Calendar
+ * Computes SLA deadlines in business days. Working weekdays and public holidays
+ * are configured in SystemConfiguration:
+ * - SLA_WORKING_DAYS: comma-separated ISO weekdays (1=Monday ... 7=Sunday)
+ * - SLA_HOLIDAYS: comma-separated dates (YYYY-MM-DD)
+ */
+class BusinessCalendar {
+
+  /**
+   * Default calendar used when no configuration is maintained
+   */
+  static DEFAULT_CALENDAR = {
+    workingDays: [1, 2, 3, 4, 5],
+    holidays: []
+  };
+
+  /**
+   * Load the calendar configuration
+   *
+   * @returns {Promise<Object>} Calendar with workingDays and holidays
+   */
+  static async load() {
+    const entries = await SELECT.from('mdm.db.SystemConfiguration')
+      .columns('configKey', 'configValue')
+      .where({ configKey: { in: ['SLA_WORKING_DAYS', 'SLA_HOLIDAYS'] }, isActive: true });
+
+    const config = Object.fromEntries(entries.map(e => [e.configKey, e.configValue]));
+
+    return this.parse(config.SLA_WORKING_DAYS, config.SLA_HOLIDAYS);
+  }
+
+  /**
+   * Parse calendar configuration values
+   *
+   * @param {string} workingDays - Comma-separated ISO weekdays
+   * @param {string} holidays - Comma-separated YYYY-MM-DD dates
+   * @returns {Object} Calendar with workingDays and holidays
+   */
+  static parse(workingDays, holidays) {
+    const days = (workingDays || '')
+      .split(',')
+      .map(d => parseInt(d.trim(), 10))
+      .filter(d => d >= 1 && d <= 7);
+
+    const dates = (holidays || '')
+      .split(',')
+      .map(d => d.trim())
+      .filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d));
+
+    return {
+      workingDays: days.length > 0 ? days : this.DEFAULT_CALENDAR.workingDays,
+      holidays: dates
+    };
+  }
+
+  /**
+   * Check whether a date is a business day
+   *
+   * @param {Date} date - Date to check (evaluated in UTC)
+   * @param {Object} calendar - Calendar from load()
+   * @returns {boolean} True if the date is a working day and not a holiday
+   */
+  static isBusinessDay(date, calendar = this.DEFAULT_CALENDAR) {
+    const isoWeekday = date.getUTCDay() || 7;
+    const isoDate = date.toISOString().slice(0, 10);
+
+    return calendar.workingDays.includes(isoWeekday) && !calendar.holidays.includes(isoDate);
+  }
+
+  /**
+   * Add business days to a point in time, keeping the time of day
+   *
+   * @param {Date|string} start - Start timestamp
+   * @param {number} days - Number of business days to add
+   * @param {Object} calendar - Calendar from load()
+   * @returns {Date} Resulting timestamp
+   */
+  static addBusinessDays(start, days, calendar = this.DEFAULT_CALENDAR) {
+    const result = new Date(start);
+    let remaining = Math.max(0, days || 0);
+
+    while (remaining > 0) {
+      result.setUTCDate(result.getUTCDate() + 1);
+      if (this.isBusinessDay(result, calendar)) {
+        remaining--;
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = BusinessCalendar;
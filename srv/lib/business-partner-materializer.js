@@ -0,0 +1,745 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const ErrorHandler = require('./error-handler');
+const InputValidator = require('./input-validator');
+
+/**
+ * Business Partner Materializer
+ * Mapping layer that writes an approved request into the API_BUSINESS_PARTNER
+ * aligned golden record:
+ * - BusinessPartnerRequests → A_BusinessPartner (+ A_Supplier / A_Customer)
+ * - PartnerAddresses → A_BusinessPartnerAddress
+ * - PartnerVatIds → A_BusinessPartnerTaxNumber
+ * - PartnerBanks → A_BusinessPartnerBank
+ * - PartnerEmails → A_AddressEmailAddress (on the default address)
+ * - PartnerCommunications → A_AddressPhoneNumber / A_AddressFaxNumber / A_AddressHomePageURL
+ *   (on their address, numbers in E.164)
+ * - entityType → A_BusinessPartnerRole (FLVN01 supplier, FLCU01 customer)
+ * - PartnerCompanyCodes → A_SupplierCompany / A_CustomerCompany (flat company
+ *   code fields of the request if it has no segments)
+ * - PartnerPurchasingOrgs → A_SupplierPurchasingOrg
+ * - PartnerSalesAreas → A_CustomerSalesArea
+ * - sourceSystem → GoldenRecordSources per field group, read by the survivorship rules
+ * - Header, addresses and tax numbers → ExistingPartners and the duplicate candidate
+ *   blocking index, so later requests are checked against the golden record
+ *
+ * All writes run in the caller's transaction, so a failure in any part rolls
+ * back the whole golden record together with the approval.
+ *
+ * @class BusinessPartnerMaterializer
+ */
+class BusinessPartnerMaterializer {
+
+  /**
+   * @param {EnhancedDuplicateService} duplicateService - Phonetic keys and blocking index of
+   *   the duplicate check, kept in line with the golden records
+   */
+  constructor(duplicateService = null) {
+    this.duplicateService = duplicateService;
+    this.ROLES = {
+      Supplier: ['FLVN01'],
+      Customer: ['FLCU01'],
+      Both: ['FLVN01', 'FLCU01']
+    };
+    this.DEFAULT_GROUPING = 'BP01';
+    this.ORGANIZATION_CATEGORY = '2';
+    this.FIELD_GROUPS = [
+      'Header', 'Address', 'TaxNumber', 'Bank', 'Email', 'Phone', 'Fax', 'URL',
+      'SupplierCompany', 'CustomerCompany', 'PurchasingOrg', 'SalesArea'
+    ];
+  }
+
+  /**
+   * Write the golden record for an approved request
+   *
+   * @param {Object} request - Business partner request
+   * @param {string} bpNumber - SAP BP number issued for the request
+   * @param {Object} user - CAP user approving the request
+   * @returns {Promise<Object>} Counts of the written records
+   * @throws {Error} Duplicate entry if the BP already exists, database error if a write fails
+   */
+  async materialize(request, bpNumber, user) {
+    const existing = await SELECT.one.from('mdm.db.A_BusinessPartner')
+      .columns('ID')
+      .where({ BusinessPartner: bpNumber });
+
+    if (existing) {
+      throw ErrorHandler.createError(
+        ErrorHandler.ERROR_CODES.DUPLICATE_ENTRY,
+        `Business partner ${bpNumber} already exists`,
+        'sapBpNumber',
+        { bpNumber }
+      );
+    }
+
+    const { roles, records } = await this.buildRecords(request, bpNumber, user);
+
+    const counts = {};
+    for (const [entity, entries] of Object.entries(records)) {
+      if (entries.length === 0) continue;
+
+      try {
+        await INSERT.into(entity).entries(entries);
+      } catch (error) {
+        console.error(`❌ Failed to write ${entity} for BP ${bpNumber}:`, error.message);
+        throw ErrorHandler.createError(
+          ErrorHandler.ERROR_CODES.DATABASE_ERROR,
+          `Business partner ${bpNumber} could not be created: ${entity.split('.').pop()} failed`,
+          'sapBpNumber',
+          { bpNumber, entity, reason: error.message }
+        );
+      }
+      counts[entity.split('.').pop()] = entries.length;
+    }
+
+    await this.recordSources(bpNumber, this.FIELD_GROUPS, request);
+    await this.syncExistingPartner(bpNumber, request);
+
+    console.log(`🏛️ Business partner ${bpNumber} materialized from request ${request.requestNumber} (roles: ${roles.join(', ')})`);
+    return counts;
+  }
+
+  /**
+   * Record the request as source of field groups of a golden record
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @param {Array} fieldGroups - Field groups written from the request
+   * @param {Object} request - Business partner request
+   * @returns {Promise<void>}
+   */
+  async recordSources(bpNumber, fieldGroups, request) {
+    const source = {
+      sourceSystem: request.sourceSystem || 'Manual',
+      requestNumber: request.requestNumber,
+      updatedAt: new Date().toISOString()
+    };
+
+    for (const fieldGroup of fieldGroups) {
+      const affected = await UPDATE('mdm.db.GoldenRecordSources')
+        .set(source)
+        .where({ BusinessPartner: bpNumber, fieldGroup });
+
+      if (!affected) {
+        await INSERT.into('mdm.db.GoldenRecordSources').entries({ ID: uuidv4(), BusinessPartner: bpNumber, fieldGroup, ...source });
+      }
+    }
+  }
+
+  /**
+   * Write a golden record to the ExistingPartners compared by the duplicate check
+   * and re-key it in the candidate blocking index. Partners without supplier or
+   * customer role (contact persons) are not compared.
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @param {Object} request - Request the golden record was created from, if new
+   * @returns {Promise<Object|null>} ExistingPartners row, null if not compared
+   */
+  async syncExistingPartner(bpNumber, request = null) {
+    const header = await SELECT.one.from('mdm.db.A_BusinessPartner').where({ BusinessPartner: bpNumber });
+    if (!header || (!header.Supplier && !header.Customer)) return null;
+
+    const addresses = await SELECT.from('mdm.db.A_BusinessPartnerAddress')
+      .where({ BusinessPartner: bpNumber })
+      .orderBy('AddressID');
+    const taxNumbers = await SELECT.from('mdm.db.A_BusinessPartnerTaxNumber').where({ BusinessPartner: bpNumber });
+
+    const toAddress = (address) => ({
+      street: address.StreetName,
+      streetNumber: address.HouseNumber,
+      city: address.CityName,
+      postalCode: address.PostalCode,
+      country: address.Country
+    });
+    const [established, ...others] = addresses;
+    const country = established?.Country || null;
+    const vatIds = taxNumbers.map(t => t.BPTaxLongNumber || t.BPTaxNumber).filter(Boolean);
+    const countryVatId = taxNumbers.find(t => country && t.BPTaxType?.startsWith(country));
+
+    // allAddresses is limited to 2000 characters - the addresses that do not fit are left out
+    const otherAddresses = others.map(a => ({ type: 'Other', ...toAddress(a) }));
+    while (otherAddresses.length > 0 && JSON.stringify(otherAddresses).length > 2000) {
+      otherAddresses.pop();
+    }
+
+    const partnerName = header.BusinessPartnerFullName || header.BusinessPartnerName || header.OrganizationBPName1;
+    const partner = {
+      sapBpNumber: bpNumber,
+      partnerName,
+      partnerType: header.Customer && header.Supplier ? 'Both' : (header.Customer ? 'Customer' : 'Supplier'),
+      status: header.BusinessPartnerIsBlocked ? 'Blocked' : 'Active',
+      establishedAddress: established ? JSON.stringify({ name1: established.FullName || partnerName, ...toAddress(established) }) : null,
+      establishedVatId: countryVatId ? (countryVatId.BPTaxLongNumber || countryVatId.BPTaxNumber) : (vatIds[0] || null),
+      establishedCountry: country,
+      searchTerms: header.SearchTerm1,
+      allVatIds: JSON.stringify(vatIds),
+      allAddresses: JSON.stringify(otherAddresses),
+      lastUpdated: new Date().toISOString(),
+      ...(this.duplicateService?.phoneticKeys(partnerName) || {})
+    };
+
+    const existing = await SELECT.one.from('mdm.db.ExistingPartners').columns('ID').where({ sapBpNumber: bpNumber });
+    if (existing) {
+      partner.ID = existing.ID;
+      await UPDATE('mdm.db.ExistingPartners').set(partner).where({ ID: existing.ID });
+    } else {
+      Object.assign(partner, {
+        ID: uuidv4(),
+        createdAt: partner.lastUpdated,
+        sourceSystem: request?.sourceSystem || 'Manual',
+        businessChannels: request?.businessChannels || null
+      });
+      await INSERT.into('mdm.db.ExistingPartners').entries(partner);
+    }
+
+    await this.duplicateService?.blockingIndex.indexPartner(partner);
+    return partner;
+  }
+
+  /**
+   * Map a request and its compositions to golden record entries
+   *
+   * @param {Object} request - Business partner request
+   * @param {string} bpNumber - SAP BP number
+   * @param {Object} user - CAP user
+   * @param {Object} data - Compositions { addresses, vatIds, banks, emails, communications, companyCodes,
+   *                      purchasingOrgs, salesAreas } - read from the request if omitted
+   * @returns {Promise<Object>} { roles, records } - BP roles and entries per target entity
+   */
+  async buildRecords(request, bpNumber, user, data = null) {
+    const { addresses, vatIds, banks, emails, communications = [], companyCodes, purchasingOrgs = [], salesAreas = [] } =
+      data || await this.loadRequestData(request.ID);
+
+    const now = new Date();
+    const context = {
+      bpNumber,
+      userId: (user?.id || 'system').substring(0, 12),
+      date: now.toISOString().slice(0, 10),
+      time: now.toISOString().slice(11, 19)
+    };
+    const roles = this.ROLES[request.entityType] || this.ROLES.Supplier;
+    const establishedVat = vatIds.find(v => v.isEstablished) || vatIds.find(v => v.isDefault) || vatIds[0];
+    const segments = this.getCompanyCodeSegments(request, companyCodes);
+    const segmentsOf = segmentType => segments.filter(s => s.segmentType === segmentType);
+    const communicationsOf = (...types) => this.resolveCommunications(communications, addresses, types);
+
+    const records = {
+      'mdm.db.A_BusinessPartner': [this.mapHeader(request, addresses, roles, context)],
+      'mdm.db.A_BusinessPartnerAddress': this.sortDefaultFirst(addresses).map((a, i) => this.mapAddress(a, i, context)),
+      'mdm.db.A_BusinessPartnerTaxNumber': vatIds.map(v => this.mapTaxNumber(v, context)),
+      'mdm.db.A_BusinessPartnerBank': this.sortDefaultFirst(banks).map((b, i) => this.mapBank(b, i, context)),
+      'mdm.db.A_AddressEmailAddress': this.sortDefaultFirst(emails).map((e, i) => this.mapEmail(e, i, context)),
+      'mdm.db.A_AddressPhoneNumber': communicationsOf('Phone', 'Mobile').map((c, i) => this.mapPhoneNumber(c, i, context)),
+      'mdm.db.A_AddressFaxNumber': communicationsOf('Fax').map((c, i) => this.mapFaxNumber(c, i, context)),
+      'mdm.db.A_AddressHomePageURL': communicationsOf('Website').map((c, i) => this.mapHomePageUrl(c, i, context)),
+      'mdm.db.A_BusinessPartnerRole': roles.map(role => this.mapRole(role, context)),
+      'mdm.db.A_Supplier': roles.includes('FLVN01') ? [this.mapSupplier(request, establishedVat, context)] : [],
+      'mdm.db.A_Customer': roles.includes('FLCU01') ? [this.mapCustomer(request, establishedVat, context)] : [],
+      'mdm.db.A_SupplierCompany': roles.includes('FLVN01') ? segmentsOf('Supplier').map(s => this.mapCompanyCode(s, 'Supplier', context)) : [],
+      'mdm.db.A_CustomerCompany': roles.includes('FLCU01') ? segmentsOf('Customer').map(s => this.mapCompanyCode(s, 'Customer', context)) : [],
+      'mdm.db.A_SupplierPurchasingOrg': roles.includes('FLVN01') ? purchasingOrgs.map(o => this.mapPurchasingOrg(o, context)) : [],
+      'mdm.db.A_CustomerSalesArea': roles.includes('FLCU01') ? salesAreas.map(a => this.mapSalesArea(a, context)) : []
+    };
+
+    return { roles, records };
+  }
+
+  /**
+   * Read the compositions of a request that make up the golden record
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @returns {Promise<Object>} { addresses, vatIds, banks, emails, communications, companyCodes, purchasingOrgs, salesAreas }
+   */
+  async loadRequestData(requestId) {
+    const [addresses, vatIds, banks, emails, communications, companyCodes, purchasingOrgs, salesAreas] = await Promise.all([
+      SELECT.from('mdm.db.PartnerAddresses').where({ request_ID: requestId }),
+      SELECT.from('mdm.db.PartnerVatIds').where({ request_ID: requestId }),
+      SELECT.from('mdm.db.PartnerBanks').where({ request_ID: requestId }),
+      SELECT.from('mdm.db.PartnerEmails').where({ request_ID: requestId }),
+      SELECT.from('mdm.db.PartnerCommunications').where({ request_ID: requestId }),
+      SELECT.from('mdm.db.PartnerCompanyCodes').where({ request_ID: requestId }),
+      SELECT.from('mdm.db.PartnerPurchasingOrgs').where({ request_ID: requestId }),
+      SELECT.from('mdm.db.PartnerSalesAreas').where({ request_ID: requestId })
+    ]);
+
+    return { addresses, vatIds, banks, emails, communications, companyCodes, purchasingOrgs, salesAreas };
+  }
+
+  /**
+   * Resolve communication entries of the given types to their BP address
+   * Entries without an address belong to the default address. They are ordered
+   * by address with the default entry of each type first; if no entry of a type
+   * is flagged, the first one becomes the default.
+   *
+   * @param {Array} communications - PartnerCommunications of the request
+   * @param {Array} addresses - PartnerAddresses of the request
+   * @param {Array} types - Communication types (Phone, Mobile, Fax, Website)
+   * @returns {Array} Entries with AddressID, country and resolved isDefault
+   */
+  resolveCommunications(communications, addresses, types) {
+    const sorted = this.sortDefaultFirst(addresses);
+    const resolved = communications
+      .filter(c => types.includes(c.commType))
+      .map(c => {
+        const index = c.address_ID ? sorted.findIndex(a => a.ID === c.address_ID) : 0;
+        const position = Math.max(index, 0);
+        return { ...c, AddressID: String(position + 1), country: sorted[position]?.country_code || null };
+      })
+      .sort((a, b) => (parseInt(a.AddressID, 10) - parseInt(b.AddressID, 10)) || ((b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0)));
+
+    const defaults = new Set();
+    return resolved.map(c => {
+      const key = `${c.AddressID}|${c.commType}`;
+      const isDefault = !defaults.has(key);
+      defaults.add(key);
+      return { ...c, isDefault };
+    });
+  }
+
+  /**
+   * Get the company code segments of a request
+   * Requests without segments use their flat supplier (companyCode) and
+   * customer (customerCompanyCode) fields as one segment each.
+   *
+   * @param {Object} request - Business partner request
+   * @param {Array} companyCodes - PartnerCompanyCodes of the request
+   * @returns {Array} Segments { segmentType, companyCode, reconAccount, paymentTerms, ... }
+   */
+  getCompanyCodeSegments(request, companyCodes = []) {
+    if (companyCodes?.length > 0) {
+      return companyCodes;
+    }
+
+    const segments = [];
+    if (request.companyCode) {
+      segments.push({
+        segmentType: 'Supplier',
+        companyCode: request.companyCode,
+        reconAccount: request.reconAccount,
+        paymentTerms: request.paymentTerms,
+        withholdingTaxCode: request.withholdingTax
+      });
+    }
+    if (request.customerCompanyCode) {
+      segments.push({
+        segmentType: 'Customer',
+        companyCode: request.customerCompanyCode,
+        reconAccount: request.customerReconAccount,
+        paymentTerms: request.customerPaymentTerms
+      });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Map the request header to A_BusinessPartner
+   * Organization names are taken from the default address, falling back to
+   * the partner name split into 40 character chunks.
+   *
+   * @param {Object} request - Business partner request
+   * @param {Array} addresses - Request addresses
+   * @param {Array} roles - BP roles
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_BusinessPartner entry
+   */
+  mapHeader(request, addresses, roles, context) {
+    const defaultAddress = this.sortDefaultFirst(addresses)[0];
+    const names = defaultAddress?.name1
+      ? [defaultAddress.name1, defaultAddress.name2, defaultAddress.name3, defaultAddress.name4]
+      : (request.partnerName || '').match(/.{1,40}/g) || [];
+
+    return {
+      ID: uuidv4(),
+      BusinessPartner: context.bpNumber,
+      Supplier: roles.includes('FLVN01') ? context.bpNumber : null,
+      Customer: roles.includes('FLCU01') ? context.bpNumber : null,
+      BusinessPartnerCategory: this.ORGANIZATION_CATEGORY,
+      BusinessPartnerFullName: this.truncate(request.partnerName, 81),
+      BusinessPartnerName: this.truncate(request.partnerName, 81),
+      BusinessPartnerGrouping: request.bpGrouping || this.DEFAULT_GROUPING,
+      BusinessPartnerUUID: uuidv4(),
+      BusinessPartnerIDByExtSystem: this.truncate(request.coupaInternalNo || request.salesforceId || request.piId, 20),
+      OrganizationBPName1: this.truncate(names[0], 40),
+      OrganizationBPName2: this.truncate(names[1], 40),
+      OrganizationBPName3: this.truncate(names[2], 40),
+      OrganizationBPName4: this.truncate(names[3], 40),
+      SearchTerm1: this.truncate(request.searchTerm || request.partnerName?.toUpperCase(), 20),
+      CorrespondenceLanguage: request.communicationLanguage || null,
+      Language: request.communicationLanguage || null,
+      Industry: this.truncate(request.industry, 10),
+      BusinessPartnerIsBlocked: false,
+      IsMarkedForArchiving: false,
+      CreatedByUser: context.userId,
+      CreationDate: context.date,
+      CreationTime: context.time
+    };
+  }
+
+  /**
+   * Map a request address to A_BusinessPartnerAddress
+   *
+   * @param {Object} address - Partner address
+   * @param {number} index - Position (default address first)
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_BusinessPartnerAddress entry
+   */
+  mapAddress(address, index, context) {
+    return {
+      ID: uuidv4(),
+      BusinessPartner: context.bpNumber,
+      AddressID: String(index + 1),
+      AddressUUID: uuidv4(),
+      ValidityStartDate: context.date,
+      FullName: this.truncate([address.name1, address.name2].filter(Boolean).join(' '), 80),
+      StreetName: this.truncate(address.street, 60),
+      HouseNumber: this.truncate(address.streetNumber, 10),
+      PostalCode: this.truncate(address.postalCode, 10),
+      CityName: this.truncate(address.city, 40),
+      Region: this.truncate(address.region, 3),
+      Country: address.country_code,
+      Language: address.language,
+      AddressTimeZone: this.truncate(address.timeZone, 6)
+    };
+  }
+
+  /**
+   * Map a request VAT ID to A_BusinessPartnerTaxNumber
+   * The tax type follows the SAP convention of country code plus '0' for VAT registration numbers.
+   *
+   * @param {Object} vatId - Partner VAT ID
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_BusinessPartnerTaxNumber entry
+   */
+  mapTaxNumber(vatId, context) {
+    const number = (vatId.vatNumber || '').replace(/\s/g, '');
+
+    return {
+      ID: uuidv4(),
+      BusinessPartner: context.bpNumber,
+      BPTaxType: `${vatId.country_code}0`,
+      BPTaxNumber: number.length <= 20 ? number : null,
+      BPTaxLongNumber: number.length > 20 ? this.truncate(number, 60) : null
+    };
+  }
+
+  /**
+   * Map a request bank account to A_BusinessPartnerBank
+   *
+   * @param {Object} bank - Partner bank
+   * @param {number} index - Position (default account first)
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_BusinessPartnerBank entry
+   */
+  mapBank(bank, index, context) {
+    return {
+      ID: uuidv4(),
+      BusinessPartner: context.bpNumber,
+      BankIdentification: String(index + 1).padStart(4, '0'),
+      BankCountryKey: bank.bankCountry_code,
+      BankName: this.truncate(bank.bankName, 60),
+      BankNumber: this.truncate(bank.bankKey, 15),
+      SWIFTCode: this.truncate(bank.swiftCode, 11),
+      BankAccountHolderName: this.truncate(bank.accountHolder, 60),
+      IBAN: this.truncate(bank.iban?.replace(/\s/g, ''), 34),
+      IBANValidityStartDate: bank.iban ? context.date : null,
+      BankAccount: this.truncate(bank.accountNumber, 18),
+      BankAccountReferenceText: this.truncate(bank.bankReference, 20),
+      ValidityStartDate: context.date
+    };
+  }
+
+  /**
+   * Map a request email to A_AddressEmailAddress
+   * The email type (e.g. AP, AR) is kept as communication remark.
+   *
+   * @param {Object} email - Partner email
+   * @param {number} index - Position (default email first)
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_AddressEmailAddress entry
+   */
+  mapEmail(email, index, context) {
+    return {
+      ID: uuidv4(),
+      BusinessPartner: context.bpNumber,
+      AddressID: '1',
+      OrdinalNumber: String(index + 1).padStart(3, '0'),
+      IsDefaultEmailAddress: index === 0,
+      EmailAddress: this.truncate(email.emailAddress?.toLowerCase(), 241),
+      SearchEmailAddress: this.truncate(email.emailAddress?.toUpperCase(), 20),
+      AddressCommunicationRemarkText: this.truncate(email.emailType, 50)
+    };
+  }
+
+  /**
+   * Map a phone or mobile number to A_AddressPhoneNumber
+   *
+   * @param {Object} communication - Resolved communication entry
+   * @param {number} index - Position, used as ordinal number
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_AddressPhoneNumber entry
+   */
+  mapPhoneNumber(communication, index, context) {
+    const number = InputValidator.normalizePhoneNumber(communication.value, communication.country);
+
+    return {
+      ID: uuidv4(),
+      BusinessPartner: context.bpNumber,
+      AddressID: communication.AddressID,
+      OrdinalNumber: String(index + 1).padStart(3, '0'),
+      DestinationLocationCountry: communication.country,
+      IsDefaultPhoneNumber: communication.isDefault,
+      PhoneNumber: this.truncate(number?.nationalNumber || communication.value, 30),
+      PhoneNumberExtension: this.truncate(communication.extension || number?.extension, 10),
+      InternationalPhoneNumber: number?.e164 || null,
+      PhoneNumberType: communication.commType === 'Mobile' ? '3' : '1',
+      AddressCommunicationRemarkText: this.truncate(communication.notes, 50)
+    };
+  }
+
+  /**
+   * Map a fax number to A_AddressFaxNumber
+   *
+   * @param {Object} communication - Resolved communication entry
+   * @param {number} index - Position, used as ordinal number
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_AddressFaxNumber entry
+   */
+  mapFaxNumber(communication, index, context) {
+    const number = InputValidator.normalizePhoneNumber(communication.value, communication.country);
+
+    return {
+      ID: uuidv4(),
+      BusinessPartner: context.bpNumber,
+      AddressID: communication.AddressID,
+      OrdinalNumber: String(index + 1).padStart(3, '0'),
+      IsDefaultFaxNumber: communication.isDefault,
+      FaxCountry: communication.country,
+      FaxNumber: this.truncate(number?.nationalNumber || communication.value, 30),
+      FaxNumberExtension: this.truncate(communication.extension || number?.extension, 10),
+      InternationalFaxNumber: number?.e164 || null,
+      AddressCommunicationRemarkText: this.truncate(communication.notes, 50)
+    };
+  }
+
+  /**
+   * Map a website to A_AddressHomePageURL
+   *
+   * @param {Object} communication - Resolved communication entry
+   * @param {number} index - Position, used as ordinal number
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_AddressHomePageURL entry
+   */
+  mapHomePageUrl(communication, index, context) {
+    const url = InputValidator.normalizeUrl(communication.value) || communication.value;
+
+    return {
+      ID: uuidv4(),
+      BusinessPartner: context.bpNumber,
+      AddressID: communication.AddressID,
+      OrdinalNumber: String(index + 1).padStart(3, '0'),
+      ValidityStartDate: context.date,
+      IsDefaultURLAddress: communication.isDefault,
+      SearchURLAddress: this.truncate(url.replace(/^https?:\/\//i, '').toUpperCase(), 50),
+      AddressCommunicationRemarkText: this.truncate(communication.notes, 50),
+      URLFieldLength: url.length,
+      WebsiteURL: this.truncate(url, 2048)
+    };
+  }
+
+  /**
+   * Map a BP role to A_BusinessPartnerRole
+   *
+   * @param {string} role - BP role code
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_BusinessPartnerRole entry
+   */
+  mapRole(role, context) {
+    return {
+      ID: uuidv4(),
+      BusinessPartner: context.bpNumber,
+      BusinessPartnerRole: role,
+      ValidFrom: context.date,
+      ValidTo: '9999-12-31'
+    };
+  }
+
+  /**
+   * Map the request to A_Supplier
+   *
+   * @param {Object} request - Business partner request
+   * @param {Object} vatId - Established VAT ID
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_Supplier entry
+   */
+  mapSupplier(request, vatId, context) {
+    return {
+      ID: uuidv4(),
+      Supplier: context.bpNumber,
+      BusinessPartner: context.bpNumber,
+      SupplierName: this.truncate(request.partnerName, 35),
+      SupplierFullName: this.truncate(request.partnerName, 80),
+      VATRegistration: this.truncate(vatId?.vatNumber, 20),
+      VATRegistrationCountry: vatId?.country_code || null,
+      Industry: this.truncate(request.industry, 10),
+      PostingIsBlocked: false,
+      PurchasingIsBlocked: false,
+      PaymentIsBlockedForSupplier: false,
+      DeletionIndicator: false,
+      CreatedByUser: context.userId,
+      CreationDate: context.date
+    };
+  }
+
+  /**
+   * Map the request to A_Customer
+   *
+   * @param {Object} request - Business partner request
+   * @param {Object} vatId - Established VAT ID
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_Customer entry
+   */
+  mapCustomer(request, vatId, context) {
+    return {
+      ID: uuidv4(),
+      Customer: context.bpNumber,
+      CustomerName: this.truncate(request.partnerName, 35),
+      CustomerFullName: this.truncate(request.partnerName, 80),
+      VATRegistration: this.truncate(vatId?.vatNumber, 20),
+      Industry: this.truncate(request.industry, 10),
+      PostingIsBlocked: false,
+      DeletionIndicator: false,
+      CreatedByUser: context.userId,
+      CreationDate: context.date
+    };
+  }
+
+  /**
+   * Map a company code segment to A_SupplierCompany or A_CustomerCompany
+   *
+   * @param {Object} segment - Company code segment
+   * @param {string} keyField - Supplier or Customer
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_SupplierCompany or A_CustomerCompany entry
+   */
+  mapCompanyCode(segment, keyField, context) {
+    return {
+      ID: uuidv4(),
+      [keyField]: context.bpNumber,
+      CompanyCode: this.truncate(segment.companyCode?.toUpperCase(), 4),
+      BusinessPartner: context.bpNumber,
+      ReconciliationAccount: this.truncate(segment.reconAccount, 10),
+      PaymentTerms: this.truncate(segment.paymentTerms, 10),
+      PaymentMethodsList: this.truncate(segment.paymentMethods, 10),
+      AccountingClerk: this.truncate(segment.accountingClerk, 2),
+      WithholdingTaxType: this.truncate(segment.withholdingTaxType, 2),
+      WithholdingTaxCode: this.truncate(segment.withholdingTaxCode, 2),
+      IsWithholdingTaxSubject: !!segment.withholdingTaxCode,
+      DunningProcedure: this.truncate(segment.dunningProcedure, 4),
+      DunningClerk: this.truncate(segment.dunningClerk, 2),
+      DunningBlock: this.truncate(segment.dunningBlock, 1),
+      DeletionIndicator: false,
+      CreatedByUser: context.userId,
+      CreationDate: context.date
+    };
+  }
+
+  /**
+   * Map a purchasing organization segment to A_SupplierPurchasingOrg
+   *
+   * @param {Object} purchasingOrg - Purchasing organization segment
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_SupplierPurchasingOrg entry
+   */
+  mapPurchasingOrg(purchasingOrg, context) {
+    return {
+      ID: uuidv4(),
+      Supplier: context.bpNumber,
+      PurchasingOrganization: this.truncate(purchasingOrg.purchasingOrg?.toUpperCase(), 4),
+      BusinessPartner: context.bpNumber,
+      PurchaseOrderCurrency: purchasingOrg.orderCurrency_code || null,
+      IncotermsClassification: this.truncate(purchasingOrg.incoterms?.toUpperCase(), 3),
+      IncotermsLocation1: this.truncate(purchasingOrg.incotermsLocation, 70),
+      PurchasingGroup: this.truncate(purchasingOrg.purchasingGroup, 3),
+      PaymentTerms: this.truncate(purchasingOrg.paymentTerms, 10),
+      InvoiceIsGoodsReceiptBased: !!purchasingOrg.grBasedInvoiceVerification,
+      MinimumOrderAmount: purchasingOrg.minimumOrderAmount ?? null,
+      PurchasingIsBlockedForSupplier: false,
+      DeletionIndicator: false,
+      CreatedByUser: context.userId,
+      CreationDate: context.date
+    };
+  }
+
+  /**
+   * Map a sales area segment to A_CustomerSalesArea
+   *
+   * @param {Object} salesArea - Sales area segment
+   * @param {Object} context - Mapping context
+   * @returns {Object} A_CustomerSalesArea entry
+   */
+  mapSalesArea(salesArea, context) {
+    const salesOrg = this.truncate(salesArea.salesOrg?.toUpperCase(), 4);
+    const distributionChannel = this.truncate(salesArea.distributionChannel, 2);
+    const division = this.truncate(salesArea.division, 2);
+
+    return {
+      ID: uuidv4(),
+      Customer: context.bpNumber,
+      SalesArea: this.salesAreaKey(salesOrg, distributionChannel, division),
+      SalesOrganization: salesOrg,
+      DistributionChannel: distributionChannel,
+      Division: division,
+      BusinessPartner: context.bpNumber,
+      Currency: salesArea.currency_code || null,
+      CustomerPricingProcedure: this.truncate(salesArea.pricingProcedure, 2),
+      PriceListType: this.truncate(salesArea.priceListType, 2),
+      CustomerPriceGroup: this.truncate(salesArea.priceGroup, 2),
+      ShippingCondition: this.truncate(salesArea.shippingCondition, 2),
+      DeliveryPriority: this.truncate(salesArea.deliveryPriority, 2),
+      IncotermsClassification: this.truncate(salesArea.incoterms?.toUpperCase(), 3),
+      IncotermsLocation1: this.truncate(salesArea.incotermsLocation, 70),
+      CustomerPaymentTerms: this.truncate(salesArea.paymentTerms, 10),
+      SalesOffice: this.truncate(salesArea.salesOffice, 4),
+      SalesGroup: this.truncate(salesArea.salesGroup, 3),
+      DeletionIndicator: false,
+      CreatedByUser: context.userId,
+      CreationDate: context.date
+    };
+  }
+
+  /**
+   * Build the key of a sales area
+   *
+   * @param {string} salesOrg - Sales organization
+   * @param {string} distributionChannel - Distribution channel
+   * @param {string} division - Division
+   * @returns {string} SalesOrganization/DistributionChannel/Division
+   */
+  salesAreaKey(salesOrg, distributionChannel, division) {
+    return `${salesOrg || ''}/${distributionChannel || ''}/${division || ''}`;
+  }
+
+  /**
+   * Order entries so the default one comes first
+   *
+   * @param {Array} entries - Addresses or banks
+   * @returns {Array} Sorted copy
+   */
+  sortDefaultFirst(entries) {
+    return [...entries].sort((a, b) => (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0));
+  }
+
+  /**
+   * Truncate a value to the length of the target field
+   *
+   * @param {string} value - Value
+   * @param {number} length - Maximum length
+   * @returns {string|null} Truncated value or null if empty
+   */
+  truncate(value, length) {
+    if (value === undefined || value === null || value === '') return null;
+    return String(value).substring(0, length).trim() || null;
+  }
+}
+
+module.exports = BusinessPartnerMaterializer;
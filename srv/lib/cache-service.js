@@ -504,9 +504,10 @@ class CacheService {
    * Start periodic cleanup timer
    */
   startCleanupTimer() {
-    setInterval(async () => {
+    this.cleanupTimer = setInterval(async () => {
       await this.cleanupExpired();
     }, this.config.cleanupInterval);
+    if (this.cleanupTimer.unref) this.cleanupTimer.unref();
 
     console.log(`💾 Cache cleanup timer started (interval: ${this.config.cleanupInterval}ms)`);
   }
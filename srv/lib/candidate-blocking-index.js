@@ -0,0 +1,294 @@
+/**
+ * Candidate Blocking Index
+ * Narrows the duplicate check down to the existing partners that share at least
+ * one blocking key with a request, instead of comparing it with every partner:
+ * - Token: each word of the normalized name (without legal form)
+ * - NamePrefix: first letters of the normalized name
+ * - Metaphone / Cologne: phonetic code of each name word
+ * - VAT: established and other VAT IDs
+ * - PostalCode / Street: country with postal code and street name of each address
+ *
+ * Keys are stored in DuplicateBlockingKeys and maintained on partner insert and
+ * update, including the ExistingPartners rows written for golden records. Keys
+ * shared by too many partners ("gmbh", a large city's postal code) do not tell
+ * partners apart and are skipped; the remaining candidates are ranked
+ * by the number of keys they share with the request and cut off at a fixed size,
+ * so the cost of a duplicate check does not grow with the number of partners.
+ *
+ * @class CandidateBlockingIndex
+ */
+class CandidateBlockingIndex {
+
+  /**
+   * @param {EnhancedDuplicateService} duplicateService - Name normalization, phonetic keys
+   *   and address matcher of the duplicate check
+   */
+  constructor(duplicateService) {
+    this.duplicateService = duplicateService;
+    this.CANDIDATE_LIMIT = 100;     // Partners scored per request
+    this.MAX_KEY_FREQUENCY = 5000;  // Keys shared by more partners are skipped
+    this.NAME_PREFIX_LENGTH = 4;
+    this.BATCH_SIZE = 1000;         // Partners indexed per query
+    this.building = null;
+  }
+
+  /**
+   * Existing active partners sharing blocking keys with a request
+   *
+   * @param {Object} request - Business partner request
+   * @returns {Promise<Array>} ExistingPartners rows, most shared keys first
+   */
+  async findCandidates(request) {
+    return this.findCandidatesForKeys(await this.requestKeys(request));
+  }
+
+  /**
+   * Existing active partners sharing blocking keys
+   *
+   * @param {Array<string>} keys - Blocking keys, see blockingKeys
+   * @returns {Promise<Array>} ExistingPartners rows, most shared keys first
+   */
+  async findCandidatesForKeys(keys) {
+    await this.ensureBuilt();
+
+    if (keys.length === 0) return [];
+
+    const frequencies = await SELECT.from('mdm.db.DuplicateBlockingKeys')
+      .columns('blockingKey', 'count(*) as partners')
+      .where({ blockingKey: { in: keys } })
+      .groupBy('blockingKey');
+    const selective = frequencies
+      .filter(f => f.partners <= this.MAX_KEY_FREQUENCY)
+      .map(f => f.blockingKey);
+
+    if (selective.length === 0) return [];
+
+    const ranked = await SELECT.from('mdm.db.DuplicateBlockingKeys')
+      .columns('sapBpNumber', 'count(*) as hits')
+      .where({ blockingKey: { in: selective } })
+      .groupBy('sapBpNumber')
+      .orderBy('hits desc')
+      .limit(this.CANDIDATE_LIMIT);
+
+    if (ranked.length === 0) return [];
+
+    const hits = new Map(ranked.map(r => [r.sapBpNumber, r.hits]));
+    const partners = await SELECT.from('mdm.db.ExistingPartners')
+      .where({ sapBpNumber: { in: [...hits.keys()] }, status: 'Active' });
+
+    console.log(`🧱 ${partners.length} candidate partners from ${selective.length} of ${keys.length} blocking keys`);
+    return partners.sort((a, b) => hits.get(b.sapBpNumber) - hits.get(a.sapBpNumber));
+  }
+
+  /**
+   * Existing partners with a VAT ID, whatever their status
+   *
+   * @param {string} vatId - VAT ID
+   * @returns {Promise<Array>} ExistingPartners rows having the VAT ID among their VAT IDs
+   */
+  async findPartnersByVatId(vatId) {
+    await this.ensureBuilt();
+
+    const key = this.vatKey(vatId);
+    const rows = key ? await SELECT.from('mdm.db.DuplicateBlockingKeys').columns('sapBpNumber').where({ blockingKey: key }) : [];
+    if (rows.length === 0) return [];
+
+    return SELECT.from('mdm.db.ExistingPartners').where({ sapBpNumber: { in: rows.map(r => r.sapBpNumber) } });
+  }
+
+  /**
+   * Replace the blocking keys of a partner
+   *
+   * @param {Object} existingPartner - ExistingPartners row
+   * @returns {Promise<number>} Number of keys stored
+   */
+  async indexPartner(existingPartner) {
+    await this.removePartner(existingPartner.sapBpNumber);
+
+    const entries = this.keyEntries(existingPartner);
+    if (entries.length > 0) {
+      await INSERT.into('mdm.db.DuplicateBlockingKeys').entries(entries);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Drop the blocking keys of a partner
+   *
+   * @param {string} sapBpNumber - SAP BP number
+   * @returns {Promise<void>}
+   */
+  async removePartner(sapBpNumber) {
+    await DELETE.from('mdm.db.DuplicateBlockingKeys').where({ sapBpNumber });
+  }
+
+  /**
+   * Index the partners missing from the index, once
+   * Partners loaded into the database directly, or before the index existed,
+   * are indexed on first use.
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureBuilt() {
+    if (!this.building) {
+      this.building = this.indexMissing().catch(error => {
+        this.building = null;
+        throw error;
+      });
+    }
+    return this.building;
+  }
+
+  /**
+   * Index the existing partners without blocking keys
+   *
+   * @returns {Promise<Object>} { partners, keys } indexed
+   */
+  async indexMissing() {
+    let partners = 0;
+    let keys = 0;
+    for (let last = ''; ;) {
+      const batch = await SELECT.from('mdm.db.ExistingPartners')
+        .where('sapBpNumber >', last, 'and sapBpNumber not in', SELECT.from('mdm.db.DuplicateBlockingKeys').columns('sapBpNumber'))
+        .orderBy('sapBpNumber')
+        .limit(this.BATCH_SIZE);
+      if (batch.length === 0) break;
+
+      const entries = batch.flatMap(partner => this.keyEntries(partner));
+      if (entries.length > 0) {
+        await INSERT.into('mdm.db.DuplicateBlockingKeys').entries(entries);
+      }
+      partners += batch.length;
+      keys += entries.length;
+      last = batch[batch.length - 1].sapBpNumber;
+    }
+
+    if (partners > 0) {
+      console.log(`🧱 ${partners} partners added to the blocking index with ${keys} keys`);
+    }
+    return { partners, keys };
+  }
+
+  /**
+   * Rebuild the blocking keys of all existing partners
+   *
+   * @returns {Promise<Object>} { partners, keys } indexed
+   */
+  async rebuild() {
+    console.log('🧱 Rebuilding the duplicate candidate blocking index...');
+    await DELETE.from('mdm.db.DuplicateBlockingKeys');
+
+    let partners = 0;
+    let keys = 0;
+    for (let offset = 0; ; offset += this.BATCH_SIZE) {
+      const batch = await SELECT.from('mdm.db.ExistingPartners')
+        .orderBy('sapBpNumber')
+        .limit(this.BATCH_SIZE, offset);
+      if (batch.length === 0) break;
+
+      const entries = batch.flatMap(partner => this.keyEntries(partner));
+      if (entries.length > 0) {
+        await INSERT.into('mdm.db.DuplicateBlockingKeys').entries(entries);
+      }
+      partners += batch.length;
+      keys += entries.length;
+    }
+
+    console.log(`✅ Blocking index rebuilt: ${keys} keys for ${partners} partners`);
+    return { partners, keys };
+  }
+
+  /**
+   * DuplicateBlockingKeys entries of a partner
+   *
+   * @param {Object} existingPartner - ExistingPartners row
+   * @returns {Array<Object>} Entries { sapBpNumber, keyType, blockingKey }
+   */
+  keyEntries(existingPartner) {
+    const addresses = this.duplicateService.addressMatcher.partnerAddresses(existingPartner);
+    let vatIds = [];
+    try {
+      vatIds = existingPartner.allVatIds ? JSON.parse(existingPartner.allVatIds) : [];
+    } catch (error) {
+      console.warn(`⚠️ Unreadable VAT IDs of partner ${existingPartner.sapBpNumber}: ${error.message}`);
+    }
+
+    const keys = this.blockingKeys(existingPartner.partnerName, [existingPartner.establishedVatId, ...vatIds], addresses);
+    return keys.map(blockingKey => ({
+      sapBpNumber: existingPartner.sapBpNumber,
+      keyType: blockingKey.slice(0, blockingKey.indexOf(':')),
+      blockingKey
+    }));
+  }
+
+  /**
+   * Blocking keys of a request - its name, VAT IDs and addresses
+   *
+   * @param {Object} request - Business partner request
+   * @returns {Promise<Array<string>>} Blocking keys
+   */
+  async requestKeys(request) {
+    const vatIds = await SELECT.from('mdm.db.PartnerVatIds').columns('vatNumber').where({ request_ID: request.ID });
+    const addresses = await SELECT.from('mdm.db.PartnerAddresses').where({ request_ID: request.ID });
+
+    return this.blockingKeys(request.partnerName, vatIds.map(v => v.vatNumber), addresses);
+  }
+
+  /**
+   * Blocking keys of a name, VAT IDs and addresses
+   *
+   * @param {string} name - Partner name
+   * @param {Array<string>} vatIds - VAT IDs
+   * @param {Array<Object>} addresses - Addresses as accepted by AddressMatcher.normalize
+   * @returns {Array<string>} Distinct keys in the form Type:value
+   */
+  blockingKeys(name, vatIds, addresses) {
+    const keys = new Set();
+    const normalizedName = this.duplicateService.normalizeName(name);
+
+    for (const token of normalizedName.split(' ')) {
+      if (token.length >= 2) keys.add(`Token:${token}`);
+    }
+
+    const compactName = normalizedName.replace(/\s+/g, '');
+    if (compactName.length >= this.NAME_PREFIX_LENGTH) {
+      keys.add(`NamePrefix:${compactName.slice(0, this.NAME_PREFIX_LENGTH)}`);
+    }
+
+    if (name) {
+      const phonetic = this.duplicateService.phoneticKeys(name);
+      for (const [type, codes] of [['Metaphone', `${phonetic.metaphoneKey} ${phonetic.metaphoneAltKey}`], ['Cologne', phonetic.colognePhoneticKey]]) {
+        for (const code of (codes || '').split(' ')) {
+          if (code && code !== '-') keys.add(`${type}:${code}`);
+        }
+      }
+    }
+
+    for (const vatId of vatIds) {
+      const key = this.vatKey(vatId);
+      if (key) keys.add(key);
+    }
+
+    for (const address of addresses) {
+      const normalized = this.duplicateService.addressMatcher.normalize(address);
+      const country = normalized.country || '-';
+      if (normalized.postalCode) keys.add(`PostalCode:${country}:${normalized.postalCode}`);
+      if (normalized.street) keys.add(`Street:${country}:${normalized.street}`);
+    }
+
+    return [...keys].map(key => key.slice(0, 120));
+  }
+
+  /**
+   * Blocking key of a VAT ID - upper case without blanks and punctuation
+   *
+   * @param {string} vatId - VAT ID
+   * @returns {string|null} Key VAT:value
+   */
+  vatKey(vatId) {
+    const normalized = (vatId || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return normalized ? `VAT:${normalized}` : null;
+  }
+}
+
+module.exports = CandidateBlockingIndex;
@@ -0,0 +1,230 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Contact Person Service
+ * Turns the contact persons of an approved request into person business
+ * partners related to the organization:
+ * - PartnerContacts → A_BusinessPartner (category 1 = person) with role BUP001
+ * - Relationship BUR001 (has contact person) → A_BusinessPartnerContact
+ * - Function, department, phone and email → A_BPContactToFuncAndDept
+ *
+ * Contacts the organization already has (same email address, or same name if
+ * no email is given) are not created again, so Update and Extend requests
+ * only add new contact persons.
+ *
+ * Configuration (SystemConfiguration):
+ * - BP_CONTACT_GROUPING: grouping whose number range issues person BP numbers
+ *   (defaults to the default grouping)
+ *
+ * @class ContactPersonService
+ */
+class ContactPersonService {
+
+  /**
+   * @param {BusinessPartnerMaterializer} materializer - Mapping of request data to golden record entries
+   * @param {NumberRangeService} numberRangeService - Issues the person BP numbers
+   */
+  constructor(materializer, numberRangeService) {
+    this.materializer = materializer;
+    this.numberRangeService = numberRangeService;
+    this.PERSON_CATEGORY = '1';
+    this.CONTACT_ROLE = 'BUP001';
+    this.RELATIONSHIP_CATEGORY = 'BUR001';
+  }
+
+  /**
+   * Create person BPs and contact relationships for the contacts of a request
+   * Runs in the caller's transaction, so a failure rolls back the approval.
+   *
+   * @param {Object} request - Approved business partner request
+   * @param {string} bpNumber - SAP BP number of the organization
+   * @param {Object} user - CAP user approving the request
+   * @returns {Promise<Array>} Created contacts { personBpNumber, relationshipNumber, name }
+   */
+  async createContacts(request, bpNumber, user) {
+    const contacts = await SELECT.from('mdm.db.PartnerContacts').where({ request_ID: request.ID });
+    if (contacts.length === 0) return [];
+
+    const now = new Date();
+    const context = {
+      userId: (user?.id || 'system').substring(0, 12),
+      date: now.toISOString().slice(0, 10),
+      time: now.toISOString().slice(11, 19)
+    };
+    const existing = await this.getExistingContactKeys(bpNumber);
+    const hasStandard = existing.size > 0;
+    const grouping = await this.getContactGrouping();
+    let relationshipNumber = await this.getLastRelationshipNumber();
+
+    const created = [];
+    for (const contact of this.sortPrimaryFirst(contacts)) {
+      const key = this.contactKey(contact);
+      if (existing.has(key)) continue;
+      existing.add(key);
+
+      const personBpNumber = await this.numberRangeService.nextBusinessPartnerNumber({ bpGrouping: grouping });
+      const personContext = { ...context, bpNumber: personBpNumber };
+      const relationship = {
+        RelationshipNumber: String(++relationshipNumber).padStart(12, '0'),
+        BusinessPartnerCompany: bpNumber,
+        BusinessPartnerPerson: personBpNumber,
+        ValidityEndDate: '9999-12-31'
+      };
+
+      await INSERT.into('mdm.db.A_BusinessPartner').entries(this.mapPerson(contact, grouping, request, personContext));
+      await INSERT.into('mdm.db.A_BusinessPartnerRole').entries(this.materializer.mapRole(this.CONTACT_ROLE, personContext));
+      await INSERT.into('mdm.db.A_BusinessPartnerContact').entries({
+        ID: uuidv4(),
+        BusinessPartner: bpNumber,
+        ...relationship,
+        ValidityStartDate: context.date,
+        IsStandardRelationship: !hasStandard && created.length === 0,
+        RelationshipCategory: this.RELATIONSHIP_CATEGORY
+      });
+      await INSERT.into('mdm.db.A_BPContactToFuncAndDept').entries({
+        ID: uuidv4(),
+        ...relationship,
+        ContactPersonFunction: this.materializer.truncate(contact.jobFunction, 40),
+        ContactPersonDepartment: this.materializer.truncate(contact.department, 40),
+        PhoneNumber: contact.phone ? contact.phone.replace(/\s/g, '') : null,
+        EmailAddress: contact.email ? contact.email.trim().toLowerCase() : null
+      });
+
+      created.push({
+        personBpNumber,
+        relationshipNumber: relationship.RelationshipNumber,
+        name: this.fullName(contact)
+      });
+    }
+
+    if (created.length > 0) {
+      console.log(`👥 ${created.length} contact person(s) created for business partner ${bpNumber}: ${created.map(c => c.personBpNumber).join(', ')}`);
+    }
+
+    return created;
+  }
+
+  /**
+   * Map a contact person to an A_BusinessPartner person header
+   *
+   * @param {Object} contact - Contact person of the request
+   * @param {string} grouping - BP grouping of the person
+   * @param {Object} request - Business partner request
+   * @param {Object} context - Mapping context of the person
+   * @returns {Object} A_BusinessPartner entry
+   */
+  mapPerson(contact, grouping, request, context) {
+    const fullName = this.fullName(contact);
+
+    return {
+      ID: uuidv4(),
+      BusinessPartner: context.bpNumber,
+      BusinessPartnerCategory: this.PERSON_CATEGORY,
+      BusinessPartnerFullName: this.materializer.truncate(fullName, 81),
+      BusinessPartnerName: this.materializer.truncate(fullName, 81),
+      BusinessPartnerGrouping: grouping,
+      BusinessPartnerUUID: uuidv4(),
+      FirstName: this.materializer.truncate(contact.firstName, 40),
+      LastName: this.materializer.truncate(contact.lastName, 40),
+      PersonFullName: this.materializer.truncate(fullName, 80),
+      SearchTerm1: this.materializer.truncate(contact.lastName?.toUpperCase(), 20),
+      CorrespondenceLanguage: request.communicationLanguage || null,
+      Language: request.communicationLanguage || null,
+      BusinessPartnerIsBlocked: false,
+      IsMarkedForArchiving: false,
+      CreatedByUser: context.userId,
+      CreationDate: context.date,
+      CreationTime: context.time
+    };
+  }
+
+  /**
+   * Read the keys of the contact persons an organization already has
+   *
+   * @param {string} bpNumber - SAP BP number of the organization
+   * @returns {Promise<Set>} Contact keys, see contactKey
+   */
+  async getExistingContactKeys(bpNumber) {
+    const relationships = await SELECT.from('mdm.db.A_BusinessPartnerContact')
+      .columns('RelationshipNumber', 'BusinessPartnerPerson')
+      .where({ BusinessPartnerCompany: bpNumber, RelationshipCategory: this.RELATIONSHIP_CATEGORY });
+    if (relationships.length === 0) return new Set();
+
+    const [persons, details] = await Promise.all([
+      SELECT.from('mdm.db.A_BusinessPartner')
+        .columns('BusinessPartner', 'FirstName', 'LastName')
+        .where({ BusinessPartner: { in: relationships.map(r => r.BusinessPartnerPerson) } }),
+      SELECT.from('mdm.db.A_BPContactToFuncAndDept')
+        .columns('RelationshipNumber', 'EmailAddress')
+        .where({ RelationshipNumber: { in: relationships.map(r => r.RelationshipNumber) } })
+    ]);
+
+    return new Set(relationships.map(relationship => {
+      const person = persons.find(p => p.BusinessPartner === relationship.BusinessPartnerPerson) || {};
+      const detail = details.find(d => d.RelationshipNumber === relationship.RelationshipNumber) || {};
+      return this.contactKey({ firstName: person.FirstName, lastName: person.LastName, email: detail.EmailAddress });
+    }));
+  }
+
+  /**
+   * Get the highest relationship number issued so far
+   * The unique constraint on A_BPContactToFuncAndDept rejects a number drawn
+   * twice by concurrent approvals, which rolls back the later approval.
+   *
+   * @returns {Promise<number>} Last relationship number (0 if none)
+   */
+  async getLastRelationshipNumber() {
+    const relationships = await SELECT.from('mdm.db.A_BusinessPartnerContact').columns('RelationshipNumber');
+    const numbers = relationships
+      .map(r => parseInt(r.RelationshipNumber, 10))
+      .filter(n => !Number.isNaN(n));
+
+    return numbers.length > 0 ? Math.max(...numbers) : 0;
+  }
+
+  /**
+   * Get the BP grouping used for contact persons
+   *
+   * @returns {Promise<string>} Business partner grouping
+   */
+  async getContactGrouping() {
+    const config = await SELECT.one.from('mdm.db.SystemConfiguration')
+      .columns('configValue')
+      .where({ configKey: 'BP_CONTACT_GROUPING', isActive: true });
+
+    return config?.configValue || await this.numberRangeService.getDefaultGrouping();
+  }
+
+  /**
+   * Identify a contact person by email address, or by name if it has none
+   *
+   * @param {Object} contact - Contact { firstName, lastName, email }
+   * @returns {string} Contact key
+   */
+  contactKey(contact) {
+    return contact.email
+      ? `email:${contact.email.trim().toLowerCase()}`
+      : `name:${this.fullName(contact).toLowerCase()}`;
+  }
+
+  /**
+   * @param {Object} contact - Contact { firstName, lastName }
+   * @returns {string} First and last name
+   */
+  fullName(contact) {
+    return [contact.firstName, contact.lastName].filter(Boolean).map(n => n.trim()).join(' ');
+  }
+
+  /**
+   * Order contacts so the primary one comes first
+   *
+   * @param {Array} contacts - Contact persons
+   * @returns {Array} Sorted copy
+   */
+  sortPrimaryFirst(contacts) {
+    return [...contacts].sort((a, b) => (b.isPrimary ? 1 : 0) - (a.isPrimary ? 1 : 0));
+  }
+}
+
+module.exports = ContactPersonService;
@@ -0,0 +1,154 @@
+const cds = require('@sap/cds');
+const ErrorHandler = require('./error-handler');
+
+/**
+ * Approver Delegation Service
+ * Out-of-office substitution for approvers:
+ * - A delegate may act with the approver roles of a delegator within the
+ *   validity window and scope (source system, entity type) of a delegation
+ * - Approvals made through a delegation are recorded "on behalf of" the delegator
+ *
+ * @class DelegationService
+ */
+class DelegationService {
+
+  constructor() {
+    this.APPROVER_ROLES = ['MDMApprover'];
+  }
+
+  /**
+   * Get delegations currently valid for a delegate
+   *
+   * @param {string} delegateId - User ID of the delegate
+   * @param {Date} at - Reference time (defaults to now)
+   * @returns {Promise<Array>} Active delegations
+   */
+  async getActiveDelegations(delegateId, at = new Date()) {
+    if (!delegateId) return [];
+
+    const delegations = await SELECT.from('mdm.db.ApproverDelegations')
+      .where({ delegateId, isActive: true });
+
+    return delegations.filter(d =>
+      new Date(d.validFrom) <= at && (!d.validTo || new Date(d.validTo) >= at));
+  }
+
+  /**
+   * Check whether a request falls within the scope of a delegation
+   * Empty scope fields match any value.
+   *
+   * @param {Object} delegation - Approver delegation
+   * @param {Object} request - Business partner request
+   * @returns {boolean} True if the delegation covers the request
+   */
+  matchesScope(delegation, request) {
+    return (!delegation.sourceSystem || delegation.sourceSystem === request.sourceSystem) &&
+           (!delegation.entityType || delegation.entityType === request.entityType);
+  }
+
+  /**
+   * Get the active roles of a user from UserRoles
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Role names
+   */
+  async getUserRoles(userId) {
+    const roles = await SELECT.from('mdm.db.UserRoles')
+      .columns('role')
+      .where({ userId, isActive: true });
+
+    return roles.map(r => r.role);
+  }
+
+  /**
+   * Resolve the authority under which a user decides on a request
+   * Users holding one of the roles act on their own; otherwise a matching
+   * delegation from a user holding one of the roles is required.
+   *
+   * @param {Object} request - Business partner request
+   * @param {Object} user - CAP user
+   * @param {Array} roles - Roles allowed to decide (defaults to approver roles)
+   * @returns {Promise<Object>} { user, onBehalfOf } - acting user and delegator (or null)
+   * @throws {Error} Authorization error if neither role nor delegation applies
+   */
+  async resolveApprover(request, user, roles = this.APPROVER_ROLES) {
+    if (roles.some(role => user?.is?.(role))) {
+      return { user, onBehalfOf: null };
+    }
+
+    const delegations = (await this.getActiveDelegations(user?.id))
+      .filter(d => this.matchesScope(d, request));
+
+    for (const delegation of delegations) {
+      const delegatorRoles = await this.getUserRoles(delegation.delegatorId);
+
+      if (roles.some(role => delegatorRoles.includes(role))) {
+        console.log(`🤝 ${user.id} acting on behalf of ${delegation.delegatorId} for request ${request.requestNumber}`);
+        return {
+          user: this.createActingUser(user, delegatorRoles),
+          onBehalfOf: {
+            id: delegation.delegatorId,
+            name: delegation.delegatorName || delegation.delegatorId,
+            delegationId: delegation.ID
+          }
+        };
+      }
+    }
+
+    throw ErrorHandler.authorizationError('decide on', 'BusinessPartnerRequest', roles);
+  }
+
+  /**
+   * Build a user that holds its own roles plus the delegated ones
+   *
+   * @param {Object} user - CAP user
+   * @param {Array} delegatedRoles - Roles granted through the delegation
+   * @returns {Object} Acting user
+   */
+  createActingUser(user, delegatedRoles) {
+    return {
+      id: user.id,
+      displayName: user.displayName,
+      email: user.email,
+      is: role => user.is(role) || delegatedRoles.includes(role)
+    };
+  }
+
+  /**
+   * Get the delegations that fill a delegate's approval queue
+   *
+   * @param {Object} user - CAP user
+   * @returns {Promise<Array>} Active delegations from users holding approver roles
+   */
+  async getDelegatedQueueScopes(user) {
+    const delegations = await this.getActiveDelegations(user?.id);
+    const scopes = [];
+
+    for (const delegation of delegations) {
+      const delegatorRoles = await this.getUserRoles(delegation.delegatorId);
+      if (this.APPROVER_ROLES.some(role => delegatorRoles.includes(role))) {
+        scopes.push(delegation);
+      }
+    }
+
+    return scopes;
+  }
+
+  /**
+   * Validate a delegation before it is saved
+   *
+   * @param {Object} data - Delegation data
+   * @throws {Error} Validation error
+   */
+  validateDelegation(data) {
+    if (data.delegatorId && data.delegateId && data.delegatorId === data.delegateId) {
+      throw ErrorHandler.validationError('delegateId', 'A user cannot delegate to themselves', data.delegateId);
+    }
+
+    if (data.validFrom && data.validTo && new Date(data.validTo) < new Date(data.validFrom)) {
+      throw ErrorHandler.validationError('validTo', 'Delegation end must not be before its start', data.validTo);
+    }
+  }
+}
+
+module.exports = DelegationService;
@@ -0,0 +1,377 @@
+const ErrorHandler = require('./error-handler');
+
+/**
+ * Duplicate Scoring Model
+ * Combines the signals of the duplicate check into one match score and sorts the
+ * matches into bands. The model is configured in SystemConfiguration:
+ * - DUPLICATE_WEIGHTS: comma-separated signal:weight pairs (name, phonetic, vat,
+ *   address, bank, emailDomain) - how strongly a full match of the signal alone
+ *   indicates a duplicate
+ * - DUPLICATE_THRESHOLD: smallest fuzzy name similarity counted as a name match
+ * - DUPLICATE_MIN_NAME_LENGTH: shorter names are not matched by name
+ * - DUPLICATE_REVIEW_THRESHOLD: score from which a match requires review
+ * - DUPLICATE_COUNTRY_THRESHOLDS: comma-separated country:threshold pairs replacing
+ *   the review threshold for requests with a main address in that country
+ * - DUPLICATE_AUTO_BLOCK_THRESHOLD: score from which a match blocks the approval
+ *   of the request until it is merged, rejected or sent back for clarification
+ * - DUPLICATE_MERGE_COMPATIBILITY_THRESHOLD: compatibility points of an
+ *   excellent merge candidate
+ *
+ * Signals count as independent evidence: score = 1 - Π(1 - weight × signal score),
+ * so agreeing signals raise the score and a missing signal does not lower it.
+ */
+class DuplicateScoringModel {
+
+  /**
+   * Signals of the duplicate check by the match types that produce them
+   */
+  static MATCH_TYPE_SIGNALS = {
+    EstablishedVAT: 'vat',
+    FuzzyName: 'name',
+    CorporateGroupName: 'name',
+    PhoneticMetaphone: 'phonetic',
+    PhoneticCologne: 'phonetic',
+    Address: 'address',
+    BankAccount: 'bank',
+    EmailDomain: 'emailDomain',
+    // Checks stored by the former name and VAT ID search of checkDuplicates
+    Name: 'name',
+    VAT: 'vat'
+  };
+
+  /**
+   * Default model used for values that are not configured
+   */
+  static DEFAULT_MODEL = {
+    weights: { name: 1.0, phonetic: 0.9, vat: 1.0, address: 0.9, bank: 1.0, emailDomain: 0.6 },
+    fuzzyThreshold: 0.95,
+    minNameLength: 3,
+    reviewThreshold: 0.9,
+    countryThresholds: {},
+    autoBlockThreshold: 0.99,
+    mergeCompatibilityThreshold: 80
+  };
+
+  /**
+   * Load the configured scoring model
+   *
+   * @returns {Promise<Object>} Scoring model
+   */
+  static async load() {
+    return this.parse(await this.loadConfig());
+  }
+
+  /**
+   * Load the configuration entries of the scoring model
+   *
+   * @returns {Promise<Object>} Config key → value
+   */
+  static async loadConfig() {
+    const entries = await SELECT.from('mdm.db.SystemConfiguration')
+      .columns('configKey', 'configValue')
+      .where({ configKey: { like: 'DUPLICATE_%' }, isActive: true });
+
+    return Object.fromEntries(entries.map(e => [e.configKey, e.configValue]));
+  }
+
+  /**
+   * Parse scoring model configuration values
+   * Values that are missing or out of range fall back to the defaults.
+   *
+   * @param {Object} config - Config key → value
+   * @returns {Object} Scoring model
+   */
+  static parse(config) {
+    const defaults = this.DEFAULT_MODEL;
+    const share = (value, fallback) => {
+      const number = parseFloat(value);
+      return number >= 0 && number <= 1 ? number : fallback;
+    };
+    const positive = (value, fallback) => {
+      const number = parseInt(value, 10);
+      return number > 0 ? number : fallback;
+    };
+
+    const weights = { ...defaults.weights };
+    for (const [signal, weight] of Object.entries(this.parsePairs(config.DUPLICATE_WEIGHTS))) {
+      if (signal in weights) {
+        weights[signal] = share(weight, weights[signal]);
+      }
+    }
+
+    const countryThresholds = {};
+    for (const [country, threshold] of Object.entries(this.parsePairs(config.DUPLICATE_COUNTRY_THRESHOLDS))) {
+      const value = share(threshold, null);
+      if (/^[A-Z]{2}$/.test(country) && value !== null) {
+        countryThresholds[country] = value;
+      }
+    }
+
+    return {
+      weights,
+      fuzzyThreshold: share(config.DUPLICATE_THRESHOLD, defaults.fuzzyThreshold),
+      minNameLength: positive(config.DUPLICATE_MIN_NAME_LENGTH, defaults.minNameLength),
+      reviewThreshold: share(config.DUPLICATE_REVIEW_THRESHOLD, defaults.reviewThreshold),
+      countryThresholds,
+      autoBlockThreshold: share(config.DUPLICATE_AUTO_BLOCK_THRESHOLD, defaults.autoBlockThreshold),
+      mergeCompatibilityThreshold: positive(config.DUPLICATE_MERGE_COMPATIBILITY_THRESHOLD, defaults.mergeCompatibilityThreshold)
+    };
+  }
+
+  /**
+   * Parse comma-separated key:value pairs - a later pair replaces an earlier one
+   *
+   * @param {string} value - Pairs such as "name:1,bank:0.8"
+   * @returns {Object} Key → value
+   */
+  static parsePairs(value) {
+    return Object.fromEntries((value || '')
+      .split(',')
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([key, pairValue]) => key && pairValue !== undefined && pairValue !== '')
+      .map(([key, pairValue]) => [key.length === 2 ? key.toUpperCase() : key, pairValue]));
+  }
+
+  /**
+   * Format key → value pairs as configured
+   *
+   * @param {Object} pairs - Key → value
+   * @returns {string} Comma-separated key:value pairs
+   */
+  static formatPairs(pairs) {
+    return Object.entries(pairs).map(([key, value]) => `${key}:${value}`).join(',');
+  }
+
+  /**
+   * Combined match score of the signals found for one partner
+   *
+   * @param {Object} signals - Signal → score (0.0 to 1.0)
+   * @param {Object} model - Scoring model
+   * @returns {number} Match score (0.0 to 1.0), two decimals
+   */
+  static score(signals, model) {
+    let miss = 1;
+    for (const [signal, value] of Object.entries(signals || {})) {
+      miss *= 1 - (model.weights[signal] ?? 0) * Math.min(Math.max(value, 0), 1);
+    }
+    return Math.round((1 - miss) * 100) / 100;
+  }
+
+  /**
+   * Review threshold for requests from a country
+   *
+   * @param {Object} model - Scoring model
+   * @param {string} country - ISO country code of the request's main address
+   * @returns {number} Review threshold
+   */
+  static reviewThreshold(model, country) {
+    return model.countryThresholds[country] ?? model.reviewThreshold;
+  }
+
+  /**
+   * Band of a match score
+   *
+   * @param {number} score - Match score
+   * @param {Object} model - Scoring model
+   * @param {string} country - ISO country code of the request's main address
+   * @returns {string} AutoBlock, Review or Info
+   */
+  static band(score, model, country) {
+    if (score >= model.autoBlockThreshold) return 'AutoBlock';
+    if (score >= this.reviewThreshold(model, country)) return 'Review';
+    return 'Info';
+  }
+
+  /**
+   * Signal scores of a stored duplicate check
+   * Checks stored before the signal scores were recorded are read from their
+   * match type, each signal taking the match score.
+   *
+   * @param {Object} check - DuplicateChecks row
+   * @returns {Object} Signal → score
+   */
+  static signalsOf(check) {
+    if (check.signalScores) {
+      try {
+        return JSON.parse(check.signalScores);
+      } catch (error) {
+        console.warn(`⚠️ Unreadable signal scores of duplicate check ${check.ID}: ${error.message}`);
+      }
+    }
+
+    const signals = {};
+    for (const matchType of (check.matchType || '').split('+')) {
+      const signal = this.MATCH_TYPE_SIGNALS[matchType];
+      if (signal) {
+        signals[signal] = Math.max(signals[signal] || 0, Number(check.matchScore) || 0);
+      }
+    }
+    return signals;
+  }
+
+  /**
+   * Replay the configured and a proposed model against the decided duplicate checks
+   * A check merged into its partner is a duplicate; a check of a request created as
+   * a new partner, or merged into another partner, is not. Checks without a decision,
+   * and checks whose signals cannot be told from their match type, are left out.
+   * Only the scoring is replayed - name thresholds decide which matches
+   * are found and cannot be replayed.
+   *
+   * @param {Object} changes - Proposed model { weights, countryThresholds, reviewThreshold,
+   *   autoBlockThreshold }; given pairs replace the configured ones
+   * @returns {Promise<Object>} Precision and recall of the current and proposed model
+   * @throws {Error} Validation error for an invalid proposed value
+   */
+  static async simulate(changes = {}) {
+    this.validateChanges(changes);
+
+    const config = await this.loadConfig();
+    const current = this.parse(config);
+    const proposed = this.parse({
+      ...config,
+      DUPLICATE_WEIGHTS: [config.DUPLICATE_WEIGHTS, changes.weights].filter(Boolean).join(','),
+      DUPLICATE_COUNTRY_THRESHOLDS: [config.DUPLICATE_COUNTRY_THRESHOLDS, changes.countryThresholds].filter(Boolean).join(','),
+      DUPLICATE_REVIEW_THRESHOLD: changes.reviewThreshold ?? config.DUPLICATE_REVIEW_THRESHOLD,
+      DUPLICATE_AUTO_BLOCK_THRESHOLD: changes.autoBlockThreshold ?? config.DUPLICATE_AUTO_BLOCK_THRESHOLD
+    });
+
+    const cases = await this.loadDecidedChecks();
+
+    let bandChanges = 0;
+    for (const decided of cases) {
+      const currentBand = this.band(this.score(decided.signals, current), current, decided.country);
+      const proposedBand = this.band(this.score(decided.signals, proposed), proposed, decided.country);
+      if (currentBand !== proposedBand) bandChanges++;
+    }
+
+    console.log(`🧪 Replayed the duplicate scoring model against ${cases.length} decided duplicate checks`);
+
+    return {
+      decisionCount: cases.length,
+      duplicateCount: cases.filter(c => c.duplicate).length,
+      bandChanges,
+      current: this.evaluate(cases, current),
+      proposed: this.evaluate(cases, proposed)
+    };
+  }
+
+  /**
+   * Check the values of a proposed model
+   *
+   * @param {Object} changes - Proposed model
+   * @throws {Error} Validation error for an unknown signal, a country that is not
+   *   an ISO code or a value outside 0 to 1
+   */
+  static validateChanges(changes) {
+    const inRange = (value) => {
+      const number = Number(value);
+      return value !== '' && number >= 0 && number <= 1;
+    };
+
+    for (const [signal, weight] of Object.entries(this.parsePairs(changes.weights))) {
+      if (!(signal in this.DEFAULT_MODEL.weights) || !inRange(weight)) {
+        throw ErrorHandler.validationError('weights',
+          `Invalid weight "${signal}:${weight}" - signals are ${Object.keys(this.DEFAULT_MODEL.weights).join(', ')} with weights from 0 to 1`,
+          changes.weights);
+      }
+    }
+    for (const [country, threshold] of Object.entries(this.parsePairs(changes.countryThresholds))) {
+      if (!/^[A-Z]{2}$/.test(country) || !inRange(threshold)) {
+        throw ErrorHandler.validationError('countryThresholds',
+          `Invalid country threshold "${country}:${threshold}" - expected an ISO country code and a threshold from 0 to 1`,
+          changes.countryThresholds);
+      }
+    }
+    for (const field of ['reviewThreshold', 'autoBlockThreshold']) {
+      if (changes[field] !== null && changes[field] !== undefined && !inRange(changes[field])) {
+        throw ErrorHandler.validationError(field, `${field} must be from 0 to 1`, changes[field]);
+      }
+    }
+  }
+
+  /**
+   * Duplicate checks with a merge decision, with their signals and request country
+   *
+   * @returns {Promise<Array>} Cases { signals, country, duplicate }
+   */
+  static async loadDecidedChecks() {
+    const checks = await SELECT.from('mdm.db.DuplicateChecks')
+      .columns('ID', 'request_ID', 'matchType', 'matchScore', 'signalScores', 'mergeDecision');
+
+    const mergedRequests = new Set(checks.filter(c => c.mergeDecision === 'Merge').map(c => c.request_ID));
+    const decided = checks
+      .map(check => ({
+        check,
+        duplicate: check.mergeDecision === 'Merge' ? true
+          : check.mergeDecision === 'CreateNew' || (check.mergeDecision === 'Pending' && mergedRequests.has(check.request_ID)) ? false
+            : null
+      }))
+      .filter(({ duplicate }) => duplicate !== null);
+
+    if (decided.length === 0) return [];
+
+    const addresses = await SELECT.from('mdm.db.PartnerAddresses')
+      .columns('request_ID', 'country_code')
+      .where({ request_ID: { in: [...new Set(decided.map(({ check }) => check.request_ID))] }, addressType: 'Main' });
+    const countries = new Map(addresses.map(a => [a.request_ID, a.country_code]));
+
+    const cases = decided.map(({ check, duplicate }) => ({
+      signals: this.signalsOf(check),
+      country: countries.get(check.request_ID) || null,
+      duplicate
+    }));
+
+    // A check without signals would score 0 under every model
+    const replayable = cases.filter(c => Object.keys(c.signals).length > 0);
+    if (replayable.length < cases.length) {
+      console.warn(`⚠️ ${cases.length - replayable.length} decided duplicate check(s) without known signals left out of the replay`);
+    }
+    return replayable;
+  }
+
+  /**
+   * Precision and recall of a model over decided duplicate checks
+   * A match in the review or auto-block band counts as flagged as a duplicate.
+   *
+   * @param {Array} cases - Cases { signals, country, duplicate }
+   * @param {Object} model - Scoring model
+   * @returns {Object} Confusion counts, precision, recall and auto-block precision
+   */
+  static evaluate(cases, model) {
+    const counts = { truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0, autoBlocked: 0, autoBlockedDuplicates: 0 };
+
+    for (const decided of cases) {
+      const band = this.band(this.score(decided.signals, model), model, decided.country);
+      const flagged = band !== 'Info';
+
+      if (flagged && decided.duplicate) counts.truePositives++;
+      else if (flagged) counts.falsePositives++;
+      else if (decided.duplicate) counts.falseNegatives++;
+      else counts.trueNegatives++;
+
+      if (band === 'AutoBlock') {
+        counts.autoBlocked++;
+        if (decided.duplicate) counts.autoBlockedDuplicates++;
+      }
+    }
+
+    const ratio = (part, whole) => whole > 0 ? Math.round(part / whole * 10000) / 10000 : null;
+
+    return {
+      weights: this.formatPairs(model.weights),
+      countryThresholds: this.formatPairs(model.countryThresholds),
+      reviewThreshold: model.reviewThreshold,
+      autoBlockThreshold: model.autoBlockThreshold,
+      truePositives: counts.truePositives,
+      falsePositives: counts.falsePositives,
+      falseNegatives: counts.falseNegatives,
+      trueNegatives: counts.trueNegatives,
+      precision: ratio(counts.truePositives, counts.truePositives + counts.falsePositives),
+      recall: ratio(counts.truePositives, counts.truePositives + counts.falseNegatives),
+      autoBlocked: counts.autoBlocked,
+      autoBlockPrecision: ratio(counts.autoBlockedDuplicates, counts.autoBlocked)
+    };
+  }
+}
+
+module.exports = DuplicateScoringModel;
@@ -1,27 +1,56 @@
 const cds = require('@sap/cds');
 const fuzzy = require('fuzzy');
+const StatusTransitionEngine = require('./status-transition-engine');
+const PartnerHierarchyService = require('./partner-hierarchy-service');
+const PhoneticEncoder = require('./phonetic-encoder');
+const AddressMatcher = require('./address-matcher');
+const BankAccountMatcher = require('./bank-account-matcher');
+const DuplicateScoringModel = require('./duplicate-scoring-model');
+const CandidateBlockingIndex = require('./candidate-blocking-index');
+const ErrorHandler = require('./error-handler');
 
 /**
  * Enhanced Duplicate Detection Service
  *
  * Implements sophisticated duplicate detection mechanisms as per FR-003.1:
  * - Established VAT ID checking for Create requests
- * - Fuzzy name matching with 95% similarity threshold
- * - Combined duplicate logic integrating both methods
+ * - Fuzzy name matching with a configurable similarity threshold (95% by default)
+ * - Phonetic name matching (Double Metaphone, Cologne phonetics) for spelling variants
+ * - Address matching against all known addresses, for partners without a VAT ID
+ * - Bank accounts already used by another partner or pending request (fraud indicator)
+ * - Name matching against the other members of the request's corporate group
+ * - Email domains shared with other partners
+ * - Combined duplicate logic integrating all methods, weighted by the configured
+ *   scoring model (see DuplicateScoringModel) into review and auto-block bands
  * - Merge decision management and tracking
  *
+ * Name and address matching only score the candidates of the blocking index
+ * (see CandidateBlockingIndex), not every existing partner.
+ *
  * @class EnhancedDuplicateService
  */
 class EnhancedDuplicateService {
 
   constructor() {
-    this.FUZZY_THRESHOLD = 0.95; // 95% similarity threshold per requirements
-    this.MIN_NAME_LENGTH = 3;    // Minimum name length for meaningful comparison
+    this.GROUP_NAME_THRESHOLD = 0.85; // Members of one group share a name stem, so near matches are suspicious
+    this.PHONETIC_THRESHOLD = 0.8; // Share of name words that must sound alike
+    this.ADDRESS_THRESHOLD = 0.9;  // Street, city and postal code must nearly agree
+    // Mailbox providers shared by unrelated partners - their domains say nothing
+    this.FREE_MAIL_DOMAINS = new Set([
+      'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+      'aol.com', 'icloud.com', 'me.com', 'mail.com', 'gmx.de', 'gmx.net', 'web.de', 't-online.de',
+      'protonmail.com', 'proton.me', 'orange.fr', 'free.fr', 'laposte.net'
+    ]);
+    this.hierarchyService = new PartnerHierarchyService();
+    this.addressMatcher = new AddressMatcher((a, b) => this.nameSimilarity(a, b));
+    this.bankAccountMatcher = new BankAccountMatcher();
+    this.blockingIndex = new CandidateBlockingIndex(this);
   }
 
   /**
    * Perform comprehensive duplicate detection for a business partner request
-   * Combines established VAT ID checking with fuzzy name matching
+   * Finds and stores the potential duplicates and moves the request to duplicate
+   * review if any of them requires review.
    *
    * @param {string} requestId - UUID of the business partner request
    * @returns {Promise<Array>} Array of duplicate match results
@@ -30,32 +59,17 @@ class EnhancedDuplicateService {
     console.log(`🔍 Starting comprehensive duplicate check for request: ${requestId}`);
 
     try {
-      const request = await SELECT.from('mdm.db.BusinessPartnerRequests').where({ ID: requestId });
+      const request = await SELECT.one.from('mdm.db.BusinessPartnerRequests').where({ ID: requestId });
       if (!request) {
         throw new Error(`Request ${requestId} not found`);
       }
 
-      const duplicates = [];
-
-      // 1. Established VAT ID Check (for Create requests only)
-      if (request.requestType === 'Create') {
-        console.log('📋 Performing established VAT ID duplicate check...');
-        const vatDuplicates = await this.checkEstablishedVatIdDuplicates(requestId);
-        duplicates.push(...vatDuplicates);
-      }
+      const consolidatedDuplicates = await this.findDuplicates(request);
 
-      // 2. Fuzzy Name Matching
-      console.log('🔤 Performing fuzzy name matching...');
-      const nameDuplicates = await this.performFuzzyNameMatching(request);
-      duplicates.push(...nameDuplicates);
-
-      // 3. Consolidate and rank results
-      const consolidatedDuplicates = this.consolidateDuplicateResults(duplicates);
-
-      // 4. Store duplicate check results
+      // Store duplicate check results
       await this.storeDuplicateCheckResults(requestId, consolidatedDuplicates);
 
-      // 5. Update request status if duplicates found
+      // Update request status if duplicates found
       if (consolidatedDuplicates.length > 0) {
         await this.updateRequestStatusForDuplicates(requestId, consolidatedDuplicates);
       }
@@ -69,17 +83,152 @@ class EnhancedDuplicateService {
     }
   }
 
+  /**
+   * Find the potential duplicates of a request by all detection methods
+   * The results are consolidated per partner and scored, but not stored.
+   *
+   * @param {Object} request - Business partner request object
+   * @returns {Promise<Array>} Consolidated and ranked duplicate match results
+   */
+  async findDuplicates(request) {
+    // Role extensions and mass changes target known partners - there is nothing to detect
+    if (request.requestType === 'Extend' || request.requestType === 'MassChange') {
+      console.log(`⏭️ ${request.requestType} request - duplicate check skipped for the existing partner(s)`);
+      return [];
+    }
+
+    const duplicates = [];
+    const model = await DuplicateScoringModel.load();
+    const candidates = await this.blockingIndex.findCandidates(request);
+
+    // 1. Established VAT ID Check (for Create requests only)
+    if (request.requestType === 'Create') {
+      console.log('📋 Performing established VAT ID duplicate check...');
+      const vatDuplicates = await this.checkEstablishedVatIdDuplicates(request.ID, model);
+      duplicates.push(...vatDuplicates);
+    }
+
+    // 2. Fuzzy Name Matching
+    console.log('🔤 Performing fuzzy name matching...');
+    const nameDuplicates = await this.performFuzzyNameMatching(request, model, candidates);
+    duplicates.push(...nameDuplicates);
+
+    // 3. Phonetic Name Matching
+    console.log('🗣️ Performing phonetic name matching...');
+    const phoneticDuplicates = await this.performPhoneticNameMatching(request, model, candidates);
+    duplicates.push(...phoneticDuplicates);
+
+    // 4. Address Matching
+    console.log('🏠 Performing address matching...');
+    const addressDuplicates = await this.checkAddressDuplicates(request, model, candidates);
+    duplicates.push(...addressDuplicates);
+
+    // 5. Bank accounts used by other partners
+    console.log('🏦 Performing bank account matching...');
+    const bankDuplicates = await this.checkBankAccountDuplicates(request, model);
+    duplicates.push(...bankDuplicates);
+
+    // 6. Email domains shared with other partners
+    console.log('📧 Performing email domain matching...');
+    const emailDuplicates = await this.checkEmailDomainDuplicates(request, model);
+    duplicates.push(...emailDuplicates);
+
+    // 7. Name matching within the corporate group
+    const groupDuplicates = await this.checkCorporateGroupDuplicates(request, model);
+    duplicates.push(...groupDuplicates);
+
+    // 8. Consolidate, score and rank results
+    const country = await this.getRequestCountry(request.ID);
+    return this.consolidateDuplicateResults(duplicates, model, country);
+  }
+
+  /**
+   * Search existing partners and open requests by name and VAT IDs
+   * Names are matched against the candidates of the blocking index, VAT IDs
+   * exactly against the partners' VAT IDs and those of open requests.
+   *
+   * @param {Object} criteria - Search criteria
+   * @param {string} criteria.partnerName - Partner name
+   * @param {Array<string>} criteria.vatIds - VAT IDs
+   * @param {number} criteria.threshold - Smallest name similarity (0.0 to 1.0), the configured fuzzy threshold if not given
+   * @returns {Promise<Array>} Matches { bpNumber, bpName, matchScore, matchType, matchDetails }, best first
+   */
+  async searchDuplicates({ partnerName, vatIds, threshold }) {
+    const model = await DuplicateScoringModel.load();
+    const minSimilarity = threshold ?? model.fuzzyThreshold;
+    const vatNumbers = (vatIds || []).filter(Boolean);
+    const matches = new Map();
+    const add = (match) => {
+      const known = matches.get(match.bpNumber);
+      if (!known || known.matchScore < match.matchScore) {
+        matches.set(match.bpNumber, match);
+      }
+    };
+
+    // VAT IDs - exact match on existing partners and open requests
+    for (const vatId of vatNumbers) {
+      for (const partner of await this.blockingIndex.findPartnersByVatId(vatId)) {
+        add({
+          bpNumber: partner.sapBpNumber,
+          bpName: partner.partnerName,
+          matchScore: 1.0,
+          matchType: 'VAT',
+          matchDetails: `Exact VAT ID match: ${vatId}`
+        });
+      }
+
+      const requestVatIds = await SELECT.from('mdm.db.PartnerVatIds').columns('request_ID').where({ vatNumber: vatId });
+      const requests = requestVatIds.length === 0 ? [] : await SELECT.from('mdm.db.BusinessPartnerRequests')
+        .columns('requestNumber', 'sapBpNumber', 'partnerName')
+        .where({ ID: { in: requestVatIds.map(v => v.request_ID) }, status: { '!=': 'Rejected' } });
+
+      for (const request of requests) {
+        add({
+          bpNumber: request.sapBpNumber || request.requestNumber,
+          bpName: request.partnerName,
+          matchScore: 1.0,
+          matchType: 'VAT',
+          matchDetails: `Exact VAT ID match: ${vatId}`
+        });
+      }
+    }
+
+    // Names - edit distance similarity of the candidates sharing blocking keys
+    const targetName = this.normalizeName(partnerName);
+    if (targetName.length >= model.minNameLength) {
+      const candidates = await this.blockingIndex.findCandidatesForKeys(this.blockingIndex.blockingKeys(partnerName, vatNumbers, []));
+
+      for (const partner of candidates) {
+        const similarity = this.nameSimilarity(targetName, this.normalizeName(partner.partnerName));
+        if (similarity < minSimilarity) continue;
+
+        add({
+          bpNumber: partner.sapBpNumber,
+          bpName: partner.partnerName,
+          matchScore: Math.round(similarity * 100) / 100,
+          matchType: 'Name',
+          matchDetails: `Fuzzy name match (${Math.round(similarity * 100)}%)`
+        });
+      }
+    }
+
+    return [...matches.values()].sort((a, b) => b.matchScore - a.matchScore);
+  }
+
   /**
    * Check for established VAT ID duplicates (FR-003.1 requirement)
    * For Create requests, extracts country from main address and checks if VAT ID exists
    *
    * @param {string} requestId - UUID of the business partner request
+   * @param {Object} [model] - Scoring model, loaded if not given
    * @returns {Promise<Array>} Array of established VAT ID duplicate results
    */
-  async checkEstablishedVatIdDuplicates(requestId) {
+  async checkEstablishedVatIdDuplicates(requestId, model = null) {
     console.log(`🏛️ Checking established VAT ID duplicates for request: ${requestId}`);
 
     try {
+      model = model || await DuplicateScoringModel.load();
+
       // Get the established address (main address) and its country
       const establishedAddress = await SELECT.from('mdm.db.PartnerAddresses')
         .where({ request_ID: requestId, addressType: 'Main' });
@@ -107,18 +256,19 @@ class EnhancedDuplicateService {
       for (const vatId of establishedVatIds) {
         console.log(`🔍 Checking VAT ID: ${vatId.vatNumber} in country: ${establishedCountry}`);
 
-        const existingPartners = await SELECT.from('mdm.db.ExistingPartners')
-          .where({ establishedVatId: vatId.vatNumber, establishedCountry: establishedCountry });
+        const existingPartners = (await this.blockingIndex.findPartnersByVatId(vatId.vatNumber))
+          .filter(partner => partner.establishedVatId === vatId.vatNumber && partner.establishedCountry === establishedCountry);
 
         for (const existingPartner of existingPartners) {
           console.log(`🎯 Found established VAT ID match: ${existingPartner.sapBpNumber} - ${existingPartner.partnerName}`);
 
           // Get merge recommendation and compatibility
-          const mergeAnalysis = await this.analyzeMergeCompatibility(requestId, existingPartner);
+          const mergeAnalysis = await this.analyzeMergeCompatibility(requestId, existingPartner, model);
 
           const duplicateResult = {
             matchType: 'EstablishedVAT',
             matchScore: 1.0, // Exact VAT match = 100%
+            signals: { vat: 1.0 },
             confidence: 'High',
             existingBpNumber: existingPartner.sapBpNumber,
             existingBpName: existingPartner.partnerName,
@@ -153,24 +303,26 @@ class EnhancedDuplicateService {
   }
 
   /**
-   * Perform fuzzy name matching with 95% similarity threshold (FR-003.1)
+   * Perform fuzzy name matching with the configured similarity threshold (FR-003.1)
    * Uses fuzzy string matching to identify potential duplicate partner names
    *
    * @param {Object} request - Business partner request object
+   * @param {Object} [model] - Scoring model, loaded if not given
+   * @param {Array} [candidates] - Candidate partners of the blocking index, looked up if not given
    * @returns {Promise<Array>} Array of fuzzy name match results
    */
-  async performFuzzyNameMatching(request) {
+  async performFuzzyNameMatching(request, model = null, candidates = null) {
     console.log(`🔤 Performing fuzzy name matching for: "${request.partnerName}"`);
 
-    if (!request.partnerName || request.partnerName.length < this.MIN_NAME_LENGTH) {
+    model = model || await DuplicateScoringModel.load();
+    if (!request.partnerName || request.partnerName.length < model.minNameLength) {
       console.log('⚠️ Partner name too short for meaningful fuzzy matching');
       return [];
     }
 
     try {
-      // Get all existing partners for comparison
-      const existingPartners = await SELECT.from('mdm.db.ExistingPartners')
-        .where({ status: 'Active' }); // Only check against active partners
+      // Active partners sharing blocking keys with the request
+      const existingPartners = candidates || await this.blockingIndex.findCandidates(request);
 
       if (!existingPartners || existingPartners.length === 0) {
         console.log('📭 No existing partners found for fuzzy matching');
@@ -179,35 +331,39 @@ class EnhancedDuplicateService {
 
       // Prepare names for fuzzy matching
       const targetName = this.normalizeName(request.partnerName);
-      const candidates = existingPartners.map(partner => ({
-        ...partner,
-        normalizedName: this.normalizeName(partner.partnerName)
-      }));
-
-      console.log(`🎯 Comparing against ${candidates.length} existing partners`);
-
-      // Perform fuzzy matching
-      const fuzzyResults = fuzzy.filter(targetName, candidates, {
+      const namedPartners = existingPartners
+        .filter(partner => partner.sapBpNumber !== request.existingBpNumber)
+        .map(partner => ({
+          ...partner,
+          normalizedName: this.normalizeName(partner.partnerName)
+        }));
+
+      console.log(`🎯 Comparing against ${namedPartners.length} candidate partners`);
+
+      // Perform fuzzy matching - the fuzzy score is unbounded, so candidates are
+      // rated by their edit distance similarity against the threshold
+      const fuzzyResults = fuzzy.filter(targetName, namedPartners, {
         extract: (partner) => partner.normalizedName
       });
 
       const duplicates = [];
 
       for (const result of fuzzyResults) {
-        const similarity = result.score;
+        const similarity = this.nameSimilarity(targetName, result.original.normalizedName);
 
         // Only consider matches above the threshold
-        if (similarity >= this.FUZZY_THRESHOLD) {
+        if (similarity >= model.fuzzyThreshold) {
           const existingPartner = result.original;
 
           console.log(`🎯 Fuzzy match found: "${existingPartner.partnerName}" (${Math.round(similarity * 100)}%)`);
 
           // Get merge recommendation
-          const mergeAnalysis = await this.analyzeMergeCompatibility(request.ID, existingPartner);
+          const mergeAnalysis = await this.analyzeMergeCompatibility(request.ID, existingPartner, model);
 
           const duplicateResult = {
             matchType: 'FuzzyName',
             matchScore: similarity,
+            signals: { name: similarity },
             confidence: this.getConfidenceLevel(similarity),
             existingBpNumber: existingPartner.sapBpNumber,
             existingBpName: existingPartner.partnerName,
@@ -230,7 +386,7 @@ class EnhancedDuplicateService {
         }
       }
 
-      console.log(`📊 Found ${duplicates.length} fuzzy name matches above ${this.FUZZY_THRESHOLD * 100}% threshold`);
+      console.log(`📊 Found ${duplicates.length} fuzzy name matches above ${model.fuzzyThreshold * 100}% threshold`);
       return duplicates.sort((a, b) => b.matchScore - a.matchScore); // Sort by match score descending
 
     } catch (error) {
@@ -239,17 +395,461 @@ class EnhancedDuplicateService {
     }
   }
 
+  /**
+   * Match partner names by how they sound
+   * Catches spelling variants the fuzzy match misses ("Meyer GmbH" / "Maier AG",
+   * "Schmidt" / "Schmitt"). Names are compared word by word on their Double Metaphone
+   * and Cologne phonetic keys; the match type names the encodings that agree.
+   *
+   * @param {Object} request - Business partner request object
+   * @param {Object} [model] - Scoring model, loaded if not given
+   * @param {Array} [candidates] - Candidate partners of the blocking index, looked up if not given
+   * @returns {Promise<Array>} Array of phonetic name match results
+   */
+  async performPhoneticNameMatching(request, model = null, candidates = null) {
+    model = model || await DuplicateScoringModel.load();
+    const targetKeys = this.phoneticKeys(request.partnerName);
+    if (!targetKeys.metaphoneKey || this.normalizeName(request.partnerName).length < model.minNameLength) {
+      console.log('⚠️ Partner name too short for meaningful phonetic matching');
+      return [];
+    }
+
+    try {
+      const existingPartners = candidates || await this.blockingIndex.findCandidates(request);
+
+      const duplicates = [];
+
+      for (const existingPartner of existingPartners) {
+        if (existingPartner.sapBpNumber === request.existingBpNumber) continue;
+
+        const keys = await this.ensurePhoneticKeys(existingPartner);
+        const similarities = {
+          PhoneticMetaphone: PhoneticEncoder.metaphoneSimilarity(targetKeys, keys),
+          PhoneticCologne: PhoneticEncoder.colognePhoneticSimilarity(targetKeys, keys)
+        };
+        const matchTypes = Object.keys(similarities).filter(type => similarities[type] >= this.PHONETIC_THRESHOLD);
+        if (matchTypes.length === 0) continue;
+
+        const similarity = Math.max(...matchTypes.map(type => similarities[type]));
+        // Sounding alike is weaker evidence than being spelled alike
+        const signals = { phonetic: similarity };
+        const matchScore = DuplicateScoringModel.score(signals, model);
+
+        console.log(`🎯 Phonetic match found: "${existingPartner.partnerName}" (${matchTypes.join(', ')})`);
+
+        const mergeAnalysis = await this.analyzeMergeCompatibility(request.ID, existingPartner, model);
+
+        duplicates.push({
+          matchType: matchTypes.join('+'),
+          matchScore,
+          signals,
+          confidence: this.getConfidenceLevel(matchScore),
+          existingBpNumber: existingPartner.sapBpNumber,
+          existingBpName: existingPartner.partnerName,
+          matchDetails: `Phonetic name match: "${request.partnerName}" → "${existingPartner.partnerName}" (` +
+            matchTypes.map(type => `${type.replace('Phonetic', '')} ${Math.round(similarities[type] * 100)}%`).join(', ') + ')',
+
+          // Partner information
+          partnerStatus: existingPartner.status,
+          lastUpdated: existingPartner.lastUpdated,
+          sourceSystem: existingPartner.sourceSystem,
+          businessChannels: existingPartner.businessChannels,
+
+          // Merge decision analysis
+          canMerge: mergeAnalysis.canMerge,
+          mergeRecommendation: mergeAnalysis.recommendation,
+          mergeRisk: mergeAnalysis.risk,
+          compatibilityScore: mergeAnalysis.compatibilityScore
+        });
+      }
+
+      console.log(`📊 Found ${duplicates.length} phonetic name matches above ${this.PHONETIC_THRESHOLD * 100}% threshold`);
+      return duplicates.sort((a, b) => b.matchScore - a.matchScore);
+
+    } catch (error) {
+      console.error('❌ Error performing phonetic name matching:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Phonetic keys of a partner name, as stored on ExistingPartners
+   *
+   * @param {string} name - Partner name
+   * @returns {Object} { metaphoneKey, metaphoneAltKey, colognePhoneticKey }
+   */
+  phoneticKeys(name) {
+    // Legal form suffixes do not tell partners apart - "Meyer GmbH" and "Maier AG" sound alike
+    return PhoneticEncoder.encodeName(this.normalizeName(PhoneticEncoder.fold(name)));
+  }
+
+  /**
+   * Phonetic keys of an existing partner, computed and stored if missing
+   *
+   * @param {Object} existingPartner - ExistingPartners row
+   * @returns {Promise<Object>} Phonetic keys
+   */
+  async ensurePhoneticKeys(existingPartner) {
+    if (existingPartner.metaphoneKey && existingPartner.colognePhoneticKey) {
+      return existingPartner;
+    }
+
+    const keys = this.phoneticKeys(existingPartner.partnerName);
+    await UPDATE('mdm.db.ExistingPartners').set(keys).where({ ID: existingPartner.ID });
+    return keys;
+  }
+
+  /**
+   * Match the request's addresses against the known addresses of the candidate partners
+   * Catches partners without a VAT ID, such as US suppliers and natural persons.
+   * Each partner is rated by its best matching address pair.
+   *
+   * @param {Object} request - Business partner request object
+   * @param {Object} [model] - Scoring model, loaded if not given
+   * @param {Array} [candidates] - Candidate partners of the blocking index, looked up if not given
+   * @returns {Promise<Array>} Array of address match results
+   */
+  async checkAddressDuplicates(request, model = null, candidates = null) {
+    const requestAddresses = (await SELECT.from('mdm.db.PartnerAddresses').where({ request_ID: request.ID }))
+      .map(address => ({ address, normalized: this.addressMatcher.normalize(address) }))
+      .filter(({ normalized }) => normalized.street);
+
+    if (requestAddresses.length === 0) {
+      console.log('⚠️ No addresses on the request - skipping address matching');
+      return [];
+    }
+
+    try {
+      model = model || await DuplicateScoringModel.load();
+      const existingPartners = candidates || await this.blockingIndex.findCandidates(request);
+
+      const duplicates = [];
+
+      for (const existingPartner of existingPartners) {
+        if (existingPartner.sapBpNumber === request.existingBpNumber) continue;
+
+        let best = null;
+        for (const known of this.addressMatcher.partnerAddresses(existingPartner)) {
+          const normalizedKnown = this.addressMatcher.normalize(known);
+          for (const { address, normalized } of requestAddresses) {
+            const match = this.addressMatcher.compare(normalized, normalizedKnown);
+            if (match && (!best || match.score > best.score)) {
+              best = { ...match, address, known, normalized, normalizedKnown };
+            }
+          }
+        }
+
+        if (!best || best.score < this.ADDRESS_THRESHOLD) continue;
+
+        // Different companies can share a building
+        const signals = { address: best.score };
+        const matchScore = DuplicateScoringModel.score(signals, model);
+        console.log(`🎯 Address match found: "${existingPartner.partnerName}" at ${best.normalizedKnown.label} (${Math.round(best.score * 100)}%)`);
+
+        const mergeAnalysis = await this.analyzeMergeCompatibility(request.ID, existingPartner, model);
+
+        duplicates.push({
+          matchType: 'Address',
+          matchScore,
+          signals,
+          confidence: this.getConfidenceLevel(matchScore),
+          existingBpNumber: existingPartner.sapBpNumber,
+          existingBpName: existingPartner.partnerName,
+          matchDetails: `Address match: ${best.address.addressType} address "${best.normalized.label}" → ` +
+            `${best.known.addressType || 'known'} address "${best.normalizedKnown.label}" of "${existingPartner.partnerName}" (${Math.round(best.score * 100)}%)`,
+
+          // Partner information
+          partnerStatus: existingPartner.status,
+          lastUpdated: existingPartner.lastUpdated,
+          sourceSystem: existingPartner.sourceSystem,
+          businessChannels: existingPartner.businessChannels,
+
+          // Merge decision analysis
+          canMerge: mergeAnalysis.canMerge,
+          mergeRecommendation: mergeAnalysis.recommendation,
+          mergeRisk: mergeAnalysis.risk,
+          compatibilityScore: mergeAnalysis.compatibilityScore
+        });
+      }
+
+      console.log(`📊 Found ${duplicates.length} address matches above ${this.ADDRESS_THRESHOLD * 100}% threshold`);
+      return duplicates.sort((a, b) => b.matchScore - a.matchScore);
+
+    } catch (error) {
+      console.error('❌ Error performing address matching:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Flag bank accounts of the request that another partner already uses
+   * Paying a partner into someone else's account is a classic vendor fraud pattern,
+   * so every match is of high severity. Accounts of employee-like natural persons
+   * (employees, contact persons) are named as such. The matches are scored and
+   * banded, so the check can also be run on its own.
+   *
+   * @param {Object} request - Business partner request object
+   * @param {Object} [model] - Scoring model, loaded if not given
+   * @returns {Promise<Array>} Array of bank account match results
+   */
+  async checkBankAccountDuplicates(request, model = null) {
+    try {
+      const matches = await this.bankAccountMatcher.findAccountUsers(request);
+      if (matches.length === 0) return [];
+
+      model = model || await DuplicateScoringModel.load();
+      const country = await this.getRequestCountry(request.ID);
+      const duplicates = [];
+
+      for (const { account, owner } of matches) {
+        const usedBy = owner.type === 'Request'
+          ? `pending request ${owner.requestNumber} "${owner.name}"`
+          : `BP ${owner.bpNumber} "${owner.name}"`;
+        const employee = owner.employee ? ` - an employee-like natural person (${owner.employee})` : '';
+        const accountText = request.requestType === 'Update'
+          ? `New bank account ${account.label} of BP ${request.existingBpNumber}`
+          : `Bank account ${account.label}`;
+
+        console.log(`🚨 Bank account ${account.label} of request ${request.requestNumber} is used by ${usedBy}${employee}`);
+
+        duplicates.push({
+          matchType: 'BankAccount',
+          matchScore: 1.0, // Same account = 100%
+          signals: { bank: 1.0 },
+          confidence: 'Very High',
+          severity: 'High',
+          existingBpNumber: owner.bpNumber,
+          existingBpName: owner.name,
+          matchedRequestNumber: owner.requestNumber || null,
+          matchDetails: `${accountText} is already used by ${usedBy}${employee}`,
+
+          // Partner information
+          partnerStatus: owner.status,
+
+          // The account has to be verified with the partner - merging does not resolve it
+          canMerge: false,
+          mergeRecommendation: owner.employee
+            ? 'Possible vendor fraud - account belongs to an employee-like person, verify with the partner before approval'
+            : 'Verify the bank account with the partner before approval',
+          mergeRisk: 'High',
+          compatibilityScore: 0
+        });
+      }
+
+      console.log(`📊 Found ${duplicates.length} bank account(s) used by other partners`);
+      return this.applyScoringModel(duplicates, model, country);
+
+    } catch (error) {
+      console.error('❌ Error performing bank account matching:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Match the email domains of the request against the golden record email addresses
+   * A shared company domain is weak evidence on its own - subsidiaries and agencies
+   * use it too - but adds to the other signals. Mailbox provider domains are ignored.
+   *
+   * @param {Object} request - Business partner request object
+   * @param {Object} [model] - Scoring model, loaded if not given
+   * @returns {Promise<Array>} Array of email domain match results
+   */
+  async checkEmailDomainDuplicates(request, model = null) {
+    const emails = await SELECT.from('mdm.db.PartnerEmails').columns('emailAddress').where({ request_ID: request.ID });
+    const domains = [...new Set(emails.map(e => this.emailDomain(e.emailAddress)))]
+      .filter(domain => domain && !this.FREE_MAIL_DOMAINS.has(domain));
+
+    if (domains.length === 0) {
+      return [];
+    }
+
+    try {
+      model = model || await DuplicateScoringModel.load();
+
+      const domainsByPartner = new Map();
+      for (const domain of domains) {
+        const known = await SELECT.from('mdm.db.A_AddressEmailAddress')
+          .columns('BusinessPartner', 'EmailAddress')
+          .where({ EmailAddress: { like: `%@${domain}` } });
+
+        for (const { BusinessPartner, EmailAddress } of known) {
+          if (BusinessPartner === request.existingBpNumber || this.emailDomain(EmailAddress) !== domain) continue;
+          domainsByPartner.set(BusinessPartner, new Set([...(domainsByPartner.get(BusinessPartner) || []), domain]));
+        }
+      }
+
+      if (domainsByPartner.size === 0) return [];
+
+      const existingPartners = await SELECT.from('mdm.db.ExistingPartners')
+        .where({ sapBpNumber: { in: [...domainsByPartner.keys()] }, status: 'Active' });
+
+      const duplicates = [];
+
+      for (const existingPartner of existingPartners) {
+        const shared = [...domainsByPartner.get(existingPartner.sapBpNumber)];
+        const signals = { emailDomain: 1.0 };
+        const matchScore = DuplicateScoringModel.score(signals, model);
+
+        console.log(`🎯 Email domain match found: "${existingPartner.partnerName}" (${shared.join(', ')})`);
+
+        const mergeAnalysis = await this.analyzeMergeCompatibility(request.ID, existingPartner, model);
+
+        duplicates.push({
+          matchType: 'EmailDomain',
+          matchScore,
+          signals,
+          confidence: this.getConfidenceLevel(matchScore),
+          existingBpNumber: existingPartner.sapBpNumber,
+          existingBpName: existingPartner.partnerName,
+          matchDetails: `Email domain ${shared.join(', ')} is used by "${existingPartner.partnerName}"`,
+
+          // Partner information
+          partnerStatus: existingPartner.status,
+          lastUpdated: existingPartner.lastUpdated,
+          sourceSystem: existingPartner.sourceSystem,
+          businessChannels: existingPartner.businessChannels,
+
+          // Merge decision analysis
+          canMerge: mergeAnalysis.canMerge,
+          mergeRecommendation: mergeAnalysis.recommendation,
+          mergeRisk: mergeAnalysis.risk,
+          compatibilityScore: mergeAnalysis.compatibilityScore
+        });
+      }
+
+      console.log(`📊 Found ${duplicates.length} email domain matches`);
+      return duplicates;
+
+    } catch (error) {
+      console.error('❌ Error performing email domain matching:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Domain of an email address
+   *
+   * @param {string} emailAddress - Email address
+   * @returns {string|null} Lower-case domain
+   */
+  emailDomain(emailAddress) {
+    const at = (emailAddress || '').lastIndexOf('@');
+    return at > 0 ? emailAddress.slice(at + 1).trim().toLowerCase() || null : null;
+  }
+
+  /**
+   * Flag requests whose name matches another member of the same corporate group
+   * The group is the request's corporate group, or that of its parent partner.
+   *
+   * @param {Object} request - Business partner request object
+   * @param {Object} [model] - Scoring model, loaded if not given
+   * @returns {Promise<Array>} Array of corporate group name match results
+   */
+  async checkCorporateGroupDuplicates(request, model = null) {
+    let groupId = request.corporateGroup?.trim().toUpperCase();
+    if (!groupId && request.parentBpNumber) {
+      groupId = (await this.hierarchyService.getAssignment(request.parentBpNumber)).corporateGroup;
+    }
+
+    model = model || await DuplicateScoringModel.load();
+    const targetName = this.normalizeName(request.partnerName);
+    if (!groupId || targetName.length < model.minNameLength) {
+      return [];
+    }
+
+    console.log(`🏢 Matching "${request.partnerName}" against the members of corporate group ${groupId}...`);
+
+    try {
+      const members = (await this.hierarchyService.getGroupMembers(groupId))
+        .filter(member => member.bpNumber !== request.existingBpNumber && member.bpName);
+
+      const duplicates = [];
+
+      for (const member of members) {
+        const similarity = this.nameSimilarity(targetName, this.normalizeName(member.bpName));
+        if (similarity < this.GROUP_NAME_THRESHOLD) continue;
+
+        console.log(`🎯 Corporate group match found: "${member.bpName}" (${Math.round(similarity * 100)}%)`);
+
+        const existingPartner = await SELECT.one.from('mdm.db.ExistingPartners').where({ sapBpNumber: member.bpNumber }) || {
+          sapBpNumber: member.bpNumber,
+          partnerName: member.bpName,
+          partnerType: member.isSupplier && member.isCustomer ? 'Both' : (member.isCustomer ? 'Customer' : 'Supplier'),
+          status: 'Active'
+        };
+        const mergeAnalysis = await this.analyzeMergeCompatibility(request.ID, existingPartner, model);
+
+        duplicates.push({
+          matchType: 'CorporateGroupName',
+          matchScore: similarity,
+          signals: { name: similarity },
+          confidence: this.getConfidenceLevel(similarity),
+          existingBpNumber: member.bpNumber,
+          existingBpName: member.bpName,
+          matchDetails: `Name matches corporate group ${groupId} member "${member.bpName}" (${Math.round(similarity * 100)}%)`,
+
+          // Partner information
+          partnerStatus: existingPartner.status,
+          lastUpdated: existingPartner.lastUpdated,
+          sourceSystem: existingPartner.sourceSystem,
+          businessChannels: existingPartner.businessChannels,
+
+          // Merge decision analysis
+          canMerge: mergeAnalysis.canMerge,
+          mergeRecommendation: mergeAnalysis.recommendation,
+          mergeRisk: mergeAnalysis.risk,
+          compatibilityScore: mergeAnalysis.compatibilityScore
+        });
+      }
+
+      console.log(`📊 Found ${duplicates.length} corporate group name matches above ${this.GROUP_NAME_THRESHOLD * 100}% threshold`);
+      return duplicates;
+
+    } catch (error) {
+      console.error('❌ Error matching corporate group members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Similarity of two normalized names based on their edit distance
+   *
+   * @param {string} a - First normalized name
+   * @param {string} b - Second normalized name
+   * @returns {number} Similarity (0.0 to 1.0)
+   */
+  nameSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
   /**
    * Analyze merge compatibility between new request and existing partner
    * Provides intelligent merge recommendations based on business rules
    *
    * @param {string} requestId - UUID of the new request
    * @param {Object} existingPartner - Existing partner object
+   * @param {Object} model - Scoring model with the merge compatibility threshold
    * @returns {Promise<Object>} Merge analysis result
    */
-  async analyzeMergeCompatibility(requestId, existingPartner) {
+  async analyzeMergeCompatibility(requestId, existingPartner, model) {
     try {
-      const request = await SELECT.from('mdm.db.BusinessPartnerRequests').where({ ID: requestId });
+      const request = await SELECT.one.from('mdm.db.BusinessPartnerRequests').where({ ID: requestId });
 
       const analysis = {
         canMerge: false,
@@ -310,7 +910,7 @@ class EnhancedDuplicateService {
       // Final assessment
       analysis.canMerge = analysis.compatibilityScore >= 50;
 
-      if (analysis.compatibilityScore >= 80) {
+      if (analysis.compatibilityScore >= model.mergeCompatibilityThreshold) {
         analysis.recommendation = analysis.recommendation || 'Excellent merge candidate - high compatibility';
         analysis.risk = 'Low';
       } else if (analysis.compatibilityScore >= 60) {
@@ -362,12 +962,15 @@ class EnhancedDuplicateService {
 
   /**
    * Consolidate duplicate results and remove duplicates
-   * Handles cases where same partner is found through multiple methods
+   * Handles cases where same partner is found through multiple methods - the
+   * signals of all methods are combined into one score by the scoring model.
    *
    * @param {Array} duplicates - Array of duplicate match results
+   * @param {Object} model - Scoring model
+   * @param {string} country - ISO country code of the request's main address
    * @returns {Array} Consolidated and ranked duplicate results
    */
-  consolidateDuplicateResults(duplicates) {
+  consolidateDuplicateResults(duplicates, model, country) {
     if (!duplicates || duplicates.length === 0) {
       return [];
     }
@@ -378,25 +981,24 @@ class EnhancedDuplicateService {
     const grouped = {};
 
     for (const duplicate of duplicates) {
-      const key = duplicate.existingBpNumber;
+      // Pending requests without a BP number are told apart by their request number
+      const key = duplicate.existingBpNumber || duplicate.matchedRequestNumber;
 
       if (!grouped[key]) {
-        grouped[key] = duplicate;
+        grouped[key] = { ...duplicate, signals: { ...duplicate.signals } };
       } else {
-        // If same partner found through multiple methods, keep the higher match score
-        if (duplicate.matchScore > grouped[key].matchScore) {
-          // Combine match details
-          grouped[key].matchDetails += ` | ${duplicate.matchDetails}`;
-          grouped[key].matchScore = duplicate.matchScore;
-          grouped[key].matchType = `${grouped[key].matchType}+${duplicate.matchType}`;
-        } else {
-          grouped[key].matchDetails += ` | ${duplicate.matchDetails}`;
-          grouped[key].matchType = `${grouped[key].matchType}+${duplicate.matchType}`;
+        // Same partner found through multiple methods - combine match details and signals
+        grouped[key].matchDetails += ` | ${duplicate.matchDetails}`;
+        grouped[key].matchType = `${grouped[key].matchType}+${duplicate.matchType}`;
+        for (const [signal, value] of Object.entries(duplicate.signals || {})) {
+          grouped[key].signals[signal] = Math.max(grouped[key].signals[signal] || 0, value);
         }
+        // A high-severity signal keeps its severity whichever match scored higher
+        grouped[key].severity = grouped[key].severity || duplicate.severity;
       }
     }
 
-    const consolidated = Object.values(grouped);
+    const consolidated = this.applyScoringModel(Object.values(grouped), model, country);
 
     // Sort by match score (highest first) and then by compatibility score
     consolidated.sort((a, b) => {
@@ -410,13 +1012,47 @@ class EnhancedDuplicateService {
     return consolidated;
   }
 
+  /**
+   * Score duplicate results by their signals and assign their band
+   *
+   * @param {Array} duplicates - Duplicate match results with signals
+   * @param {Object} model - Scoring model
+   * @param {string} country - ISO country code of the request's main address
+   * @returns {Array} The duplicate results with matchScore, confidence and scoreBand
+   */
+  applyScoringModel(duplicates, model, country) {
+    for (const duplicate of duplicates) {
+      duplicate.matchScore = DuplicateScoringModel.score(duplicate.signals, model);
+      duplicate.confidence = this.getConfidenceLevel(duplicate.matchScore);
+      duplicate.scoreBand = DuplicateScoringModel.band(duplicate.matchScore, model, country);
+    }
+    return duplicates;
+  }
+
+  /**
+   * Country of the request's main address
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @returns {Promise<string|null>} ISO country code
+   */
+  async getRequestCountry(requestId) {
+    const address = await SELECT.one.from('mdm.db.PartnerAddresses')
+      .columns('country_code')
+      .where({ request_ID: requestId, addressType: 'Main' });
+    return address?.country_code || null;
+  }
+
   /**
    * Store duplicate check results in the database
+   * Results of earlier checks without a merge decision are replaced.
    *
    * @param {string} requestId - UUID of the business partner request
    * @param {Array} duplicates - Array of duplicate match results
    */
   async storeDuplicateCheckResults(requestId, duplicates) {
+    // A repeated check replaces the undecided results of the previous one
+    await DELETE.from('mdm.db.DuplicateChecks').where({ request_ID: requestId, mergeDecision: 'Pending' });
+
     if (!duplicates || duplicates.length === 0) {
       console.log('📝 No duplicates to store');
       return;
@@ -435,8 +1071,12 @@ class EnhancedDuplicateService {
           matchScore: duplicate.matchScore,
           existingBpNumber: duplicate.existingBpNumber,
           existingBpName: duplicate.existingBpName,
-          matchDetails: duplicate.matchDetails,
-          reviewRequired: duplicate.matchScore > 0.8, // High matches require review
+          matchDetails: duplicate.matchDetails?.substring(0, 500),
+          reviewRequired: this.isReviewRequired(duplicate),
+          scoreBand: duplicate.scoreBand || null,
+          signalScores: duplicate.signals ? JSON.stringify(duplicate.signals) : null,
+          severity: duplicate.severity || null,
+          matchedRequestNumber: duplicate.matchedRequestNumber || null,
 
           // Enhanced fields for established VAT ID matching
           establishedVatId: duplicate.establishedVatId || null,
@@ -472,36 +1112,64 @@ class EnhancedDuplicateService {
       return;
     }
 
-    // Check if any duplicates require review (high confidence matches)
-    const requiresReview = duplicates.some(d =>
-      d.matchScore >= 0.9 || d.matchType.includes('EstablishedVAT')
-    );
-
-    if (requiresReview) {
+    if (this.requiresReview(duplicates)) {
       console.log('🔄 Updating request status to DuplicateReview');
 
-      await UPDATE('mdm.db.BusinessPartnerRequests')
-        .set({ status: 'DuplicateReview' })
-        .where({ ID: requestId });
-
-      // Create approval history entry
-      const { v4: uuidv4 } = require('uuid');
-      await INSERT.into('mdm.db.ApprovalHistory').entries({
-        ID: uuidv4(),
-        request_ID: requestId,
-        approverUserId: 'system',
+      // Status change and approval history entry go through the state machine
+      await StatusTransitionEngine.transition(requestId, 'DuplicateReview', {
+        historyAction: 'DuplicateCheck',
         approverName: 'Enhanced Duplicate Service',
-        action: 'DuplicateCheck',
-        previousStatus: 'Submitted',
-        newStatus: 'DuplicateReview',
-        comments: `Found ${duplicates.length} potential duplicate(s) - manual review required`,
-        systemGenerated: true
+        comments: `Found ${duplicates.length} potential duplicate(s) - manual review required`
       });
 
       console.log('✅ Request status updated to DuplicateReview');
     }
   }
 
+  /**
+   * Whether duplicate results require a manual review
+   * Matches in the review and auto-block bands, and fraud indicators, do.
+   *
+   * @param {Array} duplicates - Scored duplicate match results
+   * @returns {boolean} True if any result requires review
+   */
+  requiresReview(duplicates) {
+    return (duplicates || []).some(d => this.isReviewRequired(d));
+  }
+
+  /**
+   * Whether a single duplicate result requires a manual review
+   *
+   * @param {Object} duplicate - Scored duplicate match result
+   * @returns {boolean} True if the result requires review
+   */
+  isReviewRequired(duplicate) {
+    return duplicate.scoreBand !== 'Info' || duplicate.severity === 'High';
+  }
+
+  /**
+   * Refuse the approval of a request with undecided matches in the auto-block band
+   * Such a request can be merged with the matched partner, rejected, or sent back
+   * for clarification.
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @throws {Error} Business rule error listing the blocking matches
+   */
+  async assertNotAutoBlocked(requestId) {
+    const blocking = await SELECT.from('mdm.db.DuplicateChecks')
+      .columns('existingBpNumber', 'matchedRequestNumber', 'matchType', 'matchScore')
+      .where({ request_ID: requestId, scoreBand: 'AutoBlock', mergeDecision: 'Pending' });
+
+    if (blocking.length === 0) return;
+
+    const matches = blocking.map(d =>
+      `${d.existingBpNumber ? `BP ${d.existingBpNumber}` : `request ${d.matchedRequestNumber}`} (${d.matchType}, ${Math.round(d.matchScore * 100)}%)`);
+    throw ErrorHandler.businessRuleError('DUPLICATE_AUTO_BLOCK',
+      `Approval blocked by duplicate match(es) in the auto-block band: ${matches.join(', ')}. ` +
+      'Merge with the existing partner, reject the request or request clarification',
+      { requestId, matches });
+  }
+
   /**
    * Normalize partner name for consistent comparison
    * Removes common business suffixes and standardizes format
@@ -567,6 +1235,13 @@ class EnhancedDuplicateService {
         totalDuplicates: duplicates.length,
         establishedVatMatches: duplicates.filter(d => d.matchType.includes('EstablishedVAT')).length,
         fuzzyNameMatches: duplicates.filter(d => d.matchType.includes('FuzzyName')).length,
+        phoneticNameMatches: duplicates.filter(d => d.matchType.includes('Phonetic')).length,
+        addressMatches: duplicates.filter(d => d.matchType.includes('Address')).length,
+        bankAccountMatches: duplicates.filter(d => d.matchType.includes('BankAccount')).length,
+        emailDomainMatches: duplicates.filter(d => d.matchType.includes('EmailDomain')).length,
+        autoBlockMatches: duplicates.filter(d => d.scoreBand === 'AutoBlock').length,
+        highSeverityMatches: duplicates.filter(d => d.severity === 'High').length,
+        corporateGroupMatches: duplicates.filter(d => d.matchType.includes('CorporateGroupName')).length,
         highConfidenceMatches: duplicates.filter(d => d.matchScore >= 0.95).length,
         mergeCandidates: duplicates.filter(d => d.canMerge).length,
         pendingDecisions: duplicates.filter(d => d.mergeDecision === 'Pending').length,
@@ -21,6 +21,7 @@ class ErrorHandler {
     UNAUTHORIZED: 'UNAUTHORIZED',
     FORBIDDEN: 'FORBIDDEN',
     INSUFFICIENT_PRIVILEGES: 'INSUFFICIENT_PRIVILEGES',
+    SEGREGATION_OF_DUTIES_VIOLATION: 'SEGREGATION_OF_DUTIES_VIOLATION',
 
     // Not Found Errors (404)
     ENTITY_NOT_FOUND: 'ENTITY_NOT_FOUND',
@@ -179,6 +180,7 @@ class ErrorHandler {
       [this.ERROR_CODES.UNAUTHORIZED]: 401,
       [this.ERROR_CODES.FORBIDDEN]: 403,
       [this.ERROR_CODES.INSUFFICIENT_PRIVILEGES]: 403,
+      [this.ERROR_CODES.SEGREGATION_OF_DUTIES_VIOLATION]: 403,
 
       [this.ERROR_CODES.ENTITY_NOT_FOUND]: 404,
       [this.ERROR_CODES.REQUEST_NOT_FOUND]: 404,
@@ -89,6 +89,12 @@ class InputValidator {
     // SAP BP number format
     SAP_BP_NUMBER: /^BP[0-9]{6}$/,
 
+    // Incoterms 2020 rules
+    INCOTERMS: /^(EXW|FCA|FAS|FOB|CFR|CIF|CPT|CIP|DAP|DPU|DDP)$/,
+
+    // Website URL (http or https)
+    URL: /^https?:\/\/[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+(:[0-9]{1,5})?([/?#][^\s]*)?$/i,
+
     // XSS/SQL Injection detection patterns
     SUSPICIOUS_PATTERNS: [
       /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
@@ -100,11 +106,32 @@ class InputValidator {
     ]
   };
 
+  /**
+   * International calling codes (ITU-T E.164) by ISO country code
+   */
+  static CALLING_CODES = {
+    'US': '1', 'CA': '1', 'MX': '52', 'BR': '55', 'AR': '54', 'CL': '56',
+    'GB': '44', 'IE': '353', 'DE': '49', 'AT': '43', 'CH': '41', 'FR': '33',
+    'BE': '32', 'NL': '31', 'LU': '352', 'IT': '39', 'ES': '34', 'PT': '351',
+    'DK': '45', 'SE': '46', 'NO': '47', 'FI': '358', 'PL': '48', 'CZ': '420',
+    'HU': '36', 'RU': '7', 'TR': '90', 'AE': '971', 'ZA': '27', 'IN': '91',
+    'CN': '86', 'HK': '852', 'JP': '81', 'KR': '82', 'SG': '65', 'AU': '61',
+    'NZ': '64'
+  };
+
+  /**
+   * National trunk prefixes that differ from '0' (empty = numbers are dialled without one)
+   */
+  static TRUNK_PREFIXES = {
+    'US': '1', 'CA': '1', 'RU': '8', 'IT': '', 'ES': '', 'PT': '', 'DK': '',
+    'NO': '', 'LU': '', 'SG': '', 'HK': '', 'MX': ''
+  };
+
   /**
    * Validate and sanitize business partner request data
    *
    * @param {Object} data - Business partner request data
-   * @param {string} requestType - 'Create' or 'Update'
+   * @param {string} requestType - 'Create', 'Update', 'Extend' or 'MassChange'
    * @returns {Object} Validation result with sanitized data
    */
   static validateBusinessPartnerRequest(data, requestType = 'Create') {
@@ -158,6 +185,21 @@ class InputValidator {
       requiredFields.push('existingBpNumber', 'changeDescription');
     }
 
+    // Mass changes name the change in partnerName and explain it for the audit trail
+    if (requestType === 'MassChange') {
+      requiredFields.push('changeDescription');
+    }
+
+    // Role extensions need the existing partner, customer extensions the customer account data
+    // (flat fields, unless the request carries customer company code segments)
+    if (requestType === 'Extend') {
+      requiredFields.push('existingBpNumber');
+      const hasCustomerSegments = (data.companyCodes || []).some(c => c.segmentType === 'Customer');
+      if ((data.entityType === 'Customer' || data.entityType === 'Both') && !hasCustomerSegments) {
+        requiredFields.push('customerReconAccount', 'customerCompanyCode', 'customerPaymentTerms');
+      }
+    }
+
     for (const field of requiredFields) {
       if (!data[field] || (typeof data[field] === 'string' && data[field].trim() === '')) {
         errors.push({
@@ -262,6 +304,31 @@ class InputValidator {
         recommendation: 'Use standard SAP payment terms codes'
       });
     }
+
+    // Customer account data
+    if (data.customerCompanyCode && !/^[A-Z0-9]{4}$/.test(data.customerCompanyCode)) {
+      errors.push({
+        field: 'customerCompanyCode',
+        message: 'Customer company code must be 4 alphanumeric characters',
+        severity: 'Error'
+      });
+    }
+
+    if (data.customerReconAccount && !/^[0-9]{1,10}$/.test(data.customerReconAccount)) {
+      errors.push({
+        field: 'customerReconAccount',
+        message: 'Customer reconciliation account must be a G/L account number (up to 10 digits)',
+        severity: 'Error'
+      });
+    }
+
+    if (data.customerPaymentTerms && !/^[A-Z0-9]{1,10}$/.test(data.customerPaymentTerms)) {
+      errors.push({
+        field: 'customerPaymentTerms',
+        message: 'Customer payment terms must be alphanumeric (up to 10 characters)',
+        severity: 'Error'
+      });
+    }
   }
 
   /**
@@ -294,16 +361,18 @@ class InputValidator {
       }
     }
 
+    // Requests for an existing partner
+    if ((requestType === 'Update' || requestType === 'Extend') && data.existingBpNumber
+      && !this.PATTERNS.SAP_BP_NUMBER.test(data.existingBpNumber)) {
+      errors.push({
+        field: 'existingBpNumber',
+        message: 'Invalid SAP BP number format (expected: BP######)',
+        severity: 'Error'
+      });
+    }
+
     // Update request validation
     if (requestType === 'Update') {
-      if (data.existingBpNumber && !this.PATTERNS.SAP_BP_NUMBER.test(data.existingBpNumber)) {
-        errors.push({
-          field: 'existingBpNumber',
-          message: 'Invalid SAP BP number format (expected: BP######)',
-          severity: 'Error'
-        });
-      }
-
       if (data.changeDescription && data.changeDescription.length < 10) {
         warnings.push({
           field: 'changeDescription',
@@ -532,7 +601,8 @@ class InputValidator {
   static validateSingleBank(bank, index, errors, warnings) {
     const prefix = `banks[${index}]`;
 
-    const requiredFields = ['bankName', 'accountNumber'];
+    // IBAN-only accounts carry no domestic account number
+    const requiredFields = bank.iban?.trim() ? ['bankName'] : ['bankName', 'accountNumber'];
     for (const field of requiredFields) {
       if (!bank[field] || bank[field].trim() === '') {
         errors.push({
@@ -588,6 +658,489 @@ class InputValidator {
     });
   }
 
+  /**
+   * Validate company code segments
+   * Each company code may appear once per segment type, and segments must
+   * belong to a role the request asks for.
+   */
+  static validateCompanyCodes(companyCodes, entityType, errors, warnings) {
+    const seen = new Set();
+    const allowedTypes = entityType === 'Both' ? ['Supplier', 'Customer'] : [entityType || 'Supplier'];
+
+    companyCodes.forEach((segment, index) => {
+      const prefix = `companyCodes[${index}]`;
+      const segmentType = segment.segmentType || 'Supplier';
+      const companyCode = (segment.companyCode || '').trim().toUpperCase();
+
+      if (!['Supplier', 'Customer'].includes(segmentType)) {
+        errors.push({
+          field: `${prefix}.segmentType`,
+          message: 'Segment type must be one of: Supplier, Customer',
+          severity: 'Error'
+        });
+      } else if (!allowedTypes.includes(segmentType)) {
+        errors.push({
+          field: `${prefix}.segmentType`,
+          message: `${segmentType} company code ${companyCode} does not match entity type ${entityType}`,
+          severity: 'Error'
+        });
+      }
+
+      if (!/^[A-Z0-9]{4}$/.test(companyCode)) {
+        errors.push({
+          field: `${prefix}.companyCode`,
+          message: 'Company code must be 4 alphanumeric characters',
+          severity: 'Error'
+        });
+      } else if (seen.has(`${segmentType}:${companyCode}`)) {
+        errors.push({
+          field: `${prefix}.companyCode`,
+          message: `${segmentType} company code ${companyCode} is listed more than once`,
+          severity: 'Error'
+        });
+      }
+      seen.add(`${segmentType}:${companyCode}`);
+
+      if (!segment.reconAccount) {
+        errors.push({
+          field: `${prefix}.reconAccount`,
+          message: `Reconciliation account is required for company code ${companyCode}`,
+          severity: 'Error'
+        });
+      } else if (!/^[0-9]{1,10}$/.test(segment.reconAccount)) {
+        errors.push({
+          field: `${prefix}.reconAccount`,
+          message: `Reconciliation account of company code ${companyCode} must be a G/L account number (up to 10 digits)`,
+          severity: 'Error'
+        });
+      }
+
+      if (segment.paymentTerms && !/^[A-Z0-9]{1,10}$/.test(segment.paymentTerms)) {
+        errors.push({
+          field: `${prefix}.paymentTerms`,
+          message: `Payment terms of company code ${companyCode} must be alphanumeric (up to 10 characters)`,
+          severity: 'Error'
+        });
+      } else if (!segment.paymentTerms) {
+        warnings.push({
+          field: `${prefix}.paymentTerms`,
+          message: `No payment terms for company code ${companyCode}`,
+          recommendation: 'Maintain payment terms so invoices are not due immediately'
+        });
+      }
+
+      // Withholding tax type and code only work together
+      if (!!segment.withholdingTaxType !== !!segment.withholdingTaxCode) {
+        errors.push({
+          field: `${prefix}.withholdingTaxCode`,
+          message: `Withholding tax of company code ${companyCode} needs both a type and a code`,
+          severity: 'Error'
+        });
+      }
+
+      if ((segment.dunningClerk || segment.dunningBlock) && !segment.dunningProcedure) {
+        warnings.push({
+          field: `${prefix}.dunningProcedure`,
+          message: `Dunning data of company code ${companyCode} has no dunning procedure`,
+          recommendation: 'Maintain a dunning procedure or remove the dunning clerk and block'
+        });
+      }
+    });
+  }
+
+  /**
+   * Validate purchasing organization segments
+   * Purchasing data belongs to the supplier role.
+   */
+  static validatePurchasingOrgs(purchasingOrgs, entityType, errors, warnings) {
+    const seen = new Set();
+
+    if (purchasingOrgs.length > 0 && entityType === 'Customer') {
+      errors.push({
+        field: 'purchasingOrgs',
+        message: 'Purchasing organizations can only be maintained for suppliers',
+        severity: 'Error'
+      });
+    }
+
+    purchasingOrgs.forEach((purchasingOrg, index) => {
+      const prefix = `purchasingOrgs[${index}]`;
+      const code = (purchasingOrg.purchasingOrg || '').trim().toUpperCase();
+
+      if (!/^[A-Z0-9]{4}$/.test(code)) {
+        errors.push({
+          field: `${prefix}.purchasingOrg`,
+          message: 'Purchasing organization must be 4 alphanumeric characters',
+          severity: 'Error'
+        });
+      } else if (seen.has(code)) {
+        errors.push({
+          field: `${prefix}.purchasingOrg`,
+          message: `Purchasing organization ${code} is listed more than once`,
+          severity: 'Error'
+        });
+      }
+      seen.add(code);
+
+      if (!purchasingOrg.orderCurrency_code) {
+        errors.push({
+          field: `${prefix}.orderCurrency_code`,
+          message: `Order currency is required for purchasing organization ${code}`,
+          severity: 'Error'
+        });
+      } else if (!this.PATTERNS.CURRENCY.test(purchasingOrg.orderCurrency_code)) {
+        errors.push({
+          field: `${prefix}.orderCurrency_code`,
+          message: 'Order currency must be a valid 3-letter ISO code',
+          severity: 'Error'
+        });
+      }
+
+      if (purchasingOrg.purchasingGroup && !/^[A-Z0-9]{3}$/.test(purchasingOrg.purchasingGroup)) {
+        errors.push({
+          field: `${prefix}.purchasingGroup`,
+          message: 'Purchasing group must be 3 alphanumeric characters',
+          severity: 'Error'
+        });
+      }
+
+      if (purchasingOrg.minimumOrderAmount !== undefined && purchasingOrg.minimumOrderAmount !== null &&
+          Number(purchasingOrg.minimumOrderAmount) < 0) {
+        errors.push({
+          field: `${prefix}.minimumOrderAmount`,
+          message: 'Minimum order amount cannot be negative',
+          severity: 'Error'
+        });
+      }
+
+      this.validateIncoterms(purchasingOrg, prefix, `purchasing organization ${code}`, errors, warnings);
+    });
+  }
+
+  /**
+   * Validate sales area segments
+   * Sales data belongs to the customer role; a sales area is the combination
+   * of sales organization, distribution channel and division.
+   */
+  static validateSalesAreas(salesAreas, entityType, errors, warnings) {
+    const seen = new Set();
+
+    if (salesAreas.length > 0 && (entityType || 'Supplier') === 'Supplier') {
+      errors.push({
+        field: 'salesAreas',
+        message: 'Sales areas can only be maintained for customers',
+        severity: 'Error'
+      });
+    }
+
+    salesAreas.forEach((salesArea, index) => {
+      const prefix = `salesAreas[${index}]`;
+      const salesOrg = (salesArea.salesOrg || '').trim().toUpperCase();
+      const key = `${salesOrg}/${salesArea.distributionChannel || ''}/${salesArea.division || ''}`;
+
+      if (!/^[A-Z0-9]{4}$/.test(salesOrg)) {
+        errors.push({
+          field: `${prefix}.salesOrg`,
+          message: 'Sales organization must be 4 alphanumeric characters',
+          severity: 'Error'
+        });
+      }
+
+      for (const field of ['distributionChannel', 'division']) {
+        if (!/^[A-Z0-9]{2}$/.test(salesArea[field] || '')) {
+          errors.push({
+            field: `${prefix}.${field}`,
+            message: `${field} of sales area ${key} must be 2 alphanumeric characters`,
+            severity: 'Error'
+          });
+        }
+      }
+
+      if (seen.has(key)) {
+        errors.push({
+          field: `${prefix}.salesOrg`,
+          message: `Sales area ${key} is listed more than once`,
+          severity: 'Error'
+        });
+      }
+      seen.add(key);
+
+      if (salesArea.currency_code && !this.PATTERNS.CURRENCY.test(salesArea.currency_code)) {
+        errors.push({
+          field: `${prefix}.currency_code`,
+          message: 'Currency code must be a valid 3-letter ISO code',
+          severity: 'Error'
+        });
+      } else if (!salesArea.currency_code) {
+        warnings.push({
+          field: `${prefix}.currency_code`,
+          message: `No currency for sales area ${key}`,
+          recommendation: 'Maintain the customer currency so orders are priced correctly'
+        });
+      }
+
+      if (!salesArea.shippingCondition) {
+        warnings.push({
+          field: `${prefix}.shippingCondition`,
+          message: `No shipping condition for sales area ${key}`,
+          recommendation: 'Maintain a shipping condition for delivery scheduling'
+        });
+      }
+
+      this.validateIncoterms(salesArea, prefix, `sales area ${key}`, errors, warnings);
+    });
+  }
+
+  /**
+   * Validate the incoterms of a segment - a location is needed with every rule
+   */
+  static validateIncoterms(segment, prefix, label, errors, warnings) {
+    if (!segment.incoterms) {
+      if (segment.incotermsLocation) {
+        warnings.push({
+          field: `${prefix}.incoterms`,
+          message: `Incoterms location of ${label} has no incoterms rule`,
+          recommendation: 'Maintain the incoterms rule or remove the location'
+        });
+      }
+      return;
+    }
+
+    if (!this.PATTERNS.INCOTERMS.test(segment.incoterms.toUpperCase())) {
+      errors.push({
+        field: `${prefix}.incoterms`,
+        message: `Incoterms of ${label} must be an Incoterms 2020 rule (EXW, FCA, FAS, FOB, CFR, CIF, CPT, CIP, DAP, DPU, DDP)`,
+        severity: 'Error'
+      });
+    } else if (!segment.incotermsLocation) {
+      errors.push({
+        field: `${prefix}.incotermsLocation`,
+        message: `Incoterms ${segment.incoterms.toUpperCase()} of ${label} need a location`,
+        severity: 'Error'
+      });
+    }
+  }
+
+  /**
+   * Validate contact persons
+   * Contacts become person BPs, so each needs a last name; email and phone
+   * use the same patterns as the partner's own communication data.
+   */
+  static validateContacts(contacts, errors, warnings) {
+    const seenEmails = new Set();
+
+    if (contacts.filter(contact => contact.isPrimary).length > 1) {
+      errors.push({
+        field: 'contacts',
+        message: 'Only one contact person can be set as primary',
+        severity: 'Error'
+      });
+    }
+
+    contacts.forEach((contact, index) => {
+      const prefix = `contacts[${index}]`;
+      const name = [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+
+      if (!contact.lastName || !contact.lastName.trim()) {
+        errors.push({
+          field: `${prefix}.lastName`,
+          message: 'Last name is required for contact persons',
+          severity: 'Error'
+        });
+      }
+
+      if (contact.email) {
+        const email = contact.email.trim().toLowerCase();
+        if (!this.PATTERNS.EMAIL.test(email)) {
+          errors.push({
+            field: `${prefix}.email`,
+            message: `Email address of contact ${name} is not valid`,
+            severity: 'Error'
+          });
+        } else if (seenEmails.has(email)) {
+          warnings.push({
+            field: `${prefix}.email`,
+            message: `Email address ${email} is used by more than one contact person`,
+            recommendation: 'Give each contact person their own email address'
+          });
+        }
+        seenEmails.add(email);
+      }
+
+      if (contact.phone && !this.PATTERNS.PHONE.test(contact.phone.replace(/\s/g, ''))) {
+        errors.push({
+          field: `${prefix}.phone`,
+          message: `Phone number of contact ${name} must be in international format (e.g. +4930123456)`,
+          severity: 'Error'
+        });
+      }
+
+      if (!contact.email && !contact.phone) {
+        warnings.push({
+          field: prefix,
+          message: `Contact ${name} has neither email address nor phone number`,
+          recommendation: 'Add at least one way to reach the contact person'
+        });
+      }
+    });
+  }
+
+  /**
+   * Validate phone, mobile, fax and website entries
+   * Numbers must convert to E.164 using the country of their address (the
+   * default address if none is referenced); websites must be http(s) URLs.
+   */
+  static validateCommunications(communications, addresses, errors, warnings) {
+    const validTypes = ['Phone', 'Mobile', 'Fax', 'Website'];
+    const defaultAddress = (addresses || []).find(a => a.isDefault) || (addresses || [])[0];
+    const defaults = new Set();
+
+    communications.forEach((communication, index) => {
+      const prefix = `communications[${index}]`;
+      const address = communication.address_ID
+        ? (addresses || []).find(a => a.ID === communication.address_ID)
+        : defaultAddress;
+
+      if (!validTypes.includes(communication.commType)) {
+        errors.push({
+          field: `${prefix}.commType`,
+          message: `Communication type must be one of: ${validTypes.join(', ')}`,
+          severity: 'Error'
+        });
+        return;
+      }
+
+      if (communication.address_ID && !address) {
+        errors.push({
+          field: `${prefix}.address_ID`,
+          message: `${communication.commType} ${communication.value || ''} refers to an address that is not part of the request`,
+          severity: 'Error'
+        });
+      }
+
+      if (communication.isDefault) {
+        const key = `${communication.address_ID || 'default'}|${communication.commType}`;
+        if (defaults.has(key)) {
+          errors.push({
+            field: `${prefix}.isDefault`,
+            message: `Only one ${communication.commType.toLowerCase()} entry can be the default of an address`,
+            severity: 'Error'
+          });
+        }
+        defaults.add(key);
+      }
+
+      if (communication.commType === 'Website') {
+        if (!this.normalizeUrl(communication.value)) {
+          errors.push({
+            field: `${prefix}.value`,
+            message: `Website ${communication.value || ''} is not a valid http or https address`,
+            severity: 'Error'
+          });
+        }
+        return;
+      }
+
+      const country = address?.country_code;
+      const number = this.normalizePhoneNumber(communication.value, country);
+      if (!number) {
+        errors.push({
+          field: `${prefix}.value`,
+          message: `${communication.commType} number ${communication.value || ''} cannot be converted to international format${country ? ` for country ${country}` : ' - enter it with country code (e.g. +4930123456)'}`,
+          severity: 'Error'
+        });
+      } else if (country && this.CALLING_CODES[country] && number.callingCode !== this.CALLING_CODES[country]) {
+        warnings.push({
+          field: `${prefix}.value`,
+          message: `${communication.commType} number ${number.e164} has a different country code than its address (${country})`,
+          recommendation: 'Check that the number belongs to this address'
+        });
+      }
+
+      if (communication.extension && !/^[0-9]{1,10}$/.test(communication.extension)) {
+        errors.push({
+          field: `${prefix}.extension`,
+          message: 'Extension must be 1-10 digits',
+          severity: 'Error'
+        });
+      }
+    });
+  }
+
+  /**
+   * Normalize a phone or fax number to E.164
+   * Accepts international numbers (+ or 00 prefix) and national numbers,
+   * which take the calling code of the given country after the trunk prefix
+   * is dropped. A trailing extension (ext. 12, x12) is split off.
+   * International numbers with a calling code outside CALLING_CODES are taken
+   * as entered, without splitting off the national number.
+   *
+   * @param {string} value - Number as entered
+   * @param {string} countryCode - ISO country of the address
+   * @returns {Object|null} { e164, callingCode, nationalNumber, extension } or null if not convertible -
+   *   callingCode and nationalNumber are null for calling codes outside CALLING_CODES
+   */
+  static normalizePhoneNumber(value, countryCode) {
+    if (!value || typeof value !== 'string') return null;
+
+    const extensionMatch = value.match(/\s*(?:ext\.?|x|#)\s*([0-9]{1,10})\s*$/i);
+    const extension = extensionMatch ? extensionMatch[1] : null;
+    let number = (extensionMatch ? value.slice(0, extensionMatch.index) : value)
+      .replace(/\(0\)/g, '')
+      .replace(/[\s\-./()]/g, '');
+
+    const callingCode = this.CALLING_CODES[countryCode];
+    const internationalPrefix = callingCode === '1' ? '011' : '00';
+    let international = false;
+
+    if (number.startsWith('+')) {
+      number = number.slice(1);
+      international = true;
+    } else if (number.startsWith(internationalPrefix)) {
+      number = number.slice(internationalPrefix.length);
+      international = true;
+    }
+
+    if (!/^[0-9]+$/.test(number)) return null;
+
+    let nationalNumber;
+    let code;
+    if (international) {
+      code = callingCode && number.startsWith(callingCode)
+        ? callingCode
+        : [3, 2, 1].map(length => number.slice(0, length)).find(prefix => Object.values(this.CALLING_CODES).includes(prefix));
+      if (!code) {
+        const e164 = `+${number}`;
+        return this.PATTERNS.PHONE.test(e164) ? { e164, callingCode: null, nationalNumber: null, extension } : null;
+      }
+      nationalNumber = number.slice(code.length);
+    } else {
+      if (!callingCode) return null;
+      const trunkPrefix = this.TRUNK_PREFIXES[countryCode] ?? '0';
+      code = callingCode;
+      nationalNumber = trunkPrefix && number.startsWith(trunkPrefix) ? number.slice(trunkPrefix.length) : number;
+    }
+
+    const e164 = `+${code}${nationalNumber}`;
+    if (nationalNumber.length < 4 || !this.PATTERNS.PHONE.test(e164)) return null;
+
+    return { e164, callingCode: code, nationalNumber, extension };
+  }
+
+  /**
+   * Normalize a website address, adding https:// if no scheme is given
+   *
+   * @param {string} value - Website as entered
+   * @returns {string|null} URL or null if not valid
+   */
+  static normalizeUrl(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const trimmed = value.trim();
+    const url = /^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+    return this.PATTERNS.URL.test(url) ? url : null;
+  }
+
   /**
    * Security validation - check for XSS, SQL injection, etc.
    */
@@ -677,8 +1230,8 @@ class InputValidator {
     errors.push(...mainValidation.errors);
     warnings.push(...mainValidation.warnings);
 
-    // 2. Validate addresses
-    if (requestData.addresses) {
+    // 2. Validate addresses (role extensions and mass changes keep the addresses of the existing partners)
+    if (requestData.addresses && requestData.requestType !== 'Extend' && requestData.requestType !== 'MassChange') {
       this.validateAddresses(requestData.addresses, errors, warnings);
     }
 
@@ -697,6 +1250,29 @@ class InputValidator {
       this.validateBanks(requestData.banks, errors, warnings);
     }
 
+    // 6. Validate company code segments
+    if (requestData.companyCodes) {
+      this.validateCompanyCodes(requestData.companyCodes, requestData.entityType, errors, warnings);
+    }
+
+    // 7. Validate purchasing organization and sales area segments
+    if (requestData.purchasingOrgs) {
+      this.validatePurchasingOrgs(requestData.purchasingOrgs, requestData.entityType, errors, warnings);
+    }
+    if (requestData.salesAreas) {
+      this.validateSalesAreas(requestData.salesAreas, requestData.entityType, errors, warnings);
+    }
+
+    // 8. Validate contact persons
+    if (requestData.contacts) {
+      this.validateContacts(requestData.contacts, errors, warnings);
+    }
+
+    // 9. Validate phone, fax and website data
+    if (requestData.communications) {
+      this.validateCommunications(requestData.communications, requestData.addresses, errors, warnings);
+    }
+
     return {
       isValid: errors.length === 0,
       errors,
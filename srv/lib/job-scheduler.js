@@ -0,0 +1,109 @@
+/**
+ * Job Scheduler
+ * Runs the background job of a service at an interval read from SystemConfiguration:
+ * - The interval is read once when the scheduler starts
+ * - Runs never overlap; a failed run is logged and the next tick tries again
+ * - The timer does not keep the process alive
+ *
+ * @class JobScheduler
+ */
+class JobScheduler {
+
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {string} options.name - Job name used in log messages
+   * @param {string} options.icon - Log prefix of the job
+   * @param {string} options.intervalKey - SystemConfiguration key holding the interval in minutes
+   * @param {number} options.defaultIntervalMinutes - Interval when the key is not maintained
+   * @param {Function} options.job - Async function running one check
+   */
+  constructor({ name, icon, intervalKey, defaultIntervalMinutes, job }) {
+    this.name = name;
+    this.icon = icon;
+    this.intervalKey = intervalKey;
+    this.defaultIntervalMinutes = defaultIntervalMinutes;
+    this.job = job;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Read the active SystemConfiguration entries of a key prefix
+   *
+   * @param {string} prefix - Key prefix, e.g. SLA_
+   * @returns {Promise<Object>} Map of configKey to configValue
+   */
+  static async readConfig(prefix) {
+    const entries = await SELECT.from('mdm.db.SystemConfiguration')
+      .columns('configKey', 'configValue')
+      .where({ configKey: { like: `${prefix}%` }, isActive: true });
+
+    return Object.fromEntries(entries.map(e => [e.configKey, e.configValue]));
+  }
+
+  /**
+   * Get the configured run interval
+   *
+   * @returns {Promise<number>} Interval in minutes
+   */
+  async getIntervalMinutes() {
+    const config = await SELECT.one.from('mdm.db.SystemConfiguration')
+      .columns('configValue')
+      .where({ configKey: this.intervalKey, isActive: true });
+    const minutes = parseFloat(config?.configValue);
+
+    return minutes > 0 ? minutes : this.defaultIntervalMinutes;
+  }
+
+  /**
+   * Start the background scheduler
+   *
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.timer) return;
+
+    let intervalMinutes = this.defaultIntervalMinutes;
+    try {
+      intervalMinutes = await this.getIntervalMinutes();
+    } catch (error) {
+      console.warn(`⚠️ ${this.name} configuration not available, using defaults:`, error.message);
+    }
+
+    this.timer = setInterval(() => this.run(), intervalMinutes * 60 * 1000);
+    // Do not keep the process alive for the scheduler alone
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`${this.icon} ${this.name} scheduler started (interval: ${intervalMinutes} min)`);
+  }
+
+  /**
+   * Stop the background scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Scheduler tick - never overlaps
+   *
+   * @returns {Promise<void>}
+   */
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.job();
+    } catch (error) {
+      console.error(`❌ ${this.name} run failed:`, error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,636 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const ErrorHandler = require('./error-handler');
+const StatusTransitionEngine = require('./status-transition-engine');
+const JobScheduler = require('./job-scheduler');
+
+/**
+ * Mass Change Service
+ * Applies the same field changes to many existing partners through one request:
+ * - Selects partners by a filter on A_Supplier / A_Customer and/or an uploaded BP number list
+ * - Previews the changes per partner and stores them for the approvers
+ *   (RequestFieldChanges with the partner's bpNumber, MassChangeItems per partner)
+ * - After approval a background job applies the changes in chunks, each partner in
+ *   its own transaction, and records per-partner success or failure
+ *
+ * Mass changes cover header data and company code, purchasing organization and
+ * sales area segments - fields such as payment terms, reconciliation account or
+ * dunning data. Existing records are changed; segments are neither added nor removed.
+ *
+ * Configuration (SystemConfiguration):
+ * - MASS_CHANGE_CHUNK_SIZE: partners applied per request and scheduler run
+ * - MASS_CHANGE_INTERVAL_MINUTES: scheduler interval
+ * - MASS_CHANGE_MAX_PARTNERS: largest selection a request may have
+ *
+ * @class MassChangeService
+ */
+class MassChangeService {
+
+  /**
+   * @param {PartnerChangeService} partnerChangeService - Golden record snapshots and field change application
+   * @param {BusinessPartnerMaterializer} materializer - Records the request as source of the changed data
+   * @param {NotificationService} notificationService - Creates the satellite change notifications
+   */
+  constructor(partnerChangeService, materializer, notificationService) {
+    this.partnerChangeService = partnerChangeService;
+    this.materializer = materializer;
+    this.notificationService = notificationService;
+    const sections = partnerChangeService.SECTIONS;
+    // Names and search terms differ per partner and are left out
+    this.FIELDS = {
+      Header: ['CorrespondenceLanguage', 'Language', 'Industry'],
+      SupplierCompany: sections.SupplierCompany.fields,
+      CustomerCompany: sections.CustomerCompany.fields,
+      PurchasingOrg: sections.PurchasingOrg.fields,
+      SalesArea: sections.SalesArea.fields
+    };
+    this.SELECTIONS = {
+      Supplier: { entity: 'mdm.db.A_Supplier', keyField: 'Supplier' },
+      Customer: { entity: 'mdm.db.A_Customer', keyField: 'Customer' }
+    };
+    this.defaults = {
+      chunkSize: 50,
+      maxPartners: 1000
+    };
+    this.QUERY_BATCH_SIZE = 500;
+    this.scheduler = new JobScheduler({
+      name: 'Mass change',
+      icon: '📋',
+      intervalKey: 'MASS_CHANGE_INTERVAL_MINUTES',
+      defaultIntervalMinutes: 1,
+      job: () => this.processPending()
+    });
+  }
+
+  /**
+   * Load mass change configuration
+   *
+   * @returns {Promise<Object>} Configuration merged with defaults
+   */
+  async getConfig() {
+    const config = await JobScheduler.readConfig('MASS_CHANGE_');
+    const chunkSize = parseInt(config.MASS_CHANGE_CHUNK_SIZE, 10);
+    const maxPartners = parseInt(config.MASS_CHANGE_MAX_PARTNERS, 10);
+
+    return {
+      chunkSize: chunkSize > 0 ? chunkSize : this.defaults.chunkSize,
+      maxPartners: maxPartners > 0 ? maxPartners : this.defaults.maxPartners
+    };
+  }
+
+  /**
+   * Check the selection and field changes of a mass change request
+   *
+   * @param {Object} request - Mass change request
+   * @param {Array} fields - MassChangeFields of the request
+   * @returns {Object} { filter, bpNumbers } parsed selection
+   * @throws {Error} Validation error for an empty selection or an invalid field change
+   */
+  validateRequest(request, fields) {
+    const filter = this.parseFilter(request);
+    const bpNumbers = this.parseBpNumbers(request.massChangeBpNumbers);
+
+    if (Object.keys(filter).length === 0 && bpNumbers.length === 0) {
+      throw ErrorHandler.validationError('massChangeFilter',
+        'Select the partners to change with a filter or a list of BP numbers', null);
+    }
+
+    if (fields.length === 0) {
+      throw ErrorHandler.validationError('massChangeFields', 'A mass change request needs at least one field change', null);
+    }
+
+    const seen = new Set();
+    for (const field of fields) {
+      const allowed = this.FIELDS[field.section];
+      if (!allowed) {
+        throw ErrorHandler.validationError('section',
+          `Section ${field.section} cannot be mass changed (allowed: ${Object.keys(this.FIELDS).join(', ')})`, field.section);
+      }
+      if (!allowed.includes(field.fieldName)) {
+        throw ErrorHandler.validationError('fieldName',
+          `Field ${field.fieldName} of section ${field.section} cannot be mass changed`, field.fieldName);
+      }
+      if (field.section === 'Header' && field.recordKey) {
+        throw ErrorHandler.validationError('recordKey', 'Header fields have no record key', field.recordKey);
+      }
+
+      const key = [field.section, field.recordKey || '', field.fieldName, field.currentValue || ''].join('|');
+      if (seen.has(key)) {
+        throw ErrorHandler.validationError('fieldName',
+          `Field ${field.fieldName} of section ${field.section} is changed twice`, field.fieldName);
+      }
+      seen.add(key);
+
+      this.validateValue(this.entityOf(field.section), field.fieldName, field.newValue);
+    }
+
+    return { filter, bpNumbers };
+  }
+
+  /**
+   * Check a new value against the type of its golden record field
+   *
+   * @param {string} entity - Golden record entity
+   * @param {string} fieldName - Field name
+   * @param {string} value - New value (empty clears the field)
+   * @throws {Error} Validation error if the value does not fit the field
+   */
+  validateValue(entity, fieldName, value) {
+    if (value === undefined || value === null || value === '') return;
+
+    const element = cds.model?.definitions[entity]?.elements[fieldName];
+    if (!element) return;
+
+    if (element.type === 'cds.Boolean' && value !== 'true' && value !== 'false') {
+      throw ErrorHandler.validationError(fieldName, `${fieldName} must be 'true' or 'false'`, value);
+    }
+    if (['cds.Decimal', 'cds.Integer', 'cds.Double'].includes(element.type) && Number.isNaN(Number(value))) {
+      throw ErrorHandler.validationError(fieldName, `${fieldName} must be a number`, value);
+    }
+    if (element.type === 'cds.String' && element.length && value.length > element.length) {
+      throw ErrorHandler.validationError(fieldName, `${fieldName} cannot exceed ${element.length} characters`, value);
+    }
+  }
+
+  /**
+   * Read the selection filter of a request
+   * The filter compares fields of A_Supplier or A_Customer (by entityType) with a
+   * value, or with a list of values.
+   *
+   * @param {Object} request - Mass change request
+   * @returns {Object} CQN where object, empty if the request has no filter
+   * @throws {Error} Validation error for invalid JSON or unknown fields
+   */
+  parseFilter(request) {
+    if (!request.massChangeFilter?.trim()) return {};
+
+    let filter;
+    try {
+      filter = JSON.parse(request.massChangeFilter);
+    } catch (error) {
+      throw ErrorHandler.validationError('massChangeFilter', `Selection filter is not valid JSON: ${error.message}`, request.massChangeFilter);
+    }
+
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      throw ErrorHandler.validationError('massChangeFilter',
+        'Selection filter must be an object of field names and values', request.massChangeFilter);
+    }
+
+    const selections = this.getSelections(request);
+    const where = {};
+    for (const [field, value] of Object.entries(filter)) {
+      for (const selection of selections) {
+        const element = cds.model?.definitions[selection.entity]?.elements[field];
+        if (!element || element.isAssociation) {
+          throw ErrorHandler.validationError('massChangeFilter',
+            `${selection.entity.split('.').pop()} has no field ${field}`, field);
+        }
+      }
+
+      const values = Array.isArray(value) ? value : [value];
+      if (values.length === 0 || values.some(v => v !== null && typeof v === 'object')) {
+        throw ErrorHandler.validationError('massChangeFilter', `Filter on ${field} needs a value or a list of values`, field);
+      }
+      where[field] = Array.isArray(value) ? { in: value } : value;
+    }
+
+    return where;
+  }
+
+  /**
+   * Split an uploaded list of BP numbers
+   *
+   * @param {string} text - BP numbers separated by commas, semicolons or whitespace
+   * @returns {Array} Unique BP numbers in upload order
+   */
+  parseBpNumbers(text) {
+    if (!text) return [];
+    return [...new Set(text.split(/[\s,;]+/).map(bp => bp.trim().toUpperCase()).filter(Boolean))];
+  }
+
+  /**
+   * Get the partner entities a request selects from
+   *
+   * @param {Object} request - Mass change request
+   * @returns {Array} Selection definitions
+   */
+  getSelections(request) {
+    if (request.entityType === 'Customer') return [this.SELECTIONS.Customer];
+    if (request.entityType === 'Both') return [this.SELECTIONS.Supplier, this.SELECTIONS.Customer];
+    return [this.SELECTIONS.Supplier];
+  }
+
+  /**
+   * Compute the per-partner changes of a mass change request and store them for review
+   * Replaces an earlier preview.
+   *
+   * @param {Object} request - Mass change request
+   * @returns {Promise<Object>} { selectedCount, affectedCount, unchangedCount, excludedCount, changeCount }
+   * @throws {Error} Validation error for an invalid request, business rule violation for too large a selection
+   */
+  async preview(request) {
+    const fields = await SELECT.from('mdm.db.MassChangeFields').where({ request_ID: request.ID });
+    const selection = this.validateRequest(request, fields);
+    const config = await this.getConfig();
+
+    const { partners, excluded } = await this.resolveSelection(request, selection);
+    if (partners.length > config.maxPartners) {
+      throw ErrorHandler.businessRuleError('MASS_CHANGE_TOO_LARGE',
+        `Selection contains ${partners.length} partners - a mass change request can change at most ${config.maxPartners}`,
+        { selectedCount: partners.length, maxPartners: config.maxPartners });
+    }
+
+    const bpNumbers = partners.map(p => p.BusinessPartner);
+    const sections = [...new Set(fields.map(f => f.section).filter(s => s !== 'Header'))];
+    const [snapshots, openRequests] = await Promise.all([
+      this.loadSnapshots(bpNumbers, partners, sections),
+      this.getOpenRequests(bpNumbers)
+    ]);
+
+    const items = excluded.map(e => this.item(request, e.bpNumber, e.partnerName, 'Excluded', [], e.message));
+    const changes = [];
+    for (const partner of partners) {
+      const bpNumber = partner.BusinessPartner;
+      const partnerChanges = this.buildChanges(snapshots.get(bpNumber), fields, bpNumber);
+      const openRequest = openRequests.get(bpNumber);
+
+      items.push(this.item(request, bpNumber, partner.BusinessPartnerName,
+        partnerChanges.length > 0 ? 'Pending' : 'NoChange', partnerChanges,
+        openRequest && partnerChanges.length > 0 ? `Change request ${openRequest} for this partner is in review` : null));
+      changes.push(...partnerChanges.map(c => ({ ID: uuidv4(), request_ID: request.ID, bpNumber, ...c })));
+    }
+
+    await DELETE.from('mdm.db.MassChangeItems').where({ request_ID: request.ID });
+    await DELETE.from('mdm.db.RequestFieldChanges').where({ request_ID: request.ID });
+    for (const batch of this.batches(items)) {
+      await INSERT.into('mdm.db.MassChangeItems').entries(batch);
+    }
+    for (const batch of this.batches(changes)) {
+      await INSERT.into('mdm.db.RequestFieldChanges').entries(batch);
+    }
+
+    const summary = {
+      selectedCount: partners.length,
+      affectedCount: items.filter(i => i.status === 'Pending').length,
+      unchangedCount: items.filter(i => i.status === 'NoChange').length,
+      excludedCount: excluded.length,
+      changeCount: changes.length
+    };
+
+    await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({ massChangePartnerCount: summary.affectedCount, changeDiffComputedAt: new Date().toISOString() })
+      .where({ ID: request.ID });
+
+    console.log(`📋 Mass change ${request.requestNumber}: ${summary.affectedCount} of ${summary.selectedCount} partner(s) affected, ${summary.changeCount} change(s)`);
+    return summary;
+  }
+
+  /**
+   * Resolve the partners a request selects
+   * Listed BP numbers that are not selectable are reported as excluded.
+   *
+   * @param {Object} request - Mass change request
+   * @param {Object} selection - { filter, bpNumbers } from validateRequest()
+   * @returns {Promise<Object>} { partners: A_BusinessPartner headers, excluded: [{ bpNumber, partnerName, message }] }
+   */
+  async resolveSelection(request, selection) {
+    const { filter, bpNumbers } = selection;
+    const selected = new Set();
+
+    for (const definition of this.getSelections(request)) {
+      const where = { ...filter };
+      if (bpNumbers.length > 0) {
+        for (const batch of this.batches(bpNumbers)) {
+          const rows = await SELECT.from(definition.entity).columns(definition.keyField)
+            .where({ ...where, [definition.keyField]: { in: batch } });
+          rows.forEach(r => selected.add(r[definition.keyField]));
+        }
+      } else {
+        const rows = await SELECT.from(definition.entity).columns(definition.keyField).where(where);
+        rows.forEach(r => selected.add(r[definition.keyField]));
+      }
+    }
+
+    const headers = [];
+    for (const batch of this.batches([...selected])) {
+      headers.push(...await SELECT.from('mdm.db.A_BusinessPartner').where({ BusinessPartner: { in: batch } }));
+    }
+    const headerMap = new Map(headers.map(h => [h.BusinessPartner, h]));
+
+    const partners = [];
+    const excluded = [];
+    const candidates = bpNumbers.length > 0 ? bpNumbers : [...selected].sort();
+    const role = this.getSelections(request).map(s => s.keyField.toLowerCase()).join(' or ');
+
+    for (const bpNumber of candidates) {
+      const header = headerMap.get(bpNumber);
+      if (!selected.has(bpNumber) || !header) {
+        const message = Object.keys(filter).length > 0
+          ? `Not a ${role} matching the selection filter`
+          : `Not a ${role}`;
+        excluded.push({ bpNumber, partnerName: header?.BusinessPartnerName || null, message });
+      } else if (header.IsMarkedForArchiving) {
+        excluded.push({ bpNumber, partnerName: header.BusinessPartnerName, message: 'Partner is marked for archiving' });
+      } else {
+        partners.push(header);
+      }
+    }
+
+    return { partners, excluded };
+  }
+
+  /**
+   * Load the header and the segments needed for the field changes of many partners
+   *
+   * @param {Array} bpNumbers - SAP BP numbers
+   * @param {Array} headers - A_BusinessPartner headers of the partners
+   * @param {Array} sectionNames - Sections the field changes touch
+   * @returns {Promise<Map>} Snapshot { header, sections } per BP number
+   */
+  async loadSnapshots(bpNumbers, headers, sectionNames) {
+    const snapshots = new Map(headers.map(h => [h.BusinessPartner, {
+      header: h,
+      sections: Object.fromEntries(sectionNames.map(name => [name, []]))
+    }]));
+
+    for (const name of sectionNames) {
+      const section = this.partnerChangeService.SECTIONS[name];
+      for (const batch of this.batches(bpNumbers)) {
+        const records = await SELECT.from(section.entity).where({ BusinessPartner: { in: batch } });
+        records.forEach(r => snapshots.get(r.BusinessPartner)?.sections[name].push(r));
+      }
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Find open Update requests of the selected partners
+   * Applying the mass change first makes such a request fail on approval.
+   *
+   * @param {Array} bpNumbers - SAP BP numbers
+   * @returns {Promise<Map>} Request number per BP number
+   */
+  async getOpenRequests(bpNumbers) {
+    const open = new Map();
+
+    for (const batch of this.batches(bpNumbers)) {
+      const requests = await SELECT.from('mdm.db.BusinessPartnerRequests')
+        .columns('existingBpNumber', 'requestNumber')
+        .where({
+          existingBpNumber: { in: batch },
+          requestType: 'Update',
+          status: { in: this.partnerChangeService.OPEN_STATUSES }
+        });
+      requests.forEach(r => open.set(r.existingBpNumber, r.requestNumber));
+    }
+
+    return open;
+  }
+
+  /**
+   * Compute the changes the mass change fields make to one partner
+   * When several fields target the same value, the first one wins.
+   *
+   * @param {Object} snapshot - Partner { header, sections }
+   * @param {Array} fields - MassChangeFields
+   * @param {string} bpNumber - SAP BP number
+   * @returns {Array} Changed-operation changes as built by PartnerChangeService
+   */
+  buildChanges(snapshot, fields, bpNumber) {
+    const pcs = this.partnerChangeService;
+    const changes = [];
+    const changed = new Set();
+
+    for (const field of fields) {
+      const records = field.section === 'Header'
+        ? [{ key: bpNumber, record: snapshot.header }]
+        : snapshot.sections[field.section]
+          .map(record => ({ key: String(record[pcs.SECTIONS[field.section].keyField]), record }))
+          .filter(r => !field.recordKey || r.key === field.recordKey);
+
+      for (const { key, record } of records) {
+        const before = pcs.toValue(record[field.fieldName]);
+        const after = pcs.toValue(field.newValue);
+        const label = `${field.section}[${key}].${field.fieldName}`;
+
+        if (field.currentValue && before !== pcs.toValue(field.currentValue)) continue;
+        if (before === after || changed.has(label)) continue;
+
+        changed.add(label);
+        changes.push(pcs.change(field.section, key, 'Changed', field.fieldName, before, after));
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Hand an approved mass change request to the background job
+   *
+   * @param {Object} request - Approved mass change request
+   * @returns {Promise<Object>} { partnerCount, chunkSize }
+   */
+  async release(request) {
+    const [{ count }] = await SELECT.from('mdm.db.MassChangeItems')
+      .columns('count(*) as count')
+      .where({ request_ID: request.ID, status: 'Pending' });
+    const { chunkSize } = await this.getConfig();
+
+    await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({ massChangeStatus: 'Pending', massChangeAppliedCount: 0, massChangeFailedCount: 0, massChangeCompletedAt: null })
+      .where({ ID: request.ID });
+
+    console.log(`📋 Mass change ${request.requestNumber} released for ${count} partner(s) in chunks of ${chunkSize}`);
+    return { partnerCount: count, chunkSize };
+  }
+
+  /**
+   * Apply the next chunk of every released mass change request
+   *
+   * @returns {Promise<Object>} Counts of applied and failed partners
+   */
+  async processPending() {
+    const config = await cds.tx(() => this.getConfig());
+    const requests = await cds.tx(() => SELECT.from('mdm.db.BusinessPartnerRequests')
+      .where({ requestType: 'MassChange', massChangeStatus: { in: ['Pending', 'Running'] } })
+      .orderBy('approvedAt'));
+
+    const result = { applied: 0, failed: 0 };
+    for (const request of requests) {
+      const chunk = await this.processChunk(request, config.chunkSize);
+      result.applied += chunk.applied;
+      result.failed += chunk.failed;
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply the next chunk of partners of a mass change request
+   * Each partner is applied in its own transaction, so one failure does not hold up the others.
+   *
+   * @param {Object} request - Released mass change request
+   * @param {number} chunkSize - Partners to apply
+   * @returns {Promise<Object>} { applied, failed, remaining }
+   */
+  async processChunk(request, chunkSize) {
+    const items = await cds.tx(async () => {
+      await UPDATE('mdm.db.BusinessPartnerRequests').set({ massChangeStatus: 'Running' })
+        .where({ ID: request.ID, massChangeStatus: 'Pending' });
+      return SELECT.from('mdm.db.MassChangeItems')
+        .where({ request_ID: request.ID, status: 'Pending' })
+        .orderBy('bpNumber')
+        .limit(chunkSize);
+    });
+
+    const result = { applied: 0, failed: 0, remaining: 0 };
+    for (const item of items) {
+      try {
+        if (await cds.tx(() => this.applyItem(request, item))) result.applied++;
+      } catch (error) {
+        console.error(`❌ Mass change ${request.requestNumber} failed for business partner ${item.bpNumber}:`, error.message);
+        await cds.tx(() => UPDATE('mdm.db.MassChangeItems')
+          .set({ status: 'Failed', message: error.message?.substring(0, 500) })
+          .where({ ID: item.ID, status: 'Pending' }));
+        result.failed++;
+      }
+    }
+
+    result.remaining = await cds.tx(() => this.updateProgress(request));
+    console.log(`📋 Mass change ${request.requestNumber}: ${result.applied} applied, ${result.failed} failed, ${result.remaining} remaining`);
+    return result;
+  }
+
+  /**
+   * Apply the previewed changes of one partner
+   *
+   * @param {Object} request - Mass change request
+   * @param {Object} item - MassChangeItems entry of the partner
+   * @returns {Promise<boolean>} False if another run applied the partner first
+   * @throws {Error} 409 error if the partner changed since the preview
+   */
+  async applyItem(request, item) {
+    const pcs = this.partnerChangeService;
+    const bpNumber = item.bpNumber;
+
+    // Claim the partner first - a second scheduler instance finds nothing to update
+    const claimed = await UPDATE('mdm.db.MassChangeItems')
+      .set({ status: 'Applied', message: null, appliedAt: new Date().toISOString() })
+      .where({ ID: item.ID, status: 'Pending' });
+    if (!claimed) return false;
+
+    const [changes, snapshot] = await Promise.all([
+      SELECT.from('mdm.db.RequestFieldChanges').where({ request_ID: request.ID, bpNumber }),
+      pcs.loadSnapshot(bpNumber)
+    ]);
+
+    if (!snapshot) {
+      throw ErrorHandler.notFoundError('BusinessPartner', bpNumber);
+    }
+
+    const conflicts = pcs.findConflicts(snapshot, changes);
+    if (conflicts.length > 0) {
+      throw ErrorHandler.createError(
+        ErrorHandler.ERROR_CODES.INVALID_OPERATION,
+        `Business partner ${bpNumber} changed since the preview: ${conflicts.slice(0, 3).join('; ')}`,
+        'bpNumber',
+        { bpNumber, conflicts: conflicts.slice(0, 20) },
+        409
+      );
+    }
+
+    await pcs.applyChanges(bpNumber, changes, { id: request.approvedBy });
+    await this.materializer.recordSources(bpNumber, [...new Set(changes.map(c => c.section))], request);
+
+    await this.notificationService.createSystemNotification(
+      { ...request, sapBpNumber: bpNumber, partnerName: item.partnerName },
+      'updated',
+      { ...pcs.summarize(bpNumber, changes), userId: request.approvedBy }
+    );
+
+    return true;
+  }
+
+  /**
+   * Update the counters of a mass change request and complete it when no partner is left
+   *
+   * @param {Object} request - Mass change request
+   * @returns {Promise<number>} Partners still to apply
+   */
+  async updateProgress(request) {
+    const counts = await SELECT.from('mdm.db.MassChangeItems')
+      .columns('status', 'count(*) as count')
+      .where({ request_ID: request.ID })
+      .groupBy('status');
+    const count = status => counts.find(c => c.status === status)?.count || 0;
+
+    const remaining = count('Pending');
+    const updates = { massChangeAppliedCount: count('Applied'), massChangeFailedCount: count('Failed') };
+
+    if (remaining === 0) {
+      updates.massChangeStatus = updates.massChangeFailedCount > 0 ? 'CompletedWithErrors' : 'Completed';
+      updates.massChangeCompletedAt = new Date().toISOString();
+
+      await StatusTransitionEngine.recordHistory(request.ID, {
+        action: 'ApplyMassChange',
+        previousStatus: request.status,
+        newStatus: request.status,
+        comments: `Mass change applied to ${updates.massChangeAppliedCount} partner(s), ${updates.massChangeFailedCount} failed`,
+        approverName: 'Mass Change Service'
+      });
+
+      console.log(`✅ Mass change ${request.requestNumber} ${updates.massChangeStatus}: ${updates.massChangeAppliedCount} applied, ${updates.massChangeFailedCount} failed`);
+    }
+
+    await UPDATE('mdm.db.BusinessPartnerRequests').set(updates).where({ ID: request.ID });
+    return remaining;
+  }
+
+  /**
+   * Build a MassChangeItems entry
+   *
+   * @param {Object} request - Mass change request
+   * @param {string} bpNumber - SAP BP number
+   * @param {string} partnerName - Partner name
+   * @param {string} status - Pending, NoChange or Excluded
+   * @param {Array} changes - Changes for the partner
+   * @param {string} message - Preview note
+   * @returns {Object} Entry
+   */
+  item(request, bpNumber, partnerName, status, changes, message) {
+    return {
+      ID: uuidv4(),
+      request_ID: request.ID,
+      bpNumber,
+      partnerName: partnerName ? partnerName.substring(0, 100) : null,
+      status,
+      changeCount: changes.length,
+      message
+    };
+  }
+
+  /**
+   * @param {string} section - Mass change section
+   * @returns {string} Golden record entity of the section
+   */
+  entityOf(section) {
+    return section === 'Header' ? 'mdm.db.A_BusinessPartner' : this.partnerChangeService.SECTIONS[section].entity;
+  }
+
+  /**
+   * Split a list for IN queries and bulk inserts
+   *
+   * @param {Array} list - Entries
+   * @returns {Array} Batches of at most QUERY_BATCH_SIZE entries
+   */
+  batches(list) {
+    const batches = [];
+    for (let i = 0; i < list.length; i += this.QUERY_BATCH_SIZE) {
+      batches.push(list.slice(i, i + this.QUERY_BATCH_SIZE));
+    }
+    return batches;
+  }
+}
+
+module.exports = MassChangeService;
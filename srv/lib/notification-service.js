@@ -10,6 +10,8 @@ const ErrorHandler = require('./error-handler');
 class NotificationService {
 
   constructor() {
+    // Internal workflow events - emailed to the named users and roles only
+    this.WORKFLOW_EVENTS = ['sla_reminder', 'sla_escalation', 'clarification_requested', 'clarification_answered', 'mention'];
     this.webhookQueue = [];
     this.emailQueue = [];
     this.retryAttempts = 3;
@@ -131,6 +133,26 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send workflow emails (SLA, clarification, @mentions) to the involved users
+   * Workflow events are internal - no webhooks or satellite notifications are sent.
+   *
+   * @param {Object} request - Business partner request
+   * @param {string} event - Event type from WORKFLOW_EVENTS
+   * @param {Object} context - Context with recipientRoles, recipientUserIds, includeRequester
+   * @returns {Promise<Object>} Email result
+   */
+  async sendWorkflowNotification(request, event, context = {}) {
+    console.log(`📬 Sending ${event} notification for request ${request.requestNumber}`);
+
+    try {
+      return await this.sendEmailNotifications(request, event, context);
+    } catch (error) {
+      console.error(`❌ Error sending notifications for ${event}:`, error);
+      return { status: 'failed', error: error.message };
+    }
+  }
+
   /**
    * Send webhook notification to external system
    *
@@ -310,7 +332,7 @@ class NotificationService {
    * @returns {Promise<Object>} Email result
    */
   async sendEmailNotifications(request, event, context) {
-    const recipients = await this.getEmailRecipients(request, event);
+    const recipients = await this.getEmailRecipients(request, event, context);
 
     if (!recipients || recipients.length === 0) {
       return { status: 'skipped', reason: 'No email recipients configured' };
@@ -353,7 +375,7 @@ class NotificationService {
             headers: {
               'X-MDM-Request': request.requestNumber,
               'X-MDM-Event': event,
-              'X-Priority': event === 'rejected' ? '1' : '3'
+              'X-Priority': ['rejected', 'sla_escalation'].includes(event) ? '1' : '3'
             }
           };
 
@@ -401,6 +423,7 @@ class NotificationService {
     try {
       // Determine impacted systems based on request
       const impactedSystems = this.getImpactedSystems(request);
+      const { changeDetails, fieldsChanged, ...eventContext } = context;
 
       const notificationData = {
         bpNumber: request.sapBpNumber || request.requestNumber,
@@ -417,7 +440,8 @@ class NotificationService {
             status: request.status,
             entityType: request.entityType
           },
-          context,
+          changes: changeDetails || null,
+          context: eventContext,
           timestamp: new Date().toISOString()
         }),
         notificationSent: false
@@ -539,11 +563,44 @@ class NotificationService {
    *
    * @param {Object} request - Business partner request
    * @param {string} event - Event type
+   * @param {Object} context - Additional context (recipient roles and users for workflow events)
    * @returns {Promise<Array>} Email recipients
    */
-  async getEmailRecipients(request, event) {
+  async getEmailRecipients(request, event, context = {}) {
     const recipients = [];
 
+    // Workflow events go to the named roles and users only
+    if (this.WORKFLOW_EVENTS.includes(event)) {
+      if (context.includeRequester && request.requesterEmail) {
+        recipients.push({ name: request.requesterName, email: request.requesterEmail, role: 'requester' });
+      }
+
+      try {
+        const users = [];
+        if (context.recipientRoles?.length > 0) {
+          users.push(...await SELECT.from('mdm.db.UserRoles')
+            .where({ role: { in: context.recipientRoles }, isActive: true }));
+        }
+        if (context.recipientUserIds?.length > 0) {
+          users.push(...await SELECT.from('mdm.db.UserRoles')
+            .where({ userId: { in: context.recipientUserIds }, isActive: true }));
+        }
+
+        users.forEach(user => {
+          if (user.userEmail && !recipients.some(r => r.email === user.userEmail)) {
+            recipients.push({
+              name: user.userName,
+              email: user.userEmail,
+              role: context.recipientRoles?.includes(user.role) ? 'approver' : 'user'
+            });
+          }
+        });
+      } catch (error) {
+        console.error('Error getting workflow recipient emails:', error);
+      }
+      return recipients;
+    }
+
     // Add requester email
     if (request.requesterEmail) {
       recipients.push({
@@ -627,6 +684,26 @@ class NotificationService {
       duplicate_review: {
         subject: 'Duplicate Review Required - {{requestNumber}}',
         template: 'duplicate_review'
+      },
+      sla_reminder: {
+        subject: 'Approval Due Soon - {{requestNumber}}',
+        template: 'sla_reminder'
+      },
+      sla_escalation: {
+        subject: 'Escalation: Approval Overdue - {{requestNumber}}',
+        template: 'sla_escalation'
+      },
+      clarification_requested: {
+        subject: 'Clarification Requested - {{requestNumber}}',
+        template: 'clarification_requested'
+      },
+      clarification_answered: {
+        subject: 'Clarification Provided - {{requestNumber}}',
+        template: 'clarification_answered'
+      },
+      mention: {
+        subject: 'You were mentioned on {{requestNumber}}',
+        template: 'mention'
       }
     };
 
@@ -687,6 +764,21 @@ class NotificationService {
       case 'duplicate_review':
         body += `A business partner request requires duplicate review.\n\n`;
         break;
+      case 'sla_reminder':
+        body += `A business partner request awaiting your approval is due on ${context.dueDate}.\n\n`;
+        break;
+      case 'sla_escalation':
+        body += `A business partner request exceeded its approval deadline of ${context.dueDate} and has been escalated to you.\n\n`;
+        break;
+      case 'clarification_requested':
+        body += `An approver needs more information before deciding on your business partner request.\n\n`;
+        break;
+      case 'clarification_answered':
+        body += `The requester answered your clarification question. The request is back in the approval queue.\n\n`;
+        break;
+      case 'mention':
+        body += `${context.authorName || 'A user'} mentioned you in a comment on a business partner request.\n\n`;
+        break;
     }
 
     body += `Request Details:\n`;
@@ -700,6 +792,10 @@ class NotificationService {
       body += `- SAP BP Number: ${request.sapBpNumber}\n`;
     }
 
+    if (context.steps && context.steps.length > 0) {
+      body += `- Approval Steps: ${context.steps.join(', ')}\n`;
+    }
+
     if (context.comments) {
       body += `- Comments: ${context.comments}\n`;
     }
@@ -762,19 +858,22 @@ class NotificationService {
 
   /**
    * Get changed fields for audit purposes
+   * Partner changes pass the fields of the applied diff; status events change the request status.
    *
    * @param {Object} request - Business partner request
-   * @param {Object} context - Additional context
+   * @param {Object} context - Additional context (fieldsChanged from PartnerChangeService.applyDiff)
    * @returns {Array} Changed fields
    */
-  getChangedFields(request, context) {
-    // In a real implementation, track field changes
-    return [
-      'status',
-      'sapBpNumber',
-      'approvedBy',
-      'approvedAt'
-    ];
+  getChangedFields(request, context = {}) {
+    if (Array.isArray(context.fieldsChanged)) {
+      return context.fieldsChanged;
+    }
+
+    const fields = ['status'];
+    if (request.sapBpNumber) fields.push('sapBpNumber');
+    if (request.approvedBy) fields.push('approvedBy', 'approvedAt');
+    if (request.rejectionReason) fields.push('rejectionReason');
+    return fields;
   }
 
   /**
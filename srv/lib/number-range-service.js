@@ -0,0 +1,259 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const ErrorHandler = require('./error-handler');
+const InputValidator = require('./input-validator');
+
+/**
+ * Number Range Service
+ * Issues collision-free request numbers and SAP business partner numbers from
+ * persistent number range intervals (mdm.db.NumberRanges):
+ * - Request numbers MDM-YYYYMMDD-NNNN use one interval per calendar day
+ * - BP numbers use the interval of the BusinessPartnerGrouping; internal
+ *   intervals are drawn by the system, external ones validate a number
+ *   supplied by the caller (as in SAP)
+ *
+ * Numbers are drawn with a compare-and-swap update on the interval, so
+ * concurrent transactions never receive the same number.
+ *
+ * Configuration (SystemConfiguration):
+ * - BP_DEFAULT_GROUPING: grouping used when a request specifies none
+ *
+ * @class NumberRangeService
+ */
+class NumberRangeService {
+
+  constructor() {
+    this.REQUEST_RANGE = 'MDM_REQUEST';
+    this.BP_RANGE = 'BU_PARTNER';
+    this.REQUEST_PREFIX = 'MDM';
+    this.REQUEST_MAX_PER_DAY = 9999;
+    this.DEFAULT_GROUPING = 'BP01';
+    this.MAX_RETRIES = 10;
+  }
+
+  /**
+   * Issue the next request number for a day
+   *
+   * @param {Date} date - Request date (defaults to today, evaluated in UTC)
+   * @returns {Promise<string>} Request number MDM-YYYYMMDD-NNNN
+   */
+  async nextRequestNumber(date = new Date()) {
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+    const interval = await this.getDailyInterval(day);
+    const counter = await this.drawNumber(interval);
+    const requestNumber = `${this.REQUEST_PREFIX}-${day}-${counter.toString().padStart(4, '0')}`;
+
+    if (!InputValidator.PATTERNS.REQUEST_NUMBER.test(requestNumber)) {
+      throw ErrorHandler.createError(
+        ErrorHandler.ERROR_CODES.CONFIGURATION_ERROR,
+        `Generated request number ${requestNumber} does not match the request number format`,
+        'requestNumber'
+      );
+    }
+
+    return requestNumber;
+  }
+
+  /**
+   * Issue a business partner number for a request
+   * Internal groupings draw the next number of their interval; external
+   * groupings validate and reserve the number supplied with the request.
+   *
+   * @param {Object} request - Business partner request
+   * @returns {Promise<string>} SAP BP number
+   */
+  async nextBusinessPartnerNumber(request = {}) {
+    const grouping = request.bpGrouping || await this.getDefaultGrouping();
+    const interval = await this.getInterval(this.BP_RANGE, grouping);
+
+    if (!interval) {
+      throw ErrorHandler.createError(
+        ErrorHandler.ERROR_CODES.CONFIGURATION_ERROR,
+        `No number range maintained for business partner grouping ${grouping}`,
+        'bpGrouping',
+        { grouping }
+      );
+    }
+
+    if (interval.isExternal) {
+      return await this.validateExternalNumber(interval, request.externalBpNumber);
+    }
+
+    const number = await this.drawNumber(interval);
+    return this.formatNumber(interval, number);
+  }
+
+  /**
+   * Draw the next number of an interval
+   * The update only succeeds if no other transaction drew a number in between;
+   * otherwise the interval is re-read and the draw retried.
+   *
+   * @param {Object} interval - Number range interval
+   * @returns {Promise<number>} Drawn number
+   */
+  async drawNumber(interval) {
+    for (let attempt = 0; attempt < this.MAX_RETRIES; attempt++) {
+      const current = await SELECT.one.from('mdm.db.NumberRanges')
+        .columns('currentNumber', 'fromNumber', 'toNumber')
+        .where({ ID: interval.ID });
+
+      const last = current.currentNumber ?? current.fromNumber - 1;
+      const next = Number(last) + 1;
+
+      if (next > Number(current.toNumber)) {
+        throw ErrorHandler.businessRuleError(
+          'NUMBER_RANGE_EXHAUSTED',
+          `Number range ${interval.rangeObject}/${interval.intervalKey} is exhausted (${current.fromNumber}-${current.toNumber})`,
+          { rangeObject: interval.rangeObject, intervalKey: interval.intervalKey }
+        );
+      }
+
+      const affected = await UPDATE('mdm.db.NumberRanges')
+        .set({ currentNumber: next })
+        .where({ ID: interval.ID, currentNumber: current.currentNumber ?? null });
+
+      if (affected) {
+        return next;
+      }
+    }
+
+    throw ErrorHandler.createError(
+      ErrorHandler.ERROR_CODES.DATABASE_ERROR,
+      `Could not draw a number from ${interval.rangeObject}/${interval.intervalKey} - too many concurrent requests`,
+      null,
+      { rangeObject: interval.rangeObject, intervalKey: interval.intervalKey },
+      409
+    );
+  }
+
+  /**
+   * Get the request number interval of a day, creating it on first use
+   * A new interval continues after request numbers already issued that day.
+   *
+   * @param {string} day - Date as YYYYMMDD
+   * @returns {Promise<Object>} Number range interval
+   */
+  async getDailyInterval(day) {
+    const existing = await this.getInterval(this.REQUEST_RANGE, day);
+    if (existing) return existing;
+
+    const issued = await SELECT.from('mdm.db.BusinessPartnerRequests')
+      .columns('requestNumber')
+      .where({ requestNumber: { like: `${this.REQUEST_PREFIX}-${day}-%` } });
+    const counters = issued
+      .map(r => parseInt(r.requestNumber.slice(-4), 10))
+      .filter(n => !Number.isNaN(n));
+
+    try {
+      await INSERT.into('mdm.db.NumberRanges').entries({
+        ID: uuidv4(),
+        rangeObject: this.REQUEST_RANGE,
+        intervalKey: day,
+        description: `Request numbers ${day}`,
+        fromNumber: 1,
+        toNumber: this.REQUEST_MAX_PER_DAY,
+        currentNumber: counters.length > 0 ? Math.max(...counters) : null,
+        isExternal: false,
+        isActive: true
+      });
+      console.log(`🔢 Number range interval ${this.REQUEST_RANGE}/${day} created`);
+    } catch (error) {
+      // Another transaction created the interval first - the unique constraint rejected ours
+      console.warn(`⚠️ Number range interval ${this.REQUEST_RANGE}/${day} not created:`, error.message);
+    }
+
+    const interval = await this.getInterval(this.REQUEST_RANGE, day);
+    if (!interval) {
+      throw ErrorHandler.createError(
+        ErrorHandler.ERROR_CODES.DATABASE_ERROR,
+        `Number range interval ${this.REQUEST_RANGE}/${day} could not be created`
+      );
+    }
+
+    return interval;
+  }
+
+  /**
+   * Read an active number range interval
+   *
+   * @param {string} rangeObject - Number range object
+   * @param {string} intervalKey - Interval key (day or grouping)
+   * @returns {Promise<Object|null>} Number range interval
+   */
+  async getInterval(rangeObject, intervalKey) {
+    return await SELECT.one.from('mdm.db.NumberRanges')
+      .where({ rangeObject, intervalKey, isActive: true });
+  }
+
+  /**
+   * Get the BP grouping used when a request specifies none
+   *
+   * @returns {Promise<string>} Business partner grouping
+   */
+  async getDefaultGrouping() {
+    const config = await SELECT.one.from('mdm.db.SystemConfiguration')
+      .columns('configValue')
+      .where({ configKey: 'BP_DEFAULT_GROUPING', isActive: true });
+
+    return config?.configValue || this.DEFAULT_GROUPING;
+  }
+
+  /**
+   * Validate a number supplied for an external interval
+   *
+   * @param {Object} interval - External number range interval
+   * @param {string} bpNumber - Supplied BP number
+   * @returns {Promise<string>} Validated BP number
+   * @throws {Error} Validation error if the number is missing, outside the interval or already used
+   */
+  async validateExternalNumber(interval, bpNumber) {
+    const value = (bpNumber || '').trim().toUpperCase();
+    const prefix = interval.prefix || '';
+
+    if (!value) {
+      throw ErrorHandler.validationError('externalBpNumber',
+        `Grouping ${interval.intervalKey} uses external numbering - a BP number must be supplied`);
+    }
+
+    const digits = value.startsWith(prefix) ? value.slice(prefix.length) : null;
+    const number = /^[0-9]+$/.test(digits || '') ? Number(digits) : NaN;
+
+    if (Number.isNaN(number) || number < Number(interval.fromNumber) || number > Number(interval.toNumber)) {
+      throw ErrorHandler.validationError('externalBpNumber',
+        `BP number must lie within ${this.formatNumber(interval, interval.fromNumber)}-${this.formatNumber(interval, interval.toNumber)} for grouping ${interval.intervalKey}`,
+        bpNumber);
+    }
+
+    const formatted = this.formatNumber(interval, number);
+    const [existing, goldenRecord, requested] = await Promise.all([
+      SELECT.one.from('mdm.db.ExistingPartners').columns('ID').where({ sapBpNumber: formatted }),
+      SELECT.one.from('mdm.db.A_BusinessPartner').columns('BusinessPartner').where({ BusinessPartner: formatted }),
+      SELECT.one.from('mdm.db.BusinessPartnerRequests').columns('ID').where({ sapBpNumber: formatted })
+    ]);
+
+    if (existing || goldenRecord || requested) {
+      throw ErrorHandler.createError(
+        ErrorHandler.ERROR_CODES.DUPLICATE_ENTRY,
+        `BP number ${formatted} is already in use`,
+        'externalBpNumber',
+        { bpNumber: formatted }
+      );
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Format a number of an interval as BP number (prefix plus zero-padded digits)
+   *
+   * @param {Object} interval - Number range interval
+   * @param {number} number - Number within the interval
+   * @returns {string} Formatted number
+   */
+  formatNumber(interval, number) {
+    const width = String(interval.toNumber).length;
+    return `${interval.prefix || ''}${String(number).padStart(width, '0')}`;
+  }
+}
+
+module.exports = NumberRangeService;
@@ -0,0 +1,762 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const ErrorHandler = require('./error-handler');
+
+/**
+ * Partner Change Service
+ * Turns 'Update' requests into field-level changes of an existing golden record:
+ * - Pre-fills change requests from the current golden record
+ * - Computes a before/after diff of header, address, bank, tax, email, phone, fax,
+ *   website, company code, purchasing organization and sales area data
+ *   against the current A_BusinessPartner snapshot and stores it for the approvers
+ * - Applies the reviewed diff on approval, refusing if the partner changed in between
+ *
+ * A section (addresses, banks, VAT IDs, emails, phone/fax/website data, company codes,
+ * purchasing organizations, sales areas) is only compared when the
+ * request carries data for it; the request data then replaces the section, so
+ * records missing from the request are removed.
+ *
+ * Change requests started from an existing partner keep a baseline copy of the
+ * pre-filled data. Their diff only contains what the requester changed against
+ * that baseline, so mapping differences and concurrent partner changes are not
+ * reverted.
+ *
+ * @class PartnerChangeService
+ */
+class PartnerChangeService {
+
+  /**
+   * @param {BusinessPartnerMaterializer} materializer - Mapping of request data to golden record fields
+   */
+  constructor(materializer) {
+    this.materializer = materializer;
+    this.HEADER_FIELDS = [
+      'BusinessPartnerFullName', 'BusinessPartnerName',
+      'OrganizationBPName1', 'OrganizationBPName2', 'OrganizationBPName3', 'OrganizationBPName4',
+      'SearchTerm1', 'CorrespondenceLanguage', 'Language', 'Industry', 'BusinessPartnerIDByExtSystem'
+    ];
+    const companyCodeFields = [
+      'ReconciliationAccount', 'PaymentTerms', 'PaymentMethodsList', 'AccountingClerk',
+      'WithholdingTaxType', 'WithholdingTaxCode', 'DunningProcedure', 'DunningClerk', 'DunningBlock'
+    ];
+    this.SECTIONS = {
+      Address: {
+        entity: 'mdm.db.A_BusinessPartnerAddress',
+        keyField: 'AddressID',
+        fields: ['FullName', 'StreetName', 'HouseNumber', 'PostalCode', 'CityName', 'Region', 'Country', 'Language', 'AddressTimeZone'],
+        match: (proposed, current) => proposed.AddressID === current.AddressID,
+        addDefaults: date => ({ ValidityStartDate: date })
+      },
+      Bank: {
+        entity: 'mdm.db.A_BusinessPartnerBank',
+        keyField: 'BankIdentification',
+        fields: ['BankCountryKey', 'BankName', 'BankNumber', 'SWIFTCode', 'BankAccountHolderName', 'IBAN', 'BankAccount', 'BankAccountReferenceText'],
+        match: (proposed, current) => proposed.IBAN
+          ? proposed.IBAN === current.IBAN
+          : !!proposed.BankAccount && proposed.BankAccount === current.BankAccount && proposed.BankNumber === current.BankNumber,
+        allocateKey: true,
+        keyLength: 4,
+        addDefaults: date => ({ ValidityStartDate: date })
+      },
+      TaxNumber: {
+        entity: 'mdm.db.A_BusinessPartnerTaxNumber',
+        keyField: 'BPTaxType',
+        fields: ['BPTaxNumber', 'BPTaxLongNumber'],
+        match: (proposed, current) => proposed.BPTaxType === current.BPTaxType,
+        naturalKey: true
+      },
+      Email: {
+        entity: 'mdm.db.A_AddressEmailAddress',
+        keyField: 'OrdinalNumber',
+        fields: ['EmailAddress', 'AddressCommunicationRemarkText'],
+        match: (proposed, current) => proposed.EmailAddress?.toLowerCase() === current.EmailAddress?.toLowerCase(),
+        allocateKey: true,
+        keyLength: 3,
+        addDefaults: () => ({ AddressID: '1', IsDefaultEmailAddress: false })
+      },
+      Phone: {
+        entity: 'mdm.db.A_AddressPhoneNumber',
+        keyField: 'OrdinalNumber',
+        fields: [
+          'AddressID', 'PhoneNumberType', 'PhoneNumber', 'PhoneNumberExtension', 'InternationalPhoneNumber',
+          'DestinationLocationCountry', 'IsDefaultPhoneNumber', 'AddressCommunicationRemarkText'
+        ],
+        match: (proposed, current) => proposed.AddressID === current.AddressID &&
+          proposed.PhoneNumberType === current.PhoneNumberType &&
+          (proposed.InternationalPhoneNumber || proposed.PhoneNumber) === (current.InternationalPhoneNumber || current.PhoneNumber),
+        allocateKey: true,
+        keyLength: 3
+      },
+      Fax: {
+        entity: 'mdm.db.A_AddressFaxNumber',
+        keyField: 'OrdinalNumber',
+        fields: [
+          'AddressID', 'FaxNumber', 'FaxNumberExtension', 'InternationalFaxNumber', 'FaxCountry',
+          'IsDefaultFaxNumber', 'AddressCommunicationRemarkText'
+        ],
+        match: (proposed, current) => proposed.AddressID === current.AddressID &&
+          (proposed.InternationalFaxNumber || proposed.FaxNumber) === (current.InternationalFaxNumber || current.FaxNumber),
+        allocateKey: true,
+        keyLength: 3
+      },
+      URL: {
+        entity: 'mdm.db.A_AddressHomePageURL',
+        keyField: 'OrdinalNumber',
+        fields: ['AddressID', 'WebsiteURL', 'SearchURLAddress', 'URLFieldLength', 'IsDefaultURLAddress', 'AddressCommunicationRemarkText'],
+        match: (proposed, current) => proposed.AddressID === current.AddressID &&
+          proposed.WebsiteURL?.toLowerCase() === current.WebsiteURL?.toLowerCase(),
+        allocateKey: true,
+        keyLength: 3,
+        addDefaults: date => ({ ValidityStartDate: date })
+      },
+      SupplierCompany: {
+        entity: 'mdm.db.A_SupplierCompany',
+        keyField: 'CompanyCode',
+        fields: companyCodeFields,
+        match: (proposed, current) => proposed.CompanyCode === current.CompanyCode,
+        naturalKey: true,
+        addDefaults: (date, bpNumber) => ({ Supplier: bpNumber, DeletionIndicator: false, CreationDate: date })
+      },
+      CustomerCompany: {
+        entity: 'mdm.db.A_CustomerCompany',
+        keyField: 'CompanyCode',
+        fields: companyCodeFields,
+        match: (proposed, current) => proposed.CompanyCode === current.CompanyCode,
+        naturalKey: true,
+        addDefaults: (date, bpNumber) => ({ Customer: bpNumber, DeletionIndicator: false, CreationDate: date })
+      },
+      PurchasingOrg: {
+        entity: 'mdm.db.A_SupplierPurchasingOrg',
+        keyField: 'PurchasingOrganization',
+        fields: [
+          'PurchaseOrderCurrency', 'IncotermsClassification', 'IncotermsLocation1', 'PurchasingGroup',
+          'PaymentTerms', 'InvoiceIsGoodsReceiptBased', 'MinimumOrderAmount'
+        ],
+        match: (proposed, current) => proposed.PurchasingOrganization === current.PurchasingOrganization,
+        naturalKey: true,
+        addDefaults: (date, bpNumber) => ({ Supplier: bpNumber, DeletionIndicator: false, CreationDate: date })
+      },
+      SalesArea: {
+        entity: 'mdm.db.A_CustomerSalesArea',
+        keyField: 'SalesArea',
+        fields: [
+          'Currency', 'CustomerPricingProcedure', 'PriceListType', 'CustomerPriceGroup', 'ShippingCondition',
+          'DeliveryPriority', 'IncotermsClassification', 'IncotermsLocation1', 'CustomerPaymentTerms', 'SalesOffice', 'SalesGroup'
+        ],
+        match: (proposed, current) => proposed.SalesArea === current.SalesArea,
+        naturalKey: true,
+        addDefaults: (date, bpNumber, salesArea) => {
+          const [SalesOrganization, DistributionChannel, Division] = salesArea.split('/');
+          return { Customer: bpNumber, SalesOrganization, DistributionChannel, Division, DeletionIndicator: false, CreationDate: date };
+        }
+      }
+    };
+    this.OPEN_STATUSES = ['Submitted', 'ComplianceCheck', 'DuplicateReview', 'ClarificationRequested'];
+    this.MAX_VALUE_LENGTH = 255;
+  }
+
+  /**
+   * Load the current golden record of a business partner
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @returns {Promise<Object|null>} { header, sections } or null if the partner does not exist
+   */
+  async loadSnapshot(bpNumber) {
+    const header = await SELECT.one.from('mdm.db.A_BusinessPartner').where({ BusinessPartner: bpNumber });
+    if (!header) return null;
+
+    const sections = {};
+    for (const [name, section] of Object.entries(this.SECTIONS)) {
+      sections[name] = await SELECT.from(section.entity).where({ BusinessPartner: bpNumber });
+    }
+
+    return { header, sections };
+  }
+
+  /**
+   * Build an Update request pre-filled with the current data of a partner
+   * The returned data includes the compositions and the baseline copy; the
+   * caller creates the request.
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @param {Object} options - Options
+   * @param {string} options.changeDescription - Description of the intended change
+   * @returns {Promise<Object>} Request data for BusinessPartnerRequests
+   * @throws {Error} Not found error if the partner has no golden record, business rule
+   *                 violation if another change request for the partner is in review
+   */
+  async buildChangeRequest(bpNumber, options = {}) {
+    const snapshot = await this.loadSnapshot(bpNumber);
+    if (!snapshot) {
+      throw ErrorHandler.notFoundError('BusinessPartner', bpNumber);
+    }
+
+    const openRequest = await SELECT.one.from('mdm.db.BusinessPartnerRequests')
+      .columns('requestNumber', 'status')
+      .where({ existingBpNumber: bpNumber, requestType: 'Update', status: { in: this.OPEN_STATUSES } });
+
+    if (openRequest) {
+      throw ErrorHandler.businessRuleError('OPEN_CHANGE_REQUEST',
+        `Change request ${openRequest.requestNumber} for business partner ${bpNumber} is already in review (${openRequest.status})`,
+        { bpNumber, requestNumber: openRequest.requestNumber });
+    }
+
+    const { header } = snapshot;
+    const roles = await SELECT.from('mdm.db.A_BusinessPartnerRole')
+      .columns('BusinessPartnerRole')
+      .where({ BusinessPartner: bpNumber });
+    const roleCodes = roles.map(r => r.BusinessPartnerRole);
+    const isSupplier = roleCodes.includes('FLVN01') || !!header.Supplier;
+    const isCustomer = roleCodes.includes('FLCU01') || !!header.Customer;
+    const entityType = isSupplier && isCustomer ? 'Both' : (isCustomer ? 'Customer' : 'Supplier');
+
+    const addresses = [...snapshot.sections.Address]
+      .sort((a, b) => (parseInt(a.AddressID, 10) || 0) - (parseInt(b.AddressID, 10) || 0));
+    const mainCountry = addresses[0]?.Country;
+    // Communication data refers to the request address it belongs to
+    const addressIds = new Map(addresses.map(a => [a.AddressID, uuidv4()]));
+
+    const baseline = {
+      header: {
+        partnerName: header.BusinessPartnerFullName || header.BusinessPartnerName,
+        searchTerm: header.SearchTerm1,
+        communicationLanguage: header.CorrespondenceLanguage,
+        industry: header.Industry,
+        entityType,
+        partnerRole: entityType,
+        bpGrouping: header.BusinessPartnerGrouping
+      },
+      addresses: addresses.map((a, i) => ({
+        ID: addressIds.get(a.AddressID),
+        addressType: i === 0 ? 'Main' : 'Other',
+        // The organization names of the BP live on the header, other addresses only carry a full name
+        name1: i === 0 ? header.OrganizationBPName1 || a.FullName : a.FullName,
+        name2: i === 0 ? header.OrganizationBPName2 : null,
+        name3: i === 0 ? header.OrganizationBPName3 : null,
+        name4: i === 0 ? header.OrganizationBPName4 : null,
+        street: a.StreetName,
+        streetNumber: a.HouseNumber,
+        city: a.CityName,
+        postalCode: a.PostalCode,
+        region: a.Region,
+        country_code: a.Country,
+        timeZone: a.AddressTimeZone,
+        language: a.Language,
+        isDefault: i === 0,
+        isEstablished: i === 0
+      })),
+      vatIds: snapshot.sections.TaxNumber.map(t => ({
+        country_code: t.BPTaxType?.substring(0, 2),
+        vatNumber: t.BPTaxNumber || t.BPTaxLongNumber,
+        vatType: 'Standard',
+        validationStatus: 'NotChecked',
+        isDefault: t.BPTaxType?.substring(0, 2) === mainCountry,
+        isEstablished: t.BPTaxType?.substring(0, 2) === mainCountry
+      })),
+      banks: [...snapshot.sections.Bank]
+        .sort((a, b) => String(a.BankIdentification).localeCompare(String(b.BankIdentification)))
+        .map((b, i) => ({
+          bankCountry_code: b.BankCountryKey,
+          bankKey: b.BankNumber,
+          bankName: b.BankName,
+          accountHolder: b.BankAccountHolderName,
+          accountNumber: b.BankAccount,
+          iban: b.IBAN,
+          swiftCode: b.SWIFTCode,
+          bankReference: b.BankAccountReferenceText,
+          isDefault: i === 0
+        })),
+      emails: [...snapshot.sections.Email]
+        .sort((a, b) => (b.IsDefaultEmailAddress ? 1 : 0) - (a.IsDefaultEmailAddress ? 1 : 0) ||
+          String(a.OrdinalNumber).localeCompare(String(b.OrdinalNumber)))
+        .map(e => ({
+          emailType: e.AddressCommunicationRemarkText || 'Primary',
+          emailAddress: e.EmailAddress,
+          isDefault: !!e.IsDefaultEmailAddress
+        })),
+      communications: [
+        ...snapshot.sections.Phone.map(p => ({
+          address_ID: addressIds.get(p.AddressID) || null,
+          commType: p.PhoneNumberType === '3' ? 'Mobile' : 'Phone',
+          value: p.InternationalPhoneNumber || p.PhoneNumber,
+          extension: p.PhoneNumberExtension,
+          notes: p.AddressCommunicationRemarkText,
+          isDefault: !!p.IsDefaultPhoneNumber
+        })),
+        ...snapshot.sections.Fax.map(f => ({
+          address_ID: addressIds.get(f.AddressID) || null,
+          commType: 'Fax',
+          value: f.InternationalFaxNumber || f.FaxNumber,
+          extension: f.FaxNumberExtension,
+          notes: f.AddressCommunicationRemarkText,
+          isDefault: !!f.IsDefaultFaxNumber
+        })),
+        ...snapshot.sections.URL.map(u => ({
+          address_ID: addressIds.get(u.AddressID) || null,
+          commType: 'Website',
+          value: u.WebsiteURL,
+          notes: u.AddressCommunicationRemarkText,
+          isDefault: !!u.IsDefaultURLAddress
+        }))
+      ],
+      companyCodes: [
+        ...snapshot.sections.SupplierCompany.map(c => ({ segmentType: 'Supplier', ...this.toSegment(c) })),
+        ...snapshot.sections.CustomerCompany.map(c => ({ segmentType: 'Customer', ...this.toSegment(c) }))
+      ],
+      purchasingOrgs: snapshot.sections.PurchasingOrg.map(o => ({
+        purchasingOrg: o.PurchasingOrganization,
+        orderCurrency_code: o.PurchaseOrderCurrency,
+        incoterms: o.IncotermsClassification,
+        incotermsLocation: o.IncotermsLocation1,
+        purchasingGroup: o.PurchasingGroup,
+        paymentTerms: o.PaymentTerms,
+        minimumOrderAmount: o.MinimumOrderAmount,
+        grBasedInvoiceVerification: !!o.InvoiceIsGoodsReceiptBased
+      })),
+      salesAreas: snapshot.sections.SalesArea.map(a => ({
+        salesOrg: a.SalesOrganization,
+        distributionChannel: a.DistributionChannel,
+        division: a.Division,
+        currency_code: a.Currency,
+        pricingProcedure: a.CustomerPricingProcedure,
+        priceListType: a.PriceListType,
+        priceGroup: a.CustomerPriceGroup,
+        shippingCondition: a.ShippingCondition,
+        deliveryPriority: a.DeliveryPriority,
+        incoterms: a.IncotermsClassification,
+        incotermsLocation: a.IncotermsLocation1,
+        paymentTerms: a.CustomerPaymentTerms,
+        salesOffice: a.SalesOffice,
+        salesGroup: a.SalesGroup
+      }))
+    };
+
+    return {
+      ...baseline.header,
+      requestType: 'Update',
+      existingBpNumber: bpNumber,
+      existingBpName: this.materializer.truncate(header.BusinessPartnerName, 100),
+      changeDescription: options.changeDescription || null,
+      changeBaseline: JSON.stringify({ capturedAt: new Date().toISOString(), ...baseline }),
+      addresses: baseline.addresses.map(a => ({ ...a })),
+      vatIds: baseline.vatIds.map(v => ({ ...v })),
+      banks: baseline.banks.map(b => ({ ...b })),
+      emails: baseline.emails.map(e => ({ ...e })),
+      communications: baseline.communications.map(c => ({ ...c })),
+      companyCodes: baseline.companyCodes.map(c => ({ ...c })),
+      purchasingOrgs: baseline.purchasingOrgs.map(o => ({ ...o })),
+      salesAreas: baseline.salesAreas.map(a => ({ ...a }))
+    };
+  }
+
+  /**
+   * Map golden record company code data to a request segment
+   *
+   * @param {Object} company - A_SupplierCompany or A_CustomerCompany entry
+   * @returns {Object} Segment fields of PartnerCompanyCodes
+   */
+  toSegment(company) {
+    return {
+      companyCode: company.CompanyCode,
+      reconAccount: company.ReconciliationAccount,
+      paymentTerms: company.PaymentTerms,
+      paymentMethods: company.PaymentMethodsList,
+      accountingClerk: company.AccountingClerk,
+      withholdingTaxType: company.WithholdingTaxType,
+      withholdingTaxCode: company.WithholdingTaxCode,
+      dunningProcedure: company.DunningProcedure,
+      dunningClerk: company.DunningClerk,
+      dunningBlock: company.DunningBlock
+    };
+  }
+
+  /**
+   * Read the baseline copy of a change request
+   *
+   * @param {Object} request - Business partner request
+   * @returns {Object|null} Baseline { header, addresses, vatIds, banks, emails, communications, companyCodes,
+   *                        purchasingOrgs, salesAreas } or null
+   */
+  parseBaseline(request) {
+    if (!request.changeBaseline) return null;
+
+    try {
+      const baseline = JSON.parse(request.changeBaseline);
+      return {
+        header: baseline.header || {},
+        addresses: baseline.addresses || [],
+        vatIds: baseline.vatIds || [],
+        banks: baseline.banks || [],
+        emails: baseline.emails || [],
+        communications: baseline.communications || [],
+        companyCodes: baseline.companyCodes || [],
+        purchasingOrgs: baseline.purchasingOrgs || [],
+        salesAreas: baseline.salesAreas || []
+      };
+    } catch (error) {
+      console.warn(`⚠️ Invalid change baseline on request ${request.requestNumber} ignored:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Compute the field-level changes an update request makes to its partner
+   *
+   * @param {Object} request - Business partner request with existingBpNumber
+   * @param {Object} user - CAP user
+   * @returns {Promise<Array>} Changes { section, recordKey, operation, fieldName, beforeValue, afterValue }
+   * @throws {Error} Not found error if the partner has no golden record
+   */
+  async computeDiff(request, user) {
+    const bpNumber = request.existingBpNumber;
+    const snapshot = await this.loadSnapshot(bpNumber);
+
+    if (!snapshot) {
+      throw ErrorHandler.notFoundError('BusinessPartner', bpNumber);
+    }
+
+    const baseline = this.parseBaseline(request);
+    const { records } = await this.materializer.buildRecords(request, bpNumber, user);
+
+    if (!baseline) {
+      return this.diffRecords(snapshot, records, bpNumber);
+    }
+
+    // Only keep changes the requester made - anything the baseline would change as well is not theirs
+    const { records: baselineRecords } = await this.materializer.buildRecords(
+      { ...request, ...baseline.header }, bpNumber, user, baseline);
+    const changes = this.diffRecords(snapshot, records, bpNumber, { compareEmpty: true });
+    const baselineChanges = new Set(
+      this.diffRecords(snapshot, baselineRecords, bpNumber, { compareEmpty: true }).map(c => this.changeKey(c)));
+
+    return changes.filter(c => !baselineChanges.has(this.changeKey(c)));
+  }
+
+  /**
+   * Compare mapped request records with the golden record
+   *
+   * @param {Object} snapshot - Current golden record from loadSnapshot()
+   * @param {Object} records - Mapped entries per target entity from the materializer
+   * @param {string} bpNumber - SAP BP number
+   * @param {Object} options - Options
+   * @param {boolean} options.compareEmpty - Compare sections without request data (removes all records)
+   * @returns {Array} Changes
+   */
+  diffRecords(snapshot, records, bpNumber, options = {}) {
+    const changes = [];
+
+    const proposedHeader = records['mdm.db.A_BusinessPartner'][0];
+    for (const field of this.HEADER_FIELDS) {
+      const after = this.toValue(proposedHeader[field]);
+      const before = this.toValue(snapshot.header[field]);
+
+      // Header fields left empty on the request keep their current value
+      if (after !== null && after !== before) {
+        changes.push(this.change('Header', bpNumber, 'Changed', field, before, after));
+      }
+    }
+
+    for (const [name, section] of Object.entries(this.SECTIONS)) {
+      const proposed = records[section.entity] || [];
+      if (proposed.length === 0 && !options.compareEmpty) continue;
+
+      const remaining = [...snapshot.sections[name]];
+      let nextKey = Math.max(0, ...remaining.map(r => parseInt(r[section.keyField], 10) || 0)) + 1;
+
+      for (const entry of proposed) {
+        const index = remaining.findIndex(current => section.match(entry, current));
+
+        if (index >= 0) {
+          const [current] = remaining.splice(index, 1);
+          for (const field of section.fields) {
+            const before = this.toValue(current[field]);
+            const after = this.toValue(entry[field]);
+            if (before !== after) {
+              changes.push(this.change(name, current[section.keyField], 'Changed', field, before, after));
+            }
+          }
+        } else {
+          const key = section.allocateKey ? String(nextKey++).padStart(section.keyLength, '0') : entry[section.keyField];
+          for (const field of section.fields) {
+            const after = this.toValue(entry[field]);
+            if (after !== null) {
+              changes.push(this.change(name, key, 'Added', field, null, after));
+            }
+          }
+        }
+      }
+
+      for (const current of remaining) {
+        for (const field of section.fields) {
+          const before = this.toValue(current[field]);
+          if (before !== null) {
+            changes.push(this.change(name, current[section.keyField], 'Removed', field, before, null));
+          }
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Replace the stored diff of a request
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @param {Array} changes - Changes from computeDiff()
+   * @returns {Promise<void>}
+   */
+  async storeDiff(requestId, changes) {
+    await DELETE.from('mdm.db.RequestFieldChanges').where({ request_ID: requestId });
+
+    if (changes.length > 0) {
+      await INSERT.into('mdm.db.RequestFieldChanges').entries(
+        changes.map(change => ({ ID: uuidv4(), request_ID: requestId, ...change }))
+      );
+    }
+
+    await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({ changeDiffComputedAt: new Date().toISOString() })
+      .where({ ID: requestId });
+  }
+
+  /**
+   * Apply the reviewed diff of an update request to the golden record
+   * Runs in the caller's transaction - a failure rolls back the approval.
+   *
+   * @param {Object} request - Business partner request with existingBpNumber
+   * @param {Object} user - CAP user approving the request
+   * @returns {Promise<Object>} { fieldsChanged, changeDetails } for change notifications
+   * @throws {Error} Conflict if the partner changed since the diff was computed
+   */
+  async applyDiff(request, user) {
+    const bpNumber = request.existingBpNumber;
+    const changes = await this.assertApplicable(request);
+
+    // Records added by a future-dated request become valid on its effective date
+    await this.applyChanges(bpNumber, changes, user, { validFrom: request.effectiveDate });
+    await this.materializer.recordSources(bpNumber, [...new Set(changes.map(c => c.section))], request);
+
+    console.log(`✏️ ${changes.length} change(s) applied to business partner ${bpNumber} from request ${request.requestNumber}`);
+    return this.summarize(bpNumber, changes);
+  }
+
+  /**
+   * Load the stored changes of an Update request and check they still fit the golden record
+   *
+   * @param {Object} request - Update request with stored changes
+   * @returns {Promise<Array>} Stored changes
+   * @throws {Error} Not found error if the partner is gone, 409 error if it changed since submission
+   */
+  async assertApplicable(request) {
+    const bpNumber = request.existingBpNumber;
+    const [changes, snapshot] = await Promise.all([
+      SELECT.from('mdm.db.RequestFieldChanges').where({ request_ID: request.ID }),
+      this.loadSnapshot(bpNumber)
+    ]);
+
+    if (!snapshot) {
+      throw ErrorHandler.notFoundError('BusinessPartner', bpNumber);
+    }
+
+    const conflicts = this.findConflicts(snapshot, changes);
+    if (conflicts.length > 0) {
+      throw ErrorHandler.createError(
+        ErrorHandler.ERROR_CODES.INVALID_OPERATION,
+        `Business partner ${bpNumber} changed since the request was submitted - resubmit the request to review the current data`,
+        'existingBpNumber',
+        { bpNumber, conflicts: conflicts.slice(0, 20) },
+        409
+      );
+    }
+
+    return changes;
+  }
+
+  /**
+   * Write field changes to the golden record
+   * The caller checks the changes for conflicts first. The partner is re-synced to
+   * the ExistingPartners compared by the duplicate check.
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @param {Array} changes - Changes { section, recordKey, operation, fieldName, afterValue }
+   * @param {Object} user - CAP user the change is recorded for
+   * @param {Object} options - { validFrom } validity start of added records (defaults to today)
+   * @returns {Promise<void>}
+   */
+  async applyChanges(bpNumber, changes, user, options = {}) {
+    const now = new Date();
+    const headerUpdates = {
+      LastChangeDate: now.toISOString().slice(0, 10),
+      LastChangeTime: now.toISOString().slice(11, 19),
+      LastChangedByUser: (user?.id || 'system').substring(0, 12)
+    };
+    for (const change of changes.filter(c => c.section === 'Header')) {
+      headerUpdates[change.fieldName] = change.afterValue;
+    }
+
+    await UPDATE('mdm.db.A_BusinessPartner').set(headerUpdates).where({ BusinessPartner: bpNumber });
+
+    for (const [key, recordChanges] of this.groupByRecord(changes.filter(c => c.section !== 'Header'))) {
+      const { section: name, recordKey, operation } = recordChanges[0];
+      const section = this.SECTIONS[name];
+      const values = Object.fromEntries(recordChanges.map(c => [c.fieldName, this.fromValue(section.entity, c.fieldName, c.afterValue)]));
+      const where = { BusinessPartner: bpNumber, [section.keyField]: recordKey };
+
+      if (operation === 'Added') {
+        await INSERT.into(section.entity).entries({
+          ID: uuidv4(),
+          ...where,
+          ...section.addDefaults?.(options.validFrom || headerUpdates.LastChangeDate, bpNumber, recordKey),
+          ...values
+        });
+      } else if (operation === 'Changed') {
+        await UPDATE(section.entity).set(values).where(where);
+      } else if (operation === 'Removed') {
+        await DELETE.from(section.entity).where(where);
+      } else {
+        console.warn(`⚠️ Unknown change operation '${operation}' for ${key} ignored`);
+      }
+    }
+
+    await this.materializer.syncExistingPartner(bpNumber);
+  }
+
+  /**
+   * Find stored changes whose before values no longer match the golden record
+   *
+   * @param {Object} snapshot - Current golden record from loadSnapshot()
+   * @param {Array} changes - Stored changes
+   * @returns {Array} Conflict descriptions
+   */
+  findConflicts(snapshot, changes) {
+    const conflicts = [];
+
+    for (const change of changes) {
+      const current = change.section === 'Header'
+        ? snapshot.header
+        : snapshot.sections[change.section]?.find(r => String(r[this.SECTIONS[change.section].keyField]) === change.recordKey);
+
+      if (change.operation === 'Added') {
+        if (current) conflicts.push(`${this.label(change)} already exists`);
+      } else if (!current) {
+        conflicts.push(`${this.label(change)} no longer exists`);
+      } else if (this.toValue(current[change.fieldName]) !== this.toValue(change.beforeValue)) {
+        conflicts.push(`${this.label(change)} is now '${current[change.fieldName] ?? ''}'`);
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Build the fieldsChanged list and before/after details for ChangeNotifications
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @param {Array} changes - Applied changes
+   * @returns {Object} { fieldsChanged, changeDetails }
+   */
+  summarize(bpNumber, changes) {
+    const changeDetails = { bpNumber };
+
+    for (const change of changes) {
+      const value = { before: change.beforeValue, after: change.afterValue };
+
+      if (change.section === 'Header') {
+        changeDetails.Header = changeDetails.Header || {};
+        changeDetails.Header[change.fieldName] = value;
+      } else {
+        changeDetails[change.section] = changeDetails[change.section] || {};
+        const record = changeDetails[change.section][change.recordKey] =
+          changeDetails[change.section][change.recordKey] || { operation: change.operation, fields: {} };
+        record.fields[change.fieldName] = value;
+      }
+    }
+
+    return {
+      fieldsChanged: [...new Set(changes.map(c => this.label(c)))],
+      changeDetails
+    };
+  }
+
+  /**
+   * Group section changes by record
+   *
+   * @param {Array} changes - Section changes
+   * @returns {Map} Changes per section and record key
+   */
+  groupByRecord(changes) {
+    const groups = new Map();
+    for (const change of changes) {
+      const key = `${change.section}[${change.recordKey}]`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(change);
+    }
+    return groups;
+  }
+
+  /**
+   * Build a change entry
+   *
+   * @param {string} section - Header, Address, Bank or TaxNumber
+   * @param {string} recordKey - BP number for the header, key field value for section records
+   * @param {string} operation - Changed, Added or Removed
+   * @param {string} fieldName - Golden record field
+   * @param {string} beforeValue - Current value
+   * @param {string} afterValue - Requested value
+   * @returns {Object} Change
+   */
+  change(section, recordKey, operation, fieldName, beforeValue, afterValue) {
+    return { section, recordKey: String(recordKey), operation, fieldName, beforeValue, afterValue };
+  }
+
+  /**
+   * Identity of a change including its target value
+   *
+   * @param {Object} change - Change
+   * @returns {string} Key
+   */
+  changeKey(change) {
+    return [change.section, change.recordKey, change.operation, change.fieldName, change.afterValue].join('|');
+  }
+
+  /**
+   * Readable name of a changed field, e.g. Address[1].CityName
+   *
+   * @param {Object} change - Change
+   * @returns {string} Field label
+   */
+  label(change) {
+    return change.section === 'Header' ? change.fieldName : `${change.section}[${change.recordKey}].${change.fieldName}`;
+  }
+
+  /**
+   * Normalize a field value for comparison and storage
+   *
+   * @param {*} value - Field value
+   * @returns {string|null} Value as string, null if empty
+   */
+  toValue(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return String(value).substring(0, this.MAX_VALUE_LENGTH);
+  }
+
+  /**
+   * Convert a stored value back to the type of its golden record field
+   * Changes keep values as strings, which Boolean columns do not accept.
+   *
+   * @param {string} entity - Golden record entity
+   * @param {string} fieldName - Field name
+   * @param {string|null} value - Stored value
+   * @returns {*} Value to write
+   */
+  fromValue(entity, fieldName, value) {
+    const element = cds.model?.definitions[entity]?.elements[fieldName];
+    if (element?.type === 'cds.Boolean' && typeof value === 'string') {
+      return value === 'true';
+    }
+    return value;
+  }
+}
+
+module.exports = PartnerChangeService;
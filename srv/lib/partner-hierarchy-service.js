@@ -0,0 +1,385 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const ErrorHandler = require('./error-handler');
+
+/**
+ * Partner Hierarchy Service
+ * Maintains the corporate group and parent-account hierarchy of golden records:
+ * - Corporate groups (CorporateGroups) are the valid values of
+ *   A_Supplier.SupplierCorporateGroup and A_Customer.CustomerCorporateGroup
+ * - Parent/child links (PartnerHierarchy) give each partner at most one parent
+ *   and are kept free of cycles
+ *
+ * Requests carry the hierarchy in corporateGroup and parentAccount. The parent
+ * account is resolved to a BP number on submit (parentBpNumber) and both are
+ * applied to the golden record on approval. Update requests are pre-filled with
+ * the current assignment, so clearing a value removes it; Create and Extend
+ * requests only add.
+ *
+ * @class PartnerHierarchyService
+ */
+class PartnerHierarchyService {
+
+  constructor() {
+    this.MAX_DEPTH = 20; // Deepest hierarchy walked before the data is considered corrupt
+  }
+
+  /**
+   * Check the hierarchy data of a request on submit
+   *
+   * @param {Object} request - Business partner request
+   * @returns {Promise<Object>} { parentBpNumber, corporateGroup, changed }
+   * @throws {Error} Validation error for an unknown corporate group or parent account,
+   *                 business rule violation if the parent would create a cycle
+   */
+  async validateRequest(request) {
+    const corporateGroup = request.corporateGroup?.trim().toUpperCase() || null;
+    if (corporateGroup) {
+      await this.getCorporateGroup(corporateGroup);
+    }
+
+    let parentBpNumber = null;
+    if (request.parentAccount?.trim()) {
+      parentBpNumber = await this.resolveParent(request.parentAccount);
+      if (!parentBpNumber) {
+        throw ErrorHandler.validationError('parentAccount',
+          `Parent account ${request.parentAccount} is neither a business partner nor a known Salesforce account`,
+          request.parentAccount);
+      }
+    }
+
+    const bpNumber = ['Update', 'Extend'].includes(request.requestType) ? request.existingBpNumber : null;
+    if (!bpNumber) {
+      return { parentBpNumber, corporateGroup, changed: !!(parentBpNumber || corporateGroup) };
+    }
+
+    if (parentBpNumber) {
+      await this.assertNoCycle(bpNumber, parentBpNumber);
+    }
+
+    const current = await this.getAssignment(bpNumber);
+    const replace = request.requestType === 'Update';
+    const changed = (parentBpNumber || replace ? parentBpNumber !== current.parentBpNumber : false) ||
+      (corporateGroup || replace ? corporateGroup !== current.corporateGroup : false);
+
+    return { parentBpNumber, corporateGroup, changed };
+  }
+
+  /**
+   * Apply the hierarchy data of an approved request to the golden record
+   * Runs in the caller's transaction, so a failure rolls back the approval.
+   *
+   * @param {Object} request - Approved request (parentBpNumber resolved on submit)
+   * @param {string} bpNumber - SAP BP number the request created or changed
+   * @returns {Promise<Object>} { parentBpNumber, corporateGroup }
+   */
+  async applyRequest(request, bpNumber) {
+    const replace = request.requestType === 'Update';
+    const parentBpNumber = request.parentBpNumber || null;
+    const corporateGroup = request.corporateGroup?.trim().toUpperCase() || null;
+
+    if (parentBpNumber) {
+      await this.setParent(bpNumber, parentBpNumber, request.requestNumber);
+    } else if (replace) {
+      await this.removeParent(bpNumber);
+    }
+
+    if (corporateGroup || replace) {
+      await this.assignCorporateGroup(bpNumber, corporateGroup);
+    }
+
+    return { parentBpNumber, corporateGroup };
+  }
+
+  /**
+   * Resolve a parent account to a BP number
+   * Accepts a BP number of a golden record or the Salesforce ID of an approved request.
+   *
+   * @param {string} parentAccount - Parent account as supplied by the source system
+   * @returns {Promise<string|null>} BP number of the parent
+   */
+  async resolveParent(parentAccount) {
+    const value = parentAccount.trim();
+
+    const partner = await SELECT.one.from('mdm.db.A_BusinessPartner')
+      .columns('BusinessPartner')
+      .where({ BusinessPartner: value.toUpperCase() });
+    if (partner) return partner.BusinessPartner;
+
+    const requests = await SELECT.from('mdm.db.BusinessPartnerRequests')
+      .columns('sapBpNumber')
+      .where({ salesforceId: value, status: 'Approved' })
+      .orderBy('approvedAt desc');
+
+    return requests.find(r => r.sapBpNumber)?.sapBpNumber || null;
+  }
+
+  /**
+   * Get an active corporate group
+   *
+   * @param {string} groupId - Corporate group ID
+   * @returns {Promise<Object>} CorporateGroups entry
+   * @throws {Error} Validation error if the group does not exist or is inactive
+   */
+  async getCorporateGroup(groupId) {
+    const group = await SELECT.one.from('mdm.db.CorporateGroups').where({ groupId, isActive: true });
+    if (!group) {
+      throw ErrorHandler.validationError('corporateGroup',
+        `Corporate group ${groupId} does not exist or is inactive`, groupId);
+    }
+
+    return group;
+  }
+
+  /**
+   * Read the current parent and corporate group of a partner
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @returns {Promise<Object>} { parentBpNumber, corporateGroup }
+   */
+  async getAssignment(bpNumber) {
+    const [link, supplier, customer] = await Promise.all([
+      SELECT.one.from('mdm.db.PartnerHierarchy').columns('parentBpNumber').where({ childBpNumber: bpNumber }),
+      SELECT.one.from('mdm.db.A_Supplier').columns('SupplierCorporateGroup').where({ Supplier: bpNumber }),
+      SELECT.one.from('mdm.db.A_Customer').columns('CustomerCorporateGroup').where({ Customer: bpNumber })
+    ]);
+
+    return {
+      parentBpNumber: link?.parentBpNumber || null,
+      corporateGroup: supplier?.SupplierCorporateGroup || customer?.CustomerCorporateGroup || null
+    };
+  }
+
+  /**
+   * Make a partner the child of another partner, replacing its current parent
+   *
+   * @param {string} childBpNumber - SAP BP number of the child
+   * @param {string} parentBpNumber - SAP BP number of the parent
+   * @param {string} requestNumber - Request that sets the link
+   * @returns {Promise<void>}
+   * @throws {Error} Business rule violation if the link would create a cycle
+   */
+  async setParent(childBpNumber, parentBpNumber, requestNumber = null) {
+    await this.assertNoCycle(childBpNumber, parentBpNumber);
+
+    const link = {
+      parentBpNumber,
+      validFrom: new Date().toISOString().slice(0, 10),
+      requestNumber
+    };
+    const existing = await SELECT.one.from('mdm.db.PartnerHierarchy')
+      .columns('ID', 'parentBpNumber')
+      .where({ childBpNumber });
+
+    if (existing?.parentBpNumber === parentBpNumber) return;
+
+    if (existing) {
+      await UPDATE('mdm.db.PartnerHierarchy').set(link).where({ ID: existing.ID });
+    } else {
+      await INSERT.into('mdm.db.PartnerHierarchy').entries({ ID: uuidv4(), childBpNumber, ...link });
+    }
+
+    console.log(`🌳 Business partner ${childBpNumber} linked to parent ${parentBpNumber}${existing ? ` (was ${existing.parentBpNumber})` : ''}`);
+  }
+
+  /**
+   * Remove the parent link of a partner
+   *
+   * @param {string} childBpNumber - SAP BP number of the child
+   * @returns {Promise<void>}
+   */
+  async removeParent(childBpNumber) {
+    const removed = await DELETE.from('mdm.db.PartnerHierarchy').where({ childBpNumber });
+    if (removed > 0) {
+      console.log(`🌳 Parent link of business partner ${childBpNumber} removed`);
+    }
+  }
+
+  /**
+   * Set the corporate group on the supplier and customer records of a partner
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @param {string|null} groupId - Corporate group ID, null to clear it
+   * @returns {Promise<void>}
+   */
+  async assignCorporateGroup(bpNumber, groupId) {
+    if (groupId) {
+      await this.getCorporateGroup(groupId);
+    }
+
+    await UPDATE('mdm.db.A_Supplier').set({ SupplierCorporateGroup: groupId }).where({ Supplier: bpNumber });
+    await UPDATE('mdm.db.A_Customer').set({ CustomerCorporateGroup: groupId }).where({ Customer: bpNumber });
+  }
+
+  /**
+   * Refuse a parent link that would make a partner its own ancestor
+   *
+   * @param {string} childBpNumber - SAP BP number of the child
+   * @param {string} parentBpNumber - SAP BP number of the proposed parent
+   * @returns {Promise<void>}
+   * @throws {Error} Business rule violation naming the cycle
+   */
+  async assertNoCycle(childBpNumber, parentBpNumber) {
+    const path = [parentBpNumber, ...(await this.getAncestors(parentBpNumber)).map(a => a.bpNumber)];
+    const index = path.indexOf(childBpNumber);
+
+    if (index !== -1) {
+      const cycle = [childBpNumber, ...path.slice(0, index + 1)].join(' → ');
+      throw ErrorHandler.businessRuleError('HIERARCHY_CYCLE',
+        `Business partner ${parentBpNumber} cannot be the parent of ${childBpNumber}: ${cycle}`,
+        { childBpNumber, parentBpNumber });
+    }
+  }
+
+  /**
+   * Get the ancestors of a partner, nearest first
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @returns {Promise<Array>} Hierarchy nodes { bpNumber, bpName, parentBpNumber, level }
+   */
+  async getAncestors(bpNumber) {
+    const ancestors = [];
+    const visited = new Set([bpNumber]);
+    let current = bpNumber;
+
+    while (ancestors.length < this.MAX_DEPTH) {
+      const link = await SELECT.one.from('mdm.db.PartnerHierarchy')
+        .columns('parentBpNumber')
+        .where({ childBpNumber: current });
+      if (!link || visited.has(link.parentBpNumber)) break;
+
+      visited.add(link.parentBpNumber);
+      ancestors.push({ bpNumber: link.parentBpNumber, childBpNumber: current, level: ancestors.length + 1 });
+      current = link.parentBpNumber;
+    }
+
+    const names = await this.getNames(ancestors.map(a => a.bpNumber));
+    return ancestors.map((a, i) => ({
+      bpNumber: a.bpNumber,
+      bpName: names.get(a.bpNumber) || null,
+      parentBpNumber: ancestors[i + 1]?.bpNumber || null,
+      level: a.level
+    }));
+  }
+
+  /**
+   * Get all descendants of a partner, level by level
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @returns {Promise<Array>} Hierarchy nodes { bpNumber, bpName, parentBpNumber, level }
+   */
+  async getDescendants(bpNumber) {
+    const descendants = [];
+    const visited = new Set([bpNumber]);
+    let level = [bpNumber];
+
+    for (let depth = 1; level.length > 0 && depth <= this.MAX_DEPTH; depth++) {
+      const links = await SELECT.from('mdm.db.PartnerHierarchy')
+        .columns('parentBpNumber', 'childBpNumber')
+        .where({ parentBpNumber: { in: level } });
+      const children = links.filter(link => !visited.has(link.childBpNumber));
+
+      children.forEach(link => visited.add(link.childBpNumber));
+      descendants.push(...children.map(link => ({
+        bpNumber: link.childBpNumber,
+        parentBpNumber: link.parentBpNumber,
+        level: depth
+      })));
+      level = children.map(link => link.childBpNumber);
+    }
+
+    const names = await this.getNames(descendants.map(d => d.bpNumber));
+    return descendants.map(d => ({ ...d, bpName: names.get(d.bpNumber) || null }));
+  }
+
+  /**
+   * Get the partners assigned to a corporate group
+   *
+   * @param {string} groupId - Corporate group ID
+   * @returns {Promise<Array>} Members { bpNumber, bpName, isSupplier, isCustomer }
+   */
+  async getGroupMembers(groupId) {
+    const [suppliers, customers] = await Promise.all([
+      SELECT.from('mdm.db.A_Supplier').columns('Supplier').where({ SupplierCorporateGroup: groupId }),
+      SELECT.from('mdm.db.A_Customer').columns('Customer').where({ CustomerCorporateGroup: groupId })
+    ]);
+    const supplierNumbers = new Set(suppliers.map(s => s.Supplier));
+    const customerNumbers = new Set(customers.map(c => c.Customer));
+    const bpNumbers = [...new Set([...supplierNumbers, ...customerNumbers])].sort();
+    const names = await this.getNames(bpNumbers);
+
+    return bpNumbers.map(bpNumber => ({
+      bpNumber,
+      bpName: names.get(bpNumber) || null,
+      isSupplier: supplierNumbers.has(bpNumber),
+      isCustomer: customerNumbers.has(bpNumber)
+    }));
+  }
+
+  /**
+   * Group-level view of a corporate group for procurement and account planning
+   * Spend exposure is the spend threshold of each member's latest approved request.
+   *
+   * @param {string} groupId - Corporate group ID
+   * @returns {Promise<Object>} Group totals and members with their organizational data counts
+   * @throws {Error} Validation error if the group does not exist or is inactive
+   */
+  async getGroupExposure(groupId) {
+    const group = await this.getCorporateGroup(groupId);
+    const members = await this.getGroupMembers(groupId);
+    const bpNumbers = members.map(m => m.bpNumber);
+    const where = keyField => ({ [keyField]: { in: bpNumbers.length > 0 ? bpNumbers : [''] } });
+
+    const [requests, supplierCompanies, customerCompanies, purchasingOrgs, salesAreas] = await Promise.all([
+      SELECT.from('mdm.db.BusinessPartnerRequests')
+        .columns('sapBpNumber', 'spendThreshold', 'approvedAt')
+        .where({ ...where('sapBpNumber'), status: 'Approved' })
+        .orderBy('approvedAt desc'),
+      SELECT.from('mdm.db.A_SupplierCompany').columns('Supplier').where(where('Supplier')),
+      SELECT.from('mdm.db.A_CustomerCompany').columns('Customer').where(where('Customer')),
+      SELECT.from('mdm.db.A_SupplierPurchasingOrg').columns('Supplier').where(where('Supplier')),
+      SELECT.from('mdm.db.A_CustomerSalesArea').columns('Customer').where(where('Customer'))
+    ]);
+    const count = (rows, keyField, bpNumber) => rows.filter(r => r[keyField] === bpNumber).length;
+
+    const exposure = members.map(member => {
+      const latest = requests.find(r => r.sapBpNumber === member.bpNumber && r.spendThreshold != null);
+      return {
+        ...member,
+        spendThreshold: latest ? Number(latest.spendThreshold) : null,
+        companyCodeCount: count(supplierCompanies, 'Supplier', member.bpNumber) + count(customerCompanies, 'Customer', member.bpNumber),
+        purchasingOrgCount: count(purchasingOrgs, 'Supplier', member.bpNumber),
+        salesAreaCount: count(salesAreas, 'Customer', member.bpNumber)
+      };
+    });
+
+    return {
+      groupId: group.groupId,
+      groupName: group.groupName,
+      headBpNumber: group.headBpNumber,
+      memberCount: exposure.length,
+      supplierCount: exposure.filter(m => m.isSupplier).length,
+      customerCount: exposure.filter(m => m.isCustomer).length,
+      totalSpendThreshold: exposure.reduce((sum, m) => sum + (m.spendThreshold || 0), 0),
+      members: exposure
+    };
+  }
+
+  /**
+   * Read the names of golden records
+   *
+   * @param {Array} bpNumbers - SAP BP numbers
+   * @returns {Promise<Map>} BP number → full name
+   */
+  async getNames(bpNumbers) {
+    if (bpNumbers.length === 0) return new Map();
+
+    const partners = await SELECT.from('mdm.db.A_BusinessPartner')
+      .columns('BusinessPartner', 'BusinessPartnerFullName', 'BusinessPartnerName')
+      .where({ BusinessPartner: { in: bpNumbers } });
+
+    return new Map(partners.map(p => [p.BusinessPartner, p.BusinessPartnerFullName || p.BusinessPartnerName]));
+  }
+}
+
+module.exports = PartnerHierarchyService;
@@ -0,0 +1,652 @@
+/**
+ * Phonetic Encoder
+ * Encodes names by how they sound, so spelling variants get the same key:
+ * - Double Metaphone (primary and alternate code) for names of any origin
+ * - Cologne phonetics (Kölner Phonetik) for German names
+ *
+ * Names are encoded word by word; a name key is the codes of its words
+ * separated by blanks, with '-' for a word that has no code.
+ *
+ * @class PhoneticEncoder
+ */
+class PhoneticEncoder {
+
+  /**
+   * Maximum length of a Double Metaphone code
+   */
+  static METAPHONE_LENGTH = 4;
+
+  /**
+   * Placeholder for a word without a code - never matches
+   */
+  static NO_CODE = '-';
+
+  /**
+   * Encode a name
+   *
+   * @param {string} name - Name, already stripped of legal form suffixes
+   * @returns {Object} { metaphoneKey, metaphoneAltKey, colognePhoneticKey }
+   */
+  static encodeName(name) {
+    const words = this.fold(name).split(' ').filter(Boolean);
+    const codes = words.map(word => ({ metaphone: this.doubleMetaphone(word), cologne: this.cologne(word) }));
+    const key = (pick) => codes.map(code => pick(code) || this.NO_CODE).join(' ') || null;
+
+    return {
+      metaphoneKey: key(code => code.metaphone[0]),
+      metaphoneAltKey: key(code => code.metaphone[1]),
+      colognePhoneticKey: key(code => code.cologne)
+    };
+  }
+
+  /**
+   * Share of words that sound alike by Double Metaphone
+   * Two words sound alike if one of their primary and alternate codes agree.
+   *
+   * @param {Object} a - Keys of the first name (see encodeName)
+   * @param {Object} b - Keys of the second name
+   * @returns {number} Dice coefficient of the words (0.0 to 1.0)
+   */
+  static metaphoneSimilarity(a, b) {
+    const codes = (keys) => {
+      const primary = this.split(keys.metaphoneKey);
+      const alternate = this.split(keys.metaphoneAltKey);
+      return primary.map((code, i) => [code, alternate[i]].filter(c => c && c !== this.NO_CODE));
+    };
+
+    return this.wordSimilarity(codes(a), codes(b), (x, y) => x.some(code => y.includes(code)));
+  }
+
+  /**
+   * Share of words that sound alike by Cologne phonetics
+   *
+   * @param {Object} a - Keys of the first name (see encodeName)
+   * @param {Object} b - Keys of the second name
+   * @returns {number} Dice coefficient of the words (0.0 to 1.0)
+   */
+  static colognePhoneticSimilarity(a, b) {
+    return this.wordSimilarity(this.split(a.colognePhoneticKey), this.split(b.colognePhoneticKey),
+      (x, y) => x === y && x !== this.NO_CODE);
+  }
+
+  /**
+   * Pair the words of two names and rate how many found a partner
+   *
+   * @param {Array} a - Word codes of the first name
+   * @param {Array} b - Word codes of the second name
+   * @param {Function} matches - Whether two word codes agree
+   * @returns {number} Dice coefficient (0.0 to 1.0)
+   */
+  static wordSimilarity(a, b, matches) {
+    if (a.length === 0 || b.length === 0) return 0;
+
+    const unused = [...b];
+    let matched = 0;
+    for (const code of a) {
+      const index = unused.findIndex(other => matches(code, other));
+      if (index >= 0) {
+        unused.splice(index, 1);
+        matched++;
+      }
+    }
+
+    return (2 * matched) / (a.length + b.length);
+  }
+
+  /**
+   * @param {string} key - Name key
+   * @returns {Array<string>} Word codes
+   */
+  static split(key) {
+    return key ? key.split(' ') : [];
+  }
+
+  /**
+   * Reduce a name to upper-case Latin letters and blanks
+   * Diacritics are dropped (Müller → MULLER), ß becomes SS.
+   *
+   * @param {string} name - Name
+   * @returns {string} Folded name
+   */
+  static fold(name) {
+    return (name || '')
+      .replace(/ß/g, 'ss')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase()
+      .replace(/[^A-Z]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Cologne phonetics (Kölner Phonetik) of a single word
+   *
+   * @param {string} word - Folded word (A-Z)
+   * @returns {string} Digit code
+   */
+  static cologne(word) {
+    const chars = word.split('');
+    const digits = [];
+
+    chars.forEach((char, i) => {
+      const prev = chars[i - 1];
+      const next = chars[i + 1];
+      let digit;
+
+      switch (char) {
+        case 'A': case 'E': case 'I': case 'J': case 'O': case 'U': case 'Y':
+          digit = '0'; break;
+        case 'H':
+          digit = ''; break;
+        case 'B':
+          digit = '1'; break;
+        case 'P':
+          digit = next === 'H' ? '3' : '1'; break;
+        case 'D': case 'T':
+          digit = 'CSZ'.includes(next || '-') ? '8' : '2'; break;
+        case 'F': case 'V': case 'W':
+          digit = '3'; break;
+        case 'G': case 'K': case 'Q':
+          digit = '4'; break;
+        case 'C':
+          if (i === 0) {
+            digit = 'AHKLOQRUX'.includes(next || '-') ? '4' : '8';
+          } else {
+            digit = 'AHKOQUX'.includes(next || '-') && !'SZ'.includes(prev) ? '4' : '8';
+          }
+          break;
+        case 'X':
+          digit = 'CKQ'.includes(prev || '-') ? '8' : '48'; break;
+        case 'L':
+          digit = '5'; break;
+        case 'M': case 'N':
+          digit = '6'; break;
+        case 'R':
+          digit = '7'; break;
+        case 'S': case 'Z':
+          digit = '8'; break;
+        default:
+          digit = '';
+      }
+
+      digits.push(...digit);
+    });
+
+    // Collapse repeated codes, then drop vowels except at the start
+    const collapsed = digits.filter((digit, i) => digit !== digits[i - 1]);
+    return collapsed.filter((digit, i) => digit !== '0' || i === 0).join('');
+  }
+
+  /**
+   * Double Metaphone (Lawrence Philips) of a single word
+   *
+   * @param {string} word - Folded word (A-Z)
+   * @returns {Array<string>} [primary, alternate] code
+   */
+  static doubleMetaphone(word) {
+    const value = word;
+    const length = value.length;
+    const last = length - 1;
+    const at = (i) => value.charAt(i);
+    const slice = (start, end) => (start < 0 ? '' : value.slice(start, end));
+    const isVowel = (char) => !!char && 'AEIOUY'.includes(char);
+    const isSlavoGermanic = /W|K|CZ|WITZ/.test(value);
+    const isGermanic = /^(VAN|VON|SCH)/.test(value);
+
+    let primary = '';
+    let secondary = '';
+    const add = (main, alternate = main) => {
+      primary += main;
+      secondary += alternate;
+    };
+
+    let index = 0;
+
+    // Silent first letters: GNOME, KNIGHT, PNEUMATIC, WRONG, PSYCHOLOGY
+    if (/^(GN|KN|PN|WR|PS)/.test(value)) index++;
+
+    // Initial X is pronounced S: XAVIER
+    if (at(0) === 'X') {
+      add('S');
+      index++;
+    }
+
+    while (index < length) {
+      const char = at(index);
+      const prev = at(index - 1);
+      const next = at(index + 1);
+      const nextnext = at(index + 2);
+
+      switch (char) {
+        case 'A': case 'E': case 'I': case 'O': case 'U': case 'Y':
+          if (index === 0) add('A');
+          index++;
+          break;
+
+        case 'B':
+          add('P');
+          index += next === 'B' ? 2 : 1;
+          break;
+
+        case 'C':
+          // Germanic CH: BACHER, MACHER
+          if (index > 1 && !isVowel(at(index - 2)) && slice(index - 1, index + 2) === 'ACH' &&
+              nextnext !== 'I' && (nextnext !== 'E' || ['BACHER', 'MACHER'].includes(slice(index - 2, index + 4)))) {
+            add('K');
+            index += 2;
+            break;
+          }
+          // CAESAR
+          if (index === 0 && slice(1, 6) === 'AESAR') {
+            add('S');
+            index += 2;
+            break;
+          }
+          // Italian CHIANTI
+          if (slice(index + 1, index + 4) === 'HIA') {
+            add('K');
+            index += 2;
+            break;
+          }
+          if (next === 'H') {
+            // MICHAEL
+            if (index > 0 && nextnext === 'A' && at(index + 3) === 'E') {
+              add('K', 'X');
+            // Greek roots: CHARACTER, CHORUS, CHEMISTRY
+            } else if (index === 0 && /^CH(IA|EM|YM|ARAC|ARIS|OR(?!E))/.test(value)) {
+              add('K');
+            // Germanic, Greek or otherwise CH for the KH sound: ORCHESTRA, ARCHITECT
+            } else if (isGermanic || /ORCHES|ARCHIT|ORCHID/.test(slice(index - 2, index + 4)) ||
+                nextnext === 'T' || nextnext === 'S' ||
+                ((index === 0 || 'AEOU'.includes(prev)) && (!nextnext || 'LRNMBHFVW'.includes(nextnext)))) {
+              add('K');
+            } else if (index === 0) {
+              add('X');
+            } else if (slice(0, 2) === 'MC') {
+              add('K');
+            } else {
+              add('X', 'K');
+            }
+            index += 2;
+            break;
+          }
+          // CZERNY
+          if (next === 'Z' && slice(index - 2, index) !== 'WI') {
+            add('S', 'X');
+            index += 2;
+            break;
+          }
+          // FOCACCIA
+          if (slice(index + 1, index + 4) === 'CIA') {
+            add('X');
+            index += 3;
+            break;
+          }
+          // Double C, but not MCCLELLAN
+          if (next === 'C' && !(index === 1 && at(0) === 'M')) {
+            // BELLOCCHIO, but not BACCHUS
+            if ('IEH'.includes(nextnext || '-') && slice(index + 2, index + 4) !== 'HU') {
+              const around = slice(index - 1, index + 4);
+              // ACCIDENT, SUCCEED
+              if ((index === 1 && prev === 'A') || around === 'UCCEE' || around === 'UCCES') {
+                add('KS');
+              } else {
+                add('X');
+              }
+              index += 3;
+            } else {
+              add('K');
+              index += 2;
+            }
+            break;
+          }
+          if (next === 'G' || next === 'K' || next === 'Q') {
+            add('K');
+            index += 2;
+            break;
+          }
+          // Italian CIAO
+          if (next === 'I' && (nextnext === 'A' || nextnext === 'E' || nextnext === 'O')) {
+            add('S', 'X');
+            index += 2;
+            break;
+          }
+          if (next === 'I' || next === 'E' || next === 'Y') {
+            add('S');
+            index += 2;
+            break;
+          }
+          add('K');
+          index += (next === 'Q' || (next === 'C' && nextnext !== 'E' && nextnext !== 'I')) ? 2 : 1;
+          break;
+
+        case 'D':
+          if (next === 'G') {
+            // EDGE
+            if (nextnext === 'I' || nextnext === 'E' || nextnext === 'Y') {
+              add('J');
+              index += 3;
+            } else {
+              add('TK');
+              index += 2;
+            }
+            break;
+          }
+          add('T');
+          index += (next === 'T' || next === 'D') ? 2 : 1;
+          break;
+
+        case 'F':
+          add('F');
+          index += next === 'F' ? 2 : 1;
+          break;
+
+        case 'G':
+          if (next === 'H') {
+            if (index > 0 && !isVowel(prev)) {
+              add('K');
+            } else if (index === 0) {
+              // GHISLANE, GHETTO
+              add(nextnext === 'I' ? 'J' : 'K');
+            } else if ('BHD'.includes(at(index - 2) || '-') || 'BHD'.includes(at(index - 3) || '-') ||
+                'BH'.includes(at(index - 4) || '-')) {
+              // Parker's rule: HUGH, BOUGH, BROUGHTON - silent
+            } else if (index > 2 && prev === 'U' && 'CGLRT'.includes(at(index - 3))) {
+              // LAUGH, COUGH, TOUGH
+              add('F');
+            } else if (index > 0 && prev !== 'I') {
+              add('K');
+            }
+            index += 2;
+            break;
+          }
+          if (next === 'N') {
+            if (index === 1 && isVowel(at(0)) && !isSlavoGermanic) {
+              add('KN', 'N');
+            } else if (slice(index + 2, index + 4) !== 'EY' && next !== 'Y' && !isSlavoGermanic) {
+              add('N', 'KN');
+            } else {
+              add('KN');
+            }
+            index += 2;
+            break;
+          }
+          // TAGLIARO
+          if (slice(index + 1, index + 3) === 'LI' && !isSlavoGermanic) {
+            add('KL', 'L');
+            index += 2;
+            break;
+          }
+          // GES-, GEP-, GEL- at the beginning
+          if (index === 0 && /^(Y.|E[BILPRSY]|I[BELN])/.test(slice(1, 3))) {
+            add('K', 'J');
+            index += 2;
+            break;
+          }
+          // -GER-, -GY-
+          if ((slice(index + 1, index + 3) === 'ER' && prev !== 'I' && prev !== 'E' && !/^[DMR]ANGER/.test(value)) ||
+              (next === 'Y' && !'EGIR'.includes(prev || '-'))) {
+            add('K', 'J');
+            index += 2;
+            break;
+          }
+          // Italian BIAGGI
+          if (next === 'E' || next === 'I' || next === 'Y' || ((prev === 'A' || prev === 'O') && next === 'G' && nextnext === 'I')) {
+            if (slice(index + 1, index + 3) === 'ET' || isGermanic) {
+              add('K');
+            } else {
+              add('J', slice(index + 1, index + 4) === 'IER' && index + 4 === length ? 'J' : 'K');
+            }
+            index += 2;
+            break;
+          }
+          add('K');
+          index += next === 'G' ? 2 : 1;
+          break;
+
+        case 'H':
+          // Only kept when first and before a vowel or between two vowels
+          if (isVowel(next) && (index === 0 || isVowel(prev))) {
+            add('H');
+            index += 2;
+          } else {
+            index++;
+          }
+          break;
+
+        case 'J':
+          // Spanish JOSE, SAN JACINTO
+          if (slice(index, index + 4) === 'JOSE' || slice(0, 4) === 'SANJ') {
+            if ((index === 0 && length === 4) || slice(0, 4) === 'SANJ') {
+              add('H');
+            } else {
+              add('J', 'H');
+            }
+            index++;
+            break;
+          }
+          if (index === 0) {
+            add('J', 'A');
+          } else if (!isSlavoGermanic && (next === 'A' || next === 'O') && isVowel(prev)) {
+            add('J', 'H');
+          } else if (index === last) {
+            add('J', '');
+          } else if (!'SKL'.includes(prev) && !'LTKSNMBZ'.includes(next)) {
+            add('J');
+          }
+          index += next === 'J' ? 2 : 1;
+          break;
+
+        case 'K':
+          add('K');
+          index += next === 'K' ? 2 : 1;
+          break;
+
+        case 'L':
+          if (next === 'L') {
+            // Spanish CABRILLO, GALLEGOS
+            if ((index === length - 3 && ((prev === 'A' && nextnext === 'E') || (prev === 'I' && (nextnext === 'O' || nextnext === 'A')))) ||
+                (prev === 'A' && nextnext === 'E' && ('AO'.includes(at(last)) || ['AS', 'OS'].includes(slice(last - 1, length))))) {
+              add('L', '');
+              index += 2;
+              break;
+            }
+            index++;
+          }
+          add('L');
+          index++;
+          break;
+
+        case 'M':
+          add('M');
+          // DUMB, THUMB
+          index += (next === 'M' || (prev === 'U' && next === 'B' && (index + 1 === last || slice(index + 2, index + 4) === 'ER'))) ? 2 : 1;
+          break;
+
+        case 'N':
+          add('N');
+          index += next === 'N' ? 2 : 1;
+          break;
+
+        case 'P':
+          if (next === 'H') {
+            add('F');
+            index += 2;
+            break;
+          }
+          add('P');
+          index += (next === 'P' || next === 'B') ? 2 : 1;
+          break;
+
+        case 'Q':
+          add('K');
+          index += next === 'Q' ? 2 : 1;
+          break;
+
+        case 'R':
+          // French ROGIER, but not HOCHMEIER
+          if (index === last && !isSlavoGermanic && prev === 'E' && at(index - 2) === 'I' &&
+              at(index - 4) !== 'M' && at(index - 3) !== 'E' && at(index - 3) !== 'A') {
+            add('', 'R');
+          } else {
+            add('R');
+          }
+          index += next === 'R' ? 2 : 1;
+          break;
+
+        case 'S':
+          // ISLAND, CARLISLE
+          if (next === 'L' && (prev === 'I' || prev === 'Y')) {
+            index++;
+            break;
+          }
+          // SUGAR
+          if (index === 0 && slice(1, 5) === 'UGAR') {
+            add('X', 'S');
+            index++;
+            break;
+          }
+          if (next === 'H') {
+            // Germanic HOLM, HOLZ
+            add(/^(EIM|OEK|OLM|OLZ)/.test(slice(index + 2, index + 5)) ? 'S' : 'X');
+            index += 2;
+            break;
+          }
+          // Italian and Armenian SIO, SIA
+          if (next === 'I' && (nextnext === 'O' || nextnext === 'A')) {
+            add('S', isSlavoGermanic ? 'S' : 'X');
+            index += 3;
+            break;
+          }
+          // German and anglicized SMITH / SCHMIDT, SNIDER / SCHNEIDER; Slavic SZ
+          if ((index === 0 && 'MNLW'.includes(next || '-')) || next === 'Z') {
+            add('S', 'X');
+            index += next === 'Z' ? 2 : 1;
+            break;
+          }
+          if (next === 'C') {
+            // Schlesinger's rule
+            if (nextnext === 'H') {
+              const after = slice(index + 3, index + 5);
+              // Dutch SCHOOL, SCHOONER, SCHERMERHORN, SCHENKER
+              if (/^(OO|ER|EN|UY|ED|EM)/.test(after)) {
+                if (after === 'ER' || after === 'EN') {
+                  add('X', 'SK');
+                } else {
+                  add('SK');
+                }
+              } else if (index === 0 && !isVowel(at(3)) && at(3) !== 'W') {
+                add('X', 'S');
+              } else {
+                add('X');
+              }
+              index += 3;
+              break;
+            }
+            add(nextnext === 'I' || nextnext === 'E' || nextnext === 'Y' ? 'S' : 'SK');
+            index += 3;
+            break;
+          }
+          // French RESNAIS, ARTOIS
+          if (index === last && (slice(index - 2, index) === 'AI' || slice(index - 2, index) === 'OI')) {
+            add('', 'S');
+          } else {
+            add('S');
+          }
+          index += (next === 'S' || next === 'Z') ? 2 : 1;
+          break;
+
+        case 'T':
+          if (next === 'I' && nextnext === 'O' && at(index + 3) === 'N') {
+            add('X');
+            index += 3;
+            break;
+          }
+          if ((next === 'I' && nextnext === 'A') || (next === 'C' && nextnext === 'H')) {
+            add('X');
+            index += 3;
+            break;
+          }
+          if (next === 'H' || (next === 'T' && nextnext === 'H')) {
+            // THOMAS, THAMES or Germanic
+            if (isGermanic || ((nextnext === 'O' || nextnext === 'A') && at(index + 3) === 'M')) {
+              add('T');
+            } else {
+              add('0', 'T');
+            }
+            index += 2;
+            break;
+          }
+          add('T');
+          index += (next === 'T' || next === 'D') ? 2 : 1;
+          break;
+
+        case 'V':
+          add('F');
+          index += next === 'V' ? 2 : 1;
+          break;
+
+        case 'W':
+          if (next === 'R') {
+            add('R');
+            index += 2;
+            break;
+          }
+          if (index === 0) {
+            // WASSERMAN should match VASSERMAN
+            if (isVowel(next)) {
+              add('A', 'F');
+            } else if (next === 'H') {
+              add('A');
+            }
+          }
+          // ARNOW should match ARNOFF
+          if ((index === last && isVowel(prev)) || slice(0, 3) === 'SCH' ||
+              ((prev === 'E' || prev === 'O') && next === 'S' && nextnext === 'K' && (at(index + 3) === 'I' || at(index + 3) === 'Y'))) {
+            add('', 'F');
+            index++;
+            break;
+          }
+          // Polish FILIPOWICZ
+          if (next === 'I' && (nextnext === 'C' || nextnext === 'T') && at(index + 3) === 'Z') {
+            add('TS', 'FX');
+            index += 4;
+            break;
+          }
+          index++;
+          break;
+
+        case 'X':
+          // French BREAUX
+          if (!(index === last && prev === 'U' && (at(index - 2) === 'A' || at(index - 2) === 'O'))) {
+            add('KS');
+          }
+          index += (next === 'C' || next === 'X') ? 2 : 1;
+          break;
+
+        case 'Z':
+          // Chinese ZHAO
+          if (next === 'H') {
+            add('J');
+            index += 2;
+            break;
+          }
+          if ((next === 'Z' && (nextnext === 'A' || nextnext === 'I' || nextnext === 'O')) ||
+              (isSlavoGermanic && index > 0 && prev !== 'T')) {
+            add('S', 'TS');
+          } else {
+            add('S');
+          }
+          index += next === 'Z' ? 2 : 1;
+          break;
+
+        default:
+          index++;
+      }
+    }
+
+    return [primary.slice(0, this.METAPHONE_LENGTH), secondary.slice(0, this.METAPHONE_LENGTH)];
+  }
+}
+
+module.exports = PhoneticEncoder;
@@ -0,0 +1,145 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const ErrorHandler = require('./error-handler');
+const InputValidator = require('./input-validator');
+
+/**
+ * Request Comment Service
+ * Threaded comments on business partner requests:
+ * - Internal comments are visible to approvers only, external ones to the requester too
+ * - Replies reference their parent comment
+ * - @userId mentions email the mentioned users through the NotificationService
+ *
+ * @class RequestCommentService
+ */
+class RequestCommentService {
+
+  /**
+   * @param {NotificationService} notificationService - Service used for mention emails
+   */
+  constructor(notificationService) {
+    this.notificationService = notificationService;
+    this.VISIBILITIES = ['Internal', 'External'];
+    this.COMMENT_TYPES = ['Comment', 'Question', 'Answer'];
+    this.MAX_LENGTH = 2000;
+    this.INTERNAL_ROLES = ['MDMApprover', 'MDMBackupApprover'];
+  }
+
+  /**
+   * Extract @mentions from comment text
+   *
+   * @param {string} text - Comment text
+   * @returns {Array} Unique mentioned user IDs
+   */
+  parseMentions(text) {
+    const mentions = [...(text || '').matchAll(/(?:^|[^\w.])@([\w.-]+)/g)].map(m => m[1].replace(/\.$/, ''));
+    return [...new Set(mentions)];
+  }
+
+  /**
+   * Add a comment to a request
+   *
+   * @param {Object} request - Business partner request
+   * @param {Object} user - CAP user writing the comment
+   * @param {Object} comment - Comment data
+   * @param {string} comment.text - Comment text
+   * @param {string} comment.visibility - Internal or External (default External)
+   * @param {string} comment.commentType - Comment, Question or Answer (default Comment)
+   * @param {string} comment.parentCommentId - Comment this one replies to (optional)
+   * @returns {Promise<Object>} Created comment
+   */
+  async addComment(request, user, comment) {
+    const text = InputValidator.sanitizeString(comment.text || '');
+    const visibility = comment.visibility || 'External';
+    const commentType = comment.commentType || 'Comment';
+
+    if (!text) {
+      throw ErrorHandler.validationError('text', 'Comment text is required');
+    }
+    if (text.length > this.MAX_LENGTH) {
+      throw ErrorHandler.validationError('text', `Comment text exceeds ${this.MAX_LENGTH} characters`, text.length);
+    }
+    if (!this.VISIBILITIES.includes(visibility)) {
+      throw ErrorHandler.validationError('visibility', `Visibility must be one of: ${this.VISIBILITIES.join(', ')}`, visibility);
+    }
+    if (!this.COMMENT_TYPES.includes(commentType)) {
+      throw ErrorHandler.validationError('commentType', `Comment type must be one of: ${this.COMMENT_TYPES.join(', ')}`, commentType);
+    }
+    if (visibility === 'Internal' && !this.isInternalUser(user)) {
+      throw ErrorHandler.authorizationError('write internal comments on', 'BusinessPartnerRequest', this.INTERNAL_ROLES);
+    }
+
+    if (comment.parentCommentId) {
+      const parent = await SELECT.one.from('mdm.db.RequestComments')
+        .columns('ID')
+        .where({ ID: comment.parentCommentId, request_ID: request.ID });
+
+      if (!parent) {
+        throw ErrorHandler.notFoundError('RequestComment', comment.parentCommentId);
+      }
+    }
+
+    const mentions = this.parseMentions(text);
+    const entry = {
+      ID: uuidv4(),
+      request_ID: request.ID,
+      parentComment_ID: comment.parentCommentId || null,
+      author: user?.id || 'system',
+      authorName: user?.displayName || user?.id || 'System',
+      text,
+      visibility,
+      commentType,
+      mentions: mentions.length > 0 ? mentions.join(',').substring(0, 500) : null
+    };
+
+    await INSERT.into('mdm.db.RequestComments').entries(entry);
+    console.log(`💬 ${visibility} ${commentType.toLowerCase()} added to request ${request.requestNumber} by ${entry.author}`);
+
+    if (mentions.length > 0) {
+      await this.notifyMentions(request, entry, mentions);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Email the users mentioned in a comment
+   * Internal comments only notify users who may read them.
+   *
+   * @param {Object} request - Business partner request
+   * @param {Object} comment - Created comment
+   * @param {Array} mentions - Mentioned user IDs
+   * @returns {Promise<void>}
+   */
+  async notifyMentions(request, comment, mentions) {
+    let recipientUserIds = mentions.filter(id => id !== comment.author);
+
+    if (comment.visibility === 'Internal') {
+      const internalUsers = await SELECT.from('mdm.db.UserRoles')
+        .columns('userId')
+        .where({ userId: { in: recipientUserIds }, role: { in: this.INTERNAL_ROLES }, isActive: true });
+      const allowed = new Set(internalUsers.map(u => u.userId));
+      recipientUserIds = recipientUserIds.filter(id => allowed.has(id));
+    }
+
+    if (recipientUserIds.length === 0) return;
+
+    await this.notificationService.sendWorkflowNotification(request, 'mention', {
+      recipientUserIds,
+      authorName: comment.authorName,
+      comments: comment.text
+    });
+  }
+
+  /**
+   * Check whether a user may read and write internal comments
+   *
+   * @param {Object} user - CAP user
+   * @returns {boolean} True for approvers
+   */
+  isInternalUser(user) {
+    return this.INTERNAL_ROLES.some(role => user?.is?.(role));
+  }
+}
+
+module.exports = RequestCommentService;
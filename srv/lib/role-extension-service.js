@@ -0,0 +1,257 @@
+const cds = require('@sap/cds');
+const ErrorHandler = require('./error-handler');
+
+/**
+ * Role Extension Service
+ * Applies 'Extend' requests, which add the customer or supplier role to an
+ * existing golden record instead of creating a new partner:
+ * - Customer → FLCU00 (FI customer) + FLCU01 (customer) roles and an A_Customer record
+ * - Supplier → FLVN00 (FI vendor) + FLVN01 (vendor) roles and an A_Supplier record
+ * - Both → both of the above
+ *
+ * The organizational data of the extended role is added as well:
+ * - Customer → company codes (A_CustomerCompany) and sales areas (A_CustomerSalesArea)
+ * - Supplier → company codes (A_SupplierCompany) and purchasing organizations (A_SupplierPurchasingOrg)
+ *
+ * Roles and records the partner already has are kept; a request that would
+ * add nothing is refused. The new customer/supplier record is named after the
+ * golden record, not after the request, so the partner keeps one name.
+ *
+ * @class RoleExtensionService
+ */
+class RoleExtensionService {
+
+  /**
+   * @param {BusinessPartnerMaterializer} materializer - Mapping of request data to golden record entries
+   */
+  constructor(materializer) {
+    this.materializer = materializer;
+    this.SEGMENTS = {
+      Customer: {
+        roles: ['FLCU00', 'FLCU01'],
+        entity: 'mdm.db.A_Customer',
+        keyField: 'Customer',
+        orgData: [
+          { fieldGroup: 'CustomerCompany', entity: 'mdm.db.A_CustomerCompany', keyField: 'CompanyCode' },
+          { fieldGroup: 'SalesArea', entity: 'mdm.db.A_CustomerSalesArea', keyField: 'SalesArea' }
+        ]
+      },
+      Supplier: {
+        roles: ['FLVN00', 'FLVN01'],
+        entity: 'mdm.db.A_Supplier',
+        keyField: 'Supplier',
+        orgData: [
+          { fieldGroup: 'SupplierCompany', entity: 'mdm.db.A_SupplierCompany', keyField: 'CompanyCode' },
+          { fieldGroup: 'PurchasingOrg', entity: 'mdm.db.A_SupplierPurchasingOrg', keyField: 'PurchasingOrganization' }
+        ]
+      }
+    };
+    this.CUSTOMER_FIELDS = ['customerReconAccount', 'customerCompanyCode', 'customerPaymentTerms'];
+    this.OPEN_STATUSES = ['Submitted', 'ComplianceCheck', 'DuplicateReview', 'ClarificationRequested'];
+  }
+
+  /**
+   * Get the segments (Customer, Supplier) an entity type asks for
+   *
+   * @param {string} entityType - Customer, Supplier or Both
+   * @returns {Array} Segment names
+   */
+  getSegments(entityType) {
+    return entityType === 'Both' ? ['Customer', 'Supplier'] : [entityType || 'Supplier'];
+  }
+
+  /**
+   * Work out what an extension adds to the partner
+   *
+   * @param {string} bpNumber - SAP BP number of the existing partner
+   * @param {string} entityType - Customer, Supplier or Both
+   * @returns {Promise<Object>} { header, segments: [{ segment, roles, createRecord }] }
+   * @throws {Error} Not found error if the partner has no golden record, business rule
+   *                 violation if the partner already has all requested roles
+   */
+  async planExtension(bpNumber, entityType) {
+    const header = await SELECT.one.from('mdm.db.A_BusinessPartner').where({ BusinessPartner: bpNumber });
+    if (!header) {
+      throw ErrorHandler.notFoundError('BusinessPartner', bpNumber);
+    }
+
+    const assigned = await SELECT.from('mdm.db.A_BusinessPartnerRole')
+      .columns('BusinessPartnerRole')
+      .where({ BusinessPartner: bpNumber });
+    const assignedRoles = new Set(assigned.map(r => r.BusinessPartnerRole));
+
+    const segments = [];
+    for (const segment of this.getSegments(entityType)) {
+      const definition = this.SEGMENTS[segment];
+      const record = await SELECT.one.from(definition.entity)
+        .columns('ID')
+        .where({ [definition.keyField]: bpNumber });
+      const roles = definition.roles.filter(role => !assignedRoles.has(role));
+
+      if (roles.length > 0 || !record) {
+        segments.push({ segment, roles, createRecord: !record });
+      }
+    }
+
+    if (segments.length === 0) {
+      throw ErrorHandler.businessRuleError('ROLE_ALREADY_ASSIGNED',
+        `Business partner ${bpNumber} already has the ${this.getSegments(entityType).join(' and ').toLowerCase()} role`,
+        { bpNumber, entityType });
+    }
+
+    return { header, segments };
+  }
+
+  /**
+   * Check that an Extend request can be submitted
+   *
+   * @param {Object} request - Business partner request
+   * @param {Array} companyCodes - Company code segments of the request
+   * @returns {Promise<Object>} Planned extension, see planExtension
+   * @throws {Error} Validation error for missing customer data, business rule
+   *                 violation if another extension of the partner is in review
+   */
+  async validateExtension(request, companyCodes = []) {
+    ErrorHandler.validateRequiredFields(request, ['existingBpNumber']);
+
+    const hasCustomerSegments = companyCodes.some(c => c.segmentType === 'Customer');
+    if (this.getSegments(request.entityType).includes('Customer') && !hasCustomerSegments) {
+      ErrorHandler.validateRequiredFields(request, this.CUSTOMER_FIELDS);
+    }
+
+    const openRequest = await SELECT.one.from('mdm.db.BusinessPartnerRequests')
+      .columns('requestNumber', 'status')
+      .where({
+        existingBpNumber: request.existingBpNumber,
+        requestType: 'Extend',
+        status: { in: this.OPEN_STATUSES },
+        ID: { '!=': request.ID }
+      });
+
+    if (openRequest) {
+      throw ErrorHandler.businessRuleError('OPEN_EXTENSION_REQUEST',
+        `Extension request ${openRequest.requestNumber} for business partner ${request.existingBpNumber} is already in review (${openRequest.status})`,
+        { bpNumber: request.existingBpNumber, requestNumber: openRequest.requestNumber });
+    }
+
+    return await this.planExtension(request.existingBpNumber, request.entityType);
+  }
+
+  /**
+   * Add the requested roles to the existing partner
+   * Runs in the caller's transaction, so a failure rolls back the approval.
+   *
+   * @param {Object} request - Approved Extend request
+   * @param {Object} user - CAP user approving the request
+   * @returns {Promise<Object>} { bpNumber, rolesAdded, recordsCreated, orgDataAdded, fieldsChanged }
+   */
+  async extend(request, user) {
+    const bpNumber = request.existingBpNumber;
+    const { header, segments } = await this.planExtension(bpNumber, request.entityType);
+
+    const now = new Date();
+    const context = {
+      bpNumber,
+      userId: (user?.id || 'system').substring(0, 12),
+      date: now.toISOString().slice(0, 10),
+      time: now.toISOString().slice(11, 19)
+    };
+    const partner = {
+      ...request,
+      partnerName: header.BusinessPartnerFullName || header.BusinessPartnerName || request.partnerName,
+      industry: header.Industry || request.industry
+    };
+    const vatId = await this.getEstablishedVatId(bpNumber);
+    const { records } = await this.materializer.buildRecords(request, bpNumber, user);
+
+    const rolesAdded = [];
+    const recordsCreated = [];
+    const orgDataAdded = [];
+    const fieldGroups = ['Header'];
+    const headerUpdates = {
+      LastChangeDate: context.date,
+      LastChangeTime: context.time,
+      LastChangedByUser: context.userId
+    };
+
+    for (const { segment, roles, createRecord } of segments) {
+      if (roles.length > 0) {
+        await INSERT.into('mdm.db.A_BusinessPartnerRole').entries(roles.map(role => this.materializer.mapRole(role, context)));
+        rolesAdded.push(...roles);
+      }
+
+      if (createRecord) {
+        const entry = segment === 'Customer'
+          ? this.materializer.mapCustomer(partner, vatId, context)
+          : this.materializer.mapSupplier(partner, vatId, context);
+        await INSERT.into(this.SEGMENTS[segment].entity).entries(entry);
+        recordsCreated.push(segment);
+      }
+
+      for (const orgData of this.SEGMENTS[segment].orgData) {
+        const entries = await this.filterNewOrgData(bpNumber, orgData, records[orgData.entity]);
+        if (entries.length > 0) {
+          await INSERT.into(orgData.entity).entries(entries);
+          orgDataAdded.push(...entries.map(e => `${orgData.fieldGroup}:${e[orgData.keyField]}`));
+          fieldGroups.push(orgData.fieldGroup);
+        }
+      }
+
+      headerUpdates[segment] = bpNumber;
+    }
+
+    await UPDATE('mdm.db.A_BusinessPartner').set(headerUpdates).where({ BusinessPartner: bpNumber });
+    await this.materializer.syncExistingPartner(bpNumber);
+    await this.materializer.recordSources(bpNumber, fieldGroups, request);
+
+    console.log(`🧩 Business partner ${bpNumber} extended by request ${request.requestNumber} (roles: ${rolesAdded.join(', ') || 'none'}, records: ${recordsCreated.join(', ') || 'none'}, org data: ${orgDataAdded.length})`);
+
+    return {
+      bpNumber,
+      rolesAdded,
+      recordsCreated,
+      orgDataAdded,
+      fieldsChanged: [...rolesAdded.map(role => `BusinessPartnerRole:${role}`), ...recordsCreated, ...orgDataAdded]
+    };
+  }
+
+  /**
+   * Keep the organizational data entries the partner does not have yet
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @param {Object} orgData - Organizational data definition { fieldGroup, entity, keyField }
+   * @param {Array} entries - Entries mapped from the request
+   * @returns {Promise<Array>} Entries with a new company code, sales area or purchasing organization
+   */
+  async filterNewOrgData(bpNumber, orgData, entries = []) {
+    if (entries.length === 0) return [];
+
+    const existing = await SELECT.from(orgData.entity)
+      .columns(orgData.keyField)
+      .where({ BusinessPartner: bpNumber });
+    const existingKeys = new Set(existing.map(e => e[orgData.keyField]));
+
+    return entries.filter(entry => !existingKeys.has(entry[orgData.keyField]));
+  }
+
+  /**
+   * Read the established VAT ID of a partner in the shape of a request VAT ID
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @returns {Promise<Object|null>} { vatNumber, country_code }
+   */
+  async getEstablishedVatId(bpNumber) {
+    const taxNumber = await SELECT.one.from('mdm.db.A_BusinessPartnerTaxNumber')
+      .columns('BPTaxType', 'BPTaxNumber', 'BPTaxLongNumber')
+      .where({ BusinessPartner: bpNumber });
+
+    if (!taxNumber) return null;
+
+    return {
+      vatNumber: taxNumber.BPTaxLongNumber || taxNumber.BPTaxNumber,
+      country_code: taxNumber.BPTaxType?.substring(0, 2) || null
+    };
+  }
+}
+
+module.exports = RoleExtensionService;
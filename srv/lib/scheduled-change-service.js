@@ -0,0 +1,230 @@
+const cds = require('@sap/cds');
+const ErrorHandler = require('./error-handler');
+const StatusTransitionEngine = require('./status-transition-engine');
+const JobScheduler = require('./job-scheduler');
+
+/**
+ * Scheduled Change Service
+ * Holds approved Update requests with a future effective date and applies them
+ * on that date:
+ * - On approval the request is marked Pending instead of changing the partner
+ * - A background scheduler applies due requests, each in its own transaction
+ * - ChangeNotifications for the satellite systems are created at application time
+ * - Requests the partner no longer fits (changed in the meantime) are marked Failed
+ *
+ * Only Update requests can be future-dated; their contact persons and hierarchy
+ * changes are held with the field changes.
+ *
+ * Configuration (SystemConfiguration):
+ * - SCHEDULED_CHANGE_INTERVAL_MINUTES: scheduler interval
+ *
+ * @class ScheduledChangeService
+ */
+class ScheduledChangeService {
+
+  /**
+   * @param {PartnerChangeService} partnerChangeService - Applies the stored field changes
+   * @param {ContactPersonService} contactPersonService - Creates the contact persons of the request
+   * @param {PartnerHierarchyService} hierarchyService - Applies parent and corporate group changes
+   * @param {NotificationService} notificationService - Creates the satellite change notifications
+   */
+  constructor(partnerChangeService, contactPersonService, hierarchyService, notificationService) {
+    this.partnerChangeService = partnerChangeService;
+    this.contactPersonService = contactPersonService;
+    this.hierarchyService = hierarchyService;
+    this.notificationService = notificationService;
+    this.scheduler = new JobScheduler({
+      name: 'Scheduled change',
+      icon: '📅',
+      intervalKey: 'SCHEDULED_CHANGE_INTERVAL_MINUTES',
+      defaultIntervalMinutes: 60,
+      job: () => this.processDueChanges()
+    });
+  }
+
+  /**
+   * Check the effective date of a request on submit
+   *
+   * @param {Object} request - Business partner request
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {void}
+   * @throws {Error} Validation error for a past date or a request type that cannot be future-dated
+   */
+  validateEffectiveDate(request, now = new Date()) {
+    if (!request.effectiveDate) return;
+
+    if (request.requestType !== 'Update') {
+      throw ErrorHandler.validationError('effectiveDate',
+        `Only Update requests can have an effective date - ${request.requestType} requests take effect on approval`,
+        request.effectiveDate);
+    }
+
+    if (request.effectiveDate < this.toDate(now)) {
+      throw ErrorHandler.validationError('effectiveDate',
+        `Effective date ${request.effectiveDate} is in the past`, request.effectiveDate);
+    }
+  }
+
+  /**
+   * Whether an approved request has to wait for its effective date
+   *
+   * @param {Object} request - Business partner request
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {boolean} True if the effective date is after today
+   */
+  isFutureDated(request, now = new Date()) {
+    return request.requestType === 'Update' && !!request.effectiveDate && request.effectiveDate > this.toDate(now);
+  }
+
+  /**
+   * Hold the changes of an approved request until its effective date
+   * The changes are checked against the golden record now, so approvers learn of
+   * conflicts at once; they are checked again when applied.
+   *
+   * @param {Object} request - Approved Update request
+   * @returns {Promise<Object>} { effectiveDate, changeCount }
+   */
+  async schedule(request) {
+    const changes = await this.partnerChangeService.assertApplicable(request);
+
+    await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({ scheduledChangeStatus: 'Pending', scheduledChangeAppliedAt: null, scheduledChangeError: null })
+      .where({ ID: request.ID });
+
+    console.log(`📅 ${changes.length} change(s) to business partner ${request.existingBpNumber} scheduled for ${request.effectiveDate} (request ${request.requestNumber})`);
+    return { effectiveDate: request.effectiveDate, changeCount: changes.length };
+  }
+
+  /**
+   * Cancel the pending changes of a request
+   *
+   * @param {Object} request - Business partner request
+   * @param {Object} user - CAP user cancelling the changes
+   * @param {string} reason - Why the changes are cancelled
+   * @param {string} onBehalfOf - Delegator when a delegate cancels
+   * @returns {Promise<void>}
+   * @throws {Error} Business rule violation if the request has no pending changes
+   */
+  async cancel(request, user, reason, onBehalfOf = null) {
+    const affected = await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({ scheduledChangeStatus: 'Cancelled' })
+      .where({ ID: request.ID, scheduledChangeStatus: 'Pending' });
+
+    if (!affected) {
+      throw ErrorHandler.businessRuleError('NO_SCHEDULED_CHANGES',
+        `Request ${request.requestNumber} has no pending scheduled changes`,
+        { requestNumber: request.requestNumber, scheduledChangeStatus: request.scheduledChangeStatus });
+    }
+
+    await StatusTransitionEngine.recordHistory(request.ID, {
+      action: 'CancelScheduledChange',
+      previousStatus: request.status,
+      newStatus: request.status,
+      comments: `Changes scheduled for ${request.effectiveDate} cancelled: ${reason}`,
+      user,
+      onBehalfOf
+    });
+
+    console.log(`🚫 Scheduled changes of request ${request.requestNumber} cancelled by ${user?.id || 'system'}`);
+  }
+
+  /**
+   * Apply all pending changes whose effective date has come
+   * Each request runs in its own transaction, so one failure does not hold up the others.
+   *
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {Promise<Object>} Counts of applied and failed requests
+   */
+  async processDueChanges(now = new Date()) {
+    const requests = await cds.tx(() => SELECT.from('mdm.db.BusinessPartnerRequests')
+      .where({ scheduledChangeStatus: 'Pending', effectiveDate: { '<=': this.toDate(now) } })
+      .orderBy('effectiveDate', 'approvedAt'));
+
+    const result = { applied: 0, failed: 0 };
+
+    for (const request of requests) {
+      try {
+        await cds.tx(() => this.apply(request, now));
+        result.applied++;
+      } catch (error) {
+        console.error(`❌ Scheduled changes of request ${request.requestNumber} could not be applied:`, error.message);
+        await cds.tx(() => this.markFailed(request, error));
+        result.failed++;
+      }
+    }
+
+    if (result.applied > 0 || result.failed > 0) {
+      console.log(`📅 Scheduled change check: ${result.applied} applied, ${result.failed} failed`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply the held changes of a request to the golden record
+   *
+   * @param {Object} request - Approved Update request with pending changes
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { fieldsChanged, changeDetails }
+   */
+  async apply(request, now = new Date()) {
+    const bpNumber = request.existingBpNumber;
+
+    // Claim the request first - a second scheduler instance finds nothing to update
+    const claimed = await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({ scheduledChangeStatus: 'Applied', scheduledChangeAppliedAt: now.toISOString(), scheduledChangeError: null })
+      .where({ ID: request.ID, scheduledChangeStatus: 'Pending' });
+    if (!claimed) return { fieldsChanged: [], changeDetails: [] };
+
+    const partnerChanges = await this.partnerChangeService.applyDiff(request, null);
+    await this.contactPersonService.createContacts(request, bpNumber, null);
+    await this.hierarchyService.applyRequest(request, bpNumber);
+
+    await StatusTransitionEngine.recordHistory(request.ID, {
+      action: 'ApplyScheduledChange',
+      previousStatus: request.status,
+      newStatus: request.status,
+      comments: `${partnerChanges.fieldsChanged.length} change(s) effective ${request.effectiveDate} applied to SAP BP ${bpNumber}`,
+      approverName: 'Scheduled Change Service'
+    });
+
+    await this.notificationService.createSystemNotification(
+      { ...request, sapBpNumber: bpNumber },
+      'updated',
+      { ...partnerChanges, effectiveDate: request.effectiveDate, userId: 'system' }
+    );
+
+    return partnerChanges;
+  }
+
+  /**
+   * Record that the changes of a request could not be applied
+   *
+   * @param {Object} request - Request with pending changes
+   * @param {Error} error - Why applying failed
+   * @returns {Promise<void>}
+   */
+  async markFailed(request, error) {
+    await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({ scheduledChangeStatus: 'Failed', scheduledChangeError: error.message?.substring(0, 500) })
+      .where({ ID: request.ID });
+
+    await StatusTransitionEngine.recordHistory(request.ID, {
+      action: 'ApplyScheduledChange',
+      previousStatus: request.status,
+      newStatus: request.status,
+      comments: `Changes effective ${request.effectiveDate} not applied: ${error.message}`.substring(0, 500),
+      approverName: 'Scheduled Change Service'
+    });
+  }
+
+  /**
+   * @param {Date} date - Point in time
+   * @returns {string} Date part (YYYY-MM-DD)
+   */
+  toDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = ScheduledChangeService;
@@ -0,0 +1,198 @@
+const cds = require('@sap/cds');
+const ErrorHandler = require('./error-handler');
+const StatusTransitionEngine = require('./status-transition-engine');
+
+/**
+ * Segregation of Duties Service
+ * Enforces the four-eyes principle on approval actions:
+ * - The requester can never approve their own request
+ * - Requests touching sensitive data (bank accounts, VAT IDs) need distinct approvers
+ * - Every blocked attempt is logged in ApprovalHistory
+ *
+ * Configuration (SystemConfiguration):
+ * - SOD_BLOCK_SELF_APPROVAL: 'true' to block approvals by the requester
+ * - SOD_DUAL_APPROVAL_ENTITIES: comma-separated request compositions that require distinct approvers
+ * - SOD_MIN_DISTINCT_APPROVERS: number of distinct approvers for such requests
+ *
+ * @class SegregationOfDutiesService
+ */
+class SegregationOfDutiesService {
+
+  /**
+   * @param {ApprovalWorkflowService} approvalWorkflowService - Service owning the request approval steps
+   */
+  constructor(approvalWorkflowService) {
+    this.approvalWorkflowService = approvalWorkflowService;
+    this.defaults = {
+      blockSelfApproval: true,
+      dualApprovalEntities: ['PartnerBanks', 'PartnerVatIds'],
+      minDistinctApprovers: 2
+    };
+  }
+
+  /**
+   * Load segregation-of-duties configuration
+   *
+   * @returns {Promise<Object>} Configuration merged with defaults
+   */
+  async getConfig() {
+    const entries = await SELECT.from('mdm.db.SystemConfiguration')
+      .columns('configKey', 'configValue')
+      .where({ configKey: { like: 'SOD_%' }, isActive: true });
+
+    const config = Object.fromEntries(entries.map(e => [e.configKey, e.configValue]));
+    const minApprovers = parseInt(config.SOD_MIN_DISTINCT_APPROVERS, 10);
+
+    return {
+      blockSelfApproval: config.SOD_BLOCK_SELF_APPROVAL !== undefined
+        ? config.SOD_BLOCK_SELF_APPROVAL === 'true'
+        : this.defaults.blockSelfApproval,
+      dualApprovalEntities: config.SOD_DUAL_APPROVAL_ENTITIES !== undefined
+        ? config.SOD_DUAL_APPROVAL_ENTITIES.split(',').map(e => e.trim()).filter(Boolean)
+        : this.defaults.dualApprovalEntities,
+      minDistinctApprovers: minApprovers > 0 ? minApprovers : this.defaults.minDistinctApprovers
+    };
+  }
+
+  /**
+   * Get the sensitive compositions a request touches
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @param {Object} config - Configuration from getConfig()
+   * @returns {Promise<Array>} Names of sensitive compositions with data
+   */
+  async getSensitiveChanges(requestId, config) {
+    const touched = [];
+
+    for (const entity of config.dualApprovalEntities) {
+      const entityName = `mdm.db.${entity}`;
+      if (!cds.model?.definitions[entityName]) {
+        console.warn(`⚠️ SoD: unknown dual-approval entity '${entity}' ignored`);
+        continue;
+      }
+
+      const row = await SELECT.one.from(entityName).columns('ID').where({ request_ID: requestId });
+      if (row) touched.push(entity);
+    }
+
+    return touched;
+  }
+
+  /**
+   * Get the number of distinct approvers a request needs
+   *
+   * @param {Object} request - Business partner request
+   * @returns {Promise<Object>} requiredApprovers and the sensitive changes causing it
+   */
+  async getApprovalRequirements(request) {
+    const config = await this.getConfig();
+    const sensitiveChanges = await this.getSensitiveChanges(request.ID, config);
+
+    return {
+      requiredApprovers: sensitiveChanges.length > 0 ? config.minDistinctApprovers : 1,
+      sensitiveChanges
+    };
+  }
+
+  /**
+   * Check whether the user is the requester of the request
+   *
+   * @param {Object} request - Business partner request
+   * @param {Object} user - CAP user
+   * @returns {boolean} True if the user created the request
+   */
+  isRequester(request, user) {
+    if (!user?.id) return false;
+    return request.requesterId === user.id || request.createdBy === user.id;
+  }
+
+  /**
+   * Assert that the user may approve the request
+   * Blocked attempts are logged before the error is raised.
+   *
+   * @param {Object} request - Business partner request
+   * @param {Object} user - CAP user approving
+   * @param {string} action - Approval action name
+   * @param {Object} options - Options
+   * @param {string} options.onBehalfOf - Delegator when a delegate approves
+   * @throws {Error} Segregation of duties violation
+   */
+  async assertApprovalAllowed(request, user, action, options = {}) {
+    const config = await this.getConfig();
+
+    if (config.blockSelfApproval && this.isRequester(request, user)) {
+      await this.blockAttempt(request, user, action, 'SELF_APPROVAL',
+        `User ${user.id} created request ${request.requestNumber} and cannot approve it`);
+    }
+
+    // A delegate cannot approve what the delegator could not approve
+    if (config.blockSelfApproval && options.onBehalfOf && this.isRequester(request, { id: options.onBehalfOf })) {
+      await this.blockAttempt(request, user, action, 'SELF_APPROVAL',
+        `User ${options.onBehalfOf} created request ${request.requestNumber} - ${user.id} cannot approve it on their behalf`);
+    }
+
+    const sensitiveChanges = await this.getSensitiveChanges(request.ID, config);
+    if (sensitiveChanges.length === 0 || config.minDistinctApprovers < 2) {
+      return;
+    }
+
+    // Only the approval that completes the chain has to reach the distinct approver count
+    const steps = await this.approvalWorkflowService.getSteps(request.ID);
+    const [userStep] = await this.approvalWorkflowService.getActiveStepsForUser(request.ID, user);
+    const openMandatory = steps.filter(s =>
+      s.isMandatory && this.approvalWorkflowService.OPEN_STEP_STATUSES.includes(s.status) &&
+      s.ID !== userStep?.ID);
+
+    if (openMandatory.length > 0) {
+      return;
+    }
+
+    const approvers = new Set(steps
+      .filter(s => s.status === 'Approved' && s.completedBy)
+      .map(s => s.completedBy));
+    approvers.add(user.id);
+
+    if (approvers.size < config.minDistinctApprovers) {
+      await this.blockAttempt(request, user, action, 'DISTINCT_APPROVERS',
+        `Changes to ${sensitiveChanges.join(', ')} require ${config.minDistinctApprovers} distinct approvers - ` +
+        `approved so far by ${[...approvers].join(', ')}`);
+    }
+  }
+
+  /**
+   * Log a blocked approval attempt and raise the violation
+   * The log entry is written by a background job in its own transaction so it
+   * survives the rollback of the blocked request.
+   *
+   * @param {Object} request - Business partner request
+   * @param {Object} user - CAP user
+   * @param {string} action - Approval action name
+   * @param {string} rule - Violated rule
+   * @param {string} message - Violation message
+   * @throws {Error} Segregation of duties violation
+   */
+  async blockAttempt(request, user, action, rule, message) {
+    console.warn(`🚫 SoD violation (${rule}) on ${action} for request ${request.requestNumber}: ${message}`);
+
+    cds.spawn({ user }, async () => {
+      await StatusTransitionEngine.recordHistory(request.ID, {
+        action: 'ApprovalBlocked',
+        previousStatus: request.status,
+        newStatus: request.status,
+        comments: `${action} blocked (${rule}): ${message}`,
+        user,
+        systemGenerated: true
+      });
+    }).on('failed', error => console.error('❌ Failed to log SoD violation:', error.message));
+
+    throw ErrorHandler.createError(
+      ErrorHandler.ERROR_CODES.SEGREGATION_OF_DUTIES_VIOLATION,
+      message,
+      'approvedBy',
+      { rule, action, userId: user?.id },
+      403
+    );
+  }
+}
+
+module.exports = SegregationOfDutiesService;
@@ -0,0 +1,196 @@
+const cds = require('@sap/cds');
+const StatusTransitionEngine = require('./status-transition-engine');
+const JobScheduler = require('./job-scheduler');
+
+/**
+ * SLA Monitoring and Escalation Service
+ * Background scheduler that watches the due dates of open approval stages:
+ * - Sends a reminder to the approver role shortly before the due date
+ * - Escalates overdue stages to the backup approver role
+ * - Records escalations in ApprovalHistory as system-generated entries
+ *
+ * Configuration (SystemConfiguration):
+ * - SLA_REMINDER_HOURS: hours before the due date a reminder is sent
+ * - SLA_BACKUP_APPROVER_ROLE: escalation role when a step defines none
+ * - SLA_CHECK_INTERVAL_MINUTES: scheduler interval
+ *
+ * @class SLAService
+ */
+class SLAService {
+
+  /**
+   * @param {NotificationService} notificationService - Service used for reminder and escalation emails
+   */
+  constructor(notificationService) {
+    this.notificationService = notificationService;
+    this.OPEN_STATUSES = ['Submitted', 'ComplianceCheck', 'DuplicateReview'];
+    this.defaults = {
+      reminderHours: 24,
+      backupApproverRole: 'MDMBackupApprover'
+    };
+    // Each check runs in its own transaction
+    this.scheduler = new JobScheduler({
+      name: 'SLA',
+      icon: '⏰',
+      intervalKey: 'SLA_CHECK_INTERVAL_MINUTES',
+      defaultIntervalMinutes: 15,
+      job: () => cds.tx(() => this.processDueRequests())
+    });
+  }
+
+  /**
+   * Load SLA configuration
+   *
+   * @returns {Promise<Object>} SLA configuration merged with defaults
+   */
+  async getConfig() {
+    const config = await JobScheduler.readConfig('SLA_');
+    const reminderHours = parseFloat(config.SLA_REMINDER_HOURS);
+
+    return {
+      reminderHours: Number.isNaN(reminderHours) ? this.defaults.reminderHours : reminderHours,
+      backupApproverRole: config.SLA_BACKUP_APPROVER_ROLE || this.defaults.backupApproverRole
+    };
+  }
+
+  /**
+   * Send reminders and escalate overdue requests
+   *
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {Promise<Object>} Counts of reminders and escalations
+   */
+  async processDueRequests(now = new Date()) {
+    const config = await this.getConfig();
+    const requests = await SELECT.from('mdm.db.BusinessPartnerRequests')
+      .where({ status: { in: this.OPEN_STATUSES } })
+      .and('slaDueDate is not null');
+
+    const result = { reminders: 0, escalations: 0 };
+    const reminderWindow = config.reminderHours * 60 * 60 * 1000;
+
+    for (const request of requests) {
+      const dueDate = new Date(request.slaDueDate);
+
+      try {
+        if (now > dueDate) {
+          if (!request.slaEscalatedAt) {
+            await this.escalate(request, config, now);
+            result.escalations++;
+          }
+        } else if (!request.slaReminderSentAt && dueDate - now <= reminderWindow) {
+          await this.sendReminder(request, now);
+          result.reminders++;
+        }
+      } catch (error) {
+        console.error(`❌ SLA processing failed for request ${request.requestNumber}:`, error.message);
+      }
+    }
+
+    if (result.reminders > 0 || result.escalations > 0) {
+      console.log(`⏰ SLA check: ${result.reminders} reminder(s), ${result.escalations} escalation(s)`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Remind the approvers of the current stage before the due date
+   *
+   * @param {Object} request - Business partner request
+   * @param {Date} now - Reference time
+   * @returns {Promise<void>}
+   */
+  async sendReminder(request, now) {
+    const affected = await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({ slaReminderSentAt: now.toISOString() })
+      .where({ ID: request.ID, slaReminderSentAt: null });
+
+    if (!affected) return;
+
+    const steps = await this.getActiveSteps(request.ID);
+    const roles = steps.length > 0
+      ? [...new Set(steps.map(s => s.approverRole || 'MDMApprover'))]
+      : ['MDMApprover'];
+
+    await this.notificationService.sendWorkflowNotification(request, 'sla_reminder', {
+      recipientRoles: roles,
+      dueDate: request.slaDueDate,
+      steps: steps.map(s => s.stepName)
+    });
+
+    console.log(`⏰ SLA reminder sent for request ${request.requestNumber} (due ${request.slaDueDate})`);
+  }
+
+  /**
+   * Escalate an overdue request to the backup approver role
+   *
+   * @param {Object} request - Business partner request
+   * @param {Object} config - SLA configuration
+   * @param {Date} now - Reference time
+   * @returns {Promise<void>}
+   */
+  async escalate(request, config, now) {
+    const steps = await this.getActiveSteps(request.ID);
+    const overdueSteps = steps.filter(s => !s.escalatedAt && (!s.dueDate || new Date(s.dueDate) < now));
+
+    const backupRoles = new Set();
+    for (const step of overdueSteps) {
+      const definition = step.workflowStep_ID
+        ? await SELECT.one.from('mdm.db.WorkflowSteps').columns('backupApproverRole').where({ ID: step.workflowStep_ID })
+        : null;
+      const backupRole = definition?.backupApproverRole || config.backupApproverRole;
+      backupRoles.add(backupRole);
+
+      await UPDATE('mdm.db.RequestApprovalSteps')
+        .set({ escalatedAt: now.toISOString(), escalatedToRole: backupRole })
+        .where({ ID: step.ID, escalatedAt: null });
+    }
+
+    if (backupRoles.size === 0) {
+      backupRoles.add(config.backupApproverRole);
+    }
+
+    const escalatedToRole = [...backupRoles].join(',');
+    const affected = await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({
+        slaEscalatedAt: now.toISOString(),
+        escalatedToRole,
+        escalationLevel: (request.escalationLevel || 0) + 1
+      })
+      .where({ ID: request.ID, slaEscalatedAt: null });
+
+    if (!affected) return;
+
+    const overdueNames = overdueSteps.map(s => s.stepName).join(', ');
+    await StatusTransitionEngine.recordHistory(request.ID, {
+      action: 'Escalate',
+      previousStatus: request.status,
+      newStatus: request.status,
+      comments: `SLA due ${request.slaDueDate} exceeded${overdueNames ? ` for ${overdueNames}` : ''} - escalated to ${escalatedToRole}`,
+      approverName: 'SLA Scheduler',
+      systemGenerated: true
+    });
+
+    await this.notificationService.sendWorkflowNotification(request, 'sla_escalation', {
+      recipientRoles: [...backupRoles],
+      dueDate: request.slaDueDate,
+      steps: overdueSteps.map(s => s.stepName)
+    });
+
+    console.log(`🚨 Request ${request.requestNumber} overdue since ${request.slaDueDate} - escalated to ${escalatedToRole}`);
+  }
+
+  /**
+   * Get the active approval steps of a request
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @returns {Promise<Array>} Active request approval steps
+   */
+  async getActiveSteps(requestId) {
+    return await SELECT.from('mdm.db.RequestApprovalSteps')
+      .where({ request_ID: requestId, status: 'Active' })
+      .orderBy('stepNumber');
+  }
+}
+
+module.exports = SLAService;
@@ -0,0 +1,279 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const ErrorHandler = require('./error-handler');
+const CacheService = require('./cache-service');
+
+/**
+ * Status Transition Engine for Business Partner Requests
+ * Central state machine that every workflow action goes through.
+ * Validates the move against VALID_STATUS_TRANSITIONS, persists the new status
+ * and records the true previous status in ApprovalHistory.
+ */
+class StatusTransitionEngine {
+
+  /**
+   * Valid status transitions (state machine definition)
+   */
+  static VALID_STATUS_TRANSITIONS = {
+    'Draft': ['Submitted'],
+    'Submitted': ['ComplianceCheck', 'ClarificationRequested', 'Rejected'],
+    'ComplianceCheck': ['DuplicateReview', 'ClarificationRequested', 'Approved', 'Rejected'],
+    'DuplicateReview': ['ClarificationRequested', 'Approved', 'Rejected'],
+    // The requester's answer returns the request to the status it was in
+    'ClarificationRequested': ['Submitted', 'ComplianceCheck', 'DuplicateReview', 'Rejected'],
+    // Reverting a merge reopens the duplicate review
+    'Approved': ['DuplicateReview'],
+    'Rejected': ['Draft'] // Allow resubmission after rejection
+  };
+
+  /**
+   * Default status criticality per status (0=None, 1=Success, 2=Warning, 3=Error)
+   */
+  static STATUS_CRITICALITY = {
+    'Draft': 0,
+    'Submitted': 2,
+    'ComplianceCheck': 2,
+    'DuplicateReview': 2,
+    'ClarificationRequested': 2,
+    'Approved': 1,
+    'Rejected': 3
+  };
+
+  /**
+   * Workflow actions and the status they move a request to.
+   * fromStatuses optionally narrows the action beyond the transition map.
+   * A null targetStatus means the target is decided at runtime (e.g. the
+   * status before clarification); only fromStatuses is checked then.
+   */
+  static ACTIONS = {
+    submitForApproval: { targetStatus: 'Submitted', fromStatuses: ['Draft'], flag: 'canSubmit' },
+    performComplianceCheck: { targetStatus: 'ComplianceCheck', fromStatuses: ['Submitted'], flag: 'canCheckCompliance' },
+    checkEstablishedVatDuplicates: { targetStatus: 'DuplicateReview', fromStatuses: ['ComplianceCheck'], flag: 'canCheckDuplicates' },
+    checkDuplicates: { targetStatus: 'DuplicateReview', fromStatuses: ['ComplianceCheck'], flag: 'canCheckDuplicates' },
+    approveRequest: { targetStatus: 'Approved', flag: 'canApprove' },
+    rejectRequest: { targetStatus: 'Rejected', flag: 'canReject' },
+    mergeWithExistingPartner: { targetStatus: 'Approved', fromStatuses: ['DuplicateReview'], flag: 'canMergeWithExisting' },
+    createNewPartner: { targetStatus: 'Approved', fromStatuses: ['DuplicateReview'], flag: 'canCreateNewPartner' },
+    requestClarification: { targetStatus: 'ClarificationRequested', flag: 'canRequestClarification' },
+    answerClarification: { targetStatus: null, fromStatuses: ['ClarificationRequested'], flag: 'canAnswerClarification' },
+    unmergeRequest: { targetStatus: 'DuplicateReview', fromStatuses: ['Approved'], flag: 'canUnmerge' }
+  };
+
+  /**
+   * Get statuses reachable from the given status
+   *
+   * @param {string} status - Current status
+   * @returns {Array} Allowed target statuses
+   */
+  static getAllowedTransitions(status) {
+    return this.VALID_STATUS_TRANSITIONS[status] || [];
+  }
+
+  /**
+   * Check whether a transition is legal
+   *
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Target status
+   * @returns {boolean} True if the transition is allowed
+   */
+  static canTransition(fromStatus, toStatus) {
+    return this.getAllowedTransitions(fromStatus).includes(toStatus);
+  }
+
+  /**
+   * Check whether a workflow action may be executed in the given status
+   *
+   * @param {string} status - Current status
+   * @param {string} action - Action name from ACTIONS
+   * @returns {boolean} True if the action is allowed
+   */
+  static isActionAllowed(status, action) {
+    const definition = this.ACTIONS[action];
+    if (!definition) return false;
+
+    if (definition.fromStatuses && !definition.fromStatuses.includes(status)) {
+      return false;
+    }
+
+    if (definition.targetStatus === null) {
+      return true;
+    }
+
+    return this.canTransition(status, definition.targetStatus);
+  }
+
+  /**
+   * Get the workflow actions available for a request in the given status
+   *
+   * @param {string} status - Current status
+   * @returns {Array} Allowed action names
+   */
+  static getAllowedActions(status) {
+    return Object.keys(this.ACTIONS).filter(action => this.isActionAllowed(status, action));
+  }
+
+  /**
+   * Build the virtual action availability flags used by the Fiori apps
+   *
+   * @param {string} status - Current status
+   * @returns {Object} Map of flag name to boolean plus allowedActions string
+   */
+  static getActionFlags(status) {
+    const allowedActions = this.getAllowedActions(status);
+    const flags = { allowedActions: allowedActions.join(',') };
+
+    // Actions sharing a flag make it available if any of them is allowed
+    for (const [action, definition] of Object.entries(this.ACTIONS)) {
+      flags[definition.flag] = flags[definition.flag] || allowedActions.includes(action);
+    }
+
+    return flags;
+  }
+
+  /**
+   * Assert that an action may be executed in the given status
+   *
+   * @param {string} status - Current status
+   * @param {string} action - Action name from ACTIONS
+   * @throws {Error} Invalid status transition error
+   */
+  static assertActionAllowed(status, action) {
+    const definition = this.ACTIONS[action];
+    if (!definition) {
+      throw ErrorHandler.createError(
+        ErrorHandler.ERROR_CODES.INVALID_OPERATION,
+        `Unknown workflow action '${action}'`,
+        'action',
+        { action }
+      );
+    }
+
+    if (definition.fromStatuses && !definition.fromStatuses.includes(status)) {
+      throw ErrorHandler.createError(
+        ErrorHandler.ERROR_CODES.INVALID_STATUS_TRANSITION,
+        `Action '${action}' is not allowed in status '${status}'. Allowed in: ${definition.fromStatuses.join(', ')}`,
+        'status',
+        { fromStatus: status, toStatus: definition.targetStatus, action, allowedStatuses: definition.fromStatuses },
+        422
+      );
+    }
+
+    if (definition.targetStatus !== null) {
+      ErrorHandler.validateStatusTransition(status, definition.targetStatus, this.VALID_STATUS_TRANSITIONS);
+    }
+  }
+
+  /**
+   * Transition a request to a new status
+   * Re-reads the current status, validates the move, updates the request guarded
+   * by the previous status and records the history entry.
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @param {string} toStatus - Target status
+   * @param {Object} options - Transition options
+   * @param {string} options.action - Workflow action from ACTIONS (optional)
+   * @param {string} options.historyAction - Action label recorded in ApprovalHistory
+   * @param {string} options.comments - History comments
+   * @param {Object} options.user - CAP user performing the transition (optional)
+   * @param {string} options.approverName - History approver name override (optional)
+   * @param {string} options.onBehalfOf - Delegator when a delegate performs the action (optional)
+   * @param {Object} options.updates - Additional request fields to set
+   * @param {number} options.statusCriticality - Override for the default criticality
+   * @returns {Promise<Object>} Transition result with previous and new status
+   */
+  static async transition(requestId, toStatus, options = {}) {
+    const {
+      action, historyAction, comments = null, user = null, approverName,
+      onBehalfOf = null, updates = {}, statusCriticality
+    } = options;
+
+    const request = await SELECT.one.from('mdm.db.BusinessPartnerRequests')
+      .columns('ID', 'requestNumber', 'status')
+      .where({ ID: requestId });
+
+    if (!request) {
+      throw ErrorHandler.notFoundError('BusinessPartnerRequest', requestId);
+    }
+
+    const previousStatus = request.status;
+
+    if (action && this.ACTIONS[action]) {
+      this.assertActionAllowed(previousStatus, action);
+    }
+    ErrorHandler.validateStatusTransition(previousStatus, toStatus, this.VALID_STATUS_TRANSITIONS);
+
+    const criticality = statusCriticality !== undefined
+      ? statusCriticality
+      : (this.STATUS_CRITICALITY[toStatus] ?? 0);
+
+    // Guard on the previous status so concurrent transitions cannot both succeed
+    const affected = await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({
+        ...updates,
+        status: toStatus,
+        statusCriticality: criticality,
+        modifiedBy: user?.id || 'system',
+        modifiedAt: new Date().toISOString()
+      })
+      .where({ ID: requestId, status: previousStatus });
+
+    if (!affected) {
+      throw ErrorHandler.createError(
+        ErrorHandler.ERROR_CODES.INVALID_STATUS_TRANSITION,
+        `Request ${request.requestNumber || requestId} was modified concurrently - status is no longer '${previousStatus}'`,
+        'status',
+        { fromStatus: previousStatus, toStatus },
+        409
+      );
+    }
+
+    await this.recordHistory(requestId, {
+      action: historyAction || action || toStatus,
+      previousStatus,
+      newStatus: toStatus,
+      comments,
+      user,
+      approverName,
+      onBehalfOf
+    });
+
+    // Cached copies carry the old status
+    await CacheService.delete(`request:${requestId}`, 'partner_data');
+
+    console.log(`🔀 Request ${request.requestNumber || requestId}: ${previousStatus} → ${toStatus}`);
+
+    return {
+      requestId,
+      requestNumber: request.requestNumber,
+      previousStatus,
+      newStatus: toStatus,
+      statusCriticality: criticality
+    };
+  }
+
+  /**
+   * Record an ApprovalHistory entry
+   *
+   * @param {string} requestId - UUID of the business partner request
+   * @param {Object} entry - History entry data
+   * @returns {Promise<void>}
+   */
+  static async recordHistory(requestId, entry) {
+    const { action, previousStatus, newStatus, comments, user, approverName, onBehalfOf } = entry;
+
+    await INSERT.into('mdm.db.ApprovalHistory').entries({
+      ID: uuidv4(),
+      request_ID: requestId,
+      approverUserId: user?.id || 'system',
+      approverName: approverName || user?.displayName || user?.id || 'System',
+      action,
+      previousStatus,
+      newStatus,
+      comments: onBehalfOf ? `${comments || ''} (on behalf of ${onBehalfOf})`.trim() : comments,
+      systemGenerated: entry.systemGenerated ?? !user,
+      onBehalfOf: onBehalfOf || null
+    });
+  }
+}
+
+module.exports = StatusTransitionEngine;
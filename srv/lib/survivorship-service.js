@@ -0,0 +1,478 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const ErrorHandler = require('./error-handler');
+
+/**
+ * Survivorship Service
+ * Field-level merge of a request into an existing golden record:
+ * - A rule per field group (SurvivorshipRules) decides whether the request
+ *   value or the current value survives when both are filled
+ * - Empty request values never overwrite, empty golden record fields are filled
+ * - Request records without a counterpart are added; records of the golden
+ *   record are never removed by a merge
+ *
+ * The merge result is stored as the field changes of the request, so approvers
+ * review the preview like an update diff and the PartnerChangeService applies it.
+ *
+ * Rule types:
+ * - MostRecent: the newer data wins (request submission vs. last golden record change)
+ * - SourcePriority: the higher ranked source system wins, ties fall back to MostRecent
+ * - NeverOverwrite: filled golden record values are kept
+ *
+ * Merges are reversible: each merge keeps a snapshot of the partner before the
+ * merge, the contributed request data and the applied changes (MergeSnapshots).
+ * An unmerge reverts the applied changes as long as the partner was not changed
+ * again afterwards.
+ *
+ * @class SurvivorshipService
+ */
+class SurvivorshipService {
+
+  /**
+   * @param {PartnerChangeService} partnerChangeService - Snapshot, diff and apply of golden record changes
+   */
+  constructor(partnerChangeService) {
+    this.partnerChangeService = partnerChangeService;
+    this.materializer = partnerChangeService.materializer;
+    this.RULE_TYPES = ['MostRecent', 'SourcePriority', 'NeverOverwrite'];
+    this.DEFAULT_RULE = { ruleType: 'MostRecent', sourcePriority: null };
+    // History actions after which the request data is final
+    this.DATA_ACTIONS = ['Submit', 'AnswerClarification'];
+    this.MERGE_MATCHERS = {
+      // The main request address merges into the established address, further addresses by location
+      Address: (proposed, current) => proposed.AddressID === '1'
+        ? current.AddressID === '1'
+        : current.AddressID !== '1' && ['StreetName', 'HouseNumber', 'CityName', 'Country']
+          .every(field => this.normalize(proposed[field]) === this.normalize(current[field]))
+    };
+  }
+
+  /**
+   * Compute the merge of a request into a partner and store it for review
+   *
+   * @param {Object} request - Business partner request
+   * @param {string} bpNumber - SAP BP number of the surviving partner
+   * @param {Object} user - CAP user
+   * @returns {Promise<Array>} Resulting golden record fields (MergePreviewField)
+   */
+  async previewMerge(request, bpNumber, user) {
+    const { preview, changes } = await this.computeMerge(request, bpNumber, user);
+
+    await this.partnerChangeService.storeDiff(request.ID, changes);
+    await UPDATE('mdm.db.BusinessPartnerRequests')
+      .set({ mergePreviewBpNumber: bpNumber })
+      .where({ ID: request.ID });
+
+    console.log(`🔀 Merge preview of request ${request.requestNumber} into ${bpNumber}: ${changes.length} change(s)`);
+    return preview;
+  }
+
+  /**
+   * Merge a request into a partner
+   * Applies the reviewed preview if it was computed for the same partner,
+   * otherwise computes the merge first.
+   *
+   * @param {Object} request - Business partner request
+   * @param {string} bpNumber - SAP BP number of the surviving partner
+   * @param {Object} user - CAP user approving the merge
+   * @returns {Promise<Object>} { fieldsChanged, changeDetails } for change notifications
+   * @throws {Error} Conflict if the partner changed since the preview
+   */
+  async merge(request, bpNumber, user) {
+    const changeService = this.partnerChangeService;
+
+    if (request.mergePreviewBpNumber !== bpNumber) {
+      await this.previewMerge(request, bpNumber, user);
+    }
+
+    const [snapshot, sources, requestData] = await Promise.all([
+      changeService.loadSnapshot(bpNumber),
+      SELECT.from('mdm.db.GoldenRecordSources').where({ BusinessPartner: bpNumber }),
+      this.materializer.loadRequestData(request.ID)
+    ]);
+
+    let result;
+    try {
+      result = await changeService.applyDiff({ ...request, existingBpNumber: bpNumber }, user);
+    } catch (error) {
+      if (error.status === 409) {
+        throw ErrorHandler.createError(
+          ErrorHandler.ERROR_CODES.INVALID_OPERATION,
+          `Business partner ${bpNumber} changed since the merge preview - preview the merge again`,
+          'existingBpNumber',
+          error.details,
+          409
+        );
+      }
+      throw error;
+    }
+
+    const appliedChanges = await SELECT.from('mdm.db.RequestFieldChanges')
+      .columns('section', 'recordKey', 'operation', 'fieldName', 'beforeValue', 'afterValue', 'survivorshipRule')
+      .where({ request_ID: request.ID });
+
+    await INSERT.into('mdm.db.MergeSnapshots').entries({
+      ID: uuidv4(),
+      request_ID: request.ID,
+      bpNumber,
+      partnerSnapshot: JSON.stringify({ ...snapshot, sources }),
+      requestData: JSON.stringify({
+        header: {
+          partnerName: request.partnerName,
+          searchTerm: request.searchTerm,
+          entityType: request.entityType,
+          sourceSystem: request.sourceSystem,
+          communicationLanguage: request.communicationLanguage,
+          industry: request.industry
+        },
+        ...requestData
+      }),
+      appliedChanges: JSON.stringify(appliedChanges),
+      status: 'Active'
+    });
+
+    return result;
+  }
+
+  /**
+   * Revert the merge of a request
+   * Restores the merged fields and the field group sources from the merge
+   * snapshot and marks the snapshot as reverted.
+   *
+   * @param {Object} request - Business partner request that was merged
+   * @param {Object} user - CAP user reverting the merge
+   * @param {string} reason - Reason for the unmerge
+   * @returns {Promise<Object>} { bpNumber, fieldsChanged, changeDetails } for change notifications
+   * @throws {Error} Business rule violation if the request has no active merge,
+   *                 conflict if the partner changed after the merge
+   */
+  async unmerge(request, user, reason) {
+    const changeService = this.partnerChangeService;
+    const mergeSnapshot = await SELECT.one.from('mdm.db.MergeSnapshots')
+      .where({ request_ID: request.ID, status: 'Active' })
+      .orderBy('createdAt desc');
+
+    if (!mergeSnapshot) {
+      throw ErrorHandler.businessRuleError('NO_ACTIVE_MERGE',
+        `Request ${request.requestNumber} has no merge to revert`,
+        { requestNumber: request.requestNumber });
+    }
+
+    const { bpNumber } = mergeSnapshot;
+    const partnerSnapshot = JSON.parse(mergeSnapshot.partnerSnapshot);
+    const reverts = JSON.parse(mergeSnapshot.appliedChanges).map(change => this.invert(change, partnerSnapshot));
+
+    const current = await changeService.loadSnapshot(bpNumber);
+    if (!current) {
+      throw ErrorHandler.notFoundError('BusinessPartner', bpNumber);
+    }
+
+    const conflicts = changeService.findConflicts(current, reverts);
+    if (conflicts.length > 0) {
+      throw ErrorHandler.createError(
+        ErrorHandler.ERROR_CODES.INVALID_OPERATION,
+        `Business partner ${bpNumber} changed after the merge of request ${request.requestNumber} - the merge cannot be reverted`,
+        'sapBpNumber',
+        { bpNumber, conflicts: conflicts.slice(0, 20) },
+        409
+      );
+    }
+
+    await changeService.applyChanges(bpNumber, reverts, user);
+    await this.restoreSources(bpNumber, [...new Set(reverts.map(c => c.section))], partnerSnapshot.sources || []);
+
+    await UPDATE('mdm.db.MergeSnapshots')
+      .set({
+        status: 'Reverted',
+        revertedBy: user?.id || 'system',
+        revertedAt: new Date().toISOString(),
+        revertReason: reason || null
+      })
+      .where({ ID: mergeSnapshot.ID });
+
+    console.log(`↩️ Merge of request ${request.requestNumber} into ${bpNumber} reverted: ${reverts.length} change(s)`);
+    return { bpNumber, ...changeService.summarize(bpNumber, reverts) };
+  }
+
+  /**
+   * Build the change that reverts an applied change
+   * Restored values are taken from the merge snapshot, which holds them untruncated.
+   *
+   * @param {Object} change - Applied change
+   * @param {Object} partnerSnapshot - Golden record before the merge
+   * @returns {Object} Reverting change
+   */
+  invert(change, partnerSnapshot) {
+    const changeService = this.partnerChangeService;
+    const section = changeService.SECTIONS[change.section];
+    const record = change.section === 'Header'
+      ? partnerSnapshot.header
+      : partnerSnapshot.sections[change.section]?.find(r => String(r[section.keyField]) === change.recordKey);
+    const original = record?.[change.fieldName] ?? change.beforeValue;
+
+    const operation = { Added: 'Removed', Removed: 'Added' }[change.operation] || change.operation;
+    return changeService.change(change.section, change.recordKey, operation, change.fieldName,
+      change.afterValue, operation === 'Removed' ? null : original);
+  }
+
+  /**
+   * Restore the field group sources of a partner from a merge snapshot
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @param {Array} fieldGroups - Field groups reverted
+   * @param {Array} sources - GoldenRecordSources before the merge
+   * @returns {Promise<void>}
+   */
+  async restoreSources(bpNumber, fieldGroups, sources) {
+    if (fieldGroups.length === 0) return;
+
+    await DELETE.from('mdm.db.GoldenRecordSources')
+      .where({ BusinessPartner: bpNumber, fieldGroup: { in: fieldGroups } });
+
+    const restored = sources.filter(s => fieldGroups.includes(s.fieldGroup));
+    if (restored.length > 0) {
+      await INSERT.into('mdm.db.GoldenRecordSources').entries(restored);
+    }
+  }
+
+  /**
+   * Apply the survivorship rules to a request and a golden record
+   *
+   * @param {Object} request - Business partner request
+   * @param {string} bpNumber - SAP BP number of the surviving partner
+   * @param {Object} user - CAP user
+   * @returns {Promise<Object>} { preview, changes } - resulting fields and the changes to apply
+   * @throws {Error} Not found error if the partner has no golden record
+   */
+  async computeMerge(request, bpNumber, user) {
+    const changeService = this.partnerChangeService;
+    const snapshot = await changeService.loadSnapshot(bpNumber);
+
+    if (!snapshot) {
+      throw ErrorHandler.notFoundError('BusinessPartner', bpNumber);
+    }
+
+    const [{ records }, rules, sources, requestTimestamp] = await Promise.all([
+      this.materializer.buildRecords(request, bpNumber, user),
+      this.getRules(),
+      this.loadSources(bpNumber, snapshot.header),
+      this.getRequestTimestamp(request)
+    ]);
+    const context = { rules, sources, requestTimestamp, sourceSystem: request.sourceSystem || 'Manual' };
+
+    const preview = [];
+    const changes = [];
+    const addField = (section, recordKey, operation, fieldName, current, proposed, decision) => {
+      preview.push({
+        section,
+        recordKey: String(recordKey),
+        fieldName,
+        currentValue: current,
+        requestValue: proposed,
+        resultValue: decision.value,
+        survivingSource: decision.source,
+        rule: decision.rule,
+        isChanged: decision.value !== current
+      });
+
+      if (decision.value !== current) {
+        changes.push({
+          ...changeService.change(section, recordKey, operation, fieldName, current, decision.value),
+          survivorshipRule: decision.rule
+        });
+      }
+    };
+
+    const proposedHeader = records['mdm.db.A_BusinessPartner'][0];
+    for (const field of changeService.HEADER_FIELDS) {
+      const current = changeService.toValue(snapshot.header[field]);
+      const proposed = changeService.toValue(proposedHeader[field]);
+      if (current === null && proposed === null) continue;
+
+      addField('Header', bpNumber, 'Changed', field, current, proposed, this.decide('Header', current, proposed, context));
+    }
+
+    for (const [name, section] of Object.entries(changeService.SECTIONS)) {
+      const match = this.MERGE_MATCHERS[name] || section.match;
+      const remaining = [...snapshot.sections[name]];
+      let nextKey = Math.max(0, ...remaining.map(r => parseInt(r[section.keyField], 10) || 0)) + 1;
+
+      for (const entry of records[section.entity] || []) {
+        const index = remaining.findIndex(current => match(entry, current));
+
+        if (index >= 0) {
+          const [current] = remaining.splice(index, 1);
+          for (const field of section.fields) {
+            const before = changeService.toValue(current[field]);
+            const after = changeService.toValue(entry[field]);
+            if (before === null && after === null) continue;
+
+            addField(name, current[section.keyField], 'Changed', field, before, after, this.decide(name, before, after, context));
+          }
+        } else {
+          // Request records the partner does not have yet are added under a new key
+          const key = section.naturalKey
+            ? entry[section.keyField]
+            : String(nextKey++).padStart(section.keyLength || 1, '0');
+          for (const field of section.fields) {
+            const after = changeService.toValue(entry[field]);
+            if (after === null) continue;
+
+            addField(name, key, 'Added', field, null, after, { value: after, source: 'Request', rule: 'NewRecord' });
+          }
+        }
+      }
+
+      for (const current of remaining) {
+        for (const field of section.fields) {
+          const value = changeService.toValue(current[field]);
+          if (value === null) continue;
+
+          addField(name, current[section.keyField], 'Changed', field, value, null,
+            { value, source: 'Existing', rule: 'NotInRequest' });
+        }
+      }
+    }
+
+    return { preview, changes };
+  }
+
+  /**
+   * Decide which value of a field survives
+   *
+   * @param {string} fieldGroup - Header, Address, Bank, TaxNumber or Email
+   * @param {string|null} current - Golden record value
+   * @param {string|null} proposed - Request value
+   * @param {Object} context - { rules, sources, requestTimestamp, sourceSystem }
+   * @returns {Object} { value, source, rule } - surviving value, Request or Existing, deciding rule
+   */
+  decide(fieldGroup, current, proposed, context) {
+    if (proposed === null) {
+      return { value: current, source: 'Existing', rule: 'NoRequestValue' };
+    }
+    if (current === null) {
+      return { value: proposed, source: 'Request', rule: 'FillEmpty' };
+    }
+    if (current === proposed) {
+      return { value: current, source: 'Existing', rule: 'Unchanged' };
+    }
+
+    const rule = context.rules[fieldGroup] || this.DEFAULT_RULE;
+    const requestWins = this.requestWins(rule, context.sources[fieldGroup], context);
+
+    return {
+      value: requestWins ? proposed : current,
+      source: requestWins ? 'Request' : 'Existing',
+      rule: rule.ruleType
+    };
+  }
+
+  /**
+   * Evaluate a rule for conflicting values
+   *
+   * @param {Object} rule - Survivorship rule
+   * @param {Object} existing - Source of the field group { sourceSystem, updatedAt }
+   * @param {Object} context - { requestTimestamp, sourceSystem }
+   * @returns {boolean} True if the request value survives
+   */
+  requestWins(rule, existing, context) {
+    const isNewer = !existing.updatedAt || new Date(context.requestTimestamp) >= new Date(existing.updatedAt);
+
+    switch (rule.ruleType) {
+      case 'NeverOverwrite':
+        return false;
+
+      case 'SourcePriority': {
+        const priority = (rule.sourcePriority || '').split(',').map(s => s.trim()).filter(Boolean);
+        const rank = source => {
+          const index = priority.indexOf(source);
+          return index < 0 ? priority.length : index;
+        };
+        const requestRank = rank(context.sourceSystem);
+        const existingRank = rank(existing.sourceSystem);
+
+        // Equal priority - the more recent data wins
+        return requestRank === existingRank ? isNewer : requestRank < existingRank;
+      }
+
+      default:
+        return isNewer;
+    }
+  }
+
+  /**
+   * Load the active survivorship rules
+   *
+   * @returns {Promise<Object>} Rules per field group
+   */
+  async getRules() {
+    const rules = await SELECT.from('mdm.db.SurvivorshipRules').where({ isActive: true });
+
+    const byGroup = {};
+    for (const rule of rules) {
+      if (!this.RULE_TYPES.includes(rule.ruleType)) {
+        console.warn(`⚠️ Unknown survivorship rule '${rule.ruleType}' for ${rule.fieldGroup} ignored - using ${this.DEFAULT_RULE.ruleType}`);
+        continue;
+      }
+      byGroup[rule.fieldGroup] = rule;
+    }
+
+    return byGroup;
+  }
+
+  /**
+   * Load the source of each field group of a golden record
+   * Partners without recorded sources fall back to the source system of the
+   * partner and its last change.
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @param {Object} header - A_BusinessPartner record
+   * @returns {Promise<Object>} { sourceSystem, updatedAt } per field group
+   */
+  async loadSources(bpNumber, header) {
+    const [recorded, listed] = await Promise.all([
+      SELECT.from('mdm.db.GoldenRecordSources').where({ BusinessPartner: bpNumber }),
+      SELECT.one.from('mdm.db.ExistingPartners').columns('sourceSystem', 'lastUpdated').where({ sapBpNumber: bpNumber })
+    ]);
+
+    const lastChange = header.LastChangeDate
+      ? `${header.LastChangeDate}T${header.LastChangeTime || '00:00:00'}Z`
+      : null;
+    const fallback = {
+      sourceSystem: listed?.sourceSystem || null,
+      updatedAt: lastChange || listed?.lastUpdated || header.modifiedAt || header.createdAt
+    };
+
+    return Object.fromEntries(this.materializer.FIELD_GROUPS.map(group => [
+      group,
+      recorded.find(r => r.fieldGroup === group) || fallback
+    ]));
+  }
+
+  /**
+   * Get the time the request data was last finalized (submission or clarification answer)
+   *
+   * @param {Object} request - Business partner request
+   * @returns {Promise<string>} Timestamp
+   */
+  async getRequestTimestamp(request) {
+    const entry = await SELECT.one.from('mdm.db.ApprovalHistory')
+      .columns('createdAt')
+      .where({ request_ID: request.ID, action: { in: this.DATA_ACTIONS } })
+      .orderBy('createdAt desc');
+
+    return entry?.createdAt || request.createdAt;
+  }
+
+  /**
+   * Normalize a value for record matching
+   *
+   * @param {*} value - Field value
+   * @returns {string} Trimmed lower case value
+   */
+  normalize(value) {
+    return String(value ?? '').trim().toLowerCase();
+  }
+}
+
+module.exports = SurvivorshipService;
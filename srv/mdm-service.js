@@ -1,12 +1,27 @@
 const cds = require('@sap/cds');
 const { v4: uuidv4 } = require('uuid');
-const fuzzy = require('fuzzy');
 
 // Import enhanced services and utilities
 const ErrorHandler = require('./lib/error-handler');
 const InputValidator = require('./lib/input-validator');
 const NotificationService = require('./lib/notification-service');
 const CacheService = require('./lib/cache-service');
+const StatusTransitionEngine = require('./lib/status-transition-engine');
+const ApprovalWorkflowService = require('./lib/approval-workflow-service');
+const SLAService = require('./lib/sla-service');
+const SegregationOfDutiesService = require('./lib/segregation-of-duties-service');
+const DelegationService = require('./lib/delegation-service');
+const RequestCommentService = require('./lib/request-comment-service');
+const NumberRangeService = require('./lib/number-range-service');
+const BusinessPartnerMaterializer = require('./lib/business-partner-materializer');
+const PartnerChangeService = require('./lib/partner-change-service');
+const SurvivorshipService = require('./lib/survivorship-service');
+const RoleExtensionService = require('./lib/role-extension-service');
+const ContactPersonService = require('./lib/contact-person-service');
+const PartnerHierarchyService = require('./lib/partner-hierarchy-service');
+const ScheduledChangeService = require('./lib/scheduled-change-service');
+const MassChangeService = require('./lib/mass-change-service');
+const DuplicateScoringModel = require('./lib/duplicate-scoring-model');
 
 /**
  * Enhanced MDM Service Implementation
@@ -16,9 +31,10 @@ const CacheService = require('./lib/cache-service');
  */
 module.exports = cds.service.impl(async function() {
   // Get references to entities
-  const { BusinessPartnerRequests, CoupaRequests, PartnerAddresses, PartnerEmails, PartnerBanks,
-          PartnerVatIds, RequestAttachments, ApprovalHistory, DuplicateChecks,
-          ExistingPartners } = this.entities;
+  const { BusinessPartnerRequests, CoupaRequests, SalesforceRequests, PartnerAddresses, PartnerEmails, PartnerBanks,
+          PartnerVatIds, PartnerCompanyCodes, PartnerPurchasingOrgs, PartnerSalesAreas, PartnerContacts,
+          PartnerCommunications, RequestAttachments, ApprovalHistory, DuplicateChecks,
+          ExistingPartners, PendingApprovals, ApproverDelegations, A_BusinessPartner, MergeSnapshots } = this.entities;
 
   // Import external services
   const AEBService = require('./lib/aeb-service');
@@ -30,16 +46,20 @@ module.exports = cds.service.impl(async function() {
   const viesService = new VIESService();
   const duplicateService = new EnhancedDuplicateService();
   const notificationService = new NotificationService();
-
-  // Valid status transitions
-  const VALID_STATUS_TRANSITIONS = {
-    'Draft': ['Submitted'],
-    'Submitted': ['ComplianceCheck', 'Rejected'],
-    'ComplianceCheck': ['DuplicateReview', 'Approved', 'Rejected'],
-    'DuplicateReview': ['Approved', 'Rejected'],
-    'Approved': [],
-    'Rejected': ['Draft'] // Allow resubmission after rejection
-  };
+  const approvalWorkflowService = new ApprovalWorkflowService();
+  const slaService = new SLAService(notificationService);
+  const sodService = new SegregationOfDutiesService(approvalWorkflowService);
+  const delegationService = new DelegationService();
+  const commentService = new RequestCommentService(notificationService);
+  const numberRangeService = new NumberRangeService();
+  const materializer = new BusinessPartnerMaterializer(duplicateService);
+  const partnerChangeService = new PartnerChangeService(materializer);
+  const survivorshipService = new SurvivorshipService(partnerChangeService);
+  const roleExtensionService = new RoleExtensionService(materializer);
+  const contactPersonService = new ContactPersonService(materializer, numberRangeService);
+  const hierarchyService = new PartnerHierarchyService();
+  const scheduledChangeService = new ScheduledChangeService(partnerChangeService, contactPersonService, hierarchyService, notificationService);
+  const massChangeService = new MassChangeService(partnerChangeService, materializer, notificationService);
 
   // Service initialization
   console.log('🚀 Starting Enhanced MDM Service initialization...');
@@ -47,6 +67,24 @@ module.exports = cds.service.impl(async function() {
   // Warm up cache with commonly used data
   await CacheService.warmup();
 
+  // Start SLA reminders and escalations for open approval stages
+  if (process.env.SLA_SCHEDULER_ENABLED !== 'false') {
+    await slaService.scheduler.start();
+  }
+
+  // Apply approved future-dated changes on their effective date
+  if (process.env.SCHEDULED_CHANGES_ENABLED !== 'false') {
+    await scheduledChangeService.scheduler.start();
+  }
+
+  // Apply approved mass changes chunk by chunk
+  if (process.env.MASS_CHANGE_ENABLED !== 'false') {
+    await massChangeService.scheduler.start();
+  }
+
+  // Index partners loaded into the database without blocking keys
+  await duplicateService.blockingIndex.ensureBuilt();
+
   console.log('✅ Enhanced MDM Service initialized successfully');
 
   // ================================
@@ -66,13 +104,22 @@ module.exports = cds.service.impl(async function() {
   });
 
   /**
-   * Before CREATE BusinessPartnerRequests
+   * Before CREATE SalesforceRequests
+   * - Initialize system-controlled fields, the rest is set up as for BusinessPartnerRequests
+   */
+  this.before('CREATE', SalesforceRequests, async (req) => {
+    req.data.sourceSystem = 'Salesforce';
+    req.data.requestType = req.data.requestType || 'Create';
+  });
+
+  /**
+   * Before CREATE BusinessPartnerRequests and SalesforceRequests
    * - Comprehensive input validation and sanitization
    * - Generate request number
    * - Set requester information
    * - Validate request type and business rules
    */
-  this.before('CREATE', BusinessPartnerRequests, async (req) => {
+  this.before('CREATE', [BusinessPartnerRequests, SalesforceRequests], async (req) => {
     const { data } = req;
 
     try {
@@ -99,9 +146,7 @@ module.exports = cds.service.impl(async function() {
       }
 
       // 2. Generate request number
-      const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-      const counter = await getNextCounter.call(this);
-      data.requestNumber = `MDM-${timestamp}-${counter.toString().padStart(4, '0')}`;
+      data.requestNumber = await numberRangeService.nextRequestNumber();
 
       // 3. Set requester information from user context
       if (req.user) {
@@ -111,7 +156,7 @@ module.exports = cds.service.impl(async function() {
       }
 
       // 4. Set initial status and criticality
-      data.status = 'NEW';
+      data.status = 'Draft';
       data.statusCriticality = 0; // None
 
       // 5. Business rule validation
@@ -151,10 +196,163 @@ module.exports = cds.service.impl(async function() {
     console.log('Updating MDM request:', req.data.ID);
   });
 
+  /**
+   * Before CREATE/UPDATE ApproverDelegations
+   * - Default the delegator to the current user
+   * - Validate delegate and validity window
+   */
+  this.before(['CREATE', 'UPDATE'], ApproverDelegations, async (req) => {
+    const { data } = req;
+
+    try {
+      if (req.event === 'CREATE') {
+        data.delegatorId = data.delegatorId || req.user.id;
+        data.delegatorName = data.delegatorName || req.user.displayName || data.delegatorId;
+        data.validFrom = data.validFrom || new Date().toISOString();
+      }
+
+      delegationService.validateDelegation(data);
+      console.log(`🤝 Delegation ${data.delegatorId || ''} → ${data.delegateId || ''} saved`);
+    } catch (error) {
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Before CREATE/UPDATE ExistingPartners
+   * - Keep the phonetic name keys of the duplicate check in line with the name
+   */
+  this.before(['CREATE', 'UPDATE'], ExistingPartners, (req) => {
+    if (req.data.partnerName !== undefined) {
+      Object.assign(req.data, duplicateService.phoneticKeys(req.data.partnerName));
+    }
+  });
+
+  /**
+   * Before UPDATE ExistingPartners
+   * - Drop the blocking keys of the former BP number when the BP number changes
+   */
+  this.before('UPDATE', ExistingPartners, async (req) => {
+    if (req.data.sapBpNumber === undefined) return;
+
+    const partner = await SELECT.one.from(ExistingPartners).columns('sapBpNumber').where({ ID: req.data.ID });
+    if (partner && partner.sapBpNumber !== req.data.sapBpNumber) {
+      await duplicateService.blockingIndex.removePartner(partner.sapBpNumber);
+    }
+  });
+
+  /**
+   * Before DELETE ExistingPartners
+   * - Drop the partner's duplicate candidate blocking keys
+   */
+  this.before('DELETE', ExistingPartners, async (req) => {
+    const partner = await SELECT.one.from(ExistingPartners).columns('sapBpNumber').where({ ID: req.data.ID });
+    if (partner) {
+      await duplicateService.blockingIndex.removePartner(partner.sapBpNumber);
+    }
+  });
+
+  /**
+   * READ PendingApprovals
+   * - Approvers see the whole queue, delegates the part delegated to them
+   * - Delegated rows show the delegator they are approved on behalf of
+   */
+  this.on('READ', PendingApprovals, async (req, next) => {
+    if (req.user.is('MDMApprover') || req.user.is('MDMBackupApprover')) {
+      return next();
+    }
+
+    const delegations = await delegationService.getDelegatedQueueScopes(req.user);
+    if (delegations.length === 0) {
+      return ErrorHandler.handleRequestError(
+        ErrorHandler.authorizationError('read', 'PendingApprovals', ['MDMApprover']), req);
+    }
+
+    // Restrict the queue to the union of the delegation scopes
+    const scopes = delegations.map(d => {
+      const condition = [];
+      if (d.sourceSystem) condition.push({ ref: ['sourceSystem'] }, '=', { val: d.sourceSystem });
+      if (d.entityType) {
+        if (condition.length > 0) condition.push('and');
+        condition.push({ ref: ['entityType'] }, '=', { val: d.entityType });
+      }
+      return condition;
+    });
+
+    if (!scopes.some(condition => condition.length === 0)) {
+      req.query.where(scopes.flatMap((condition, i) =>
+        i === 0 ? [{ xpr: condition }] : ['or', { xpr: condition }]));
+    }
+
+    const results = await next();
+    const rows = (Array.isArray(results) ? results : [results]).filter(Boolean);
+
+    // Scopes are matched on source system and entity type, which $select may leave out
+    const unscoped = rows.filter(row => row.sourceSystem === undefined || row.entityType === undefined);
+    const scopeFields = new Map(unscoped.length === 0 ? [] : (await SELECT.from('mdm.db.BusinessPartnerRequests')
+      .columns('ID', 'sourceSystem', 'entityType')
+      .where({ ID: { in: unscoped.map(row => row.ID) } })).map(r => [r.ID, r]));
+
+    for (const row of rows) {
+      const delegation = delegations.find(d => delegationService.matchesScope(d, scopeFields.get(row.ID) || row));
+      if (delegation) {
+        row.delegatedBy = delegation.delegatorName || delegation.delegatorId;
+      }
+    }
+
+    return results;
+  });
+
   // ================================
   // AFTER EVENT HANDLERS
   // ================================
 
+  /**
+   * After READ BusinessPartnerRequests
+   * - Expose allowed workflow actions so the Fiori apps can hide unavailable buttons
+   */
+  this.after('READ', BusinessPartnerRequests, async (results) => {
+    const rows = (Array.isArray(results) ? results : [results]).filter(Boolean);
+
+    for (const row of rows) {
+      if (row.status !== undefined) {
+        Object.assign(row, StatusTransitionEngine.getActionFlags(row.status));
+      }
+      if (row.scheduledChangeStatus !== undefined) {
+        row.canCancelScheduledChange = row.scheduledChangeStatus === 'Pending';
+      }
+      if (row.requestType !== undefined && row.status !== undefined) {
+        row.canPreviewMassChange = row.requestType === 'MassChange' && row.status === 'Draft';
+      }
+    }
+
+    // Only approved requests that were merged into a partner can be unmerged
+    const unmergeable = rows.filter(row => row.canUnmerge);
+    if (unmergeable.length > 0) {
+      const merges = await SELECT.from(MergeSnapshots)
+        .columns('request_ID')
+        .where({ request_ID: { in: unmergeable.map(row => row.ID) }, status: 'Active' });
+      const merged = new Set(merges.map(m => m.request_ID));
+      for (const row of unmergeable) {
+        row.canUnmerge = merged.has(row.ID);
+        row.allowedActions = row.canUnmerge
+          ? row.allowedActions
+          : row.allowedActions.split(',').filter(action => action !== 'unmergeRequest').join(',');
+      }
+    }
+  });
+
+  /**
+   * After CREATE/UPDATE ExistingPartners
+   * - Re-key the partner in the duplicate candidate blocking index
+   */
+  this.after(['CREATE', 'UPDATE'], ExistingPartners, async (result, req) => {
+    const partner = await SELECT.one.from(ExistingPartners).where({ ID: result?.ID || req.data.ID });
+    if (partner) {
+      await duplicateService.blockingIndex.indexPartner(partner);
+    }
+  });
+
   /**
    * After CREATE BusinessPartnerRequests
    * - Create initial approval history entry
@@ -164,7 +362,13 @@ module.exports = cds.service.impl(async function() {
   this.after('CREATE', BusinessPartnerRequests, async (result, req) => {
     try {
       // 1. Create initial approval history entry
-      await createApprovalHistoryEntry.call(this, result.ID, 'Create', null, 'Draft', 'Request created');
+      await StatusTransitionEngine.recordHistory(result.ID, {
+        action: 'Create',
+        previousStatus: null,
+        newStatus: 'Draft',
+        comments: 'Request created',
+        user: req.user
+      });
 
       // 2. Send creation notifications
       console.log('📬 Sending creation notifications...');
@@ -215,7 +419,7 @@ module.exports = cds.service.impl(async function() {
       }
 
       // 2. Validate status transition
-      ErrorHandler.validateStatusTransition(request.status, 'Submitted', VALID_STATUS_TRANSITIONS);
+      StatusTransitionEngine.assertActionAllowed(request.status, 'submitForApproval');
 
       // 3. Authorization check
       if (!req.user.is('BusinessUser') && !req.user.is('MDMApprover')) {
@@ -228,13 +432,23 @@ module.exports = cds.service.impl(async function() {
       const emails = await SELECT.from(PartnerEmails).where({ request_ID: ID });
       const vatIds = await SELECT.from(PartnerVatIds).where({ request_ID: ID });
       const banks = await SELECT.from(PartnerBanks).where({ request_ID: ID });
+      const companyCodes = await SELECT.from(PartnerCompanyCodes).where({ request_ID: ID });
+      const purchasingOrgs = await SELECT.from(PartnerPurchasingOrgs).where({ request_ID: ID });
+      const salesAreas = await SELECT.from(PartnerSalesAreas).where({ request_ID: ID });
+      const communications = await SELECT.from(PartnerCommunications).where({ request_ID: ID });
+      const contacts = await SELECT.from(PartnerContacts).where({ request_ID: ID });
 
       const requestData = {
         ...request,
         addresses,
         emails,
         vatIds,
-        banks
+        banks,
+        communications,
+        companyCodes,
+        purchasingOrgs,
+        salesAreas,
+        contacts
       };
 
       const validation = await InputValidator.validateCompleteRequest(requestData);
@@ -247,36 +461,54 @@ module.exports = cds.service.impl(async function() {
         );
       }
 
-      // 5. Update status
-      await UPDATE(BusinessPartnerRequests)
-        .set({
-          status: 'Submitted',
-          statusCriticality: 2, // Warning (pending approval)
-          modifiedBy: req.user.id,
-          modifiedAt: new Date().toISOString()
-        })
-        .where({ ID });
+      // Future-dated changes: Update requests only, effective today or later
+      scheduledChangeService.validateEffectiveDate(request);
+
+      // From here on other requests are checked against the request's bank accounts
+      await duplicateService.bankAccountMatcher.storeNormalized(banks);
+
+      // Corporate group and parent account must exist; the parent is stored as a BP number
+      const hierarchy = await hierarchyService.validateRequest(request);
+      const hierarchyUpdates = { corporateGroup: hierarchy.corporateGroup, parentBpNumber: hierarchy.parentBpNumber };
+      await UPDATE(BusinessPartnerRequests).set(hierarchyUpdates).where({ ID });
+
+      // 5. Update requests: diff against the golden record for the approvers to review
+      if (request.requestType === 'Update') {
+        const changes = await partnerChangeService.computeDiff(request, req.user);
+        ErrorHandler.assertBusinessRule(changes.length > 0 || hierarchy.changed, 'NO_CHANGES',
+          `Request contains no changes to business partner ${request.existingBpNumber}`);
+        await partnerChangeService.storeDiff(ID, changes);
+      } else if (request.requestType === 'MassChange') {
+        // Mass changes: per-partner preview against the current golden records
+        const preview = await massChangeService.preview(request);
+        ErrorHandler.assertBusinessRule(preview.affectedCount > 0, 'NO_CHANGES',
+          `Mass change request changes none of the ${preview.selectedCount} selected partner(s)`);
+      } else if (request.requestType === 'Extend') {
+        // Extend requests: the partner must exist and lack at least one requested role
+        await roleExtensionService.validateExtension(request, companyCodes);
+      }
 
-      // 6. Create approval history entry
-      await createApprovalHistoryEntry.call(
-        this,
-        ID,
-        'Submit',
-        request.status,
-        'Submitted',
-        'Request submitted for approval',
-        req.user.id
-      );
+      // 6. Update status and create approval history entry
+      await StatusTransitionEngine.transition(ID, 'Submitted', {
+        action: 'submitForApproval',
+        historyAction: 'Submit',
+        comments: 'Request submitted for approval',
+        user: req.user
+      });
+
+      // 7. Start the multi-step approval chain (sensitive changes need distinct approvers)
+      const { requiredApprovers } = await sodService.getApprovalRequirements(request);
+      await approvalWorkflowService.initializeWorkflow(request, { minimumApprovers: requiredApprovers });
 
-      // 7. Send notifications
+      // 8. Send notifications
       console.log('📬 Sending submission notifications...');
-      const updatedRequest = { ...request, status: 'Submitted', statusCriticality: 2 };
+      const updatedRequest = { ...request, ...hierarchyUpdates, status: 'Submitted', statusCriticality: 2 };
       await notificationService.sendStatusChangeNotification(updatedRequest, 'submitted', {
         userId: req.user.id,
         userDisplayName: req.user.displayName
       });
 
-      // 8. Update cache
+      // 9. Update cache
       await CacheService.set(`request:${ID}`, updatedRequest, 'partner_data');
       await CacheService.delete(`request:${request.requestNumber}`, 'partner_data'); // Remove by request number cache
 
@@ -310,7 +542,7 @@ module.exports = cds.service.impl(async function() {
       }
 
       // 2. Validate status transition and authorization
-      ErrorHandler.validateStatusTransition(request.status, 'ComplianceCheck', VALID_STATUS_TRANSITIONS);
+      StatusTransitionEngine.assertActionAllowed(request.status, 'performComplianceCheck');
 
       if (!req.user.is('MDMApprover')) {
         throw ErrorHandler.authorizationError('perform compliance check', 'BusinessPartnerRequest', ['MDMApprover']);
@@ -398,42 +630,62 @@ module.exports = cds.service.impl(async function() {
         }
       }
 
-      // 6. Determine next status based on compliance results
+      // 6. Duplicate check - names, addresses, bank accounts, email domains and corporate group
+      console.log('🔍 Checking for duplicates of other partners...');
+      const duplicates = await duplicateService.findDuplicates(request);
+      await duplicateService.storeDuplicateCheckResults(ID, duplicates);
+
+      // Bank accounts already used by another partner are a vendor fraud indicator
+      const bankMatches = duplicates.filter(d => d.signals?.bank);
+      let bankAccountStatus = 'Pass';
+
+      if (bankMatches.length > 0) {
+        bankAccountStatus = 'Review Required';
+        if (overallStatus === 'Pass') {
+          overallStatus = 'Review Required';
+        }
+      }
+
+      // 7. Determine criticality based on compliance results
+      // The request stays in ComplianceCheck; approval or duplicate review follows from there
       let nextStatus = 'ComplianceCheck';
       let statusCriticality = 2; // Warning
 
       if (overallStatus === 'Pass') {
-        // Move to duplicate check for Create requests, or ready for approval for Update requests
-        nextStatus = request.requestType === 'Create' ? 'ComplianceCheck' : 'Approved';
         statusCriticality = 1; // Success
       } else if (overallStatus === 'Fail') {
         statusCriticality = 3; // Error
       }
 
-      // 7. Update request with compliance results
-      await UPDATE(BusinessPartnerRequests)
-        .set({
+      // 8. Update request with compliance results and create approval history entry
+      await StatusTransitionEngine.transition(ID, nextStatus, {
+        action: 'performComplianceCheck',
+        historyAction: 'ComplianceCheck',
+        comments: `Compliance check completed - AEB: ${aebStatus}, VIES: ${viesStatus}, Bank accounts: ${bankAccountStatus}. Overall: ${overallStatus}`,
+        user: req.user,
+        statusCriticality,
+        updates: {
           aebComplianceStatus: aebStatus,
           aebComplianceDetails: aebDetails,
           viesValidationStatus: viesStatus,
-          viesValidationDetails: viesDetails,
-          status: nextStatus,
-          statusCriticality: statusCriticality,
-          modifiedBy: req.user.id,
-          modifiedAt: new Date().toISOString()
-        })
-        .where({ ID });
+          viesValidationDetails: viesDetails
+        }
+      });
 
-      // 8. Create approval history entry
-      await createApprovalHistoryEntry.call(
-        this,
-        ID,
-        'ComplianceCheck',
-        request.status,
-        nextStatus,
-        `Compliance check completed - AEB: ${aebStatus}, VIES: ${viesStatus}. Overall: ${overallStatus}`,
-        req.user.id
-      );
+      // Matches requiring review and bank accounts used by other partners go to duplicate review at once
+      const reviewMatches = duplicates.filter(d => duplicateService.isReviewRequired(d));
+      if (reviewMatches.length > 0) {
+        nextStatus = 'DuplicateReview';
+        statusCriticality = 3; // Error
+        await StatusTransitionEngine.transition(ID, nextStatus, {
+          historyAction: 'DuplicateCheck',
+          comments: `Found ${reviewMatches.length} potential duplicate(s)` +
+            (bankMatches.length > 0 ? `, ${bankMatches.length} with bank accounts of other partners` : '') +
+            ' - manual review required',
+          user: req.user,
+          statusCriticality
+        });
+      }
 
       // 9. Send notifications
       console.log('📬 Sending compliance check notifications...');
@@ -455,6 +707,9 @@ module.exports = cds.service.impl(async function() {
         viesStatus,
         viesDetails,
         vatResults,
+        bankAccountStatus,
+        bankAccountMatches: bankMatches.map(m => m.matchDetails),
+        duplicateCount: duplicates.length,
         overallStatus,
         checkTimestamp: new Date().toISOString(),
         nextSteps: overallStatus === 'Pass'
@@ -478,29 +733,35 @@ module.exports = cds.service.impl(async function() {
     const { ID } = req.params[0];
 
     try {
+      const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
+      if (!request) {
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
+      }
+
+      StatusTransitionEngine.assertActionAllowed(request.status, 'checkEstablishedVatDuplicates');
+
+      // Role extensions target a known partner - it would only find itself; mass changes have no partner data
+      if (request.requestType === 'Extend' || request.requestType === 'MassChange') {
+        return [];
+      }
+
       const duplicates = await duplicateService.checkEstablishedVatIdDuplicates(ID);
 
       // Update request status to DuplicateReview if duplicates found
       if (duplicates.length > 0) {
-        await UPDATE(BusinessPartnerRequests)
-          .set({ status: 'DuplicateReview', statusCriticality: 2 })
-          .where({ ID });
-
-        const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
-        await createApprovalHistoryEntry.call(this,
-          ID,
-          'DuplicateCheck',
-          request.status || 'Submitted',
-          'DuplicateReview',
-          `Found ${duplicates.length} established VAT ID duplicate(s) - manual review required`
-        );
+        await StatusTransitionEngine.transition(ID, 'DuplicateReview', {
+          action: 'checkEstablishedVatDuplicates',
+          historyAction: 'DuplicateCheck',
+          comments: `Found ${duplicates.length} established VAT ID duplicate(s) - manual review required`,
+          user: req.user
+        });
       }
 
       return duplicates;
 
     } catch (error) {
       console.error('Error checking established VAT duplicates:', error);
-      req.error(500, error.message);
+      ErrorHandler.handleRequestError(error, req);
     }
   });
 
@@ -512,34 +773,118 @@ module.exports = cds.service.impl(async function() {
     const { comments } = req.data;
 
     try {
-      // Generate SAP BP Number (mock)
-      const sapBpNumber = generateSAPBPNumber();
+      const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
+      if (!request) {
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
+      }
 
-      // Update request status
-      await UPDATE(BusinessPartnerRequests)
-        .set({
-          status: 'Approved',
-          statusCriticality: 1, // Success
+      StatusTransitionEngine.assertActionAllowed(request.status, 'approveRequest');
+
+      // Matches in the auto-block band have to be merged or clarified first
+      if (request.status === 'DuplicateReview') {
+        await duplicateService.assertNotAutoBlocked(ID);
+      }
+
+      // Approvers act on their own roles, delegates on behalf of the delegator
+      const approver = await delegationService.resolveApprover(request, req.user, getDecisionRoles(request));
+      const onBehalfOf = approver.onBehalfOf?.id;
+      await sodService.assertApprovalAllowed(request, approver.user, 'approveRequest', { onBehalfOf });
+
+      // Approve the user's step in the approval chain
+      const stepResult = await approvalWorkflowService.approveStep(ID, approver.user, comments, { onBehalfOf });
+
+      if (!stepResult.workflowComplete) {
+        const waitingFor = stepResult.nextSteps.map(s => s.stepName).join(', ');
+
+        await StatusTransitionEngine.recordHistory(ID, {
+          action: 'StepApprove',
+          previousStatus: request.status,
+          newStatus: request.status,
+          comments: `Step '${stepResult.step.stepName}' approved${comments ? `: ${comments}` : ''}`,
+          user: req.user,
+          onBehalfOf
+        });
+
+        return `Step '${stepResult.step.stepName}' approved. Waiting for: ${waitingFor}`;
+      }
+
+      // Update and Extend requests change the existing partner, all others create a new one.
+      // A failure writing the golden record rolls back the approval.
+      let sapBpNumber;
+      let partnerChanges = null;
+      let extension = null;
+      let scheduled = null;
+      let massChange = null;
+      if (request.requestType === 'MassChange') {
+        // Applied in chunks by the mass change job once the approval is committed
+        massChange = await massChangeService.release(request);
+        req.on('succeeded', () => massChangeService.scheduler.run());
+      } else if (request.requestType === 'Update' && scheduledChangeService.isFutureDated(request)) {
+        // Held until the effective date - the scheduler applies the changes, contacts and hierarchy
+        sapBpNumber = request.existingBpNumber;
+        scheduled = await scheduledChangeService.schedule(request);
+      } else if (request.requestType === 'Update') {
+        sapBpNumber = request.existingBpNumber;
+        partnerChanges = await partnerChangeService.applyDiff(request, req.user);
+      } else if (request.requestType === 'Extend') {
+        sapBpNumber = request.existingBpNumber;
+        extension = await roleExtensionService.extend(request, req.user);
+      } else {
+        sapBpNumber = await numberRangeService.nextBusinessPartnerNumber(request);
+        await materializer.materialize(request, sapBpNumber, req.user);
+      }
+
+      // Contact persons of the request become person BPs related to the partner
+      if (!scheduled && !massChange) {
+        await contactPersonService.createContacts(request, sapBpNumber, req.user);
+        await hierarchyService.applyRequest(request, sapBpNumber);
+      }
+
+      // Update request status and create approval history entry
+      await StatusTransitionEngine.transition(ID, 'Approved', {
+        action: 'approveRequest',
+        historyAction: 'Approve',
+        comments: comments || 'Request approved',
+        user: req.user,
+        onBehalfOf,
+        updates: {
           approvedBy: req.user?.id || 'system',
           approvedAt: new Date().toISOString(),
           sapBpNumber: sapBpNumber,
           comments: comments || ''
-        })
-        .where({ ID });
+        }
+      });
 
-      // Create approval history entry
-      await createApprovalHistoryEntry.call(this,
-        ID,
-        'Approve',
-        'ComplianceCheck',
-        'Approved',
-        comments || 'Request approved'
-      );
+      if (massChange) {
+        return `Request approved successfully. Mass change of ${massChange.partnerCount} partner(s) is applied in chunks of ${massChange.chunkSize}`;
+      }
+
+      if (scheduled) {
+        return `Request approved successfully. ${scheduled.changeCount} change(s) to SAP BP ${sapBpNumber} scheduled for ${scheduled.effectiveDate}`;
+      }
+
+      if (partnerChanges) {
+        await notificationService.createSystemNotification(
+          { ...request, status: 'Approved', sapBpNumber },
+          'updated',
+          { ...partnerChanges, userId: req.user?.id }
+        );
+        return `Request approved successfully. ${partnerChanges.fieldsChanged.length} change(s) applied to SAP BP ${sapBpNumber}`;
+      }
+
+      if (extension) {
+        await notificationService.createSystemNotification(
+          { ...request, status: 'Approved', sapBpNumber },
+          'extended',
+          { ...extension, userId: req.user?.id }
+        );
+        return `Request approved successfully. SAP BP ${sapBpNumber} extended with role(s) ${extension.rolesAdded.join(', ') || request.entityType}`;
+      }
 
       return `Request approved successfully. SAP BP Number: ${sapBpNumber}`;
     } catch (error) {
       console.error('Error approving request:', error);
-      req.error(500, error.message);
+      ErrorHandler.handleRequestError(error, req);
     }
   });
 
@@ -551,29 +896,218 @@ module.exports = cds.service.impl(async function() {
     const { reason } = req.data;
 
     try {
-      await UPDATE(BusinessPartnerRequests)
-        .set({
-          status: 'Rejected',
-          statusCriticality: 3, // Error
+      const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
+      if (!request) {
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
+      }
+
+      const approver = await delegationService.resolveApprover(request, req.user, getDecisionRoles(request));
+      const onBehalfOf = approver.onBehalfOf?.id;
+
+      await StatusTransitionEngine.transition(ID, 'Rejected', {
+        action: 'rejectRequest',
+        historyAction: 'Reject',
+        comments: reason || 'Request rejected',
+        user: req.user,
+        onBehalfOf,
+        updates: {
           rejectionReason: reason,
           approvedBy: req.user?.id || 'system',
           approvedAt: new Date().toISOString()
-        })
-        .where({ ID });
+        }
+      });
 
-      // Create approval history entry
-      await createApprovalHistoryEntry.call(this,
-        ID,
-        'Reject',
-        'ComplianceCheck',
-        'Rejected',
-        reason || 'Request rejected'
-      );
+      // Close the approval chain
+      await approvalWorkflowService.rejectStep(ID, approver.user, reason, { onBehalfOf });
 
       return 'Request rejected successfully';
     } catch (error) {
       console.error('Error rejecting request:', error);
-      req.error(500, error.message);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Request Clarification Action
+   * Returns the request to the requester with a question; the approval SLA pauses
+   */
+  this.on('requestClarification', BusinessPartnerRequests, async (req) => {
+    const { ID } = req.params[0];
+    const { question } = req.data;
+
+    try {
+      const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
+      if (!request) {
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
+      }
+
+      StatusTransitionEngine.assertActionAllowed(request.status, 'requestClarification');
+      ErrorHandler.validateRequiredFields(req.data, ['question']);
+
+      const approver = await delegationService.resolveApprover(request, req.user, getDecisionRoles(request));
+      const onBehalfOf = approver.onBehalfOf?.id;
+
+      await StatusTransitionEngine.transition(ID, 'ClarificationRequested', {
+        action: 'requestClarification',
+        historyAction: 'RequestClarification',
+        comments: question,
+        user: req.user,
+        onBehalfOf,
+        updates: {
+          statusBeforeClarification: request.status,
+          clarificationRequestedBy: req.user.id,
+          clarificationRequestedAt: new Date().toISOString()
+        }
+      });
+
+      // The question opens a thread the requester answers
+      await commentService.addComment(request, approver.user, {
+        text: question,
+        visibility: 'External',
+        commentType: 'Question'
+      });
+
+      await notificationService.sendWorkflowNotification(
+        { ...request, status: 'ClarificationRequested' },
+        'clarification_requested',
+        { includeRequester: true, comments: question }
+      );
+
+      return `Clarification requested from ${request.requesterName || request.requesterId || 'the requester'}`;
+    } catch (error) {
+      console.error('Error requesting clarification:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Answer Clarification Action
+   * The requester's answer returns the request to the approver's queue
+   */
+  this.on('answerClarification', BusinessPartnerRequests, async (req) => {
+    const { ID } = req.params[0];
+    const { answer } = req.data;
+
+    try {
+      const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
+      if (!request) {
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
+      }
+
+      StatusTransitionEngine.assertActionAllowed(request.status, 'answerClarification');
+      ErrorHandler.validateRequiredFields(req.data, ['answer']);
+
+      if (!sodService.isRequester(request, req.user)) {
+        throw ErrorHandler.authorizationError('answer the clarification of', 'BusinessPartnerRequest', ['Requester']);
+      }
+
+      const question = await SELECT.one.from('mdm.db.RequestComments')
+        .columns('ID')
+        .where({ request_ID: ID, commentType: 'Question' })
+        .orderBy('createdAt desc');
+
+      await commentService.addComment(request, req.user, {
+        text: answer,
+        visibility: 'External',
+        commentType: 'Answer',
+        parentCommentId: question?.ID
+      });
+
+      // The requester may have corrected the data - refresh the diff under review
+      if (request.requestType === 'Update') {
+        await partnerChangeService.storeDiff(ID, await partnerChangeService.computeDiff(request, req.user));
+      } else if (request.requestType === 'MassChange') {
+        await massChangeService.preview(request);
+      } else if (request.mergePreviewBpNumber) {
+        // A merge preview no longer reflects the corrected data
+        await DELETE.from('mdm.db.RequestFieldChanges').where({ request_ID: ID });
+      }
+
+      const returnStatus = request.statusBeforeClarification || 'Submitted';
+      await StatusTransitionEngine.transition(ID, returnStatus, {
+        action: 'answerClarification',
+        historyAction: 'AnswerClarification',
+        comments: answer,
+        user: req.user,
+        updates: { statusBeforeClarification: null, mergePreviewBpNumber: null }
+      });
+
+      // The approver gets a full SLA period again
+      await approvalWorkflowService.restartSLA(ID);
+
+      if (request.clarificationRequestedBy) {
+        await notificationService.sendWorkflowNotification(
+          { ...request, status: returnStatus },
+          'clarification_answered',
+          { recipientUserIds: [request.clarificationRequestedBy], comments: answer }
+        );
+      }
+
+      return `Clarification answered. Request ${request.requestNumber} is back in review`;
+    } catch (error) {
+      console.error('Error answering clarification:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Add Comment Action
+   */
+  this.on('addComment', BusinessPartnerRequests, async (req) => {
+    const { ID } = req.params[0];
+    const { text, visibility, parentCommentId } = req.data;
+
+    try {
+      const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
+      if (!request) {
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
+      }
+
+      const comment = await commentService.addComment(request, req.user, { text, visibility, parentCommentId });
+
+      return comment.mentions
+        ? `Comment added. Notified: ${comment.mentions}`
+        : 'Comment added';
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Start Change Request Action (bound to A_BusinessPartner)
+   * Creates an Update request draft pre-filled with the current partner data
+   */
+  this.on('startChangeRequest', A_BusinessPartner, async (req) => {
+    const { ID } = req.params[0];
+    const { changeDescription } = req.data;
+
+    try {
+      const partner = await SELECT.one.from(A_BusinessPartner).columns('BusinessPartner').where({ ID });
+      if (!partner) {
+        throw ErrorHandler.notFoundError('BusinessPartner', ID);
+      }
+
+      const data = await partnerChangeService.buildChangeRequest(partner.BusinessPartner, { changeDescription });
+      const hierarchy = await hierarchyService.getAssignment(partner.BusinessPartner);
+
+      const draft = await this.new(BusinessPartnerRequests.drafts, {
+        ...data,
+        corporateGroup: hierarchy.corporateGroup,
+        parentAccount: hierarchy.parentBpNumber,
+        sourceSystem: 'Manual',
+        status: 'Draft',
+        statusCriticality: 0,
+        requesterId: req.user?.id,
+        requesterName: req.user?.displayName || req.user?.id,
+        requesterEmail: req.user?.email
+      });
+
+      console.log(`✏️ Change request draft started for business partner ${partner.BusinessPartner} by ${req.user?.id || 'system'}`);
+      return draft;
+    } catch (error) {
+      console.error('Error starting change request:', error);
+      ErrorHandler.handleRequestError(error, req);
     }
   });
 
@@ -587,16 +1121,38 @@ module.exports = cds.service.impl(async function() {
     try {
       const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
       if (!request) {
-        req.error(404, 'Request not found');
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
       }
 
-      // Verify the existing partner exists
-      const existingPartner = await SELECT.one.from(ExistingPartners)
-        .where({ sapBpNumber: existingBpNumber });
+      StatusTransitionEngine.assertActionAllowed(request.status, 'mergeWithExistingPartner');
 
-      if (!existingPartner) {
-        req.error(404, `Existing partner ${existingBpNumber} not found`);
-      }
+      const approver = await delegationService.resolveApprover(request, req.user, getDecisionRoles(request));
+      const onBehalfOf = approver.onBehalfOf?.id;
+      await sodService.assertApprovalAllowed(request, approver.user, 'mergeWithExistingPartner', { onBehalfOf });
+
+      ErrorHandler.validateRequiredFields(req.data, ['existingBpNumber']);
+
+      // The merge decision completes the approval chain
+      await approvalWorkflowService.approveStep(ID, approver.user, mergeComments, { requireFinal: true, onBehalfOf });
+
+      // Merge the request data into the golden record by the survivorship rules -
+      // a failure rolls back the approval
+      const partnerChanges = await survivorshipService.merge(request, existingBpNumber, req.user);
+
+      // Update request status to approved with merge information
+      await StatusTransitionEngine.transition(ID, 'Approved', {
+        action: 'mergeWithExistingPartner',
+        historyAction: 'Approve',
+        comments: `Merged with existing partner ${existingBpNumber}. ${mergeComments || ''}`,
+        user: req.user,
+        onBehalfOf,
+        updates: {
+          approvedBy: req.user?.id || 'system',
+          approvedAt: new Date().toISOString(),
+          sapBpNumber: existingBpNumber, // Use existing BP number
+          comments: `Merged with existing partner ${existingBpNumber}. ${mergeComments || ''}`
+        }
+      });
 
       // Update duplicate check records with merge decision
       await UPDATE(DuplicateChecks)
@@ -608,32 +1164,159 @@ module.exports = cds.service.impl(async function() {
         })
         .where({ request_ID: ID, existingBpNumber });
 
-      // Update request status to approved with merge information
-      await UPDATE(BusinessPartnerRequests)
-        .set({
-          status: 'Approved',
-          statusCriticality: 1, // Success
-          approvedBy: req.user?.id || 'system',
-          approvedAt: new Date().toISOString(),
-          sapBpNumber: existingBpNumber, // Use existing BP number
-          comments: `Merged with existing partner ${existingBpNumber}. ${mergeComments || ''}`
-        })
-        .where({ ID });
-
-      // Create approval history entry
-      await createApprovalHistoryEntry.call(this,
-        ID,
-        'Approve',
-        'DuplicateReview',
-        'Approved',
-        `Merged with existing partner ${existingBpNumber}. ${mergeComments || ''}`
+      await notificationService.createSystemNotification(
+        { ...request, status: 'Approved', sapBpNumber: existingBpNumber },
+        'updated',
+        { ...partnerChanges, userId: req.user?.id }
       );
 
-      return `Request approved and merged with existing partner ${existingBpNumber}`;
+      return `Request approved and merged with existing partner ${existingBpNumber}. ${partnerChanges.fieldsChanged.length} change(s) applied`;
 
     } catch (error) {
       console.error('Error merging with existing partner:', error);
-      req.error(500, error.message);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Unmerge Request Action
+   * Reverts an approved merge and reopens the request in duplicate review
+   */
+  this.on('unmergeRequest', BusinessPartnerRequests, async (req) => {
+    const { ID } = req.params[0];
+    const { reason } = req.data;
+
+    try {
+      const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
+      if (!request) {
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
+      }
+
+      StatusTransitionEngine.assertActionAllowed(request.status, 'unmergeRequest');
+      ErrorHandler.validateRequiredFields(req.data, ['reason']);
+
+      const approver = await delegationService.resolveApprover(request, req.user, getDecisionRoles(request));
+      const onBehalfOf = approver.onBehalfOf?.id;
+      if (sodService.isRequester(request, approver.user)) {
+        throw ErrorHandler.authorizationError('revert the merge of', 'BusinessPartnerRequest', getDecisionRoles(request));
+      }
+
+      // Restore the partner - a conflict or failure rolls back the unmerge
+      const reverted = await survivorshipService.unmerge(request, req.user, reason);
+
+      await StatusTransitionEngine.transition(ID, 'DuplicateReview', {
+        action: 'unmergeRequest',
+        historyAction: 'Unmerge',
+        comments: `Merge with existing partner ${reverted.bpNumber} reverted: ${reason}`,
+        user: req.user,
+        onBehalfOf,
+        updates: {
+          approvedBy: null,
+          approvedAt: null,
+          sapBpNumber: null,
+          mergePreviewBpNumber: null
+        }
+      });
+
+      // The merge decision is open again
+      await UPDATE(DuplicateChecks)
+        .set({ mergeDecision: 'Pending', mergeDecisionBy: null, mergeDecisionAt: null, mergeComments: `Unmerged: ${reason}` })
+        .where({ request_ID: ID, existingBpNumber: reverted.bpNumber });
+      await DELETE.from('mdm.db.RequestFieldChanges').where({ request_ID: ID });
+      await approvalWorkflowService.reopenDecisionStep(ID);
+
+      // Satellite systems drop the cross-reference of the request to the partner
+      await notificationService.createSystemNotification(
+        { ...request, status: 'DuplicateReview', sapBpNumber: reverted.bpNumber },
+        'unmerged',
+        {
+          fieldsChanged: reverted.fieldsChanged,
+          changeDetails: reverted.changeDetails,
+          userId: req.user?.id,
+          reason,
+          crossReference: { requestNumber: request.requestNumber, previousBpNumber: reverted.bpNumber }
+        }
+      );
+
+      return `Merge with existing partner ${reverted.bpNumber} reverted. Request ${request.requestNumber} is back in duplicate review`;
+    } catch (error) {
+      console.error('Error reverting merge:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Cancel Scheduled Change Action
+   * Drops the pending changes of an approved future-dated request
+   */
+  this.on('cancelScheduledChange', BusinessPartnerRequests, async (req) => {
+    const { ID } = req.params[0];
+    const { reason } = req.data;
+
+    try {
+      const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
+      if (!request) {
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
+      }
+
+      ErrorHandler.validateRequiredFields(req.data, ['reason']);
+      const approver = await delegationService.resolveApprover(request, req.user, getDecisionRoles(request));
+
+      await scheduledChangeService.cancel(request, req.user, reason, approver.onBehalfOf?.id);
+
+      return `Changes to SAP BP ${request.existingBpNumber} scheduled for ${request.effectiveDate} cancelled`;
+    } catch (error) {
+      console.error('Error cancelling scheduled changes:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Preview Mass Change Action
+   * Resolves the selection of a draft mass change request and shows the changes per partner
+   */
+  this.on('previewMassChange', BusinessPartnerRequests, async (req) => {
+    const { ID } = req.params[0];
+
+    try {
+      const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
+      if (!request) {
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
+      }
+
+      ErrorHandler.assertBusinessRule(request.requestType === 'MassChange', 'NOT_MASS_CHANGE',
+        `Request ${request.requestNumber} is not a mass change request`);
+      StatusTransitionEngine.assertActionAllowed(request.status, 'submitForApproval');
+
+      return await massChangeService.preview(request);
+    } catch (error) {
+      console.error('Error previewing mass change:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Preview Merge Action
+   * Shows the golden record that results from merging the request into an existing partner
+   */
+  this.on('previewMerge', BusinessPartnerRequests, async (req) => {
+    const { ID } = req.params[0];
+    const { existingBpNumber } = req.data;
+
+    try {
+      const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
+      if (!request) {
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
+      }
+
+      StatusTransitionEngine.assertActionAllowed(request.status, 'mergeWithExistingPartner');
+      ErrorHandler.validateRequiredFields(req.data, ['existingBpNumber']);
+      await delegationService.resolveApprover(request, req.user, getDecisionRoles(request));
+
+      return await survivorshipService.previewMerge(request, existingBpNumber, req.user);
+    } catch (error) {
+      console.error('Error previewing merge:', error);
+      ErrorHandler.handleRequestError(error, req);
     }
   });
 
@@ -647,11 +1330,41 @@ module.exports = cds.service.impl(async function() {
     try {
       const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
       if (!request) {
-        req.error(404, 'Request not found');
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
       }
 
-      // Generate new SAP BP Number
-      const sapBpNumber = generateSAPBPNumber();
+      StatusTransitionEngine.assertActionAllowed(request.status, 'createNewPartner');
+      await duplicateService.assertNotAutoBlocked(ID);
+
+      const approver = await delegationService.resolveApprover(request, req.user, getDecisionRoles(request));
+      const onBehalfOf = approver.onBehalfOf?.id;
+      await sodService.assertApprovalAllowed(request, approver.user, 'createNewPartner', { onBehalfOf });
+
+      // The create-new decision completes the approval chain
+      await approvalWorkflowService.approveStep(ID, approver.user, comments, { requireFinal: true, onBehalfOf });
+
+      // Issue new SAP BP Number from the number range of the BP grouping
+      const sapBpNumber = await numberRangeService.nextBusinessPartnerNumber(request);
+
+      // Write the golden record - a failure rolls back the approval
+      await materializer.materialize(request, sapBpNumber, req.user);
+      await contactPersonService.createContacts(request, sapBpNumber, req.user);
+      await hierarchyService.applyRequest(request, sapBpNumber);
+
+      // Update request status to approved
+      await StatusTransitionEngine.transition(ID, 'Approved', {
+        action: 'createNewPartner',
+        historyAction: 'Approve',
+        comments: `Approved to create new partner ${sapBpNumber}. ${comments || ''}`,
+        user: req.user,
+        onBehalfOf,
+        updates: {
+          approvedBy: req.user?.id || 'system',
+          approvedAt: new Date().toISOString(),
+          sapBpNumber: sapBpNumber,
+          comments: comments || 'Approved to create new partner'
+        }
+      });
 
       // Update duplicate check records with create new decision
       await UPDATE(DuplicateChecks)
@@ -663,32 +1376,11 @@ module.exports = cds.service.impl(async function() {
         })
         .where({ request_ID: ID });
 
-      // Update request status to approved
-      await UPDATE(BusinessPartnerRequests)
-        .set({
-          status: 'Approved',
-          statusCriticality: 1, // Success
-          approvedBy: req.user?.id || 'system',
-          approvedAt: new Date().toISOString(),
-          sapBpNumber: sapBpNumber,
-          comments: comments || 'Approved to create new partner'
-        })
-        .where({ ID });
-
-      // Create approval history entry
-      await createApprovalHistoryEntry.call(this,
-        ID,
-        'Approve',
-        'DuplicateReview',
-        'Approved',
-        `Approved to create new partner ${sapBpNumber}. ${comments || ''}`
-      );
-
       return `Request approved. New partner ${sapBpNumber} will be created`;
 
     } catch (error) {
       console.error('Error creating new partner:', error);
-      req.error(500, error.message);
+      ErrorHandler.handleRequestError(error, req);
     }
   });
 
@@ -701,40 +1393,24 @@ module.exports = cds.service.impl(async function() {
     try {
       const request = await SELECT.one.from(BusinessPartnerRequests).where({ ID });
       if (!request) {
-        req.error(404, 'Request not found');
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', ID);
       }
 
-      // Get VAT IDs
-      const vatIds = await SELECT.from(PartnerVatIds).where({ request_ID: ID });
-      const vatNumbers = vatIds.map(v => v.vatNumber);
-
-      // Search for duplicates
-      const duplicates = await searchDuplicates.call(this, {
-        data: {
-          partnerName: request.partnerName,
-          vatIds: vatNumbers,
-          threshold: 0.95
-        }
-      });
+      StatusTransitionEngine.assertActionAllowed(request.status, 'checkDuplicates');
 
-      // Store duplicate check results
-      for (const duplicate of duplicates) {
-        await INSERT.into(DuplicateChecks).entries({
-          ID: uuidv4(),
-          request_ID: ID,
-          matchType: duplicate.matchType,
-          matchScore: duplicate.matchScore,
-          existingBpNumber: duplicate.bpNumber,
-          existingBpName: duplicate.bpName,
-          matchDetails: duplicate.matchDetails,
-          reviewRequired: duplicate.matchScore > 0.8
-        });
-      }
+      // Stores the scored results and moves the request to duplicate review if needed
+      const duplicates = await duplicateService.performComprehensiveDuplicateCheck(ID);
 
-      return duplicates;
+      return duplicates.map(duplicate => ({
+        bpNumber: duplicate.existingBpNumber || duplicate.matchedRequestNumber,
+        bpName: duplicate.existingBpName,
+        matchScore: duplicate.matchScore,
+        matchType: duplicate.matchType,
+        matchDetails: duplicate.matchDetails
+      }));
     } catch (error) {
       console.error('Error checking duplicates:', error);
-      req.error(500, error.message);
+      ErrorHandler.handleRequestError(error, req);
     }
   });
 
@@ -847,44 +1523,129 @@ module.exports = cds.service.impl(async function() {
    * Search Duplicates Function
    */
   this.on('searchDuplicates', async (req) => {
-    return await searchDuplicates.call(this, req);
+    try {
+      return await duplicateService.searchDuplicates(req.data);
+    } catch (error) {
+      console.error('Error searching duplicates:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
   });
 
-  // ================================
-  // HELPER FUNCTIONS
-  // ================================
+  /**
+   * Get Allowed Actions Function
+   * Returns the workflow actions the request's current status permits
+   */
+  this.on('getAllowedActions', async (req) => {
+    const { requestId } = req.data;
+
+    try {
+      const request = await SELECT.one.from(BusinessPartnerRequests)
+        .columns('ID', 'status')
+        .where({ ID: requestId });
+
+      if (!request) {
+        throw ErrorHandler.notFoundError('BusinessPartnerRequest', requestId);
+      }
+
+      let allowedActions = StatusTransitionEngine.getAllowedActions(request.status);
+      if (allowedActions.includes('unmergeRequest')) {
+        const merge = await SELECT.one.from(MergeSnapshots).columns('ID').where({ request_ID: requestId, status: 'Active' });
+        if (!merge) allowedActions = allowedActions.filter(action => action !== 'unmergeRequest');
+      }
+
+      return {
+        status: request.status,
+        allowedTransitions: StatusTransitionEngine.getAllowedTransitions(request.status),
+        allowedActions
+      };
+    } catch (error) {
+      console.error('Error getting allowed actions:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
 
   /**
-   * Get next counter for request number generation
+   * Get Partner Ancestors Function
+   * Returns the parents of a partner up to the group head, nearest first
    */
-  async function getNextCounter() {
-    const count = await SELECT.from(BusinessPartnerRequests).columns('count(*) as count');
-    return (count[0]?.count || 0) + 1;
-  }
+  this.on('getPartnerAncestors', async (req) => {
+    try {
+      ErrorHandler.validateRequiredFields(req.data, ['bpNumber']);
+      return await hierarchyService.getAncestors(req.data.bpNumber);
+    } catch (error) {
+      console.error('Error getting partner ancestors:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
 
   /**
-   * Create approval history entry
+   * Get Partner Descendants Function
+   * Returns all partners below a partner, level by level
    */
-  async function createApprovalHistoryEntry(requestId, action, previousStatus, newStatus, comments) {
-    await INSERT.into(ApprovalHistory).entries({
-      ID: uuidv4(),
-      request_ID: requestId,
-      approverUserId: this.context?.user?.id || 'system',
-      approverName: this.context?.user?.displayName || 'System',
-      action,
-      previousStatus,
-      newStatus,
-      comments,
-      systemGenerated: !this.context?.user
-    });
-  }
+  this.on('getPartnerDescendants', async (req) => {
+    try {
+      ErrorHandler.validateRequiredFields(req.data, ['bpNumber']);
+      return await hierarchyService.getDescendants(req.data.bpNumber);
+    } catch (error) {
+      console.error('Error getting partner descendants:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Get Corporate Group Exposure Function
+   * Group-level view of spend and organizational data for procurement and sales
+   */
+  this.on('getCorporateGroupExposure', async (req) => {
+    try {
+      ErrorHandler.validateRequiredFields(req.data, ['groupId']);
+      return await hierarchyService.getGroupExposure(req.data.groupId.trim().toUpperCase());
+    } catch (error) {
+      console.error('Error getting corporate group exposure:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Simulate Duplicate Scoring Function
+   * Replays the configured and a proposed scoring model against the decided
+   * duplicate checks, so precision and recall are known before a change goes live
+   */
+  this.on('simulateDuplicateScoring', async (req) => {
+    try {
+      const { weights, countryThresholds, reviewThreshold, autoBlockThreshold } = req.data;
+      return await DuplicateScoringModel.simulate({ weights, countryThresholds, reviewThreshold, autoBlockThreshold });
+    } catch (error) {
+      console.error('Error simulating duplicate scoring:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  /**
+   * Rebuild Duplicate Candidate Index Action
+   * Re-keys all existing partners, e.g. after partners were loaded into the database directly
+   */
+  this.on('rebuildDuplicateCandidateIndex', async (req) => {
+    try {
+      const { partners, keys } = await duplicateService.blockingIndex.rebuild();
+      return `Duplicate candidate index rebuilt: ${keys} blocking keys for ${partners} partners`;
+    } catch (error) {
+      console.error('Error rebuilding the duplicate candidate index:', error);
+      ErrorHandler.handleRequestError(error, req);
+    }
+  });
+
+  // ================================
+  // HELPER FUNCTIONS
+  // ================================
 
   /**
-   * Generate SAP BP Number (mock implementation)
+   * Roles that may decide on a request - approvers plus the backup role
+   * once the SLA scheduler escalated the request
    */
-  function generateSAPBPNumber() {
-    const timestamp = Date.now().toString().slice(-6);
-    return `BP${timestamp}`;
+  function getDecisionRoles(request) {
+    const escalationRoles = request.escalatedToRole ? request.escalatedToRole.split(',') : [];
+    return ['MDMApprover', ...escalationRoles];
   }
 
   /**
@@ -954,70 +1715,5 @@ module.exports = cds.service.impl(async function() {
     }
   }
 
-  /**
-   * Search for duplicates using fuzzy matching
-   */
-  async function searchDuplicates(req) {
-    const { partnerName, vatIds, threshold } = req.data;
-    const duplicates = [];
-
-    try {
-      // Search by VAT ID (exact match)
-      if (vatIds && vatIds.length > 0) {
-        for (const vatId of vatIds) {
-          const existingVatIds = await SELECT.from(PartnerVatIds)
-            .where({ vatNumber: vatId });
-
-          for (const existing of existingVatIds) {
-            const existingRequest = await SELECT.one.from(BusinessPartnerRequests)
-              .where({ ID: existing.request_ID });
-
-            if (existingRequest) {
-              duplicates.push({
-                bpNumber: existingRequest.sapBpNumber || existingRequest.requestNumber,
-                bpName: existingRequest.partnerName,
-                matchScore: 1.0,
-                matchType: 'VAT',
-                matchDetails: `Exact VAT ID match: ${vatId}`
-              });
-            }
-          }
-        }
-      }
-
-      // Search by name (fuzzy match)
-      if (partnerName) {
-        const allRequests = await SELECT.from(BusinessPartnerRequests)
-          .where({ status: { '!=': 'Rejected' } });
-
-        const fuzzyResults = fuzzy.filter(partnerName, allRequests, {
-          extract: (req) => req.partnerName
-        });
-
-        for (const result of fuzzyResults) {
-          if (result.score >= threshold && result.original.ID !== req.params?.[0]?.ID) {
-            duplicates.push({
-              bpNumber: result.original.sapBpNumber || result.original.requestNumber,
-              bpName: result.original.partnerName,
-              matchScore: result.score,
-              matchType: 'Name',
-              matchDetails: `Fuzzy name match (${Math.round(result.score * 100)}%)`
-            });
-          }
-        }
-      }
-
-      // Remove duplicates and sort by match score
-      const uniqueDuplicates = duplicates.filter((item, index, self) =>
-        index === self.findIndex(t => t.bpNumber === item.bpNumber)
-      ).sort((a, b) => b.matchScore - a.matchScore);
-
-      return uniqueDuplicates;
-    } catch (error) {
-      console.error('Error searching duplicates:', error);
-      return [];
-    }
-  }
-
   console.log('MDM Service initialized successfully');
 });
\ No newline at end of file
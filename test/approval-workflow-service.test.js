@@ -0,0 +1,80 @@
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Approval chains', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+
+    // Procurement and finance review together, legal review is optional
+    const steps = [
+      { stepNumber: 1, stepName: 'Procurement Review', approverRole: 'MDMApprover', timeoutDays: 2 },
+      { stepNumber: 2, stepName: 'Finance Review', approverRole: 'MDMApprover', isParallel: true, timeoutDays: 4 },
+      { stepNumber: 3, stepName: 'Legal Review', approverRole: 'MDMApprover', isMandatory: false, timeoutDays: 2 },
+      { stepNumber: 4, stepName: 'MDM Final Approval', approverRole: 'MDMApprover', timeoutDays: 1 }
+    ];
+    for (const step of steps) {
+      const res = await mdm.as('alice').post('/mdm/WorkflowSteps', { workflowName: 'FINANCE_APPROVAL', ...step });
+      expect(errorMessage(res)).toBe('');
+    }
+    const assignment = await mdm.as('alice').post('/mdm/WorkflowAssignments', {
+      workflowName: 'FINANCE_APPROVAL', entityType: 'Supplier', sourceSystem: 'Coupa', companyCode: '2000'
+    });
+    expect(errorMessage(assignment)).toBe('');
+  });
+
+  const submit = async (data) => {
+    const ID = await mdm.createRequest({ addresses: [mainAddress({ name1: data.partnerName })], ...data });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    return ID;
+  };
+
+  const stepStatuses = async (ID) => (await SELECT.from('mdm.db.RequestApprovalSteps').where({ request_ID: ID }).orderBy('stepNumber'))
+    .map(s => [s.stepName, s.stageNumber, s.status]);
+
+  test('the most specific assignment picks the chain, parallel steps are worked on together', async () => {
+    const ID = await submit({ partnerName: 'Kontor Papier GmbH', sourceSystem: 'Coupa', companyCode: '2000' });
+    expect((await mdm.getRequest(ID)).workflowName).toBe('FINANCE_APPROVAL');
+    expect(await stepStatuses(ID)).toEqual([
+      ['Procurement Review', 1, 'Active'],
+      ['Finance Review', 1, 'Active'],
+      ['Legal Review', 2, 'Pending'],
+      ['MDM Final Approval', 3, 'Pending']
+    ]);
+
+    const first = await mdm.action(ID, 'approveRequest', { comments: 'Procurement ok' }, 'alice');
+    expect(errorMessage(first)).toBe('');
+    expect(first.body.value).toBe("Step 'Procurement Review' approved. Waiting for: Finance Review");
+    expect((await mdm.getRequest(ID)).status).not.toBe('Approved');
+
+    // The optional stage is skipped once the finance review closes the first stage
+    expect(errorMessage(await mdm.action(ID, 'approveRequest', { comments: 'Finance ok' }, 'dave'))).toBe('');
+    expect(await stepStatuses(ID)).toEqual([
+      ['Procurement Review', 1, 'Approved'],
+      ['Finance Review', 1, 'Approved'],
+      ['Legal Review', 2, 'Skipped'],
+      ['MDM Final Approval', 3, 'Active']
+    ]);
+    expect((await mdm.getRequest(ID)).status).not.toBe('Approved');
+
+    expect(errorMessage(await mdm.action(ID, 'approveRequest', { comments: 'Final' }, 'erin'))).toBe('');
+    const request = await mdm.getRequest(ID);
+    expect(request.status).toBe('Approved');
+    expect(request.sapBpNumber).toBeTruthy();
+  });
+
+  test('requests outside the specific assignment run the chain of their entity type step by step', async () => {
+    const ID = await submit({ partnerName: 'Kontor Druck GmbH', sourceSystem: 'PI', companyCode: '2000' });
+    expect((await mdm.getRequest(ID)).workflowName).toBe('SUPPLIER_APPROVAL');
+    expect(await stepStatuses(ID)).toEqual([
+      ['Initial Review', 1, 'Active'],
+      ['Compliance Check', 2, 'Pending'],
+      ['Final Approval', 3, 'Pending']
+    ]);
+
+    const res = await mdm.action(ID, 'approveRequest', {}, 'alice');
+    expect(res.body.value).toBe("Step 'Initial Review' approved. Waiting for: Compliance Check");
+    expect((await stepStatuses(ID)).map(s => s[2])).toEqual(['Approved', 'Active', 'Pending']);
+  });
+});
@@ -0,0 +1,96 @@
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Bank account matching', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const bank = (holder, fields) => ({ bankCountry_code: 'DE', bankName: 'Hausbank', accountHolder: holder, isDefault: true, ...fields });
+
+  const request = (partnerName, data = {}) => mdm.createRequest({
+    partnerName, status: 'ComplianceCheck', addresses: [mainAddress({ name1: partnerName, street: 'Bankgasse', city: 'Leipzig', postalCode: '04109' })], ...data
+  });
+
+  const bankMatches = async (ID) => {
+    const res = await mdm.action(ID, 'checkDuplicates');
+    expect(errorMessage(res)).toBe('');
+    return SELECT.from('mdm.db.DuplicateChecks').where({ request_ID: ID, matchType: { like: '%BankAccount%' } });
+  };
+
+  test("a new partner paid into another partner's account is flagged with high severity", async () => {
+    await mdm.createPartner('BP200501', {
+      BusinessPartnerName: 'Echt Lieferant GmbH',
+      banks: [{ BankIdentification: '0001', BankCountryKey: 'DE', BankAccountHolderName: 'Echt Lieferant GmbH', IBAN: 'DE44500105175407324931' }]
+    });
+    const ID = await request('Schein Handel GmbH', { banks: [bank('Schein Handel GmbH', { iban: 'de44 5001 0517 5407 3249 31' })] });
+
+    const [match] = await bankMatches(ID);
+    expect(match).toMatchObject({
+      existingBpNumber: 'BP200501', existingBpName: 'Echt Lieferant GmbH', severity: 'High', partnerStatus: 'Active',
+      matchDetails: 'Bank account IBAN DE44500105175407324931 is already used by BP BP200501 "Echt Lieferant GmbH"'
+    });
+    expect(Number(match.matchScore)).toBe(1);
+
+    // The account has to be verified with the partner, it cannot be approved over
+    const approve = await mdm.action(ID, 'approveRequest');
+    expect(errorMessage(approve)).toMatch(/^Approval blocked by duplicate match\(es\) in the auto-block band: BP BP200501 \(BankAccount, 100%\)/);
+  });
+
+  test('requests in the approval process sharing an account number are flagged against each other', async () => {
+    const first = await request('Konto Eins GmbH', { status: 'Submitted', banks: [bank('Konto Eins GmbH', { bankKey: '37040044', accountNumber: '0532013000' })] });
+    const second = await request('Konto Zwei GmbH', { banks: [bank('Konto Zwei GmbH', { bankKey: '37040044', accountNumber: '532013000' })] });
+
+    const [match] = await bankMatches(second);
+    expect(match).toMatchObject({ severity: 'High', matchedRequestNumber: (await mdm.getRequest(first)).requestNumber });
+    expect(match.matchDetails).toMatch(/is already used by pending request .* "Konto Eins GmbH"$/);
+
+    // Once the other request is rejected it no longer counts
+    await mdm.updateRequest(first, { status: 'Rejected' });
+    await mdm.updateRequest(second, { status: 'ComplianceCheck' });
+    expect(await bankMatches(second)).toEqual([]);
+  });
+
+  test('IBANs entered in groups are matched once the other request is submitted', async () => {
+    const first = await mdm.createRequest({
+      partnerName: 'Gruppe Eins GmbH', addresses: [mainAddress({ name1: 'Gruppe Eins GmbH' })],
+      banks: [bank('Gruppe Eins GmbH', { iban: 'DE89 3704 0044 0532 0130 00' })]
+    });
+    expect(errorMessage(await mdm.action(first, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(await SELECT.one.from('mdm.db.PartnerBanks').where({ request_ID: first })).toMatchObject({ iban: 'DE89370400440532013000' });
+
+    const second = await request('Gruppe Zwei GmbH', { banks: [bank('Gruppe Zwei GmbH', { iban: 'DE89 3704 0044 0532 0130 00' })] });
+    const [match] = await bankMatches(second);
+    expect(match).toMatchObject({
+      severity: 'High', matchedRequestNumber: (await mdm.getRequest(first)).requestNumber,
+      matchDetails: expect.stringMatching(/^Bank account IBAN DE89370400440532013000 is already used by pending request .* "Gruppe Eins GmbH"$/)
+    });
+  });
+
+  test("an update switching the partner's account to an employee's account is flagged as possible fraud", async () => {
+    await mdm.createPartner('BP200502', {
+      BusinessPartnerCategory: '1', BusinessPartnerName: 'Max Intern', FirstName: 'Max', LastName: 'Intern',
+      roles: [{ BusinessPartnerRole: 'BUP003' }],
+      banks: [{ BankIdentification: '0001', BankCountryKey: 'DE', BankAccountHolderName: 'Max Intern', IBAN: 'DE12500105170648489890' }]
+    });
+    await mdm.createPartner('BP200503', {
+      BusinessPartnerName: 'Lieferung Ost GmbH',
+      banks: [{ BankIdentification: '0001', BankCountryKey: 'DE', BankAccountHolderName: 'Lieferung Ost GmbH', IBAN: 'DE02500105170137075030' }]
+    });
+
+    const unchanged = await request('Lieferung Ost GmbH', {
+      requestType: 'Update', existingBpNumber: 'BP200503', banks: [bank('Lieferung Ost GmbH', { iban: 'DE02500105170137075030' })]
+    });
+    expect(await bankMatches(unchanged)).toEqual([]);
+
+    const ID = await request('Lieferung Ost GmbH', {
+      requestType: 'Update', existingBpNumber: 'BP200503', banks: [bank('Lieferung Ost GmbH', { iban: 'DE12500105170648489890' })]
+    });
+    const [match] = await bankMatches(ID);
+    expect(match).toMatchObject({
+      existingBpNumber: 'BP200502', severity: 'High',
+      matchDetails: 'New bank account IBAN DE12500105170648489890 of BP BP200503 is already used by BP BP200502 "Max Intern" - an employee-like natural person (employee role BUP003)'
+    });
+  });
+});
@@ -0,0 +1,261 @@
+const cds = require('@sap/cds');
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Golden record materialization', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const approve = async (data) => {
+    const ID = await mdm.createRequest({ addresses: [mainAddress({ name1: data.partnerName })], ...data });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    return { ID, response: await mdm.approveChain(ID) };
+  };
+
+  const goldenRecord = async (bpNumber, expand) => {
+    const res = await mdm.as('alice').get(`/mdm/A_BusinessPartner?$filter=BusinessPartner eq '${bpNumber}'&$expand=${expand}`);
+    expect(res.status).toBe(200);
+    return res.body.value[0];
+  };
+
+  test('an approved request becomes a golden record with its addresses, tax numbers, banks and roles', async () => {
+    const { ID, response } = await approve({
+      partnerName: 'Golden Rohstoffe GmbH',
+      entityType: 'Both',
+      sourceSystem: 'Coupa',
+      vatIds: [{ country_code: 'DE', vatNumber: 'DE812345670', isEstablished: true }],
+      banks: [{ bankCountry_code: 'DE', bankName: 'Sparkasse', accountHolder: 'Golden Rohstoffe GmbH', iban: 'DE02120300000000202051', swiftCode: 'BYLADEM1001', isDefault: true }],
+      emails: [{ emailType: 'Primary', emailAddress: 'info@golden-rohstoffe.example', isDefault: true }]
+    });
+    expect(errorMessage(response)).toBe('');
+    const { status, sapBpNumber } = await mdm.getRequest(ID);
+    expect(status).toBe('Approved');
+
+    const partner = await goldenRecord(sapBpNumber, 'addresses,taxNumbers,banks,roles,suppliers,customers,emailAddresses,sources');
+    expect(partner).toMatchObject({
+      BusinessPartnerFullName: 'Golden Rohstoffe GmbH', BusinessPartnerCategory: '2', BusinessPartnerGrouping: 'BP01',
+      Supplier: sapBpNumber, Customer: sapBpNumber, BusinessPartnerIsBlocked: false, CreatedByUser: 'erin'
+    });
+    expect(partner.addresses).toEqual([expect.objectContaining({ AddressID: '1', StreetName: 'Hauptstrasse', HouseNumber: '1', PostalCode: '10115', CityName: 'Berlin', Country: 'DE' })]);
+    expect(partner.taxNumbers).toEqual([expect.objectContaining({ BPTaxType: 'DE0', BPTaxNumber: 'DE812345670' })]);
+    expect(partner.banks).toEqual([expect.objectContaining({ IBAN: 'DE02120300000000202051', SWIFTCode: 'BYLADEM1001', BankCountryKey: 'DE' })]);
+    expect(partner.emailAddresses.map(e => e.EmailAddress)).toEqual(['info@golden-rohstoffe.example']);
+    expect(partner.roles.map(r => r.BusinessPartnerRole).sort()).toEqual(['FLCU01', 'FLVN01']);
+    expect(partner.suppliers).toEqual([expect.objectContaining({ SupplierFullName: 'Golden Rohstoffe GmbH', VATRegistration: 'DE812345670' })]);
+    expect(partner.customers).toHaveLength(1);
+
+    // Survivorship rules read which request each field group came from
+    const sources = Object.fromEntries(partner.sources.map(s => [s.fieldGroup, s.sourceSystem]));
+    expect(sources).toMatchObject({ Header: 'Coupa', Address: 'Coupa', TaxNumber: 'Coupa', Bank: 'Coupa', Email: 'Coupa' });
+  });
+
+  test('every company code segment becomes supplier or customer company data', async () => {
+    const { ID, response } = await approve({
+      partnerName: 'Filialen Handel GmbH',
+      entityType: 'Both',
+      companyCodes: [
+        { companyCode: '1000', reconAccount: '160000', paymentTerms: 'NT30', withholdingTaxType: 'W1', withholdingTaxCode: '01' },
+        { segmentType: 'Supplier', companyCode: '2000', reconAccount: '161000', paymentTerms: 'NT45', dunningProcedure: '0001', dunningClerk: 'D1' },
+        { segmentType: 'Customer', companyCode: '1000', reconAccount: '140000', paymentTerms: 'NT14', paymentMethods: 'E' }
+      ]
+    });
+    expect(errorMessage(response)).toBe('');
+    const { sapBpNumber } = await mdm.getRequest(ID);
+
+    // Segments created without a type belong to the supplier role
+    const supplierCompanies = await SELECT.from('mdm.db.A_SupplierCompany').where({ Supplier: sapBpNumber }).orderBy('CompanyCode');
+    expect(supplierCompanies).toEqual([
+      expect.objectContaining({ CompanyCode: '1000', ReconciliationAccount: '160000', PaymentTerms: 'NT30', WithholdingTaxType: 'W1', WithholdingTaxCode: '01' }),
+      expect.objectContaining({ CompanyCode: '2000', ReconciliationAccount: '161000', PaymentTerms: 'NT45', DunningProcedure: '0001', DunningClerk: 'D1' })
+    ]);
+    const customerCompanies = await SELECT.from('mdm.db.A_CustomerCompany').where({ Customer: sapBpNumber });
+    expect(customerCompanies).toEqual([
+      expect.objectContaining({ CompanyCode: '1000', ReconciliationAccount: '140000', PaymentTerms: 'NT14', PaymentMethodsList: 'E' })
+    ]);
+  });
+
+  test('company code segments are validated one by one on submit', async () => {
+    const ID = await mdm.createRequest({
+      partnerName: 'Doppelt Buchung GmbH',
+      addresses: [mainAddress({ name1: 'Doppelt Buchung GmbH' })],
+      companyCodes: [
+        { companyCode: '1000', reconAccount: '160000', paymentTerms: 'NT30' },
+        { companyCode: '1000', reconAccount: '160000' },
+        { segmentType: 'Customer', companyCode: '3000', reconAccount: 'ABC', withholdingTaxType: 'W1' }
+      ]
+    });
+
+    const res = await mdm.action(ID, 'submitForApproval', {}, 'carol');
+    expect(res.status).toBe(400);
+    const errors = res.body.error.details.errors.map(e => [e.field, e.message]);
+    expect(errors).toEqual([
+      ['companyCodes[1].companyCode', 'Supplier company code 1000 is listed more than once'],
+      ['companyCodes[2].segmentType', 'Customer company code 3000 does not match entity type Supplier'],
+      ['companyCodes[2].reconAccount', 'Reconciliation account of company code 3000 must be a G/L account number (up to 10 digits)'],
+      ['companyCodes[2].withholdingTaxCode', 'Withholding tax of company code 3000 needs both a type and a code']
+    ]);
+    expect((await mdm.getRequest(ID)).status).toBe('Draft');
+  });
+
+  test('sales areas entered in the Salesforce app and purchasing organizations reach the customer and supplier', async () => {
+    const created = await mdm.as('carol').post('/mdm/SalesforceRequests', {
+      partnerName: 'Vertrieb Sued GmbH',
+      entityType: 'Customer',
+      partnerRole: 'Customer',
+      addresses: [mainAddress({ name1: 'Vertrieb Sued GmbH', city: 'Muenchen', postalCode: '80331' })],
+      salesAreas: [{
+        salesOrg: '1000', distributionChannel: '10', division: '00', currency_code: 'EUR',
+        pricingProcedure: '01', shippingCondition: '02', incoterms: 'dap', incotermsLocation: 'Muenchen', paymentTerms: 'NT30'
+      }]
+    });
+    expect(errorMessage(created)).toBe('');
+    expect(created.body).toMatchObject({ sourceSystem: 'Salesforce', requestType: 'Create', status: 'Draft', requesterId: 'carol' });
+    const expanded = await mdm.as('carol').get(`/mdm/SalesforceRequests(${created.body.ID})?$expand=salesAreas`);
+    expect(expanded.body.salesAreas).toEqual([expect.objectContaining({ salesOrg: '1000', distributionChannel: '10', division: '00' })]);
+
+    const customerRequest = created.body.ID;
+    expect(errorMessage(await mdm.action(customerRequest, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(customerRequest, 'performComplianceCheck'))).toBe('');
+    expect(errorMessage(await mdm.approveChain(customerRequest))).toBe('');
+    const customer = (await mdm.getRequest(customerRequest)).sapBpNumber;
+    expect(await SELECT.from('mdm.db.A_CustomerSalesArea').where({ Customer: customer })).toEqual([expect.objectContaining({
+      SalesOrganization: '1000', DistributionChannel: '10', Division: '00', Currency: 'EUR', CustomerPricingProcedure: '01',
+      ShippingCondition: '02', IncotermsClassification: 'DAP', IncotermsLocation1: 'Muenchen', CustomerPaymentTerms: 'NT30'
+    })]);
+
+    const { ID, response } = await approve({
+      partnerName: 'Einkauf Nord GmbH',
+      sourceSystem: 'Coupa',
+      purchasingOrgs: [{
+        purchasingOrg: '1000', orderCurrency_code: 'EUR', incoterms: 'FCA', incotermsLocation: 'Hamburg',
+        purchasingGroup: '001', paymentTerms: 'NT60', minimumOrderAmount: 250, grBasedInvoiceVerification: true
+      }]
+    });
+    expect(errorMessage(response)).toBe('');
+    const supplier = (await mdm.getRequest(ID)).sapBpNumber;
+    expect(await SELECT.from('mdm.db.A_SupplierPurchasingOrg').where({ Supplier: supplier })).toEqual([expect.objectContaining({
+      PurchasingOrganization: '1000', PurchaseOrderCurrency: 'EUR', IncotermsClassification: 'FCA', IncotermsLocation1: 'Hamburg',
+      PurchasingGroup: '001', PaymentTerms: 'NT60', InvoiceIsGoodsReceiptBased: true
+    })]);
+  });
+
+  test('purchasing and sales data must belong to a role the request asks for', async () => {
+    const ID = await mdm.createRequest({
+      partnerName: 'Falsche Rolle GmbH',
+      addresses: [mainAddress({ name1: 'Falsche Rolle GmbH' })],
+      purchasingOrgs: [{ purchasingOrg: '1000' }],
+      salesAreas: [{ salesOrg: '1000', distributionChannel: '10', division: '00' }]
+    });
+
+    const res = await mdm.action(ID, 'submitForApproval', {}, 'carol');
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.errors.map(e => [e.field, e.message])).toEqual([
+      ['purchasingOrgs[0].orderCurrency_code', 'Order currency is required for purchasing organization 1000'],
+      ['salesAreas', 'Sales areas can only be maintained for customers']
+    ]);
+  });
+
+  test('phone, fax and website entries are written to their BP address in international format', async () => {
+    const vienna = cds.utils.uuid();
+    const { ID, response } = await approve({
+      partnerName: 'Kommunikation Technik GmbH',
+      addresses: [
+        mainAddress({ name1: 'Kommunikation Technik GmbH', isDefault: true }),
+        mainAddress({ ID: vienna, addressType: 'Shipping', name1: 'Kommunikation Technik GmbH', street: 'Ring', city: 'Wien', postalCode: '1010', country_code: 'AT' })
+      ],
+      communications: [
+        { commType: 'Phone', value: '030 1234567' },
+        { commType: 'Phone', value: '(030) 7654321 ext. 12', isDefault: true },
+        { commType: 'Mobile', value: '0049 170 1234567' },
+        { commType: 'Fax', address_ID: vienna, value: '01 5123456', notes: 'Warehouse' },
+        { commType: 'Website', value: 'www.kommunikation-technik.example' }
+      ]
+    });
+    expect(errorMessage(response)).toBe('');
+    const { sapBpNumber } = await mdm.getRequest(ID);
+
+    // The flagged number is the default of the main address, national numbers take the address country
+    const phones = await SELECT.from('mdm.db.A_AddressPhoneNumber').where({ BusinessPartner: sapBpNumber }).orderBy('OrdinalNumber');
+    expect(phones.map(p => [p.AddressID, p.PhoneNumberType, p.InternationalPhoneNumber, p.PhoneNumberExtension, p.IsDefaultPhoneNumber])).toEqual([
+      ['1', '1', '+49307654321', '12', true],
+      ['1', '1', '+49301234567', null, false],
+      ['1', '3', '+491701234567', null, true]
+    ]);
+
+    const [fax] = await SELECT.from('mdm.db.A_AddressFaxNumber').where({ BusinessPartner: sapBpNumber });
+    expect(fax).toMatchObject({ AddressID: '2', FaxCountry: 'AT', InternationalFaxNumber: '+4315123456', IsDefaultFaxNumber: true, AddressCommunicationRemarkText: 'Warehouse' });
+
+    const [url] = await SELECT.from('mdm.db.A_AddressHomePageURL').where({ BusinessPartner: sapBpNumber });
+    expect(url).toMatchObject({ AddressID: '1', WebsiteURL: 'https://www.kommunikation-technik.example', IsDefaultURLAddress: true });
+  });
+
+  test('international numbers are accepted for countries outside the calling code table', async () => {
+    const { ID, response } = await approve({
+      partnerName: 'Bangkok Trading Co Ltd',
+      addresses: [mainAddress({ name1: 'Bangkok Trading Co Ltd', street: 'Sukhumvit Road', city: 'Bangkok', postalCode: '10110', country_code: 'TH' })],
+      communications: [
+        { commType: 'Phone', value: '+66 2 123 4567', isDefault: true },
+        { commType: 'Fax', value: '0066 2 765 4321' }
+      ]
+    });
+    expect(errorMessage(response)).toBe('');
+    const { sapBpNumber } = await mdm.getRequest(ID);
+
+    const [phone] = await SELECT.from('mdm.db.A_AddressPhoneNumber').where({ BusinessPartner: sapBpNumber });
+    expect(phone).toMatchObject({ DestinationLocationCountry: 'TH', InternationalPhoneNumber: '+6621234567' });
+    const [fax] = await SELECT.from('mdm.db.A_AddressFaxNumber').where({ BusinessPartner: sapBpNumber });
+    expect(fax).toMatchObject({ FaxCountry: 'TH', InternationalFaxNumber: '+6627654321' });
+  });
+
+  test('communication entries that cannot be converted are refused on submit', async () => {
+    const ID = await mdm.createRequest({
+      partnerName: 'Falsch Verbunden GmbH',
+      addresses: [mainAddress({ name1: 'Falsch Verbunden GmbH' })],
+      communications: [
+        { commType: 'Phone', value: '12', isDefault: true },
+        { commType: 'Phone', value: '+49 30 1234567', isDefault: true },
+        { commType: 'Fax', value: '+33 1 23456789' },
+        { commType: 'Website', value: 'ftp://files.falsch-verbunden.example' }
+      ]
+    });
+
+    const res = await mdm.action(ID, 'submitForApproval', {}, 'carol');
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.errors.map(e => e.message)).toEqual([
+      'Phone number 12 cannot be converted to international format for country DE',
+      'Only one phone entry can be the default of an address',
+      'Website ftp://files.falsch-verbunden.example is not a valid http or https address'
+    ]);
+    expect(res.body.error.details.warnings.map(w => w.message))
+      .toContain('Fax number +33123456789 has a different country code than its address (DE)');
+  });
+
+  test('a failed golden record write rolls back the approval', async () => {
+    const run = cds.db.run;
+    const spy = jest.spyOn(cds.db, 'run').mockImplementation(function (query, ...args) {
+      if (query?.INSERT?.into?.ref?.[0] === 'mdm.db.A_BusinessPartnerBank') {
+        return Promise.reject(new Error('disk I/O error'));
+      }
+      return run.call(this, query, ...args);
+    });
+
+    let result;
+    try {
+      result = await approve({
+        partnerName: 'Rollback Maschinen GmbH',
+        banks: [{ bankCountry_code: 'DE', bankName: 'Volksbank', accountHolder: 'Rollback Maschinen GmbH', iban: 'DE75512108001245126199', isDefault: true }]
+      });
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(errorMessage(result.response)).toMatch(/could not be created: A_BusinessPartnerBank failed/);
+    const request = await mdm.getRequest(result.ID);
+    expect(request.status).not.toBe('Approved');
+    expect(request.sapBpNumber).toBeNull();
+    expect(await SELECT.from('mdm.db.A_BusinessPartner').where({ BusinessPartnerFullName: 'Rollback Maschinen GmbH' })).toHaveLength(0);
+  });
+});
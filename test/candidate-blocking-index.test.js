@@ -0,0 +1,106 @@
+const cds = require('@sap/cds');
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Candidate blocking index', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const search = (partnerName, vatIds = [], threshold = null) => mdm.as('alice').get(
+    `/mdm/searchDuplicates(partnerName=@name,vatIds=@vatIds,threshold=${threshold})` +
+    `?@name='${encodeURIComponent(partnerName)}'&@vatIds=${encodeURIComponent(JSON.stringify(vatIds))}`
+  );
+
+  test('searchDuplicates matches names among the candidates of the index', async () => {
+    const res = await search('European Supplies AG');
+    expect(errorMessage(res)).toBe('');
+    expect(res.body.value).toEqual([
+      { bpNumber: 'BP100002', bpName: 'European Supplies GmbH', matchScore: 1, matchType: 'Name', matchDetails: 'Fuzzy name match (100%)' }
+    ]);
+
+    const loose = await search('Europa Supplies', [], 0.8);
+    expect(loose.body.value.map(d => d.bpNumber)).toEqual(['BP100002']);
+    expect((await search('Europa Supplies')).body.value).toEqual([]);
+  });
+
+  test('searchDuplicates does not read partners outside the index candidates', async () => {
+    const run = cds.db.run;
+    const reads = [];
+    const spy = jest.spyOn(cds.db, 'run').mockImplementation(function (query, ...args) {
+      const from = query?.SELECT?.from?.ref?.[0];
+      if (from === 'mdm.db.ExistingPartners' || from === 'mdm.db.BusinessPartnerRequests') reads.push(query.SELECT.where);
+      return run.call(this, query, ...args);
+    });
+
+    try {
+      expect(errorMessage(await search('Nordic Services AB'))).toBe('');
+    } finally {
+      spy.mockRestore();
+    }
+    // Partners are read by the BP numbers of their blocking keys only
+    expect(reads.length).toBeGreaterThan(0);
+    reads.forEach(where => expect(JSON.stringify(where)).toMatch(/sapBpNumber/));
+  });
+
+  test('searchDuplicates finds VAT IDs of partners and open requests', async () => {
+    const ID = await mdm.createRequest({
+      partnerName: 'Vat Twin Handels GmbH',
+      status: 'Submitted',
+      vatIds: [{ country_code: 'DE', vatNumber: 'DE555666777', isEstablished: true }]
+    });
+    const { requestNumber } = await mdm.getRequest(ID);
+
+    const res = await search('Unrelated Name', ['DE123456789', 'DE555666777']);
+    expect(errorMessage(res)).toBe('');
+    expect(res.body.value.map(d => [d.bpNumber, d.matchType])).toEqual(expect.arrayContaining([
+      ['BP100002', 'VAT'],
+      [requestNumber, 'VAT']
+    ]));
+    expect(res.body.value).toHaveLength(2);
+  });
+
+  const blockingKeys = async (sapBpNumber) => (await SELECT.from('mdm.db.DuplicateBlockingKeys').where({ sapBpNumber }))
+    .map(k => k.blockingKey);
+
+  test('approved partners are compared by later duplicate checks', async () => {
+    const address = () => mainAddress({ name1: 'Harbour Freight Logistik GmbH', street: 'Kaiweg', streetNumber: '7', city: 'Hamburg', postalCode: '20457' });
+    const ID = await mdm.createRequest({
+      partnerName: 'Harbour Freight Logistik GmbH',
+      addresses: [address()],
+      vatIds: [{ country_code: 'DE', vatNumber: 'DE811122233', isEstablished: true }]
+    });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    expect(errorMessage(await mdm.approveChain(ID))).toBe('');
+    const { status, sapBpNumber } = await mdm.getRequest(ID);
+    expect(status).toBe('Approved');
+
+    const partner = await SELECT.one.from('mdm.db.ExistingPartners').where({ sapBpNumber });
+    expect(partner).toMatchObject({
+      partnerName: 'Harbour Freight Logistik GmbH', partnerType: 'Supplier', status: 'Active',
+      establishedVatId: 'DE811122233', establishedCountry: 'DE', sourceSystem: 'PI'
+    });
+    expect(JSON.parse(partner.establishedAddress)).toMatchObject({ street: 'Kaiweg', streetNumber: '7', postalCode: '20457', city: 'Hamburg' });
+    expect(await blockingKeys(sapBpNumber)).toEqual(expect.arrayContaining(['Token:harbour', 'VAT:DE811122233', 'PostalCode:DE:20457']));
+
+    const twin = await mdm.createRequest({ partnerName: 'Harbor Freight Logistik AG', status: 'ComplianceCheck', addresses: [address()] });
+    const res = await mdm.action(twin, 'checkDuplicates');
+    expect(errorMessage(res)).toBe('');
+    expect(res.body.value.map(d => d.bpNumber)).toContain(sapBpNumber);
+  });
+
+  test('changing the BP number of an existing partner re-keys it', async () => {
+    const created = await mdm.as('alice').post('/mdm/ExistingPartners', {
+      sapBpNumber: 'BP400001', partnerName: 'Renumbered Tools GmbH', partnerType: 'Supplier', status: 'Active', sourceSystem: 'PI', allAddresses: '[]'
+    });
+    expect(errorMessage(created)).toBe('');
+    expect(await blockingKeys('BP400001')).toContain('Token:renumbered');
+
+    const res = await mdm.as('alice').patch(`/mdm/ExistingPartners(${created.body.ID})`, { sapBpNumber: 'BP400002' });
+    expect(errorMessage(res)).toBe('');
+    expect(await blockingKeys('BP400001')).toEqual([]);
+    expect(await blockingKeys('BP400002')).toContain('Token:renumbered');
+  });
+});
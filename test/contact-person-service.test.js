@@ -0,0 +1,69 @@
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Contact persons', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const submit = async (partnerName, contacts) => {
+    const ID = await mdm.createRequest({ partnerName, addresses: [mainAddress({ name1: partnerName })], contacts });
+    return { ID, response: await mdm.action(ID, 'submitForApproval', {}, 'carol') };
+  };
+
+  test('approved contacts become person partners related to the organization', async () => {
+    const { ID, response } = await submit('Kontakt Chemie GmbH', [
+      { firstName: 'Jonas', lastName: 'Weber', jobFunction: 'Buyer', department: 'Purchasing', email: 'j.weber@kontakt-chemie.example' },
+      { firstName: 'Lena', lastName: 'Fischer', jobFunction: 'Head of Accounting', department: 'Finance', phone: '+49 30 1234567', email: 'L.Fischer@Kontakt-Chemie.example', isPrimary: true }
+    ]);
+    expect(errorMessage(response)).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    expect(errorMessage(await mdm.approveChain(ID))).toBe('');
+    const { sapBpNumber } = await mdm.getRequest(ID);
+
+    const relationships = await SELECT.from('mdm.db.A_BusinessPartnerContact').where({ BusinessPartnerCompany: sapBpNumber }).orderBy('RelationshipNumber');
+    expect(relationships).toHaveLength(2);
+    expect(relationships.every(r => r.RelationshipCategory === 'BUR001' && r.BusinessPartner === sapBpNumber)).toBe(true);
+
+    // The primary contact is created first and holds the standard relationship
+    const [primary, second] = relationships;
+    expect(primary.IsStandardRelationship).toBe(true);
+    expect(second.IsStandardRelationship).toBe(false);
+
+    const person = await SELECT.one.from('mdm.db.A_BusinessPartner').where({ BusinessPartner: primary.BusinessPartnerPerson });
+    expect(person).toMatchObject({ BusinessPartnerCategory: '1', FirstName: 'Lena', LastName: 'Fischer', BusinessPartnerFullName: 'Lena Fischer', SearchTerm1: 'FISCHER' });
+    const role = await SELECT.one.from('mdm.db.A_BusinessPartnerRole').where({ BusinessPartner: primary.BusinessPartnerPerson });
+    expect(role.BusinessPartnerRole).toBe('BUP001');
+
+    const details = await SELECT.one.from('mdm.db.A_BPContactToFuncAndDept').where({ RelationshipNumber: primary.RelationshipNumber });
+    expect(details).toMatchObject({
+      BusinessPartnerCompany: sapBpNumber, BusinessPartnerPerson: primary.BusinessPartnerPerson,
+      ContactPersonFunction: 'Head of Accounting', ContactPersonDepartment: 'Finance',
+      PhoneNumber: '+49301234567', EmailAddress: 'l.fischer@kontakt-chemie.example'
+    });
+
+    // Contact persons are partners of their own, not golden records compared by the duplicate check
+    expect(await SELECT.one.from('mdm.db.ExistingPartners').where({ sapBpNumber: primary.BusinessPartnerPerson })).toBeFalsy();
+  });
+
+  test('contact emails and phone numbers are validated on submit', async () => {
+    const { ID, response } = await submit('Kontakt Fehler GmbH', [
+      { firstName: 'Max', lastName: 'Braun', email: 'max.braun@', phone: '030 1234567' },
+      { lastName: 'Klein', email: 'einkauf@kontakt-fehler.example', isPrimary: true },
+      { lastName: 'Gross', email: 'Einkauf@kontakt-fehler.example', isPrimary: true }
+    ]);
+
+    expect(response.status).toBe(400);
+    const messages = response.body.error.details.errors.map(e => e.message);
+    expect(messages.sort()).toEqual([
+      'Email address of contact Max Braun is not valid',
+      'Only one contact person can be set as primary',
+      'Phone number of contact Max Braun must be in international format (e.g. +4930123456)'
+    ]);
+    // A shared mailbox is allowed, but pointed out
+    expect(response.body.error.details.warnings.map(w => w.message))
+      .toContain('Email address einkauf@kontakt-fehler.example is used by more than one contact person');
+    expect((await mdm.getRequest(ID)).status).toBe('Draft');
+  });
+});
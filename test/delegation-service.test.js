@@ -0,0 +1,65 @@
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Approver delegation', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const days = (n) => new Date(Date.now() + n * 24 * 60 * 60 * 1000).toISOString();
+
+  const submit = async (partnerName, sourceSystem) => {
+    const ID = await mdm.createRequest({ partnerName, sourceSystem, addresses: [mainAddress({ name1: partnerName })] });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    return ID;
+  };
+
+  const queue = (user) => mdm.as(user).get('/mdm/PendingApprovals?$select=ID,delegatedBy');
+
+  test('a delegate works the delegated part of the queue on behalf of the approver', async () => {
+    const piRequest = await submit('Vertretung Logistik GmbH', 'PI');
+    const coupaRequest = await submit('Vertretung Einkauf GmbH', 'Coupa');
+
+    // Without a delegation the system owner has no approval queue
+    expect((await queue('bob')).status).toBe(403);
+
+    const delegation = await mdm.as('alice').post('/mdm/ApproverDelegations', {
+      delegatorId: 'alice', delegatorName: 'Alice Johnson', delegateId: 'bob', delegateName: 'Bob Smith',
+      validFrom: days(-1), validTo: days(7), sourceSystem: 'PI', reason: 'Vacation'
+    });
+    expect(errorMessage(delegation)).toBe('');
+
+    const res = await queue('bob');
+    expect(errorMessage(res)).toBe('');
+    const rows = new Map(res.body.value.map(r => [r.ID, r]));
+    expect(rows.get(piRequest)).toMatchObject({ delegatedBy: 'Alice Johnson' });
+    expect(rows.has(coupaRequest)).toBe(false);
+
+    const approve = await mdm.action(piRequest, 'approveRequest', { comments: 'Covering for Alice' }, 'bob');
+    expect(errorMessage(approve)).toBe('');
+    const history = await SELECT.one.from('mdm.db.ApprovalHistory').where({ request_ID: piRequest, action: 'StepApprove' });
+    expect(history).toMatchObject({ approverName: 'bob', onBehalfOf: 'alice' });
+    const [step] = await SELECT.from('mdm.db.RequestApprovalSteps').where({ request_ID: piRequest, status: 'Approved' });
+    expect(step).toMatchObject({ completedBy: 'bob', onBehalfOf: 'alice' });
+
+    // Outside the delegated source system the delegate has no authority
+    const outside = await mdm.action(coupaRequest, 'approveRequest', {}, 'bob');
+    expect(outside.status).toBe(403);
+  });
+
+  test('expired delegations and delegations to oneself are not honored', async () => {
+    const ID = await submit('Abgelaufen Handel GmbH', 'Salesforce');
+    await mdm.as('alice').post('/mdm/ApproverDelegations', {
+      delegatorId: 'alice', delegateId: 'carol', validFrom: days(-10), validTo: days(-3)
+    });
+    expect((await mdm.action(ID, 'approveRequest', {}, 'carol')).status).toBe(403);
+
+    const self = await mdm.as('alice').post('/mdm/ApproverDelegations', {
+      delegatorId: 'alice', delegateId: 'alice', validFrom: days(0)
+    });
+    expect(self.status).toBe(400);
+    expect(errorMessage(self)).toBe('A user cannot delegate to themselves');
+  });
+});
@@ -0,0 +1,98 @@
+const cds = require('@sap/cds');
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Duplicate scoring model', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const simulate = (params) => mdm.as('alice').get(`/mdm/simulateDuplicateScoring(${params})`);
+
+  test('every match of the live check is scored and banded', async () => {
+    await mdm.as('alice').post('/mdm/ExistingPartners', {
+      sapBpNumber: 'BP300101', partnerName: 'Weber Metall GmbH', partnerType: 'Supplier', status: 'Active', sourceSystem: 'PI', allAddresses: '[]'
+    });
+    const ID = await mdm.createRequest({
+      partnerName: 'Weber Metall GmbH',
+      status: 'Submitted',
+      addresses: [mainAddress({ name1: 'Weber Metall GmbH', street: 'Industriestrasse', streetNumber: '3', city: 'Essen', postalCode: '45127' })],
+      emails: [{ emailType: 'Primary', emailAddress: 'orders@european-supplies.de', isDefault: true }]
+    });
+
+    const compliance = await mdm.action(ID, 'performComplianceCheck');
+    expect(errorMessage(compliance)).toBe('');
+
+    const checks = await SELECT.from('mdm.db.DuplicateChecks').where({ request_ID: ID }).orderBy('matchScore desc');
+    expect(checks.map(c => [c.existingBpNumber, c.scoreBand])).toEqual([
+      ['BP300101', 'AutoBlock'],
+      ['BP100002', 'Info']
+    ]);
+    // Fuzzy and phonetic name matches of one partner are combined into one score
+    expect(JSON.parse(checks[0].signalScores)).toEqual({ name: 1, phonetic: 1 });
+    expect(checks[1]).toMatchObject({ matchType: 'EmailDomain', matchScore: 0.6, reviewRequired: false });
+  });
+
+  test('the merge compatibility threshold decides which candidates are recommended as excellent', async () => {
+    await mdm.as('alice').post('/mdm/ExistingPartners', {
+      sapBpNumber: 'BP300103', partnerName: 'Kraus Verpackung GmbH', partnerType: 'Supplier', status: 'Active', sourceSystem: 'Coupa', allAddresses: '[]'
+    });
+    const recommendation = async () => {
+      const ID = await mdm.createRequest({
+        partnerName: 'Kraus Verpackung GmbH',
+        status: 'Submitted',
+        addresses: [mainAddress({ name1: 'Kraus Verpackung GmbH', street: 'Hafenweg', streetNumber: '7', city: 'Kiel', postalCode: '24103' })]
+      });
+      expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+      const check = await SELECT.one.from('mdm.db.DuplicateChecks').where({ request_ID: ID, existingBpNumber: 'BP300103' });
+      return check.mergeRecommendation;
+    };
+
+    // Active, same partner type, different source system: 60 compatibility points
+    expect(await recommendation()).toBe('Good merge candidate - review business requirements');
+
+    await UPDATE('mdm.db.SystemConfiguration').set({ configValue: '60' }).where({ configKey: 'DUPLICATE_MERGE_COMPATIBILITY_THRESHOLD' });
+    try {
+      expect(await recommendation()).toBe('Excellent merge candidate - high compatibility');
+    } finally {
+      await UPDATE('mdm.db.SystemConfiguration').set({ configValue: '80' }).where({ configKey: 'DUPLICATE_MERGE_COMPATIBILITY_THRESHOLD' });
+    }
+  });
+
+  test('the simulation replays merge decisions, including checks stored without signal scores', async () => {
+    await mdm.as('alice').post('/mdm/ExistingPartners', {
+      sapBpNumber: 'BP300102', partnerName: 'Meyer Logistik GmbH', partnerType: 'Supplier', status: 'Active', sourceSystem: 'PI', allAddresses: '[]'
+    });
+    await mdm.createPartner('BP300102', { BusinessPartnerName: 'Meyer Logistik GmbH' });
+    const merged = await mdm.createRequest({
+      partnerName: 'Maier Logistik AG',
+      status: 'Submitted',
+      addresses: [mainAddress({ name1: 'Maier Logistik AG', street: 'Ringstrasse', streetNumber: '5', city: 'Koeln', postalCode: '50667' })]
+    });
+    expect(errorMessage(await mdm.action(merged, 'performComplianceCheck'))).toBe('');
+    const merge = await mdm.action(merged, 'mergeWithExistingPartner', { existingBpNumber: 'BP300102', mergeComments: 'Same forwarder' });
+    expect(errorMessage(merge)).toBe('');
+
+    // Decided before signal scores were stored: a name match created as a new partner,
+    // and a match type the model has no signal for
+    const legacy = await mdm.createRequest({ partnerName: 'Nordic Service AB', status: 'Approved' });
+    await INSERT.into('mdm.db.DuplicateChecks').entries([
+      { ID: cds.utils.uuid(), request_ID: legacy, matchType: 'Name', matchScore: 0.97, existingBpNumber: 'BP100005', mergeDecision: 'CreateNew' },
+      { ID: cds.utils.uuid(), request_ID: legacy, matchType: 'Manual', matchScore: 1, existingBpNumber: 'BP100004', mergeDecision: 'CreateNew' }
+    ]);
+
+    const res = await simulate("weights='phonetic:0.5',countryThresholds=null,reviewThreshold=null,autoBlockThreshold=null");
+    expect(errorMessage(res)).toBe('');
+    expect(res.body).toMatchObject({ decisionCount: 2, duplicateCount: 1, bandChanges: 1 });
+    expect(res.body.current).toMatchObject({ truePositives: 1, falsePositives: 1, falseNegatives: 0, precision: 0.5, recall: 1 });
+    expect(res.body.proposed).toMatchObject({ truePositives: 0, falsePositives: 1, falseNegatives: 1, recall: 0 });
+    expect(res.body.proposed.weights).toMatch(/phonetic:0.5/);
+  });
+
+  test('proposed values outside 0 to 1 are refused', async () => {
+    const res = await simulate("weights='phonetic:2',countryThresholds=null,reviewThreshold=null,autoBlockThreshold=null");
+    expect(res.status).toBe(400);
+    expect(errorMessage(res)).toMatch(/Invalid weight "phonetic:2"/);
+  });
+});
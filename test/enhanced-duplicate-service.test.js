@@ -0,0 +1,120 @@
+const cds = require('@sap/cds');
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Duplicate check', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const addExistingPartner = async (sapBpNumber, partnerName, fields = {}) => {
+    const res = await mdm.as('alice').post('/mdm/ExistingPartners', {
+      sapBpNumber, partnerName, partnerType: 'Supplier', status: 'Active', sourceSystem: 'PI', allAddresses: '[]', ...fields
+    });
+    expect(errorMessage(res)).toBe('');
+  };
+
+  const duplicateChecks = (ID) => SELECT.from('mdm.db.DuplicateChecks').where({ request_ID: ID });
+
+  test('the compliance check stores phonetic matches and sends the request to duplicate review', async () => {
+    await addExistingPartner('BP300001', 'Meyer Logistik GmbH');
+    const ID = await mdm.createRequest({
+      partnerName: 'Maier Logistik AG',
+      status: 'Submitted',
+      addresses: [mainAddress({ name1: 'Maier Logistik AG', street: 'Ringstrasse', streetNumber: '5', city: 'Koeln', postalCode: '50667' })]
+    });
+
+    const compliance = await mdm.action(ID, 'performComplianceCheck');
+    expect(errorMessage(compliance)).toBe('');
+    expect(compliance.body.duplicateCount).toBe(1);
+    expect(compliance.body.bankAccountStatus).toBe('Pass');
+    expect((await mdm.getRequest(ID)).status).toBe('DuplicateReview');
+
+    const [check] = await duplicateChecks(ID);
+    expect(check).toMatchObject({ existingBpNumber: 'BP300001', scoreBand: 'Review', reviewRequired: true, mergeDecision: 'Pending' });
+    expect(check.matchType).toMatch(/^Phonetic(Metaphone|Cologne)/);
+    expect(JSON.parse(check.signalScores)).toEqual({ phonetic: 1 });
+  });
+
+  test('checkDuplicates runs the full check and replaces undecided results', async () => {
+    await addExistingPartner('BP300002', 'Schmidt Metallbau GmbH');
+    const ID = await mdm.createRequest({
+      partnerName: 'Schmitt Metallbau GmbH',
+      status: 'ComplianceCheck',
+      addresses: [mainAddress({ name1: 'Schmitt Metallbau GmbH', street: 'Werkstrasse', streetNumber: '12', city: 'Dortmund', postalCode: '44135' })]
+    });
+    await INSERT.into('mdm.db.DuplicateChecks').entries({
+      ID: cds.utils.uuid(), request_ID: ID, matchType: 'Name', matchScore: 0.97, existingBpNumber: 'BP100004', mergeDecision: 'Pending'
+    });
+
+    const res = await mdm.action(ID, 'checkDuplicates');
+    expect(errorMessage(res)).toBe('');
+    expect(res.body.value).toEqual([expect.objectContaining({ bpNumber: 'BP300002', bpName: 'Schmidt Metallbau GmbH' })]);
+    expect(res.body.value[0].matchType).toMatch(/Phonetic/);
+
+    const checks = await duplicateChecks(ID);
+    expect(checks.map(c => c.existingBpNumber)).toEqual(['BP300002']);
+    expect((await mdm.getRequest(ID)).status).toBe('DuplicateReview');
+  });
+
+  test('a US supplier without VAT ID is caught by the address of an existing partner', async () => {
+    const ID = await mdm.createRequest({
+      partnerName: 'GTS Holdings',
+      status: 'Submitted',
+      addresses: [mainAddress({
+        name1: 'GTS Holdings', street: 'Technology Boulevard', streetNumber: '456', city: 'San Francisco', postalCode: '94105-1234', country_code: 'US'
+      })]
+    });
+
+    const compliance = await mdm.action(ID, 'performComplianceCheck');
+    expect(errorMessage(compliance)).toBe('');
+    expect((await mdm.getRequest(ID)).status).toBe('DuplicateReview');
+
+    const [check] = await duplicateChecks(ID);
+    expect(check).toMatchObject({ existingBpNumber: 'BP100001', matchType: 'Address', scoreBand: 'Review', reviewRequired: true });
+    expect(JSON.parse(check.signalScores)).toEqual({ address: 1 });
+    expect(check.matchDetails).toMatch(/technology boulevard 456/i);
+  });
+
+  test('a different house number in the same street is no address match', async () => {
+    const ID = await mdm.createRequest({
+      partnerName: 'Bay Robotics',
+      status: 'ComplianceCheck',
+      addresses: [mainAddress({
+        name1: 'Bay Robotics', street: 'Technology Blvd.', streetNumber: '12', city: 'San Francisco', postalCode: '94105', country_code: 'US'
+      })]
+    });
+
+    const res = await mdm.action(ID, 'checkDuplicates');
+    expect(errorMessage(res)).toBe('');
+    expect(res.body.value).toEqual([]);
+    expect((await mdm.getRequest(ID)).status).toBe('ComplianceCheck');
+  });
+
+  test('names matching another member of the corporate group are flagged', async () => {
+    const address = () => mainAddress({ name1: 'Frensh Distributon SA', street: 'Rue Garibaldi', streetNumber: '8', city: 'Lyon', postalCode: '69003', country_code: 'FR' });
+    // The group of the parent account, ACME, has French Distribution SA among its members
+    const ID = await mdm.createRequest({ partnerName: 'Frensh Distributon SA', parentBpNumber: 'BP100003', status: 'ComplianceCheck', addresses: [address()] });
+    const outsider = await mdm.createRequest({ partnerName: 'Frensh Distributon SA', status: 'ComplianceCheck', addresses: [address()] });
+
+    const res = await mdm.action(ID, 'checkDuplicates');
+    expect(errorMessage(res)).toBe('');
+    const [match] = res.body.value;
+    expect(match).toMatchObject({ bpNumber: 'BP100004', bpName: 'French Distribution SA' });
+    expect(match.matchType.split('+')).toContain('CorporateGroupName');
+    expect(match.matchDetails).toMatch(/corporate group ACME member "French Distribution SA"/);
+
+    const other = await mdm.action(outsider, 'checkDuplicates');
+    expect(errorMessage(other)).toBe('');
+    expect(other.body.value.flatMap(d => d.matchType.split('+'))).not.toContain('CorporateGroupName');
+  });
+
+  test('checkDuplicates is only available after the compliance check', async () => {
+    const ID = await mdm.createRequest({ partnerName: 'Schmitt Metallbau GmbH' });
+
+    const res = await mdm.action(ID, 'checkDuplicates');
+    expect(res.status).toBe(422);
+    expect(await duplicateChecks(ID)).toHaveLength(0);
+  });
+});
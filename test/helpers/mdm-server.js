@@ -0,0 +1,248 @@
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const supertest = require('supertest');
+const cds = require('@sap/cds');
+
+// Service logging is muted unless TEST_LOGS is set
+if (!process.env.TEST_LOGS) {
+  for (const level of ['log', 'info', 'warn', 'error']) {
+    jest.spyOn(console, level).mockImplementation(() => {});
+  }
+}
+
+const CacheService = require('../../srv/lib/cache-service');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Background jobs are run explicitly by the tests
+process.env.SLA_SCHEDULER_ENABLED = 'false';
+process.env.SCHEDULED_CHANGES_ENABLED = 'false';
+process.env.MASS_CHANGE_ENABLED = 'false';
+
+// Users of package.json plus a second approver for four-eyes checks
+const TEST_USERS = {
+  dave: { password: 'secret', roles: ['MDMApprover'] },
+  erin: { password: 'secret', roles: ['MDMApprover', 'BusinessUser'] }
+};
+
+let sequence = 0;
+
+/**
+ * MDM service test harness
+ * Serves MDMService over HTTP from an in-memory SQLite database loaded with
+ * db/init.sql. Calls to the AEB and VIES APIs are stubbed to pass, webhooks
+ * are stubbed to succeed and no email transport is set up.
+ *
+ * The Coupa draft root shares its compositions with the BusinessPartnerRequests
+ * draft root, which cds-compiler 6 refuses when it generates draft tables - the
+ * tests do not edit Coupa drafts, so its draft tables are not deployed.
+ *
+ * @returns {Promise<Object>} Harness with the express app and request helpers
+ */
+async function startServer() {
+  const AEBService = require('../../srv/lib/aeb-service');
+  const VIESService = require('../../srv/lib/vies-service');
+  const aeb = jest.spyOn(AEBService.prototype, 'performComplianceCheck')
+    .mockResolvedValue({ status: 'Pass', summary: 'No sanctions found' });
+  const vies = jest.spyOn(VIESService.prototype, 'validateVatId')
+    .mockResolvedValue({ isValid: true });
+  const NotificationService = require('../../srv/lib/notification-service');
+  const webhook = jest.spyOn(NotificationService.prototype, 'sendWebhookWithRetry')
+    .mockResolvedValue({ status: 200, data: {}, attempt: 1 });
+  jest.spyOn(NotificationService.prototype, 'initializeEmailService').mockResolvedValue();
+
+  Object.assign(cds.env.requires.auth.users, TEST_USERS);
+  cds.env.requires.db = { kind: 'sqlite', impl: '@cap-js/sqlite', credentials: { url: ':memory:' } };
+
+  const csn = await cds.load(path.join(ROOT, 'srv'));
+  cds.model = cds.compile.for.nodejs(csn);
+
+  const db = await cds.connect.to('db');
+  const deployCsn = await cds.load(path.join(ROOT, 'srv'));
+  delete deployCsn.definitions['MDMService.CoupaRequests']['@odata.draft.enabled'];
+  await cds.deploy(deployCsn).to(db);
+  await db.tx(async (tx) => {
+    await tx.begin?.();
+    tx.dbc.exec(fs.readFileSync(path.join(ROOT, 'db', 'init.sql'), 'utf8'));
+  });
+
+  const app = express();
+  await cds.serve('all').from(cds.model).in(app);
+
+  return new Harness(app, { aeb, vies, webhook });
+}
+
+/**
+ * Request helpers of a started server
+ */
+class Harness {
+
+  constructor(app, stubs) {
+    this.app = app;
+    this.stubs = stubs;
+    this.service = cds.services.MDMService;
+  }
+
+  /**
+   * HTTP client acting as one of the mocked users
+   *
+   * @param {string} user - User name (alice, bob, carol, frank, dave, erin)
+   * @returns {Object} { get, post, patch, delete } returning supertest responses
+   */
+  as(user) {
+    const client = supertest(this.app);
+    const auth = (test) => test.auth(user, 'secret');
+    return {
+      get: (url) => auth(client.get(url)),
+      post: (url, body = {}) => auth(client.post(url).send(body)),
+      patch: (url, body = {}) => auth(client.patch(url).send(body)),
+      delete: (url) => auth(client.delete(url))
+    };
+  }
+
+  /**
+   * Call a bound action of a business partner request
+   *
+   * @param {string} requestId - UUID of the request
+   * @param {string} action - Action name
+   * @param {Object} data - Action parameters
+   * @param {string} user - Mocked user calling the action
+   * @returns {Promise<Object>} supertest response
+   */
+  action(requestId, action, data = {}, user = 'alice') {
+    return this.as(user).post(`/mdm/BusinessPartnerRequests(ID=${requestId},IsActiveEntity=true)/MDMService.${action}`, data);
+  }
+
+  /**
+   * Approve every step of a request's approval chain, one approver per step
+   *
+   * @param {string} requestId - UUID of the request
+   * @param {Array} approvers - Mocked users approving the steps in turn
+   * @returns {Promise<Object>} supertest response of the last approval
+   */
+  async approveChain(requestId, approvers = ['alice', 'dave', 'erin']) {
+    let response;
+    for (const user of approvers) {
+      response = await this.action(requestId, 'approveRequest', { comments: `Approved by ${user}` }, user);
+      if (response.status !== 200 || (await this.getRequest(requestId)).status === 'Approved') break;
+    }
+    return response;
+  }
+
+  /**
+   * Create a request with its sub-entities directly in the database
+   *
+   * @param {Object} data - Request fields and compositions (addresses, vatIds, banks, ...)
+   * @returns {Promise<string>} UUID of the request
+   */
+  async createRequest(data = {}) {
+    const ID = data.ID || cds.utils.uuid();
+    sequence += 1;
+    await INSERT.into('mdm.db.BusinessPartnerRequests').entries({
+      requestNumber: `TEST-${String(sequence).padStart(6, '0')}`,
+      requestType: 'Create',
+      entityType: 'Supplier',
+      partnerRole: 'Supplier',
+      sourceSystem: 'PI',
+      status: 'Draft',
+      requesterId: 'carol',
+      requesterName: 'carol',
+      ...data,
+      ID
+    });
+    return ID;
+  }
+
+  /**
+   * Create a golden record with its segments directly in the database
+   *
+   * @param {string} bpNumber - SAP BP number
+   * @param {Object} data - Header fields and compositions (addresses, banks, taxNumbers, ...)
+   * @returns {Promise<string>} UUID of the golden record
+   */
+  async createPartner(bpNumber, data = {}) {
+    const ID = data.ID || cds.utils.uuid();
+    await INSERT.into('mdm.db.A_BusinessPartner').entries({
+      BusinessPartnerCategory: '2',
+      BusinessPartnerGrouping: 'BP01',
+      BusinessPartnerFullName: data.BusinessPartnerName,
+      OrganizationBPName1: data.BusinessPartnerName,
+      Supplier: bpNumber,
+      BusinessPartnerIsBlocked: false,
+      ...data,
+      BusinessPartner: bpNumber,
+      ID
+    });
+    return ID;
+  }
+
+  /**
+   * Read a request from the database
+   *
+   * @param {string} requestId - UUID of the request
+   * @returns {Promise<Object>} BusinessPartnerRequests row
+   */
+  getRequest(requestId) {
+    return SELECT.one.from('mdm.db.BusinessPartnerRequests').where({ ID: requestId });
+  }
+
+  /**
+   * Set fields of a request directly, e.g. to place it in a workflow status
+   *
+   * @param {string} requestId - UUID of the request
+   * @param {Object} fields - Fields to set
+   * @returns {Promise<void>}
+   */
+  async updateRequest(requestId, fields) {
+    await UPDATE('mdm.db.BusinessPartnerRequests').set(fields).where({ ID: requestId });
+    await CacheService.delete(`request:${requestId}`, 'partner_data');
+  }
+}
+
+/**
+ * Poll until a condition holds, e.g. for work started after a response was sent
+ *
+ * @param {Function} condition - Async function returning a truthy value when done
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Promise<*>} Value returned by the condition
+ */
+async function waitFor(condition, timeout = 5000) {
+  const end = Date.now() + timeout;
+  for (;;) {
+    const value = await condition();
+    if (value || Date.now() > end) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * Main address that passes the submit validation
+ *
+ * @param {Object} fields - Fields replacing the defaults
+ * @returns {Object} PartnerAddresses entry
+ */
+function mainAddress(fields = {}) {
+  return {
+    addressType: 'Main',
+    name1: 'Test Partner',
+    street: 'Hauptstrasse',
+    streetNumber: '1',
+    city: 'Berlin',
+    postalCode: '10115',
+    country_code: 'DE',
+    ...fields
+  };
+}
+
+/**
+ * Error message of a failed OData response
+ *
+ * @param {Object} response - supertest response
+ * @returns {string} Message of the OData error
+ */
+function errorMessage(response) {
+  return response.body?.error?.message || '';
+}
+
+module.exports = { startServer, mainAddress, waitFor, errorMessage };
@@ -0,0 +1,64 @@
+const { startServer } = require('./helpers/mdm-server');
+const JobScheduler = require('../srv/lib/job-scheduler');
+
+describe('Job scheduler', () => {
+  beforeAll(async () => {
+    await startServer();
+  });
+
+  const scheduler = (job, intervalKey = 'SLA_CHECK_INTERVAL_MINUTES') =>
+    new JobScheduler({ name: 'Test', icon: '🧪', intervalKey, defaultIntervalMinutes: 7, job });
+
+  test('runs never overlap', async () => {
+    let release;
+    const job = jest.fn(() => new Promise(resolve => { release = resolve; }));
+    const jobs = scheduler(job);
+
+    const first = jobs.run();
+    await jobs.run();
+    expect(job).toHaveBeenCalledTimes(1);
+
+    release();
+    await first;
+    const second = jobs.run();
+    release();
+    await second;
+    expect(job).toHaveBeenCalledTimes(2);
+  });
+
+  test('a failed run does not stop the next one', async () => {
+    const job = jest.fn()
+      .mockRejectedValueOnce(new Error('database locked'))
+      .mockResolvedValueOnce();
+    const jobs = scheduler(job);
+
+    await expect(jobs.run()).resolves.toBeUndefined();
+    await jobs.run();
+    expect(job).toHaveBeenCalledTimes(2);
+  });
+
+  test('the interval comes from the system configuration', async () => {
+    await UPDATE('mdm.db.SystemConfiguration').set({ configValue: '5' }).where({ configKey: 'SLA_CHECK_INTERVAL_MINUTES' });
+    expect(await scheduler(jest.fn()).getIntervalMinutes()).toBe(5);
+    expect(await scheduler(jest.fn(), 'UNKNOWN_INTERVAL_MINUTES').getIntervalMinutes()).toBe(7);
+  });
+
+  test('started schedulers tick at the interval until stopped', async () => {
+    jest.useFakeTimers();
+    try {
+      const job = jest.fn().mockResolvedValue();
+      const jobs = scheduler(job, 'UNKNOWN_INTERVAL_MINUTES');
+      await jobs.start();
+      await jobs.start();
+
+      await jest.advanceTimersByTimeAsync(7 * 60 * 1000);
+      expect(job).toHaveBeenCalledTimes(1);
+
+      jobs.stop();
+      await jest.advanceTimersByTimeAsync(7 * 60 * 1000);
+      expect(job).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
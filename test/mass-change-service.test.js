@@ -0,0 +1,133 @@
+const cds = require('@sap/cds');
+const { startServer, waitFor, errorMessage } = require('./helpers/mdm-server');
+const MassChangeService = require('../srv/lib/mass-change-service');
+const PartnerChangeService = require('../srv/lib/partner-change-service');
+const BusinessPartnerMaterializer = require('../srv/lib/business-partner-materializer');
+const NotificationService = require('../srv/lib/notification-service');
+
+describe('Mass change requests', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const industryOf = async (bpNumber) =>
+    (await SELECT.one.from('mdm.db.A_BusinessPartner').columns('Industry').where({ BusinessPartner: bpNumber })).Industry;
+
+  const createMassChange = () => mdm.createRequest({
+    requestType: 'MassChange',
+    partnerName: 'Industry reclassification',
+    changeDescription: 'Move the selected suppliers to mechanical engineering',
+    massChangeBpNumbers: 'BP100001, BP100002; BP100099',
+    massChangeFields: [{ section: 'Header', fieldName: 'Industry', newValue: 'MECH' }]
+  });
+
+  test('an approved mass change is applied to every selected partner', async () => {
+    const ID = await createMassChange();
+
+    const preview = await mdm.action(ID, 'previewMassChange', {}, 'carol');
+    expect(preview.body).toMatchObject({ selectedCount: 2, affectedCount: 2, excludedCount: 1 });
+
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    const approval = await mdm.approveChain(ID);
+    expect(errorMessage(approval)).toBe('');
+
+    // The first chunk runs once the approval is committed
+    const request = await waitFor(async () => {
+      const r = await mdm.getRequest(ID);
+      return r.massChangeStatus === 'Completed' && r;
+    });
+    expect(request).toMatchObject({ status: 'Approved', massChangeAppliedCount: 2, massChangeFailedCount: 0 });
+    expect(await industryOf('BP100001')).toBe('MECH');
+    expect(await industryOf('BP100002')).toBe('MECH');
+
+    const items = await SELECT.from('mdm.db.MassChangeItems').where({ request_ID: ID }).orderBy('bpNumber');
+    expect(items.map(i => [i.bpNumber, i.status])).toEqual([
+      ['BP100001', 'Applied'],
+      ['BP100002', 'Applied'],
+      ['BP100099', 'Excluded']
+    ]);
+  });
+
+  const supplier = (bpNumber, name, accountGroup) => mdm.createPartner(bpNumber, {
+    BusinessPartnerName: name,
+    suppliers: [{ Supplier: bpNumber, SupplierName: name, SupplierFullName: name, SupplierAccountGroup: accountGroup }]
+  });
+
+  const approveMassChange = async (data) => {
+    const ID = await mdm.createRequest({
+      requestType: 'MassChange', partnerName: 'Industry reclassification', changeDescription: 'Move the selected suppliers to chemicals',
+      massChangeFields: [{ section: 'Header', fieldName: 'Industry', newValue: 'CHEM' }], ...data
+    });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    return ID;
+  };
+
+  const finished = (ID) => waitFor(async () => {
+    const r = await mdm.getRequest(ID);
+    return ['Completed', 'CompletedWithErrors'].includes(r.massChangeStatus) && r;
+  });
+
+  test('partners are selected by a filter on their supplier data', async () => {
+    await supplier('BP200601', 'Filter Eins GmbH', 'ZMAS');
+    await supplier('BP200602', 'Filter Zwei GmbH', 'ZMAS');
+    await supplier('BP200603', 'Filter Drei GmbH', 'ZOTH');
+
+    const ID = await approveMassChange({ massChangeFilter: JSON.stringify({ SupplierAccountGroup: 'ZMAS' }) });
+    expect(errorMessage(await mdm.approveChain(ID))).toBe('');
+
+    expect(await finished(ID)).toMatchObject({ massChangeStatus: 'Completed', massChangeAppliedCount: 2, massChangeFailedCount: 0 });
+    const items = await SELECT.from('mdm.db.MassChangeItems').where({ request_ID: ID }).orderBy('bpNumber');
+    expect(items.map(i => [i.bpNumber, i.status])).toEqual([['BP200601', 'Applied'], ['BP200602', 'Applied']]);
+    expect(await industryOf('BP200603')).not.toBe('CHEM');
+  });
+
+  test('a partner that fails is reported on its item, the others are still applied', async () => {
+    await supplier('BP200611', 'Fehler Eins GmbH', 'ZFLR');
+    await supplier('BP200612', 'Fehler Zwei GmbH', 'ZFLR');
+
+    const ID = await approveMassChange({ massChangeBpNumbers: 'BP200611 BP200612' });
+    // The partner is changed after its preview was stored on submit
+    await UPDATE('mdm.db.A_BusinessPartner').set({ Industry: 'FOOD' }).where({ BusinessPartner: 'BP200612' });
+    expect(errorMessage(await mdm.approveChain(ID))).toBe('');
+
+    expect(await finished(ID)).toMatchObject({ massChangeStatus: 'CompletedWithErrors', massChangeAppliedCount: 1, massChangeFailedCount: 1 });
+    const items = await SELECT.from('mdm.db.MassChangeItems').where({ request_ID: ID }).orderBy('bpNumber');
+    expect(items.map(i => [i.bpNumber, i.status])).toEqual([['BP200611', 'Applied'], ['BP200612', 'Failed']]);
+    expect(items[1].message).toMatch(/^Business partner BP200612 changed since the preview: /);
+    expect(await industryOf('BP200611')).toBe('CHEM');
+    expect(await industryOf('BP200612')).toBe('FOOD');
+  });
+
+  test('a partner claimed by another run is not applied twice', async () => {
+    const materializer = new BusinessPartnerMaterializer();
+    const notifications = new NotificationService();
+    const massChanges = new MassChangeService(new PartnerChangeService(materializer), materializer, notifications);
+    const notify = jest.spyOn(notifications, 'createSystemNotification');
+
+    const ID = await mdm.createRequest({
+      requestType: 'MassChange',
+      partnerName: 'Language change',
+      massChangeBpNumbers: 'BP100003',
+      massChangeFields: [{ section: 'Header', fieldName: 'CorrespondenceLanguage', newValue: 'FR' }]
+    });
+    await cds.tx(() => massChanges.preview({ ID, requestType: 'MassChange', entityType: 'Supplier', massChangeBpNumbers: 'BP100003' }));
+    const request = await mdm.getRequest(ID);
+    await cds.tx(() => massChanges.release(request));
+
+    const [item] = await SELECT.from('mdm.db.MassChangeItems').where({ request_ID: ID });
+    // Another scheduler instance picked up the partner in between
+    await UPDATE('mdm.db.MassChangeItems').set({ status: 'Applied' }).where({ ID: item.ID });
+
+    expect(await cds.tx(() => massChanges.applyItem(request, item))).toBe(false);
+    const result = await massChanges.processChunk(request, 10);
+
+    expect(result).toEqual({ applied: 0, failed: 0, remaining: 0 });
+    expect(notify).not.toHaveBeenCalled();
+    const language = await SELECT.one.from('mdm.db.A_BusinessPartner').columns('CorrespondenceLanguage').where({ BusinessPartner: 'BP100003' });
+    expect(language.CorrespondenceLanguage).not.toBe('FR');
+  });
+});
@@ -0,0 +1,110 @@
+const cds = require('@sap/cds');
+const { startServer, errorMessage } = require('./helpers/mdm-server');
+const NumberRangeService = require('../srv/lib/number-range-service');
+
+describe('Number range service', () => {
+  const numberRanges = new NumberRangeService();
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  test('request numbers count up per day', async () => {
+    const day = new Date('2026-02-03T10:00:00Z');
+
+    const first = await numberRanges.nextRequestNumber(day);
+    const second = await numberRanges.nextRequestNumber(day);
+
+    expect(first).toBe('MDM-20260203-0001');
+    expect(second).toBe('MDM-20260203-0002');
+  });
+
+  test('a new day interval continues after request numbers already issued that day', async () => {
+    await INSERT.into('mdm.db.BusinessPartnerRequests').entries({
+      ID: cds.utils.uuid(),
+      requestNumber: 'MDM-20260204-0007',
+      partnerName: 'Issued Before GmbH',
+      status: 'Draft'
+    });
+
+    expect(await numberRanges.nextRequestNumber(new Date('2026-02-04T08:00:00Z'))).toBe('MDM-20260204-0008');
+  });
+
+  test('concurrent transactions draw distinct BP numbers', async () => {
+    const numbers = await Promise.all(
+      Array.from({ length: 5 }, () => cds.tx(() => numberRanges.nextBusinessPartnerNumber({ bpGrouping: 'BP01' })))
+    );
+
+    expect(new Set(numbers).size).toBe(5);
+    numbers.forEach(n => expect(n).toMatch(/^BP1\d{5}$/));
+    // The seeded interval stopped at BP100005
+    expect(numbers.every(n => n > 'BP100005')).toBe(true);
+  });
+
+  test('a draw retries when another transaction moved the interval first', async () => {
+    const interval = await numberRanges.getInterval('BU_PARTNER', 'BP01');
+    const { currentNumber } = interval;
+
+    // The first update is beaten by a concurrent draw and matches no row
+    const run = cds.db.run;
+    let raced = false;
+    const spy = jest.spyOn(cds.db, 'run').mockImplementation(async function (query, ...args) {
+      if (!raced && query?.UPDATE?.entity?.ref?.[0] === 'mdm.db.NumberRanges') {
+        raced = true;
+        await run.call(this, UPDATE('mdm.db.NumberRanges').set({ currentNumber: currentNumber + 1 }).where({ ID: interval.ID }));
+      }
+      return run.call(this, query, ...args);
+    });
+
+    try {
+      expect(await numberRanges.drawNumber(interval)).toBe(currentNumber + 2);
+      expect(raced).toBe(true);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('intervals maintained through the service are drawn from', async () => {
+    const res = await mdm.as('alice').post('/mdm/NumberRanges', {
+      rangeObject: 'BU_PARTNER', intervalKey: 'BP03', description: 'Intercompany partners', prefix: 'BQ', fromNumber: 500000, toNumber: 599999
+    });
+    expect(errorMessage(res)).toBe('');
+    expect(res.body).toMatchObject({ isActive: true, isExternal: false });
+
+    expect(await numberRanges.nextBusinessPartnerNumber({ bpGrouping: 'BP03' })).toBe('BQ500000');
+    expect(await numberRanges.nextBusinessPartnerNumber({ bpGrouping: 'BP03' })).toBe('BQ500001');
+  });
+
+  test('exhausted intervals are refused', async () => {
+    const ID = cds.utils.uuid();
+    await INSERT.into('mdm.db.NumberRanges').entries({
+      ID, rangeObject: 'BU_PARTNER', intervalKey: 'BPX1', prefix: 'BX', fromNumber: 1, toNumber: 2, currentNumber: 2,
+      isExternal: false, isActive: true
+    });
+
+    await expect(numberRanges.nextBusinessPartnerNumber({ bpGrouping: 'BPX1' }))
+      .rejects.toThrow('Number range BU_PARTNER/BPX1 is exhausted (1-2)');
+  });
+
+  test('external numbers must lie within the interval', async () => {
+    await expect(numberRanges.nextBusinessPartnerNumber({ bpGrouping: 'BP02', externalBpNumber: 'BP100010' }))
+      .rejects.toThrow(/BP900000-BP999999/);
+    await expect(numberRanges.nextBusinessPartnerNumber({ bpGrouping: 'BP02' }))
+      .rejects.toThrow(/must be supplied/);
+
+    expect(await numberRanges.nextBusinessPartnerNumber({ bpGrouping: 'BP02', externalBpNumber: 'bp900123' }))
+      .toBe('BP900123');
+  });
+
+  test('external numbers already used by a golden record are refused', async () => {
+    // A partner created outside the request flow has no ExistingPartners row
+    await INSERT.into('mdm.db.A_BusinessPartner').entries({
+      BusinessPartner: 'BP900200',
+      BusinessPartnerFullName: 'Direct Load Partner'
+    });
+
+    await expect(numberRanges.nextBusinessPartnerNumber({ bpGrouping: 'BP02', externalBpNumber: 'BP900200' }))
+      .rejects.toThrow('BP number BP900200 is already in use');
+  });
+});
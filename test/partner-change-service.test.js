@@ -0,0 +1,101 @@
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Partner change requests', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const startChangeRequest = async (goldenId, user = 'carol') => {
+    const res = await mdm.as(user).post(`/mdm/A_BusinessPartner(ID=${goldenId})/MDMService.startChangeRequest`, {
+      changeDescription: 'Review bank details'
+    });
+    expect(errorMessage(res)).toBe('');
+    expect(res.status).toBe(200);
+    return res.body;
+  };
+
+  test('IBAN-only bank accounts are pre-filled without an account number', async () => {
+    const partnerId = await mdm.createPartner('BP200001', {
+      BusinessPartnerName: 'Iban Only Supplies GmbH',
+      addresses: [{ AddressID: '1', StreetName: 'Bankweg', HouseNumber: '3', CityName: 'Frankfurt', PostalCode: '60311', Country: 'DE' }],
+      banks: [{
+        BankIdentification: '0001',
+        BankCountryKey: 'DE',
+        BankName: 'Deutsche Bank',
+        BankAccountHolderName: 'Iban Only Supplies GmbH',
+        IBAN: 'DE89370400440532013000',
+        SWIFTCode: 'DEUTDEFF'
+      }]
+    });
+
+    const draft = await startChangeRequest(partnerId);
+    const banks = await SELECT.from('MDMService.PartnerBanks.drafts').where({ request_ID: draft.ID });
+
+    expect(banks).toHaveLength(1);
+    expect(banks[0].iban).toBe('DE89370400440532013000');
+    expect(banks[0].accountNumber).toBeNull();
+
+    // Unchanged, the request must not propose an account number taken from the IBAN
+    const activate = await mdm.as('carol').post(`/mdm/BusinessPartnerRequests(ID=${draft.ID},IsActiveEntity=false)/MDMService.draftActivate`);
+    expect(errorMessage(activate)).toBe('');
+
+    const submit = await mdm.action(draft.ID, 'submitForApproval', {}, 'carol');
+    expect(submit.status).toBe(422);
+    expect(errorMessage(submit)).toBe('Request contains no changes to business partner BP200001');
+  });
+
+  const updateRequest = async (bpNumber, partnerName, address) => {
+    const ID = await mdm.createRequest({
+      requestType: 'Update', existingBpNumber: bpNumber, partnerName, changeDescription: 'Moved to a new office',
+      addresses: [mainAddress({ name1: partnerName, ...address })]
+    });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    return ID;
+  };
+
+  const berlinOffice = (FullName) => ({ AddressID: '1', FullName, StreetName: 'Hauptstrasse', HouseNumber: '1', CityName: 'Berlin', PostalCode: '10115', Country: 'DE' });
+
+  test('approving an update request applies its field-level diff and notifies the satellite systems', async () => {
+    await mdm.createPartner('BP200002', { BusinessPartnerName: 'Umzug Metall GmbH', SearchTerm1: 'UMZUG METALL GMBH', addresses: [berlinOffice('Umzug Metall GmbH')] });
+    const ID = await updateRequest('BP200002', 'Umzug Metall GmbH', { street: 'Friedrichstrasse', streetNumber: '95', postalCode: '10117' });
+
+    // Approvers review only what differs from the golden record
+    const diff = await SELECT.from('mdm.db.RequestFieldChanges').columns('section', 'recordKey', 'operation', 'fieldName', 'beforeValue', 'afterValue')
+      .where({ request_ID: ID }).orderBy('fieldName');
+    expect(diff).toEqual([
+      { section: 'Address', recordKey: '1', operation: 'Changed', fieldName: 'HouseNumber', beforeValue: '1', afterValue: '95' },
+      { section: 'Address', recordKey: '1', operation: 'Changed', fieldName: 'PostalCode', beforeValue: '10115', afterValue: '10117' },
+      { section: 'Address', recordKey: '1', operation: 'Changed', fieldName: 'StreetName', beforeValue: 'Hauptstrasse', afterValue: 'Friedrichstrasse' }
+    ]);
+
+    const res = await mdm.approveChain(ID);
+    expect(errorMessage(res)).toBe('');
+    expect(res.body.value).toBe('Request approved successfully. 3 change(s) applied to SAP BP BP200002');
+
+    const address = await SELECT.one.from('mdm.db.A_BusinessPartnerAddress').where({ BusinessPartner: 'BP200002', AddressID: '1' });
+    expect(address).toMatchObject({ StreetName: 'Friedrichstrasse', HouseNumber: '95', PostalCode: '10117', CityName: 'Berlin' });
+    const existing = await SELECT.one.from('mdm.db.ExistingPartners').where({ sapBpNumber: 'BP200002' });
+    expect(JSON.parse(existing.establishedAddress)).toMatchObject({ street: 'Friedrichstrasse', postalCode: '10117' });
+
+    const notification = await SELECT.one.from('mdm.db.ChangeNotifications').where({ bpNumber: 'BP200002' });
+    expect(JSON.parse(notification.fieldsChanged).sort()).toEqual(['Address[1].HouseNumber', 'Address[1].PostalCode', 'Address[1].StreetName']);
+    expect(JSON.parse(notification.changeDetails).changes.Address['1'].fields.StreetName).toEqual({ before: 'Hauptstrasse', after: 'Friedrichstrasse' });
+  });
+
+  test('an update request is not applied over changes made to the partner after it was submitted', async () => {
+    await mdm.createPartner('BP200003', { BusinessPartnerName: 'Konflikt Bau GmbH', SearchTerm1: 'KONFLIKT BAU GMBH', addresses: [berlinOffice('Konflikt Bau GmbH')] });
+    const ID = await updateRequest('BP200003', 'Konflikt Bau GmbH', { street: 'Invalidenstrasse' });
+
+    await UPDATE('mdm.db.A_BusinessPartnerAddress').set({ StreetName: 'Chausseestrasse' }).where({ BusinessPartner: 'BP200003' });
+
+    const res = await mdm.approveChain(ID);
+    expect(res.status).toBe(409);
+    expect(errorMessage(res)).toBe('Business partner BP200003 changed since the request was submitted - resubmit the request to review the current data');
+    expect((await mdm.getRequest(ID)).status).not.toBe('Approved');
+    const address = await SELECT.one.from('mdm.db.A_BusinessPartnerAddress').where({ BusinessPartner: 'BP200003' });
+    expect(address.StreetName).toBe('Chausseestrasse');
+  });
+});
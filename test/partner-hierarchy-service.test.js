@@ -0,0 +1,75 @@
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Partner hierarchy', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+    await mdm.createPartner('BP200301', {
+      BusinessPartnerName: 'Nord Holding AG',
+      suppliers: [{ Supplier: 'BP200301', SupplierName: 'Nord Holding AG', SupplierFullName: 'Nord Holding AG' }]
+    });
+  });
+
+  const approve = async (data) => {
+    const ID = await mdm.createRequest({ addresses: [mainAddress({ name1: data.partnerName })], ...data });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    expect(errorMessage(await mdm.approveChain(ID))).toBe('');
+    return (await mdm.getRequest(ID)).sapBpNumber;
+  };
+
+  const call = async (fn) => {
+    const res = await mdm.as('alice').get(`/mdm/${fn}`);
+    expect(errorMessage(res)).toBe('');
+    return res.body.value ?? res.body;
+  };
+
+  test('approved requests build the hierarchy and the corporate group view', async () => {
+    const group = await mdm.as('alice').post('/mdm/CorporateGroups', { groupId: 'NORDHOLD', groupName: 'Nord Holding', headBpNumber: 'BP200301' });
+    expect(errorMessage(group)).toBe('');
+    expect(group.body.isActive).toBe(true);
+
+    const child = await approve({ partnerName: 'Nord Logistik GmbH', corporateGroup: 'nordhold', parentAccount: 'BP200301', spendThreshold: 50000 });
+    const grandchild = await approve({ partnerName: 'Nord Lager GmbH', corporateGroup: 'NORDHOLD', parentAccount: child, spendThreshold: 20000 });
+
+    const link = await SELECT.one.from('mdm.db.PartnerHierarchy').where({ childBpNumber: child });
+    expect(link).toMatchObject({ parentBpNumber: 'BP200301' });
+    expect(await SELECT.one.from('mdm.db.A_Supplier').where({ Supplier: child })).toMatchObject({ SupplierCorporateGroup: 'NORDHOLD' });
+
+    expect(await call(`getPartnerAncestors(bpNumber='${grandchild}')`)).toEqual([
+      { bpNumber: child, bpName: 'Nord Logistik GmbH', parentBpNumber: 'BP200301', level: 1 },
+      { bpNumber: 'BP200301', bpName: 'Nord Holding AG', parentBpNumber: null, level: 2 }
+    ]);
+    expect(await call("getPartnerDescendants(bpNumber='BP200301')")).toEqual([
+      expect.objectContaining({ bpNumber: child, parentBpNumber: 'BP200301', level: 1 }),
+      expect.objectContaining({ bpNumber: grandchild, parentBpNumber: child, level: 2 })
+    ]);
+
+    const exposure = await call("getCorporateGroupExposure(groupId='NORDHOLD')");
+    expect(exposure).toMatchObject({ groupName: 'Nord Holding', headBpNumber: 'BP200301', memberCount: 2, supplierCount: 2, customerCount: 0 });
+    expect(Number(exposure.totalSpendThreshold)).toBe(70000);
+    expect(exposure.members.map(m => [m.bpNumber, Number(m.spendThreshold)]).sort()).toEqual([[child, 50000], [grandchild, 20000]].sort());
+
+    // Making the group head a child of its own grandchild would close a loop
+    const cycle = await mdm.createRequest({
+      requestType: 'Update', existingBpNumber: 'BP200301', partnerName: 'Nord Holding AG', changeDescription: 'New parent', parentAccount: grandchild,
+      addresses: [mainAddress({ name1: 'Nord Holding AG' })]
+    });
+    const res = await mdm.action(cycle, 'submitForApproval', {}, 'carol');
+    expect(res.status).toBe(422);
+    expect(errorMessage(res)).toBe(`Business partner ${grandchild} cannot be the parent of BP200301: BP200301 → ${grandchild} → ${child} → BP200301`);
+  });
+
+  test('unknown corporate groups and parent accounts are refused on submit', async () => {
+    const unknownGroup = await mdm.createRequest({ partnerName: 'Sued Gruppe GmbH', addresses: [mainAddress()], corporateGroup: 'SUEDHOLD' });
+    const groupRes = await mdm.action(unknownGroup, 'submitForApproval', {}, 'carol');
+    expect(groupRes.status).toBe(400);
+    expect(errorMessage(groupRes)).toBe('Corporate group SUEDHOLD does not exist or is inactive');
+
+    const unknownParent = await mdm.createRequest({ partnerName: 'Sued Tochter GmbH', addresses: [mainAddress()], parentAccount: '0015g00000XyZabAAB' });
+    const parentRes = await mdm.action(unknownParent, 'submitForApproval', {}, 'carol');
+    expect(parentRes.status).toBe(400);
+    expect(errorMessage(parentRes)).toBe('Parent account 0015g00000XyZabAAB is neither a business partner nor a known Salesforce account');
+  });
+});
@@ -0,0 +1,70 @@
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+const NotificationService = require('../srv/lib/notification-service');
+
+describe('Clarification loop and comment threads', () => {
+  let mdm;
+  let notifications;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+    notifications = jest.spyOn(NotificationService.prototype, 'sendWorkflowNotification');
+  });
+
+  beforeEach(() => notifications.mockClear());
+
+  const submit = async (partnerName) => {
+    const ID = await mdm.createRequest({ partnerName, addresses: [mainAddress({ name1: partnerName })] });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    return ID;
+  };
+
+  const readComments = async (ID, user) => {
+    const res = await mdm.as(user).get(`/mdm/RequestComments?$filter=request_ID eq ${ID}&$orderby=createdAt`);
+    expect(res.status).toBe(200);
+    return res.body.value;
+  };
+
+  const sent = (event) => notifications.mock.calls.filter(([, name]) => name === event).map(([, , context]) => context);
+
+  test('a clarification question goes to the requester, whose answer returns the request to review', async () => {
+    const ID = await submit('Rueckfrage Technik GmbH');
+    const { status } = await mdm.getRequest(ID);
+
+    const ask = await mdm.action(ID, 'requestClarification', { question: 'Please confirm the legal form' }, 'alice');
+    expect(errorMessage(ask)).toBe('');
+    expect(await mdm.getRequest(ID)).toMatchObject({ status: 'ClarificationRequested', clarificationRequestedBy: 'alice' });
+    expect(sent('clarification_requested')).toEqual([expect.objectContaining({ includeRequester: true })]);
+
+    // Only the requester answers, and approvals wait for the answer
+    expect((await mdm.action(ID, 'answerClarification', { answer: 'GmbH' }, 'erin')).status).toBe(403);
+    expect((await mdm.action(ID, 'approveRequest', {}, 'alice')).status).toBe(422);
+
+    const answer = await mdm.action(ID, 'answerClarification', { answer: 'It is a GmbH, see the register extract' }, 'carol');
+    expect(errorMessage(answer)).toBe('');
+    expect((await mdm.getRequest(ID)).status).toBe(status);
+    expect(sent('clarification_answered')).toEqual([expect.objectContaining({ recipientUserIds: ['alice'] })]);
+
+    const [question, reply] = await readComments(ID, 'carol');
+    expect(question).toMatchObject({ commentType: 'Question', author: 'alice', text: 'Please confirm the legal form', visibility: 'External' });
+    expect(reply).toMatchObject({ commentType: 'Answer', author: 'carol', parentComment_ID: question.ID });
+
+    const history = await SELECT.from('mdm.db.ApprovalHistory').where({ request_ID: ID, action: { in: ['RequestClarification', 'AnswerClarification'] } });
+    expect(history.map(h => h.action).sort()).toEqual(['AnswerClarification', 'RequestClarification']);
+  });
+
+  test('internal comments are hidden from the requester, mentions are emailed', async () => {
+    const ID = await submit('Intern Notiz AG');
+
+    const internal = await mdm.action(ID, 'addComment', { text: 'Bank letter looks edited, @alice please check', visibility: 'Internal' }, 'dave');
+    expect(errorMessage(internal)).toBe('');
+    expect(internal.body.value).toBe('Comment added. Notified: alice');
+    expect(sent('mention')).toEqual([expect.objectContaining({ recipientUserIds: ['alice'], authorName: 'dave' })]);
+
+    expect(errorMessage(await mdm.action(ID, 'addComment', { text: 'Documents uploaded' }, 'carol'))).toBe('');
+    expect((await mdm.action(ID, 'addComment', { text: 'Note to self', visibility: 'Internal' }, 'carol')).status).toBe(403);
+
+    expect((await readComments(ID, 'alice')).map(c => c.visibility)).toEqual(['Internal', 'External']);
+    expect((await readComments(ID, 'carol')).map(c => c.text)).toEqual(['Documents uploaded']);
+  });
+});
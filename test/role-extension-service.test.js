@@ -0,0 +1,63 @@
+const { startServer, errorMessage } = require('./helpers/mdm-server');
+
+describe('Role extension requests', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+    await mdm.createPartner('BP200201', {
+      BusinessPartnerName: 'Erweiterung Werkzeug GmbH',
+      addresses: [{ AddressID: '1', StreetName: 'Industriestrasse', HouseNumber: '8', CityName: 'Stuttgart', PostalCode: '70173', Country: 'DE' }],
+      roles: [{ BusinessPartnerRole: 'FLVN00' }, { BusinessPartnerRole: 'FLVN01' }],
+      suppliers: [{ Supplier: 'BP200201', SupplierName: 'Erweiterung Werkzeug GmbH', SupplierFullName: 'Erweiterung Werkzeug GmbH' }]
+    });
+  });
+
+  const extend = (data) => mdm.createRequest({
+    requestType: 'Extend', existingBpNumber: 'BP200201', partnerName: 'Erweiterung Werkzeug', ...data
+  });
+
+  test('a supplier is extended with the customer role and its company code', async () => {
+    const incomplete = await extend({ entityType: 'Customer' });
+    const refused = await mdm.action(incomplete, 'submitForApproval', {}, 'carol');
+    expect(refused.status).toBe(400);
+    expect(errorMessage(refused)).toMatch(/customerReconAccount/);
+
+    const ID = await extend({
+      entityType: 'Customer', customerReconAccount: '140000', customerCompanyCode: '1000', customerPaymentTerms: 'NT30'
+    });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+
+    // The partner being extended is not reported as its own duplicate
+    const duplicates = await mdm.action(ID, 'checkEstablishedVatDuplicates');
+    expect(errorMessage(duplicates)).toBe('');
+    expect(duplicates.body.value).toEqual([]);
+
+    expect(errorMessage(await mdm.approveChain(ID))).toBe('');
+    expect(await mdm.getRequest(ID)).toMatchObject({ status: 'Approved', sapBpNumber: 'BP200201' });
+
+    const roles = await SELECT.from('mdm.db.A_BusinessPartnerRole').where({ BusinessPartner: 'BP200201' });
+    expect(roles.map(r => r.BusinessPartnerRole).sort()).toEqual(['FLCU00', 'FLCU01', 'FLVN00', 'FLVN01']);
+    expect(await SELECT.one.from('mdm.db.A_BusinessPartner').where({ BusinessPartner: 'BP200201' }))
+      .toMatchObject({ Customer: 'BP200201', Supplier: 'BP200201' });
+
+    // The customer record keeps the golden record's name, not the request's
+    const customer = await SELECT.one.from('mdm.db.A_Customer').where({ Customer: 'BP200201' });
+    expect(customer.CustomerFullName).toBe('Erweiterung Werkzeug GmbH');
+    const company = await SELECT.one.from('mdm.db.A_CustomerCompany').where({ Customer: 'BP200201' });
+    expect(company).toMatchObject({ CompanyCode: '1000', ReconciliationAccount: '140000', PaymentTerms: 'NT30' });
+
+    const existing = await SELECT.one.from('mdm.db.ExistingPartners').where({ sapBpNumber: 'BP200201' });
+    expect(existing.partnerType).toBe('Both');
+  });
+
+  test('a role the partner already has cannot be requested', async () => {
+    const ID = await extend({ entityType: 'Supplier' });
+
+    const res = await mdm.action(ID, 'submitForApproval', {}, 'carol');
+    expect(res.status).toBe(422);
+    expect(errorMessage(res)).toBe('Business partner BP200201 already has the supplier role');
+    expect((await mdm.getRequest(ID)).status).toBe('Draft');
+  });
+});
@@ -0,0 +1,96 @@
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+const ScheduledChangeService = require('../srv/lib/scheduled-change-service');
+const PartnerChangeService = require('../srv/lib/partner-change-service');
+const BusinessPartnerMaterializer = require('../srv/lib/business-partner-materializer');
+const ContactPersonService = require('../srv/lib/contact-person-service');
+const PartnerHierarchyService = require('../srv/lib/partner-hierarchy-service');
+const NumberRangeService = require('../srv/lib/number-range-service');
+const NotificationService = require('../srv/lib/notification-service');
+
+describe('Scheduled changes', () => {
+  let mdm;
+  let scheduled;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+    const materializer = new BusinessPartnerMaterializer();
+    scheduled = new ScheduledChangeService(
+      new PartnerChangeService(materializer),
+      new ContactPersonService(materializer, new NumberRangeService()),
+      new PartnerHierarchyService(),
+      new NotificationService()
+    );
+  });
+
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  const toDate = (date) => date.toISOString().slice(0, 10);
+
+  const bankSwitch = async (bpNumber, partnerName, currentIban, newIban, effectiveDate) => {
+    await mdm.createPartner(bpNumber, {
+      BusinessPartnerName: partnerName,
+      SearchTerm1: partnerName.toUpperCase(),
+      addresses: [{ AddressID: '1', FullName: partnerName, StreetName: 'Hauptstrasse', HouseNumber: '1', CityName: 'Berlin', PostalCode: '10115', Country: 'DE' }],
+      banks: [{ BankIdentification: '0001', BankCountryKey: 'DE', BankName: 'Hausbank', BankAccountHolderName: partnerName, IBAN: currentIban }]
+    });
+    const ID = await mdm.createRequest({
+      requestType: 'Update', existingBpNumber: bpNumber, partnerName, changeDescription: 'New house bank', effectiveDate,
+      addresses: [mainAddress({ name1: partnerName })],
+      banks: [{ bankCountry_code: 'DE', bankName: 'Hausbank', accountHolder: partnerName, iban: newIban, isDefault: true }]
+    });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    return ID;
+  };
+
+  const ibans = async (bpNumber) => (await SELECT.from('mdm.db.A_BusinessPartnerBank').where({ BusinessPartner: bpNumber })).map(b => b.IBAN);
+
+  test('approved future-dated changes are held, shown on the partner and applied on their effective date', async () => {
+    const effectiveDate = toDate(inDays(30));
+    const ID = await bankSwitch('BP200401', 'Termin Moebel GmbH', 'DE89370400440532013000', 'DE02120300000000202051', effectiveDate);
+
+    const res = await mdm.approveChain(ID);
+    expect(errorMessage(res)).toBe('');
+    const changes = await SELECT.from('mdm.db.RequestFieldChanges').where({ request_ID: ID });
+    expect(res.body.value).toBe(`Request approved successfully. ${changes.length} change(s) to SAP BP BP200401 scheduled for ${effectiveDate}`);
+    expect(await mdm.getRequest(ID)).toMatchObject({ status: 'Approved', scheduledChangeStatus: 'Pending' });
+    expect(await ibans('BP200401')).toEqual(['DE89370400440532013000']);
+
+    const partner = await mdm.as('alice').get("/mdm/A_BusinessPartner?$filter=BusinessPartner eq 'BP200401'&$expand=scheduledChanges");
+    expect(partner.body.value[0].scheduledChanges.map(c => [c.effectiveDate, c.section, c.operation, c.fieldName, c.afterValue])).toEqual(
+      expect.arrayContaining([[effectiveDate, 'Bank', 'Added', 'IBAN', 'DE02120300000000202051'], [effectiveDate, 'Bank', 'Removed', 'IBAN', null]]));
+    expect(await SELECT.from('mdm.db.ChangeNotifications').where({ bpNumber: 'BP200401' })).toHaveLength(0);
+
+    // Nothing is due before the effective date
+    expect(await scheduled.processDueChanges(inDays(29))).toEqual({ applied: 0, failed: 0 });
+    expect(await scheduled.processDueChanges(inDays(30))).toEqual({ applied: 1, failed: 0 });
+
+    expect(await ibans('BP200401')).toEqual(['DE02120300000000202051']);
+    const [added] = await SELECT.from('mdm.db.A_BusinessPartnerBank').where({ BusinessPartner: 'BP200401' });
+    expect(added.ValidityStartDate).toBe(effectiveDate);
+    expect(await mdm.getRequest(ID)).toMatchObject({ scheduledChangeStatus: 'Applied' });
+
+    const [notification] = await SELECT.from('mdm.db.ChangeNotifications').where({ bpNumber: 'BP200401' });
+    expect(JSON.parse(notification.changeDetails).context.effectiveDate).toBe(effectiveDate);
+    const after = await mdm.as('alice').get("/mdm/A_BusinessPartner?$filter=BusinessPartner eq 'BP200401'&$expand=scheduledChanges");
+    expect(after.body.value[0].scheduledChanges).toEqual([]);
+  });
+
+  test('held changes the partner no longer fits are marked failed, cancelled ones are never applied', async () => {
+    const effectiveDate = toDate(inDays(10));
+    const failing = await bankSwitch('BP200402', 'Termin Leuchten GmbH', 'DE12500105170648489890', 'DE02500105170137075030', effectiveDate);
+    expect(errorMessage(await mdm.approveChain(failing))).toBe('');
+    await UPDATE('mdm.db.A_BusinessPartnerBank').set({ IBAN: 'DE75512108001245126199' }).where({ BusinessPartner: 'BP200402' });
+
+    const cancelled = await bankSwitch('BP200403', 'Termin Teppich GmbH', 'DE02100500000054540402', 'DE02300209000106531065', effectiveDate);
+    expect(errorMessage(await mdm.approveChain(cancelled))).toBe('');
+    expect(errorMessage(await mdm.action(cancelled, 'cancelScheduledChange', { reason: 'Bank switch postponed' }))).toBe('');
+
+    expect(await scheduled.processDueChanges(inDays(10))).toEqual({ applied: 0, failed: 1 });
+    expect(await mdm.getRequest(failing)).toMatchObject({ scheduledChangeStatus: 'Failed' });
+    expect((await mdm.getRequest(failing)).scheduledChangeError).toMatch(/BP200402 changed since the request was submitted/);
+    expect(await ibans('BP200402')).toEqual(['DE75512108001245126199']);
+
+    expect(await mdm.getRequest(cancelled)).toMatchObject({ scheduledChangeStatus: 'Cancelled' });
+    expect(await ibans('BP200403')).toEqual(['DE02100500000054540402']);
+  });
+});
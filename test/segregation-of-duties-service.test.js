@@ -0,0 +1,66 @@
+const { startServer, mainAddress, waitFor, errorMessage } = require('./helpers/mdm-server');
+
+describe('Segregation of duties', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const submit = async (partnerName, data = {}) => {
+    const ID = await mdm.createRequest({ partnerName, addresses: [mainAddress({ name1: partnerName })], ...data });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, data.requesterId || 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    return ID;
+  };
+
+  const blockedAttempts = (ID) => waitFor(async () => {
+    const entries = await SELECT.from('mdm.db.ApprovalHistory').where({ request_ID: ID, action: 'ApprovalBlocked' });
+    return entries.length > 0 && entries;
+  });
+
+  const bank = () => ({
+    bankCountry_code: 'DE', bankName: 'Commerzbank', accountHolder: 'Vier Augen Bau GmbH',
+    iban: 'DE44500105175407324931', swiftCode: 'COBADEFF', isDefault: true
+  });
+
+  test('requesters cannot approve their own request, and the attempt is logged', async () => {
+    const ID = await submit('Eigen Antrag GmbH', { requesterId: 'erin', requesterName: 'erin' });
+
+    const res = await mdm.action(ID, 'approveRequest', { comments: 'Looks fine' }, 'erin');
+    expect(res.status).toBe(403);
+    expect(errorMessage(res)).toBe(`User erin created request ${(await mdm.getRequest(ID)).requestNumber} and cannot approve it`);
+
+    const [attempt] = await blockedAttempts(ID);
+    expect(attempt).toMatchObject({ approverName: 'erin', systemGenerated: true });
+    expect(attempt.comments).toMatch(/^approveRequest blocked \(SELF_APPROVAL\)/);
+
+    // Nothing was approved by the blocked attempt
+    const steps = await SELECT.from('mdm.db.RequestApprovalSteps').where({ request_ID: ID, status: 'Approved' });
+    expect(steps).toHaveLength(0);
+    expect(errorMessage(await mdm.action(ID, 'approveRequest', {}, 'alice'))).toBe('');
+  });
+
+  test('bank account changes need a second approver to complete the chain', async () => {
+    const ID = await submit('Vier Augen Bau GmbH', { banks: [bank()] });
+
+    expect(errorMessage(await mdm.action(ID, 'approveRequest', {}, 'alice'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'approveRequest', {}, 'alice'))).toBe('');
+    const last = await mdm.action(ID, 'approveRequest', {}, 'alice');
+    expect(last.status).toBe(403);
+    expect(errorMessage(last)).toBe('Changes to PartnerBanks require 2 distinct approvers - approved so far by alice');
+    expect((await blockedAttempts(ID))[0].comments).toMatch(/\(DISTINCT_APPROVERS\)/);
+    expect((await mdm.getRequest(ID)).status).not.toBe('Approved');
+
+    expect(errorMessage(await mdm.action(ID, 'approveRequest', {}, 'dave'))).toBe('');
+    expect((await mdm.getRequest(ID)).status).toBe('Approved');
+  });
+
+  test('requests without bank accounts or VAT IDs can be approved by one approver', async () => {
+    const ID = await submit('Ein Augen Handel GmbH');
+
+    const res = await mdm.approveChain(ID, ['alice', 'alice', 'alice']);
+    expect(errorMessage(res)).toBe('');
+    expect((await mdm.getRequest(ID)).status).toBe('Approved');
+  });
+});
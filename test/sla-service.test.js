@@ -0,0 +1,84 @@
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+const SLAService = require('../srv/lib/sla-service');
+
+describe('SLA reminders and escalation', () => {
+  let mdm;
+  let notifications;
+  let sla;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  beforeEach(() => {
+    notifications = { sendWorkflowNotification: jest.fn().mockResolvedValue() };
+    sla = new SLAService(notifications);
+  });
+
+  const submit = async (partnerName) => {
+    const ID = await mdm.createRequest({ partnerName, addresses: [mainAddress({ name1: partnerName })] });
+    expect(errorMessage(await mdm.action(ID, 'submitForApproval', {}, 'carol'))).toBe('');
+    expect(errorMessage(await mdm.action(ID, 'performComplianceCheck'))).toBe('');
+    return ID;
+  };
+
+  const readSla = async (ID, user = 'alice') => {
+    const res = await mdm.as(user).get(`/mdm/PendingApprovals?$filter=ID eq ${ID}&$select=ID,slaDueDate,isOverdue,isEscalated,escalatedToRole`);
+    expect(res.status).toBe(200);
+    expect(res.body.value).toHaveLength(1);
+    return res.body.value[0];
+  };
+
+  const hoursFrom = (date, hours) => new Date(new Date(date).getTime() + hours * 60 * 60 * 1000);
+
+  test('the approvers of the active step are reminded once before the due date', async () => {
+    const ID = await submit('Reminder Werkzeuge GmbH');
+    const { slaDueDate } = await readSla(ID);
+    const [step] = await SELECT.from('mdm.db.RequestApprovalSteps').where({ request_ID: ID, status: 'Active' });
+    // The first stage of SUPPLIER_APPROVAL runs for 3 business days
+    expect(new Date(slaDueDate).toISOString()).toBe(new Date(step.dueDate).toISOString());
+
+    const result = await sla.processDueRequests(hoursFrom(slaDueDate, -12));
+    expect(result.reminders).toBeGreaterThanOrEqual(1);
+    const reminder = notifications.sendWorkflowNotification.mock.calls.find(([request]) => request.ID === ID);
+    expect(reminder[1]).toBe('sla_reminder');
+    expect(reminder[2]).toMatchObject({ recipientRoles: ['MDMApprover'], steps: ['Initial Review'] });
+
+    notifications.sendWorkflowNotification.mockClear();
+    await sla.processDueRequests(hoursFrom(slaDueDate, -6));
+    expect(notifications.sendWorkflowNotification.mock.calls.filter(([request]) => request.ID === ID)).toHaveLength(0);
+  });
+
+  test('overdue stages are escalated to the backup approver, who can then approve', async () => {
+    const ID = await submit('Escalation Metall GmbH');
+    const { slaDueDate } = await readSla(ID);
+
+    await sla.processDueRequests(hoursFrom(slaDueDate, 1));
+    expect(await readSla(ID, 'frank')).toMatchObject({ isEscalated: true, escalatedToRole: 'MDMBackupApprover' });
+    const escalation = notifications.sendWorkflowNotification.mock.calls.find(([request]) => request.ID === ID);
+    expect(escalation[1]).toBe('sla_escalation');
+    expect(escalation[2].recipientRoles).toEqual(['MDMBackupApprover']);
+
+    const [step] = await SELECT.from('mdm.db.RequestApprovalSteps').where({ request_ID: ID, stepName: 'Initial Review' });
+    expect(step.escalatedToRole).toBe('MDMBackupApprover');
+    const history = await SELECT.one.from('mdm.db.ApprovalHistory').where({ request_ID: ID, action: 'Escalate' });
+    expect(history).toMatchObject({ systemGenerated: true, approverName: 'SLA Scheduler' });
+    expect(history.comments).toMatch(/Initial Review - escalated to MDMBackupApprover/);
+
+    // Escalated once per stage
+    notifications.sendWorkflowNotification.mockClear();
+    await sla.processDueRequests(hoursFrom(slaDueDate, 2));
+    expect(notifications.sendWorkflowNotification).not.toHaveBeenCalled();
+
+    const res = await mdm.action(ID, 'approveRequest', { comments: 'Covering for the approver' }, 'frank');
+    expect(errorMessage(res)).toBe('');
+    expect(res.body.value).toMatch(/Step 'Initial Review' approved/);
+
+    // The next stage starts its own clock
+    const next = await readSla(ID);
+    const [active] = await SELECT.from('mdm.db.RequestApprovalSteps').where({ request_ID: ID, status: 'Active' });
+    expect(active.stepName).toBe('Compliance Check');
+    expect(next.isEscalated).toBe(false);
+    expect(new Date(next.slaDueDate).toISOString()).toBe(new Date(active.dueDate).toISOString());
+  });
+});
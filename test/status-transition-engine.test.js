@@ -0,0 +1,87 @@
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Status transition engine', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const readRequest = async (ID) => {
+    const res = await mdm.as('alice').get(`/mdm/BusinessPartnerRequests(ID=${ID},IsActiveEntity=true)`);
+    expect(res.status).toBe(200);
+    return res.body;
+  };
+
+  const history = (ID) => SELECT.from('mdm.db.ApprovalHistory')
+    .where({ request_ID: ID })
+    .orderBy('createdAt');
+
+  test('a draft can only be submitted', async () => {
+    const ID = await mdm.createRequest({ partnerName: 'Transition Draft GmbH' });
+
+    const request = await readRequest(ID);
+    expect(request.canSubmit).toBe(true);
+    expect(request.canApprove).toBe(false);
+    expect(request.canCheckCompliance).toBe(false);
+
+    const approve = await mdm.action(ID, 'approveRequest', { comments: 'too early' });
+    expect(approve.status).toBe(422);
+    expect(errorMessage(approve)).toMatch(/Draft/);
+    expect((await mdm.getRequest(ID)).status).toBe('Draft');
+
+    const allowed = await mdm.as('alice').get(`/mdm/getAllowedActions(requestId=${ID})`);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.allowedTransitions).toEqual(['Submitted']);
+    expect(allowed.body.allowedActions).toEqual(['submitForApproval']);
+  });
+
+  test('submit and compliance check move the request and record the previous status', async () => {
+    const ID = await mdm.createRequest({
+      partnerName: 'Transition Flow GmbH',
+      addresses: [mainAddress({ name1: 'Transition Flow GmbH' })]
+    });
+
+    const submit = await mdm.action(ID, 'submitForApproval', {}, 'carol');
+    expect(submit.status).toBe(200);
+    expect((await mdm.getRequest(ID)).status).toBe('Submitted');
+
+    const compliance = await mdm.action(ID, 'performComplianceCheck');
+    expect(compliance.status).toBe(200);
+    expect((await mdm.getRequest(ID)).status).toBe('ComplianceCheck');
+
+    const entries = await history(ID);
+    expect(entries.map(e => [e.previousStatus, e.newStatus])).toEqual([
+      ['Draft', 'Submitted'],
+      ['Submitted', 'ComplianceCheck']
+    ]);
+
+    const request = await readRequest(ID);
+    expect(request.canSubmit).toBe(false);
+    expect(request.canApprove).toBe(true);
+    expect(request.canReject).toBe(true);
+  });
+
+  test('a rejected request cannot be approved', async () => {
+    const ID = await mdm.createRequest({ partnerName: 'Transition Reject GmbH', status: 'Submitted' });
+
+    const reject = await mdm.action(ID, 'rejectRequest', { reason: 'Incomplete' });
+    expect(reject.status).toBe(200);
+
+    const rejected = await mdm.getRequest(ID);
+    expect(rejected.status).toBe('Rejected');
+    expect(rejected.rejectionReason).toBe('Incomplete');
+
+    const approve = await mdm.action(ID, 'approveRequest');
+    expect(approve.status).toBe(422);
+    expect((await mdm.getRequest(ID)).status).toBe('Rejected');
+  });
+
+  test('compliance check is refused for a draft', async () => {
+    const ID = await mdm.createRequest({ partnerName: 'Transition Skip GmbH' });
+
+    const compliance = await mdm.action(ID, 'performComplianceCheck');
+    expect(compliance.status).toBe(422);
+    expect(await history(ID)).toHaveLength(0);
+  });
+});
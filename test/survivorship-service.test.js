@@ -0,0 +1,151 @@
+const cds = require('@sap/cds');
+const { startServer, mainAddress, errorMessage } = require('./helpers/mdm-server');
+
+describe('Merge and unmerge', () => {
+  let mdm;
+
+  beforeAll(async () => {
+    mdm = await startServer();
+  });
+
+  const readFlags = async (ID) => {
+    const res = await mdm.as('alice').get(`/mdm/BusinessPartnerRequests(ID=${ID},IsActiveEntity=true)?$select=ID,status,canUnmerge,allowedActions`);
+    expect(res.status).toBe(200);
+    return res.body;
+  };
+
+  const goldenRecord = async (bpNumber) => ({
+    header: await SELECT.one.from('mdm.db.A_BusinessPartner').where({ BusinessPartner: bpNumber }),
+    addresses: await SELECT.from('mdm.db.A_BusinessPartnerAddress').where({ BusinessPartner: bpNumber }).orderBy('AddressID'),
+    emails: await SELECT.from('mdm.db.A_AddressEmailAddress').where({ BusinessPartner: bpNumber }).orderBy('EmailAddress')
+  });
+
+  const blockingKeys = async (sapBpNumber) => (await SELECT.from('mdm.db.DuplicateBlockingKeys').where({ sapBpNumber }))
+    .map(k => k.blockingKey);
+
+  test('survivorship rules decide per field group which values reach the golden record', async () => {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    await mdm.createPartner('BP200101', {
+      BusinessPartnerName: 'Quelle Alt GmbH',
+      addresses: [{ AddressID: '1', FullName: 'Quelle Alt GmbH', StreetName: 'Marktplatz', HouseNumber: '4', CityName: 'Berlin', PostalCode: '10115', Country: 'DE' }]
+    });
+    await INSERT.into('mdm.db.GoldenRecordSources').entries(['Header', 'Address'].map(fieldGroup => ({
+      ID: cds.utils.uuid(), BusinessPartner: 'BP200101', fieldGroup, sourceSystem: 'PI', updatedAt: yesterday
+    })));
+
+    const ID = await mdm.createRequest({
+      partnerName: 'Quelle Neu GmbH',
+      status: 'DuplicateReview',
+      sourceSystem: 'Coupa',
+      addresses: [mainAddress({ name1: 'Quelle Neu GmbH', street: 'Bahnhofstrasse', streetNumber: '12' })],
+      emails: [{ emailType: 'Primary', emailAddress: 'einkauf@quelle.example', isDefault: true }]
+    });
+
+    const preview = async () => {
+      const res = await mdm.action(ID, 'previewMerge', { existingBpNumber: 'BP200101' });
+      expect(errorMessage(res)).toBe('');
+      const field = (section, fieldName) => res.body.value.find(f => f.section === section && f.fieldName === fieldName);
+      return { name: field('Header', 'BusinessPartnerFullName'), street: field('Address', 'StreetName') };
+    };
+
+    // Seeded rules: the most recent name wins, the established address is kept
+    const seeded = await preview();
+    expect(seeded.name).toMatchObject({ currentValue: 'Quelle Alt GmbH', resultValue: 'Quelle Neu GmbH', survivingSource: 'Request', rule: 'MostRecent' });
+    expect(seeded.street).toMatchObject({ currentValue: 'Marktplatz', resultValue: 'Marktplatz', survivingSource: 'Existing', rule: 'NeverOverwrite', isChanged: false });
+
+    // A rule maintained by the data stewards applies to the next preview - PI outranks Coupa
+    const seededRule = await SELECT.one.from('mdm.db.SurvivorshipRules').where({ fieldGroup: 'Header' });
+    await DELETE.from('mdm.db.SurvivorshipRules').where({ ID: seededRule.ID });
+    const rule = await mdm.as('alice').post('/mdm/SurvivorshipRules', { fieldGroup: 'Header', ruleType: 'SourcePriority', sourcePriority: 'PI,Coupa,Salesforce' });
+    expect(errorMessage(rule)).toBe('');
+    expect(rule.body.isActive).toBe(true);
+
+    const maintained = await preview();
+    expect(maintained.name).toMatchObject({ resultValue: 'Quelle Alt GmbH', survivingSource: 'Existing', rule: 'SourcePriority', isChanged: false });
+
+    expect(errorMessage(await mdm.action(ID, 'mergeWithExistingPartner', { existingBpNumber: 'BP200101', mergeComments: 'Same supplier' }))).toBe('');
+    const merged = await goldenRecord('BP200101');
+    expect(merged.header.BusinessPartnerFullName).toBe('Quelle Alt GmbH');
+    expect(merged.addresses.map(a => a.StreetName)).toEqual(['Marktplatz']);
+    expect(merged.emails.map(e => e.EmailAddress)).toEqual(['einkauf@quelle.example']);
+
+    // Field groups the request changed are now sourced from it, the kept address is not
+    const sources = await SELECT.from('mdm.db.GoldenRecordSources').where({ BusinessPartner: 'BP200101', sourceSystem: 'Coupa' });
+    expect(sources.map(s => s.fieldGroup)).toContain('Email');
+    expect(sources.map(s => s.fieldGroup)).not.toContain('Address');
+
+    expect((await mdm.as('alice').delete(`/mdm/SurvivorshipRules(ID=${rule.body.ID})`)).status).toBe(204);
+    await INSERT.into('mdm.db.SurvivorshipRules').entries(seededRule);
+  });
+
+  test('a merge into a partner can be reverted, restoring the golden record', async () => {
+    const before = await goldenRecord('BP100002');
+    const ID = await mdm.createRequest({
+      partnerName: 'European Supplies GmbH',
+      status: 'DuplicateReview',
+      sourceSystem: 'Coupa',
+      addresses: [
+        mainAddress({ name1: 'European Supplies GmbH', street: 'Neue Allee', streetNumber: '9', city: 'Hamburg', postalCode: '20095' }),
+        mainAddress({ addressType: 'Delivery', name1: 'European Supplies GmbH', street: 'Lagerweg', streetNumber: '2', city: 'Bremen', postalCode: '28195' })
+      ],
+      emails: [{ emailType: 'Primary', emailAddress: 'orders@european-supplies.example', isDefault: true }]
+    });
+
+    await INSERT.into('mdm.db.DuplicateChecks').entries({
+      ID: cds.utils.uuid(), request_ID: ID, existingBpNumber: 'BP100002', existingBpName: 'European Supplies GmbH',
+      matchType: 'FuzzyName', matchScore: 0.97, scoreBand: 'AutoBlock', mergeDecision: 'Pending'
+    });
+
+    const merge = await mdm.action(ID, 'mergeWithExistingPartner', { existingBpNumber: 'BP100002', mergeComments: 'Same supplier' });
+    expect(errorMessage(merge)).toBe('');
+    expect(await SELECT.one.from('mdm.db.DuplicateChecks').where({ request_ID: ID })).toMatchObject({ mergeDecision: 'Merge', mergeDecisionBy: 'alice' });
+
+    const merged = await goldenRecord('BP100002');
+    expect(merged.emails.map(e => e.EmailAddress)).toContain('orders@european-supplies.example');
+    // The duplicate check compares later requests with the merged address
+    expect(await blockingKeys('BP100002')).toContain('PostalCode:DE:28195');
+
+    const flags = await readFlags(ID);
+    expect(flags.status).toBe('Approved');
+    expect(flags.canUnmerge).toBe(true);
+    expect(flags.allowedActions.split(',')).toContain('unmergeRequest');
+
+    const unmerge = await mdm.action(ID, 'unmergeRequest', { reason: 'Different legal entity' });
+    expect(errorMessage(unmerge)).toBe('');
+    expect((await mdm.getRequest(ID)).status).toBe('DuplicateReview');
+
+    const after = await goldenRecord('BP100002');
+    expect(after.emails.map(e => e.EmailAddress)).toEqual(before.emails.map(e => e.EmailAddress));
+    expect(after.addresses.map(a => [a.StreetName, a.CityName])).toEqual(before.addresses.map(a => [a.StreetName, a.CityName]));
+    expect(after.header.BusinessPartnerFullName).toBe(before.header.BusinessPartnerFullName);
+    expect(await blockingKeys('BP100002')).not.toContain('PostalCode:DE:28195');
+
+    const snapshot = await SELECT.one.from('mdm.db.MergeSnapshots').where({ request_ID: ID });
+    expect(snapshot).toMatchObject({ status: 'Reverted', revertedBy: 'alice', revertReason: 'Different legal entity' });
+
+    // The match is undecided again, so the request cannot slip through as a new partner
+    expect(await SELECT.one.from('mdm.db.DuplicateChecks').where({ request_ID: ID })).toMatchObject({
+      mergeDecision: 'Pending', mergeDecisionBy: null, mergeDecisionAt: null, mergeComments: 'Unmerged: Different legal entity'
+    });
+    const approve = await mdm.action(ID, 'approveRequest');
+    expect(errorMessage(approve)).toMatch(/^Approval blocked by duplicate match\(es\) in the auto-block band: BP BP100002 \(FuzzyName, 97%\)/);
+  });
+
+  test('approved requests without an active merge cannot be unmerged', async () => {
+    const ID = await mdm.createRequest({ partnerName: 'Created Partner GmbH', status: 'Approved', sapBpNumber: 'BP100004' });
+
+    const flags = await readFlags(ID);
+    expect(flags.canUnmerge).toBe(false);
+    expect(flags.allowedActions.split(',')).not.toContain('unmergeRequest');
+
+    const list = await mdm.as('alice').get(`/mdm/BusinessPartnerRequests?$filter=ID eq ${ID}&$select=ID,status,canUnmerge`);
+    expect(list.body.value).toEqual([expect.objectContaining({ ID, canUnmerge: false })]);
+
+    const allowed = await mdm.as('alice').get(`/mdm/getAllowedActions(requestId=${ID})`);
+    expect(allowed.body.allowedActions).not.toContain('unmergeRequest');
+
+    const unmerge = await mdm.action(ID, 'unmergeRequest', { reason: 'Not merged' });
+    expect(unmerge.status).toBe(422);
+    expect(errorMessage(unmerge)).toMatch(/has no merge to revert/);
+  });
+});